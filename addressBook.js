@@ -0,0 +1,160 @@
+const dns = require('dns');
+const net = require('net');
+const path = require('path');
+const { loadJson, saveJson } = require('./jsonStore');
+
+const ADDRESS_BOOK_FILE = 'address-book.json';
+const MAX_LABEL = 64;
+// Every host in a range is probed each round, so ranges stop at the 1022 hosts of a /22
+const MIN_RANGE_PREFIX = 22;
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*\.?$/i;
+
+function ipToLong(ip) {
+    return ip.split('.').reduce((long, part) => ((long << 8) | Number(part)) >>> 0, 0);
+}
+
+function longToIp(long) {
+    return [long >>> 24, (long >>> 16) & 0xff, (long >>> 8) & 0xff, long & 0xff].join('.');
+}
+
+/**
+ * Work out what kind of target the user typed: an IP address ('address'), an
+ * IPv4 range in CIDR form ('range', normalised to its network address) or a
+ * hostname. Throws for anything else.
+ */
+function parseTarget(input) {
+    const target = String(input || '').trim();
+    if (net.isIP(target.split('%')[0])) return { kind: 'address', target };
+
+    const cidr = target.match(/^([\d.]+)\/(\d{1,2})$/);
+    if (cidr && net.isIPv4(cidr[1])) {
+        const prefix = Number(cidr[2]);
+        if (prefix < MIN_RANGE_PREFIX || prefix > 32) {
+            throw new Error(`Ranges can be from /${MIN_RANGE_PREFIX} to /32`);
+        }
+        const mask = (~0 << (32 - prefix)) >>> 0;
+        return { kind: 'range', target: `${longToIp((ipToLong(cidr[1]) & mask) >>> 0)}/${prefix}` };
+    }
+    if (target.includes('/')) {
+        throw new Error('Ranges are an IPv4 network and prefix length, such as 10.0.4.0/24');
+    }
+    if (/^[\d.]+$/.test(target)) {
+        throw new Error(`${target} is not a valid IP address`);
+    }
+    if (HOSTNAME_PATTERN.test(target)) return { kind: 'hostname', target: target.toLowerCase().replace(/\.$/, '') };
+
+    throw new Error('Enter an IP address, a hostname or a range such as 10.0.4.0/24');
+}
+
+// The hosts of an IPv4 range; /31 and /32 have no network or broadcast address to leave out
+function rangeHosts(range) {
+    const [network, bits] = range.split('/');
+    const prefix = Number(bits);
+    const start = ipToLong(network);
+    const size = 2 ** (32 - prefix);
+    if (prefix >= 31) return Array.from({ length: size }, (_, i) => longToIp(start + i));
+    return Array.from({ length: size - 2 }, (_, i) => longToIp(start + i + 1));
+}
+
+function checkLabel(label) {
+    const text = String(label || '').trim();
+    if (text.length > MAX_LABEL) throw new Error(`Labels can be at most ${MAX_LABEL} characters`);
+    return text || null;
+}
+
+/**
+ * Devices added by hand, for networks discovery can't reach: another subnet,
+ * a VPN, or Wi-Fi that drops broadcast and multicast. Each entry is an IP
+ * address, a hostname or an IPv4 range, with an optional label and a favourite
+ * flag. The network manager probes them all periodically; what each probe
+ * found is kept in memory only, since it's stale by the next start anyway.
+ */
+class AddressBook {
+    constructor(dataDir) {
+        this.bookPath = path.join(dataDir, ADDRESS_BOOK_FILE);
+        this.entries = loadJson(this.bookPath, []);
+        // Per entry: { found: [addresses that answered], probedAt, error }
+        this.probes = new Map();
+    }
+
+    // Favourites first, then alphabetically by what's shown for each entry
+    list() {
+        return this.entries
+            .map(entry => this.describe(entry))
+            .sort((a, b) => (b.favourite - a.favourite) || (a.label || a.target).localeCompare(b.label || b.target));
+    }
+
+    describe(entry) {
+        const probe = this.probes.get(entry.id) || {};
+        return {
+            ...entry,
+            found: probe.found || [],
+            probedAt: probe.probedAt || null,
+            error: probe.error || null
+        };
+    }
+
+    get(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    }
+
+    add({ target, label, favourite }) {
+        const parsed = parseTarget(target);
+        if (this.entries.some(entry => entry.target === parsed.target)) {
+            throw new Error(`${parsed.target} is already in the address book`);
+        }
+        const entry = {
+            id: `book_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+            kind: parsed.kind,
+            target: parsed.target,
+            label: checkLabel(label),
+            favourite: !!favourite,
+            addedAt: Date.now()
+        };
+        this.entries.push(entry);
+        this.save();
+        return this.describe(entry);
+    }
+
+    // `changes` may hold label (empty removes it) and favourite; the target itself is fixed
+    update(id, changes) {
+        const entry = this.get(id);
+        if (!entry) throw new Error('No such address book entry');
+        if (changes.label !== undefined) entry.label = checkLabel(changes.label);
+        if (changes.favourite !== undefined) entry.favourite = !!changes.favourite;
+        this.save();
+        return this.describe(entry);
+    }
+
+    remove(id) {
+        const entry = this.get(id);
+        if (!entry) return false;
+        this.entries = this.entries.filter(e => e !== entry);
+        this.probes.delete(id);
+        this.save();
+        return true;
+    }
+
+    // What to probe for an entry: the address itself, every host in a range, or whatever the hostname resolves to now
+    async addressesOf(entry) {
+        if (entry.kind === 'range') return rangeHosts(entry.target);
+        if (entry.kind === 'hostname') {
+            const results = await dns.promises.lookup(entry.target, { all: true });
+            return [...new Set(results.map(result => result.address))];
+        }
+        return [entry.target];
+    }
+
+    recordProbe(id, found, error = null) {
+        if (!this.get(id)) return;
+        this.probes.set(id, { found, probedAt: Date.now(), error });
+    }
+
+    save() {
+        saveJson(this.bookPath, this.entries);
+    }
+}
+
+module.exports = AddressBook;
+module.exports.parseTarget = parseTarget;
+module.exports.rangeHosts = rangeHosts;
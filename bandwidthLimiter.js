@@ -0,0 +1,181 @@
+const net = require('net');
+const path = require('path');
+const { loadJson, saveJson } = require('./jsonStore');
+
+const LIMITS_FILE = 'bandwidth-limits.json';
+// Never allow less than one read chunk of burst, or every chunk would wait
+const MIN_BURST_BYTES = 64 * 1024;
+const MIN_LIMIT_BYTES = 16 * 1024;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const DEFAULT_LIMITS = {
+    // Bytes per second across every outgoing transfer; null is unlimited
+    globalLimit: null,
+    // Bytes per second to one device, keyed by device id; applies on top of the global cap
+    peerLimits: {},
+    // Windows of the day that replace the global cap, e.g. { from: '19:00', to: '07:00', limit: null }
+    schedule: []
+};
+
+// Refills at `rate` bytes per second and holds a quarter second of burst
+class TokenBucket {
+    constructor(rate) {
+        this.rate = rate;
+        this.tokens = this.capacity();
+        this.updatedAt = Date.now();
+    }
+
+    capacity() {
+        return Math.max(this.rate / 4, MIN_BURST_BYTES);
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity(), this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+        this.updatedAt = now;
+    }
+
+    setRate(rate) {
+        if (rate === this.rate) return;
+        this.refill();
+        this.rate = rate;
+        this.tokens = Math.min(this.tokens, this.capacity());
+    }
+
+    // Take `bytes` now (going into debt if need be) and return how long until the debt is paid
+    take(bytes) {
+        this.refill();
+        this.tokens -= bytes;
+        return this.tokens >= 0 ? 0 : Math.ceil((-this.tokens / this.rate) * 1000);
+    }
+}
+
+/**
+ * Caps on outgoing bandwidth. A chunk must fit the global cap (or the scheduled
+ * one in force right now) and its peer's cap. A per-transfer override replaces
+ * both for that transfer, so one urgent batch can go faster or slower than the rest.
+ * Overrides last as long as the transfer; the other caps are persisted.
+ */
+class BandwidthLimiter {
+    constructor(dataDir) {
+        this.limitsPath = path.join(dataDir, LIMITS_FILE);
+        this.limits = { ...DEFAULT_LIMITS, ...loadJson(this.limitsPath, {}) };
+        // Caps used to be keyed by IP; those can't be matched to a device, so they're dropped
+        for (const key of Object.keys(this.limits.peerLimits)) {
+            if (net.isIP(key)) delete this.limits.peerLimits[key];
+        }
+        this.transferLimits = new Map();
+        this.buckets = new Map();
+    }
+
+    getLimits() {
+        return {
+            ...this.limits,
+            transferLimits: Object.fromEntries(this.transferLimits),
+            activeGlobalLimit: this.activeGlobalLimit()
+        };
+    }
+
+    save() {
+        saveJson(this.limitsPath, this.limits);
+    }
+
+    setGlobalLimit(bytesPerSecond) {
+        this.limits.globalLimit = checkLimit(bytesPerSecond);
+        this.save();
+        return this.getLimits();
+    }
+
+    setPeerLimit(peerId, bytesPerSecond) {
+        if (!peerId) throw new Error('No device specified');
+        const limit = checkLimit(bytesPerSecond);
+        if (limit === null) {
+            delete this.limits.peerLimits[peerId];
+        } else {
+            this.limits.peerLimits[peerId] = limit;
+        }
+        this.save();
+        return this.getLimits();
+    }
+
+    // `bytesPerSecond` null runs the transfer unthrottled; undefined drops the override
+    setTransferLimit(transferId, bytesPerSecond) {
+        if (bytesPerSecond === undefined) {
+            this.transferLimits.delete(transferId);
+        } else {
+            this.transferLimits.set(transferId, checkLimit(bytesPerSecond));
+        }
+        return this.getLimits();
+    }
+
+    forgetTransfer(transferId) {
+        this.transferLimits.delete(transferId);
+        this.buckets.delete(`transfer|${transferId}`);
+    }
+
+    setSchedule(windows) {
+        if (!Array.isArray(windows)) throw new Error('Schedule must be a list of time windows');
+        this.limits.schedule = windows.map(window => {
+            if (!TIME_PATTERN.test(window.from) || !TIME_PATTERN.test(window.to) || window.from === window.to) {
+                throw new Error('Schedule windows need distinct "from" and "to" times as HH:MM');
+            }
+            return { from: window.from, to: window.to, limit: checkLimit(window.limit) };
+        });
+        this.save();
+        return this.getLimits();
+    }
+
+    // The global cap in force at `date`: the first matching schedule window wins
+    activeGlobalLimit(date = new Date()) {
+        const minute = date.getHours() * 60 + date.getMinutes();
+        const window = this.limits.schedule.find(w => inWindow(minute, toMinutes(w.from), toMinutes(w.to)));
+        return window ? window.limit : this.limits.globalLimit;
+    }
+
+    /**
+     * Account for `bytes` about to go out for `scope` ({ transferId, peerId }) and
+     * return how many milliseconds to hold them back.
+     */
+    delayFor(bytes, scope) {
+        const caps = this.transferLimits.has(scope.transferId)
+            ? [[`transfer|${scope.transferId}`, this.transferLimits.get(scope.transferId)]]
+            : [['global', this.activeGlobalLimit()], [`peer|${scope.peerId}`, this.limits.peerLimits[scope.peerId]]];
+
+        let delay = 0;
+        for (const [key, limit] of caps) {
+            if (!limit) {
+                this.buckets.delete(key);
+                continue;
+            }
+            let bucket = this.buckets.get(key);
+            if (!bucket) {
+                bucket = new TokenBucket(limit);
+                this.buckets.set(key, bucket);
+            }
+            bucket.setRate(limit);
+            delay = Math.max(delay, bucket.take(bytes));
+        }
+        return delay;
+    }
+}
+
+function checkLimit(bytesPerSecond) {
+    if (bytesPerSecond === null || bytesPerSecond === 0) return null;
+    const limit = Number(bytesPerSecond);
+    if (!Number.isSafeInteger(limit) || limit < MIN_LIMIT_BYTES) {
+        throw new Error(`Bandwidth limit must be at least ${MIN_LIMIT_BYTES / 1024} KB/s, or off`);
+    }
+    return limit;
+}
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+// Windows may wrap past midnight, e.g. 19:00 to 07:00
+function inWindow(minute, from, to) {
+    return from < to ? minute >= from && minute < to : minute >= from || minute < to;
+}
+
+module.exports = BandwidthLimiter;
@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+const NetworkManager = require('./networkManager');
+const { collectFiles } = require('./fileTree');
+
+// SafeShare without the desktop window, for build servers, NASes and scripts.
+// It runs the same core as the app, so desktop peers see it as just another device.
+
+const USAGE = `Usage: safeshare <command> [options]
+
+Commands:
+  peers                          List the devices announcing themselves on the LAN
+  send <path...> --to <peer>     Send files or folders to a device, by name, device id or IP
+  receive [--dir <folder>]       Stay running and save incoming transfers to <folder>
+
+Options:
+  --to <peer>                    Device to send to (send)
+  --dir <folder>                 Where received files go (default ~/Downloads/EtherLink)
+  --accept <trusted|all>         Accept offers from verified devices, or from anyone (receive).
+                                 Without it, only devices the transfer rules auto-accept get through
+  --wait <seconds>               How long to look for devices (peers: 5, send: 15)
+  --data <folder>                Identity and settings (default ~/.safeshare, or $SAFESHARE_DATA)
+  --verbose                      Show the core's own log output
+  -h, --help                     Show this help`;
+
+const ACCEPT_POLICIES = ['trusted', 'all'];
+
+function formatSize(bytes) {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+    return `${(bytes / Math.pow(1024, i)).toFixed(i === 0 ? 0 : 1)} ${units[i]}`;
+}
+
+function fail(message) {
+    console.error(`safeshare: ${message}`);
+    process.exit(1);
+}
+
+function createManager(options) {
+    const dataDir = path.resolve(options.data || process.env.SAFESHARE_DATA || path.join(os.homedir(), '.safeshare'));
+    fs.mkdirSync(dataDir, { recursive: true });
+    const downloadsDir = path.resolve(options.dir || path.join(os.homedir(), 'Downloads', 'EtherLink'));
+    return new NetworkManager({ dataDir, downloadsDir });
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Resolves with the first discovered device matching `target` by name, device id or IP, or null after `timeout` ms
+function findPeer(manager, target, timeout) {
+    const wanted = target.toLowerCase();
+    const matches = (peer) => peer.addresses.includes(target) || peer.deviceId === wanted ||
+        (peer.name && peer.name.toLowerCase() === wanted);
+    return new Promise((resolve) => {
+        const found = [...manager.peers.values()].find(matches);
+        if (found) return resolve(found);
+
+        const onPeer = (peer) => {
+            if (!matches(peer)) return;
+            clearTimeout(timer);
+            manager.removeListener('peer-discovered', onPeer);
+            resolve(peer);
+        };
+        const timer = setTimeout(() => {
+            manager.removeListener('peer-discovered', onPeer);
+            resolve(null);
+        }, timeout);
+        manager.on('peer-discovered', onPeer);
+    });
+}
+
+// A single status line that's redrawn in place on a terminal and left alone when piped
+function createStatusLine() {
+    let shown = false;
+    return {
+        update(text) {
+            if (!process.stdout.isTTY) return;
+            process.stdout.write(`\r\x1b[K${text}`);
+            shown = true;
+        },
+        print(text) {
+            if (shown) process.stdout.write('\r\x1b[K');
+            shown = false;
+            console.info(text);
+        }
+    };
+}
+
+function describeProgress(data) {
+    const overall = data.overallProgress !== undefined ? data.overallProgress : data.progress;
+    return `${data.status === 'sending' ? '↑' : '↓'} ${data.filename} ${data.progress}% (batch ${overall}%) ${data.speed || 0} MB/s`;
+}
+
+async function listPeers(manager, options) {
+    manager.startDiscovery();
+    await sleep(Number(options.wait || 5) * 1000);
+
+    const peers = [...manager.peers.values()];
+    if (peers.length === 0) {
+        console.info('No devices found');
+        return 0;
+    }
+    for (const peer of peers) {
+        const fingerprint = peer.fingerprint ? `  ${peer.fingerprint}` : '';
+        console.info(`${peer.name || '(unknown)'}\t${peer.addresses.join(', ')}\t${peer.trust || 'unverified'}${fingerprint}`);
+    }
+    return 0;
+}
+
+async function send(manager, paths, options) {
+    if (!options.to) fail('send needs --to <peer>');
+    if (paths.length === 0) fail('send needs at least one file or folder');
+    const files = collectFiles(paths.map(p => path.resolve(p)));
+    if (files.length === 0) fail('Nothing to send');
+
+    let peerIP = options.to;
+    let peerId = null;
+    let peerKey = null;
+    if (!net.isIP(options.to)) {
+        console.info(`Looking for ${options.to}…`);
+        manager.startDiscovery();
+        const peer = await findPeer(manager, options.to, Number(options.wait || 15) * 1000);
+        if (!peer) fail(`No device named "${options.to}" found on the network`);
+        peerIP = peer.ip;
+        peerId = peer.deviceId;
+        peerKey = peer.publicKey || null;
+        if (peer.trust === 'changed') fail(`The identity key of ${peer.name} has changed; not sending`);
+    }
+
+    const status = createStatusLine();
+    const transferId = `cli_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+    manager.on('transfer-progress', data => status.update(describeProgress(data)));
+    manager.on('transfer-complete', data => {
+        for (const filename of data.filenames || [data.filename]) status.print(`✓ ${filename}`);
+    });
+
+    const totalSize = files.reduce((sum, f) => sum + f.size, 0);
+    console.info(`Sending ${files.length} file(s), ${formatSize(totalSize)}, to ${peerIP}; waiting for the receiver to accept…`);
+    try {
+        const result = await manager.sendBatch(transferId, peerIP, files.map(f => ({ path: f.path, relativePath: f.relativePath })), { peerId, peerKey });
+        if (result.corrupted.length > 0) {
+            status.print(`The receiver could not verify ${result.corrupted.length} file(s)`);
+            return 1;
+        }
+        status.print('Done');
+        return 0;
+    } catch (e) {
+        status.print(`Transfer failed: ${e.message}`);
+        return 1;
+    }
+}
+
+// Runs until interrupted, answering offers the transfer rules leave open according to --accept
+async function receive(manager, options) {
+    if (options.accept && !ACCEPT_POLICIES.includes(options.accept)) {
+        fail(`--accept must be one of: ${ACCEPT_POLICIES.join(', ')}`);
+    }
+    const status = createStatusLine();
+
+    if (options.accept) {
+        manager.on('transfer-offer', (offer) => {
+            const accept = options.accept === 'all' || offer.trust === 'trusted';
+            status.print(`${accept ? 'Accepting' : 'Declining'} ${offer.fileCount} file(s), ${formatSize(offer.totalSize)}, from ${offer.senderName} (${offer.peerIP})`);
+            manager.respondToOffer(offer.transferId, accept);
+        });
+    }
+    manager.on('transfer-progress', data => status.update(describeProgress(data)));
+    manager.on('transfer-complete', data => {
+        for (const filename of data.filenames || [data.filename]) {
+            status.print(`${data.verified === false ? '✗' : '✓'} ${filename} from ${data.senderName || data.peerIP}`);
+        }
+    });
+    manager.on('transfer-error', data => status.print(`Transfer ${data.transferId} failed: ${data.error}`));
+    manager.on('peer-key-changed', peer => status.print(`Warning: the identity key of ${peer.name} (${peer.ip}) has changed`));
+
+    try {
+        await manager.startTcpServer();
+    } catch (e) {
+        console.error(`safeshare: could not listen for transfers: ${e.message}`);
+        return 1;
+    }
+    manager.startDiscovery();
+    const identity = manager.getIdentity();
+    console.info(`${identity.name} is receiving into ${manager.getDownloadsDir()}`);
+    console.info(`Fingerprint ${identity.fingerprint}`);
+    console.info(`Device id ${identity.deviceId}`);
+
+    return new Promise((resolve) => {
+        const shutdown = () => resolve(0);
+        process.once('SIGINT', shutdown);
+        process.once('SIGTERM', shutdown);
+    });
+}
+
+async function main() {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            allowPositionals: true,
+            options: {
+                to: { type: 'string' },
+                dir: { type: 'string' },
+                accept: { type: 'string' },
+                wait: { type: 'string' },
+                data: { type: 'string' },
+                verbose: { type: 'boolean' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (e) {
+        fail(e.message);
+    }
+    const { values: options, positionals } = parsed;
+    const [command, ...args] = positionals;
+
+    if (options.help || !command) {
+        console.info(USAGE);
+        return 0;
+    }
+    if (!['peers', 'send', 'receive'].includes(command)) fail(`Unknown command "${command}"\n\n${USAGE}`);
+
+    // The core logs freely for the desktop app's console; here it would bury the output
+    if (!options.verbose) console.log = () => { };
+
+    const manager = createManager(options);
+    try {
+        if (command === 'peers') return await listPeers(manager, options);
+        if (command === 'send') return await send(manager, args, options);
+        return await receive(manager, options);
+    } finally {
+        manager.stop();
+    }
+}
+
+main().then(code => process.exit(code), (e) => fail(e.message));
@@ -0,0 +1,79 @@
+const zlib = require('zlib');
+const path = require('path');
+
+// On-the-fly compression for transfer data. The sender lists what it can use in
+// the offer, the receiver picks one, and each file then says whether it's compressed.
+
+// In order of preference
+const ALGORITHMS = ['br', 'gzip'];
+
+// Already-compressed formats that would only cost CPU to squeeze again. Mirrors the
+// Image/Video/Audio/Archive categories in src/utils/helpers.js, minus the formats
+// (bmp, svg, wav) that do compress well.
+const COMPRESSED_EXTENSIONS = new Set([
+    'jpg', 'jpeg', 'png', 'gif', 'webp', 'heic', 'avif',
+    'mp4', 'avi', 'mov', 'wmv', 'flv', 'mkv', 'webm', 'm4v',
+    'mp3', 'aac', 'ogg', 'flac', 'm4a', 'opus',
+    'zip', 'rar', '7z', 'gz', 'tgz', 'bz2', 'xz', 'zst', 'jar', 'apk', 'dmg',
+    'docx', 'xlsx', 'pptx', 'odt', 'ods', 'odp'
+]);
+
+// Below this the compressor's framing costs more than it could save
+const MIN_COMPRESSIBLE_BYTES = 1024;
+
+// `length` is how many bytes of the file are actually being sent
+function isCompressible(fileName, length) {
+    if (length < MIN_COMPRESSIBLE_BYTES) return false;
+    const extension = path.extname(fileName).slice(1).toLowerCase();
+    return !COMPRESSED_EXTENSIONS.has(extension);
+}
+
+// What a sender offers for a given preference ("off", "gzip" or "br"): the preferred one first
+function offeredAlgorithms(preference) {
+    if (!ALGORITHMS.includes(preference)) return [];
+    return [preference, ...ALGORITHMS.filter(a => a !== preference)];
+}
+
+// The receiver takes the first offered algorithm it knows, or none
+function negotiate(offered) {
+    if (!Array.isArray(offered)) return null;
+    return offered.find(a => ALGORITHMS.includes(a)) || null;
+}
+
+// Tuned for throughput rather than ratio; we're competing with the network, not archiving
+function createCompressStream(algorithm, sizeHint) {
+    if (algorithm === 'br') {
+        return zlib.createBrotliCompress({
+            params: {
+                [zlib.constants.BROTLI_PARAM_QUALITY]: 4,
+                [zlib.constants.BROTLI_PARAM_SIZE_HINT]: sizeHint || 0
+            }
+        });
+    }
+    if (algorithm === 'gzip') {
+        return zlib.createGzip({ level: 3 });
+    }
+    throw new Error(`Unsupported compression "${algorithm}"`);
+}
+
+function createDecompressStream(algorithm) {
+    if (algorithm === 'br') return zlib.createBrotliDecompress();
+    if (algorithm === 'gzip') return zlib.createGunzip();
+    throw new Error(`Unsupported compression "${algorithm}"`);
+}
+
+// Summary for progress events: ratio is bytes on the wire per byte of file
+function describe(algorithm, originalBytes, wireBytes) {
+    if (!algorithm || originalBytes <= 0) return null;
+    return { algorithm, ratio: Number((wireBytes / originalBytes).toFixed(3)) };
+}
+
+module.exports = {
+    ALGORITHMS,
+    isCompressible,
+    offeredAlgorithms,
+    negotiate,
+    createCompressStream,
+    createDecompressStream,
+    describe
+};
@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const http = require('http');
+const path = require('path');
+const { loadJson, saveJson } = require('./jsonStore');
+
+const SETTINGS_FILE = 'control-api.json';
+const DEFAULT_PORT = 9080;
+const MAX_BODY_SIZE = 1024 * 1024;
+// Comment lines on the event stream so proxies and idle timeouts don't drop a quiet connection
+const KEEPALIVE_INTERVAL = 15000;
+
+const DEFAULT_SETTINGS = {
+    enabled: false,
+    port: DEFAULT_PORT,
+    token: null
+};
+
+function createToken() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                // Stop reading but keep the connection, so the 413 still reaches the caller
+                req.removeAllListeners('data');
+                req.pause();
+                reject(Object.assign(new Error('Request body is too large'), { status: 413 }));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString()));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Opt-in HTTP API on 127.0.0.1 for scripts and CI jobs on this machine. It calls
+ * the same operations the renderer reaches over IPC, through `invoke(channel, data)`,
+ * and `publish()` relays the events the renderer sees to every open event stream.
+ * Every request needs the token kept in control-api.json, as "Authorization: Bearer <token>".
+ *
+ *   GET  /api/operations          the operations that can be called
+ *   POST /api/<operation>         call one; the JSON body is its argument, as the renderer sends it
+ *   GET  /api/events              Server-Sent Events, one per renderer event
+ */
+class ControlApi {
+    constructor(dataDir, { invoke, operations }) {
+        this.settingsPath = path.join(dataDir, SETTINGS_FILE);
+        this.settings = { ...DEFAULT_SETTINGS, ...loadJson(this.settingsPath, {}) };
+        this.invoke = invoke;
+        this.operations = operations;
+        this.server = null;
+        this.streams = new Set();
+        this.keepAliveTimer = null;
+        this.error = null;
+    }
+
+    getSettings() {
+        return { ...this.settings, listening: !!this.server, error: this.error };
+    }
+
+    save() {
+        saveJson(this.settingsPath, this.settings, { mode: 0o600 });
+    }
+
+    async setEnabled(enabled) {
+        this.settings.enabled = !!enabled;
+        if (this.settings.enabled && !this.settings.token) this.settings.token = createToken();
+        this.save();
+        await this.stop();
+        if (this.settings.enabled) await this.start();
+        return this.getSettings();
+    }
+
+    async setPort(port) {
+        const value = Number(port);
+        if (!Number.isInteger(value) || value < 1024 || value > 65535) {
+            throw new Error('Port must be between 1024 and 65535');
+        }
+        this.settings.port = value;
+        this.save();
+        if (this.server) {
+            await this.stop();
+            await this.start();
+        }
+        return this.getSettings();
+    }
+
+    // A new token locks out every script using the old one, including open event streams
+    rotateToken() {
+        this.settings.token = createToken();
+        this.save();
+        for (const res of this.streams) res.end();
+        return this.getSettings();
+    }
+
+    start() {
+        if (this.server || !this.settings.enabled) return Promise.resolve();
+        if (!this.settings.token) {
+            this.settings.token = createToken();
+            this.save();
+        }
+        return new Promise((resolve) => {
+            const server = http.createServer((req, res) => this.handleRequest(req, res));
+            server.once('error', (err) => {
+                console.error('Control API error:', err);
+                this.error = err.code === 'EADDRINUSE' ? `Port ${this.settings.port} is already in use` : err.message;
+                this.server = null;
+                resolve();
+            });
+            // Loopback only; the API is for tools on this machine, never the LAN
+            server.listen(this.settings.port, '127.0.0.1', () => {
+                console.log(`Control API listening on 127.0.0.1:${this.settings.port}`);
+                this.server = server;
+                this.error = null;
+                this.keepAliveTimer = setInterval(() => {
+                    for (const res of this.streams) res.write(': keep-alive\n\n');
+                }, KEEPALIVE_INTERVAL);
+                resolve();
+            });
+        });
+    }
+
+    stop() {
+        clearInterval(this.keepAliveTimer);
+        this.keepAliveTimer = null;
+        for (const res of this.streams) res.end();
+        this.streams.clear();
+        if (!this.server) return Promise.resolve();
+        const server = this.server;
+        this.server = null;
+        return new Promise((resolve) => {
+            server.close(() => resolve());
+            // Idle keep-alive connections would otherwise hold the port open
+            server.closeAllConnections();
+        });
+    }
+
+    publish(channel, data) {
+        if (this.streams.size === 0) return;
+        const message = `event: ${channel}\ndata: ${JSON.stringify(data === undefined ? null : data)}\n\n`;
+        for (const res of this.streams) res.write(message);
+    }
+
+    authorized(req) {
+        const match = /^Bearer (\S+)$/.exec(req.headers.authorization || '');
+        if (!match || !this.settings.token) return false;
+        const expected = Buffer.from(this.settings.token);
+        const actual = Buffer.from(match[1]);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    async handleRequest(req, res) {
+        try {
+            const url = new URL(req.url, 'http://127.0.0.1');
+            if (!this.authorized(req)) {
+                return sendJson(res, 401, { success: false, error: 'Missing or wrong API token' });
+            }
+            const route = url.pathname.replace(/^\/api\/?/, '');
+            if (route === url.pathname) {
+                return sendJson(res, 404, { success: false, error: 'Not found' });
+            }
+
+            if (route === 'events' && req.method === 'GET') {
+                return this.openStream(req, res);
+            }
+            if (route === 'operations' && req.method === 'GET') {
+                return sendJson(res, 200, { success: true, operations: this.operations() });
+            }
+            if (!this.operations().includes(route)) {
+                return sendJson(res, 404, { success: false, error: `No operation named "${route}"` });
+            }
+            if (req.method !== 'POST') {
+                res.setHeader('Allow', 'POST');
+                return sendJson(res, 405, { success: false, error: 'Operations are called with POST' });
+            }
+
+            const body = await readBody(req);
+            let data;
+            try {
+                data = body.trim() ? JSON.parse(body) : undefined;
+            } catch (e) {
+                return sendJson(res, 400, { success: false, error: 'Body must be JSON' });
+            }
+            const result = await this.invoke(route, data);
+            return sendJson(res, 200, result === undefined ? { success: true } : result);
+        } catch (e) {
+            if (!res.headersSent) {
+                // The rest of an oversized body isn't read; the connection closes once the answer is out
+                if (e.status === 413) res.setHeader('Connection', 'close');
+                sendJson(res, e.status || 500, { success: false, error: e.message });
+            } else {
+                res.end();
+            }
+        }
+    }
+
+    openStream(req, res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        res.write(': connected\n\n');
+        this.streams.add(res);
+        req.on('close', () => this.streams.delete(res));
+    }
+}
+
+module.exports = ControlApi;
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// rsync-style delta encoding for files the receiver already holds an older copy of.
+// The receiver splits its copy into fixed-size blocks and sends a weak rolling
+// checksum and a strong hash for each one. The sender slides a window over its
+// file one byte at a time, and wherever the window matches a block it sends a
+// reference to that block instead of the bytes. Everything else goes as literal
+// data, and the receiver rebuilds the file from both.
+
+// Both copies need to be at least this big before a delta is worth the round trip
+const MIN_FILE_SIZE = 1024 * 1024;
+const MIN_BLOCK_SIZE = 2048;
+const MAX_BLOCK_SIZE = 8 * 1024 * 1024;
+// Keeps a signature message well under the protocol's message size limit
+const MAX_BLOCKS = 500000;
+const STRONG_LENGTH = 16;
+const SIGNATURE_LENGTH = 4 + STRONG_LENGTH;
+const HEADER_LENGTH = 12;
+// Literal data goes out in pieces this big; runs of matched blocks are cut at COPY_RUN_BYTES
+// so a long unchanged stretch still shows progress and keeps the connection busy
+const MAX_LITERAL = 64 * 1024;
+const COPY_RUN_BYTES = 64 * 1024 * 1024;
+const READ_SIZE = 1024 * 1024;
+
+function isWorthDelta(existingSize, incomingSize) {
+    return existingSize >= MIN_FILE_SIZE && incomingSize >= MIN_FILE_SIZE;
+}
+
+// Around the square root of the file size, like rsync, rounded to whole KB
+function chooseBlockSize(size) {
+    const block = Math.max(MIN_BLOCK_SIZE, Math.ceil(Math.sqrt(size) / 1024) * 1024, Math.ceil(size / MAX_BLOCKS / 1024) * 1024);
+    return Math.min(block, MAX_BLOCK_SIZE);
+}
+
+// The rsync weak checksum: two 16-bit sums, the second weighted towards the start of the window
+function weakChecksum(buffer, start, end) {
+    let a = 0;
+    let b = 0;
+    const length = end - start;
+    for (let i = start; i < end; i++) {
+        a = (a + buffer[i]) & 0xffff;
+        b = (b + (length - (i - start)) * buffer[i]) & 0xffff;
+    }
+    return { a, b };
+}
+
+// rsync's 16-bit tag of a weak checksum; most windows are ruled out by one table lookup
+function tagOf(weak) {
+    return (weak ^ (weak >>> 16)) & 0xffff;
+}
+
+function strongChecksum(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest().subarray(0, STRONG_LENGTH);
+}
+
+/**
+ * Signatures of every whole block of an open file, ready to send:
+ * [index:4][blockSize:4][count:4] then [weak:4][strong:16] per block. A trailing
+ * partial block is left out; whatever covers it is sent as literal data. With no
+ * handle (the copy is gone) there are simply no blocks to match.
+ */
+async function computeSignatures(handle, size, index) {
+    const blockSize = chooseBlockSize(size);
+    const count = Math.floor(size / blockSize);
+    const message = Buffer.alloc(HEADER_LENGTH + count * SIGNATURE_LENGTH);
+    message.writeUInt32BE(index, 0);
+    message.writeUInt32BE(blockSize, 4);
+
+    const blocksPerRead = Math.max(1, Math.floor(READ_SIZE / blockSize));
+    const buffer = Buffer.alloc(blocksPerRead * blockSize);
+    let block = 0;
+    while (block < count) {
+        const wanted = Math.min(blocksPerRead, count - block);
+        const { bytesRead } = await handle.read(buffer, 0, wanted * blockSize, block * blockSize);
+        // The file shrank since we looked; send what we have
+        if (bytesRead < wanted * blockSize) break;
+        for (let i = 0; i < wanted; i++, block++) {
+            const start = i * blockSize;
+            const { a, b } = weakChecksum(buffer, start, start + blockSize);
+            const offset = HEADER_LENGTH + block * SIGNATURE_LENGTH;
+            message.writeUInt32BE(((b << 16) | a) >>> 0, offset);
+            strongChecksum(buffer.subarray(start, start + blockSize)).copy(message, offset + 4);
+        }
+    }
+    message.writeUInt32BE(block, 8);
+    return { blockSize, count: block, message: message.subarray(0, HEADER_LENGTH + block * SIGNATURE_LENGTH) };
+}
+
+// What the sender matches against: block numbers by weak checksum, each with its strong hash
+function parseSignatures(payload) {
+    if (payload.length < HEADER_LENGTH) throw new Error('Malformed delta signatures');
+    const index = payload.readUInt32BE(0);
+    const blockSize = payload.readUInt32BE(4);
+    const count = payload.readUInt32BE(8);
+    if (payload.length !== HEADER_LENGTH + count * SIGNATURE_LENGTH ||
+        (count > 0 && (blockSize < MIN_BLOCK_SIZE || blockSize > MAX_BLOCK_SIZE))) {
+        throw new Error('Malformed delta signatures');
+    }
+    const blocks = new Map();
+    const tags = new Uint8Array(0x10000);
+    for (let block = 0; block < count; block++) {
+        const offset = HEADER_LENGTH + block * SIGNATURE_LENGTH;
+        const weak = payload.readUInt32BE(offset);
+        const strong = payload.subarray(offset + 4, offset + SIGNATURE_LENGTH);
+        if (!blocks.has(weak)) blocks.set(weak, []);
+        blocks.get(weak).push({ block, strong });
+        tags[tagOf(weak)] = 1;
+    }
+    return { index, blockSize, count, blocks, tags };
+}
+
+/**
+ * Walk a file against the receiver's signatures, yielding { literal: Buffer } for
+ * bytes to send and { copy: { block, count } } for runs of the receiver's own
+ * blocks. `onRead(chunk)` sees every byte of the file in order, for its hash.
+ */
+async function* generateDelta(filePath, signatures, onRead) {
+    const { blockSize, blocks, tags } = signatures;
+    const reader = fs.createReadStream(filePath, { highWaterMark: READ_SIZE })[Symbol.asyncIterator]();
+    let data = Buffer.alloc(0);
+    let eof = false;
+    // The window starts at `position`; bytes from literalStart up to it haven't been sent yet
+    let position = 0;
+    let literalStart = 0;
+    let a = 0;
+    let b = 0;
+    let fresh = true;
+    let run = null;
+
+    const fill = async () => {
+        data = data.subarray(literalStart);
+        position -= literalStart;
+        literalStart = 0;
+        while (!eof && data.length - position <= blockSize) {
+            const next = await reader.next();
+            if (next.done) {
+                eof = true;
+            } else {
+                onRead(next.value);
+                data = Buffer.concat([data, next.value]);
+            }
+        }
+    };
+    const flushRun = function* () {
+        if (run) yield { copy: run };
+        run = null;
+    };
+
+    while (blocks.size > 0) {
+        if (data.length - position <= blockSize && !eof) await fill();
+        if (data.length - position < blockSize) break;
+
+        if (fresh) {
+            ({ a, b } = weakChecksum(data, position, position + blockSize));
+            fresh = false;
+        }
+        const weak = ((b << 16) | a) >>> 0;
+        const candidates = tags[tagOf(weak)] ? blocks.get(weak) : undefined;
+        let matched = -1;
+        if (candidates) {
+            const strong = strongChecksum(data.subarray(position, position + blockSize));
+            const found = candidates.find(candidate => candidate.strong.equals(strong));
+            if (found) matched = found.block;
+        }
+
+        if (matched >= 0) {
+            if (position > literalStart) {
+                yield* flushRun();
+                yield { literal: data.subarray(literalStart, position) };
+            }
+            if (run && run.block + run.count === matched && (run.count + 1) * blockSize <= COPY_RUN_BYTES) {
+                run.count++;
+            } else {
+                yield* flushRun();
+                run = { block: matched, count: 1 };
+            }
+            position += blockSize;
+            literalStart = position;
+            fresh = true;
+            continue;
+        }
+
+        // Slide the window one byte: drop the first byte, take in the next
+        if (position + blockSize < data.length) {
+            const out = data[position];
+            a = (a - out + data[position + blockSize]) & 0xffff;
+            b = (b - ((blockSize * out) & 0xffff) + a) & 0xffff;
+        } else {
+            fresh = true;
+        }
+        position++;
+        if (position - literalStart >= MAX_LITERAL) {
+            yield* flushRun();
+            yield { literal: data.subarray(literalStart, position) };
+            literalStart = position;
+        }
+    }
+
+    // Whatever is left after the last possible match, read through to the end
+    yield* flushRun();
+    while (true) {
+        for (let start = literalStart; start < data.length; start += MAX_LITERAL) {
+            yield { literal: data.subarray(start, Math.min(start + MAX_LITERAL, data.length)) };
+        }
+        data = Buffer.alloc(0);
+        literalStart = 0;
+        if (eof) break;
+        const next = await reader.next();
+        if (next.done) break;
+        onRead(next.value);
+        data = next.value;
+    }
+}
+
+module.exports = {
+    MIN_FILE_SIZE,
+    isWorthDelta,
+    computeSignatures,
+    parseSignatures,
+    generateDelta
+};
@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Helpers for sending whole folders: the sender flattens a tree into files with
+// POSIX-style relative paths, and the receiver maps those back under its downloads dir.
+
+/**
+ * Expand a mix of file and folder paths into a flat list of files.
+ * Files inside a folder get a relativePath starting with the folder's own name,
+ * so "~/work/project" becomes "project/src/index.js" and so on.
+ * Symlinks are skipped so a link back up the tree can't loop forever.
+ */
+function collectFiles(rootPaths) {
+    const files = [];
+
+    const walk = (fullPath, relativePath) => {
+        let stats;
+        try {
+            stats = fs.lstatSync(fullPath);
+        } catch (e) {
+            console.error(`Skipping unreadable path ${fullPath}:`, e.message);
+            return;
+        }
+
+        if (stats.isSymbolicLink()) return;
+
+        if (stats.isDirectory()) {
+            let entries = [];
+            try {
+                entries = fs.readdirSync(fullPath);
+            } catch (e) {
+                console.error(`Skipping unreadable folder ${fullPath}:`, e.message);
+            }
+            for (const entry of entries.sort()) {
+                walk(path.join(fullPath, entry), `${relativePath}/${entry}`);
+            }
+        } else if (stats.isFile()) {
+            files.push({
+                name: path.basename(fullPath),
+                relativePath,
+                path: fullPath,
+                size: stats.size,
+                type: path.extname(fullPath)
+            });
+        }
+    };
+
+    for (const rootPath of rootPaths) {
+        walk(rootPath, path.basename(rootPath));
+    }
+    return files;
+}
+
+// Device names Windows reserves whatever the extension, so "aux.txt" is as unusable as "AUX"
+const RESERVED_NAME = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\..*)?$/i;
+
+/**
+ * Validate a relative path received from a peer and return its segments.
+ * Anything that could land outside the downloads directory is refused outright
+ * rather than "fixed up": absolute paths, drive letters, ".." and empty segments.
+ * So are names Windows can't hold (reserved device names, a trailing dot or
+ * space), on every platform, so a received tree can be passed on to any device.
+ */
+function sanitizeRelativePath(relativePath) {
+    if (typeof relativePath !== 'string' || relativePath.length === 0 || relativePath.length > 4096) {
+        throw new Error('Invalid file path');
+    }
+    if (relativePath.includes('\0')) {
+        throw new Error('Invalid file path');
+    }
+
+    const normalized = relativePath.replace(/\\/g, '/');
+    if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized)) {
+        throw new Error(`Refusing absolute path "${relativePath}"`);
+    }
+
+    const segments = normalized.split('/');
+    for (const segment of segments) {
+        if (segment === '' || segment === '.' || segment === '..') {
+            throw new Error(`Refusing unsafe path "${relativePath}"`);
+        }
+        if (RESERVED_NAME.test(segment) || /[. ]$/.test(segment)) {
+            throw new Error(`Refusing path with a reserved name "${relativePath}"`);
+        }
+        // Windows would treat these as drive/stream separators or reject them outright
+        if (process.platform === 'win32' && /[:<>"|?*]/.test(segment)) {
+            throw new Error(`Refusing path with reserved characters "${relativePath}"`);
+        }
+    }
+    return segments;
+}
+
+// Resolve a peer-supplied relative path under baseDir, double-checking the result stays inside it
+function resolveSafePath(baseDir, relativePath) {
+    const segments = sanitizeRelativePath(relativePath);
+    const root = path.resolve(baseDir);
+    const resolved = path.resolve(root, ...segments);
+
+    if (!resolved.startsWith(root + path.sep)) {
+        throw new Error(`Refusing path outside the downloads folder "${relativePath}"`);
+    }
+    return { fullPath: resolved, relativePath: segments.join('/') };
+}
+
+// Throw unless fullPath really is inside rootPath once symlinks are followed. The file needn't
+// exist yet; then the nearest folder above it that does is checked instead.
+function assertRealPathInside(rootPath, fullPath) {
+    const root = fs.realpathSync(rootPath);
+    let existing = fullPath;
+    while (!fs.existsSync(existing) && existing !== path.dirname(existing)) existing = path.dirname(existing);
+    const real = fs.realpathSync(existing);
+    if (real !== root && !real.startsWith(root + path.sep)) {
+        throw new Error(`Refusing path that leads outside the folder through a link "${path.relative(rootPath, fullPath)}"`);
+    }
+}
+
+// The first of "report.pdf", "report (2).pdf", "report (3).pdf"... that isn't taken yet
+function availablePath(fullPath) {
+    if (!fs.existsSync(fullPath)) return fullPath;
+    const { dir, name, ext } = path.parse(fullPath);
+    for (let n = 2; ; n++) {
+        const candidate = path.join(dir, `${name} (${n})${ext}`);
+        if (!fs.existsSync(candidate)) return candidate;
+    }
+}
+
+// Files a folder sync deletes are moved in here, inside the synced folder, when it archives deletions
+const SYNC_ARCHIVE_DIR = '.sync-deleted';
+
+// Delete a file under rootPath, or with `archive` move it under SYNC_ARCHIVE_DIR at the same relative path
+function removeFile(rootPath, relativePath, archive = false) {
+    const { fullPath } = resolveSafePath(rootPath, relativePath);
+    if (!fs.existsSync(fullPath)) return false;
+    if (archive) {
+        const archivedPath = availablePath(resolveSafePath(path.join(rootPath, SYNC_ARCHIVE_DIR), relativePath).fullPath);
+        fs.mkdirSync(path.dirname(archivedPath), { recursive: true });
+        fs.renameSync(fullPath, archivedPath);
+    } else {
+        fs.unlinkSync(fullPath);
+    }
+    return true;
+}
+
+// SHA-256 of a whole file, read as a stream
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('error', reject)
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+/**
+ * Every file under rootPath, keyed by POSIX relative path, with its size,
+ * modification time and SHA-256. Hashes are kept in `cache` (keyed by full path)
+ * and reused while a file's size and mtime stay the same, so repeated scans
+ * only read what changed. `ignore(relativePath)` leaves entries out.
+ */
+async function scanFolder(rootPath, cache = new Map(), ignore = () => false) {
+    const found = {};
+    const seen = new Set();
+
+    for (const file of collectFiles([rootPath])) {
+        const relativePath = file.relativePath.split('/').slice(1).join('/');
+        if (ignore(relativePath)) continue;
+        let stats;
+        try {
+            stats = fs.statSync(file.path);
+        } catch (e) {
+            continue;
+        }
+
+        let cached = cache.get(file.path);
+        if (!cached || cached.size !== stats.size || cached.modified !== stats.mtimeMs) {
+            try {
+                cached = { size: stats.size, modified: stats.mtimeMs, sha256: await hashFile(file.path) };
+            } catch (e) {
+                // Gone or locked since the walk; the next scan will pick it up
+                continue;
+            }
+            cache.set(file.path, cached);
+        }
+        seen.add(file.path);
+        found[relativePath] = cached;
+    }
+
+    for (const fullPath of cache.keys()) {
+        if (!seen.has(fullPath)) cache.delete(fullPath);
+    }
+    return found;
+}
+
+module.exports = {
+    SYNC_ARCHIVE_DIR,
+    collectFiles,
+    sanitizeRelativePath,
+    resolveSafePath,
+    assertRealPathInside,
+    availablePath,
+    removeFile,
+    hashFile,
+    scanFolder
+};
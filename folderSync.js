@@ -0,0 +1,499 @@
+const fs = require('fs');
+const path = require('path');
+const { loadJson, saveJson } = require('./jsonStore');
+const { SYNC_ARCHIVE_DIR, scanFolder, removeFile, availablePath, resolveSafePath } = require('./fileTree');
+const { isPartialPath } = require('./partialFiles');
+
+const SYNC_JOBS_FILE = 'sync-jobs.json';
+const SYNC_MODES = ['two-way', 'push', 'pull'];
+const DELETION_POLICIES = ['delete', 'archive', 'keep'];
+// Changes are picked up a little after the last file event, so a burst of saves syncs once
+const WATCH_DEBOUNCE = 2000;
+// The peer's side has no watcher of ours, so every job is also rescanned on this interval
+const SCAN_INTERVAL = 60 * 1000;
+// How long a cycle waits for the batch a sync pull asked for before trying again next time
+const PULL_TIMEOUT = 30 * 60 * 1000;
+// fs.watch can't watch a tree on Linux, so there every directory gets a watcher of its own
+const WATCH_EACH_DIRECTORY = process.platform === 'linux';
+
+// Part files of transfers in progress and archived deletions never sync
+function isIgnored(relativePath) {
+    return isPartialPath(relativePath) || relativePath === SYNC_ARCHIVE_DIR || relativePath.startsWith(SYNC_ARCHIVE_DIR + '/');
+}
+
+/**
+ * Work out what a sync cycle does, from the hashes both sides agreed on last
+ * time (`base`) and what each side holds now. A side whose hash moved away
+ * from base changed it. In two-way mode a file changed on both sides to
+ * different content is a conflict, except that an edit always wins over a
+ * deletion. One-way modes make the other side match, but only delete files
+ * there that were synced before.
+ */
+function planSync(base, local, remote, mode, deletions) {
+    const plan = { base: {}, push: [], pull: [], deleteLocal: [], deleteRemote: [], conflicts: [] };
+    const canPush = mode !== 'pull';
+    const canPull = mode !== 'push';
+    const paths = new Set([...Object.keys(base), ...Object.keys(local), ...Object.keys(remote)]);
+
+    for (const relativePath of [...paths].sort()) {
+        const agreed = base[relativePath];
+        const ours = local[relativePath] ? local[relativePath].sha256 : undefined;
+        const theirs = remote[relativePath] ? remote[relativePath].sha256 : undefined;
+        if (ours === theirs) {
+            if (ours) plan.base[relativePath] = ours;
+            continue;
+        }
+        // Until something below settles it, the file keeps the state both sides last agreed on
+        if (agreed) plan.base[relativePath] = agreed;
+
+        const localChanged = ours !== agreed;
+        const remoteChanged = theirs !== agreed;
+        let winner;
+        if (mode === 'push') winner = 'local';
+        else if (mode === 'pull') winner = 'remote';
+        else if (localChanged && !remoteChanged) winner = 'local';
+        else if (remoteChanged && !localChanged) winner = 'remote';
+        else if (!ours) winner = 'remote';
+        else if (!theirs) winner = 'local';
+        else {
+            plan.conflicts.push({ path: relativePath, local: local[relativePath], remote: remote[relativePath] });
+            continue;
+        }
+
+        if (winner === 'local' && canPush) {
+            if (ours) plan.push.push(relativePath);
+            else if (agreed && deletions !== 'keep') plan.deleteRemote.push(relativePath);
+        } else if (winner === 'remote' && canPull) {
+            if (theirs) plan.pull.push(relativePath);
+            else if (agreed && deletions !== 'keep') plan.deleteLocal.push(relativePath);
+        }
+    }
+    return plan;
+}
+
+// Directories under rootPath, as relative paths with '' for the root itself
+function listDirectories(rootPath) {
+    const directories = [''];
+    for (let i = 0; i < directories.length; i++) {
+        let entries;
+        try {
+            entries = fs.readdirSync(path.join(rootPath, directories[i]), { withFileTypes: true });
+        } catch (e) {
+            continue;
+        }
+        for (const entry of entries) {
+            const relativePath = directories[i] ? `${directories[i]}/${entry.name}` : entry.name;
+            if (entry.isDirectory() && !isIgnored(relativePath)) directories.push(relativePath);
+        }
+    }
+    return directories;
+}
+
+// Where the local copy of a conflicting file goes when the user keeps both
+function conflictCopyPath(fullPath) {
+    const ext = path.extname(fullPath);
+    return availablePath(`${fullPath.slice(0, fullPath.length - ext.length)} (conflict copy)${ext}`);
+}
+
+function checkJob({ mode, deletions }) {
+    if (mode !== undefined && !SYNC_MODES.includes(mode)) {
+        throw new Error(`Sync mode must be one of: ${SYNC_MODES.join(', ')}`);
+    }
+    if (deletions !== undefined && !DELETION_POLICIES.includes(deletions)) {
+        throw new Error(`Deletions must be one of: ${DELETION_POLICIES.join(', ')}`);
+    }
+}
+
+/**
+ * Keeps local folders in step with shares on other devices. Each job pairs a
+ * folder here with a share on a peer and syncs one way or both ways, whenever
+ * the folder changes and on a timer for changes on the peer's side.
+ *
+ * Files are compared by hash against the state both sides last agreed on, so
+ * only what changed is sent. Pushes go out as ordinary batches through the
+ * transfer `queue`, into the peer's share (which has to allow sync from us);
+ * pulls as pulls from it. Conflicts are left alone until the user picks a side.
+ *
+ * `onChange(job)` fires whenever a job's settings, status or conflicts change.
+ * Jobs are kept with mode 0600 since they hold share passwords.
+ */
+class FolderSync {
+    constructor(dataDir, networkManager, { queue, onChange } = {}) {
+        this.jobsPath = path.join(dataDir, SYNC_JOBS_FILE);
+        this.networkManager = networkManager;
+        this.queue = queue;
+        this.onChange = onChange || (() => { });
+        this.jobs = loadJson(this.jobsPath, []);
+        // Watchers, timers and hash caches; none of it outlives the process
+        this.runtime = new Map();
+        this.scanTimer = null;
+    }
+
+    start() {
+        for (const job of this.jobs) {
+            if (job.enabled) this.watch(job);
+        }
+        this.scanTimer = setInterval(() => {
+            for (const job of this.jobs) {
+                if (job.enabled) this.schedule(job, 0);
+            }
+        }, SCAN_INTERVAL);
+        for (const job of this.jobs) {
+            if (job.enabled) this.schedule(job, 0);
+        }
+    }
+
+    stop() {
+        clearInterval(this.scanTimer);
+        this.scanTimer = null;
+        for (const job of this.jobs) this.unwatch(job);
+    }
+
+    // Jobs as the UI sees them; the share password stays in here
+    list() {
+        return this.jobs.map(job => this.describe(job));
+    }
+
+    get(id) {
+        return this.jobs.find(job => job.id === id) || null;
+    }
+
+    describe(job) {
+        const state = this.runtime.get(job.id);
+        return {
+            id: job.id,
+            localPath: job.localPath,
+            peerIP: job.peerIP,
+            peerName: job.peerName,
+            share: job.share,
+            mode: job.mode,
+            deletions: job.deletions,
+            enabled: job.enabled,
+            passwordSet: !!job.password,
+            status: job.enabled ? (state && state.status) || 'idle' : 'disabled',
+            fileCount: Object.keys(job.base).length,
+            conflicts: job.conflicts,
+            lastSyncAt: job.lastSyncAt,
+            lastError: job.lastError,
+            createdAt: job.createdAt
+        };
+    }
+
+    add({ localPath, peerIP, peerName, share, password, mode = 'two-way', deletions = 'archive' }) {
+        checkJob({ mode, deletions });
+        const stats = localPath ? fs.statSync(localPath, { throwIfNoEntry: false }) : null;
+        if (!stats || !stats.isDirectory()) {
+            throw new Error('Only folders can be synced');
+        }
+        if (!peerIP || !share) {
+            throw new Error('Pick a device and one of its shares to sync with');
+        }
+        const resolved = path.resolve(localPath);
+        if (this.jobs.some(job => job.localPath === resolved && job.peerIP === peerIP && job.share === share)) {
+            throw new Error('This folder already syncs with that share');
+        }
+
+        const job = {
+            id: `sync_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+            localPath: resolved,
+            peerIP,
+            peerId: this.networkManager.deviceIdAt(peerIP),
+            // The device this folder syncs with; nobody else answering at its addresses is synced with
+            peerKey: this.networkManager.publicKeyAt(peerIP),
+            peerName: peerName || peerIP,
+            share,
+            password: password || null,
+            mode,
+            deletions,
+            enabled: true,
+            base: {},
+            conflicts: [],
+            lastSyncAt: null,
+            lastError: null,
+            createdAt: Date.now()
+        };
+        this.jobs.push(job);
+        this.save();
+        this.watch(job);
+        this.changed(job);
+        this.schedule(job, 0);
+        return this.describe(job);
+    }
+
+    // A password of '' or null removes it; leaving it out keeps the current one
+    update(id, changes) {
+        const job = this.get(id);
+        if (!job) throw new Error('No such sync job');
+        checkJob(changes);
+        if (changes.mode !== undefined) job.mode = changes.mode;
+        if (changes.deletions !== undefined) job.deletions = changes.deletions;
+        if (changes.password !== undefined) job.password = changes.password || null;
+        if (changes.enabled !== undefined && job.enabled !== !!changes.enabled) {
+            job.enabled = !!changes.enabled;
+            if (job.enabled) this.watch(job);
+            else this.unwatch(job);
+        }
+        this.save();
+        this.changed(job);
+        if (job.enabled) this.schedule(job, 0);
+        return this.describe(job);
+    }
+
+    // Stops syncing; nothing is deleted on either side
+    remove(id) {
+        const job = this.get(id);
+        if (!job) return false;
+        this.unwatch(job);
+        this.runtime.delete(id);
+        this.jobs = this.jobs.filter(j => j !== job);
+        this.save();
+        return true;
+    }
+
+    syncNow(id) {
+        const job = this.get(id);
+        if (!job) return false;
+        this.schedule(job, 0);
+        return true;
+    }
+
+    /**
+     * Settle a conflict: 'local' sends our copy over theirs, 'remote' takes
+     * theirs, 'both' keeps ours under a new name and then takes theirs. This only
+     * moves the agreed state; the next cycle does the transfer.
+     */
+    resolveConflict(id, relativePath, keep) {
+        const job = this.get(id);
+        if (!job) throw new Error('No such sync job');
+        const conflict = job.conflicts.find(c => c.path === relativePath);
+        if (!conflict) throw new Error(`No conflict on ${relativePath}`);
+
+        if (keep === 'local') {
+            job.base[relativePath] = conflict.remote.sha256;
+        } else if (keep === 'remote') {
+            job.base[relativePath] = conflict.local.sha256;
+        } else if (keep === 'both') {
+            const { fullPath } = resolveSafePath(job.localPath, relativePath);
+            if (fs.existsSync(fullPath)) fs.renameSync(fullPath, conflictCopyPath(fullPath));
+            delete job.base[relativePath];
+        } else {
+            throw new Error('Keep must be local, remote or both');
+        }
+        job.conflicts = job.conflicts.filter(c => c !== conflict);
+        this.save();
+        this.changed(job);
+        this.schedule(job, 0);
+        return this.describe(job);
+    }
+
+    state(job) {
+        if (!this.runtime.has(job.id)) {
+            this.runtime.set(job.id, { status: 'idle', watchers: new Map(), timer: null, running: false, rerun: false, cache: new Map() });
+        }
+        return this.runtime.get(job.id);
+    }
+
+    // Directories added since are picked up by the cycle their creation sets off
+    watch(job) {
+        const state = this.state(job);
+        const directories = WATCH_EACH_DIRECTORY ? listDirectories(job.localPath) : [''];
+        for (const [directory, watcher] of state.watchers) {
+            if (directories.includes(directory)) continue;
+            watcher.close();
+            state.watchers.delete(directory);
+        }
+        for (const directory of directories) {
+            if (!state.watchers.has(directory)) this.watchDirectory(job, state, directory);
+        }
+    }
+
+    watchDirectory(job, state, directory) {
+        const fullPath = path.join(job.localPath, directory);
+        try {
+            const watcher = fs.watch(fullPath, { recursive: !WATCH_EACH_DIRECTORY }, (event, fileName) => {
+                const relativePath = [directory, ...String(fileName || '').split(path.sep)].filter(Boolean).join('/');
+                if (fileName && isIgnored(relativePath)) return;
+                this.schedule(job, WATCH_DEBOUNCE);
+            });
+            watcher.on('error', (e) => {
+                // The folder went away or can't be watched; the periodic scan still runs
+                console.error(`Stopped watching ${fullPath}:`, e.message);
+                watcher.close();
+                if (state.watchers.get(directory) === watcher) state.watchers.delete(directory);
+            });
+            state.watchers.set(directory, watcher);
+        } catch (e) {
+            console.error(`Cannot watch ${fullPath}; relying on periodic scans:`, e.message);
+        }
+    }
+
+    unwatch(job) {
+        const state = this.runtime.get(job.id);
+        if (!state) return;
+        for (const watcher of state.watchers.values()) watcher.close();
+        state.watchers.clear();
+        clearTimeout(state.timer);
+        state.timer = null;
+    }
+
+    schedule(job, delay) {
+        const state = this.state(job);
+        clearTimeout(state.timer);
+        state.timer = setTimeout(() => {
+            state.timer = null;
+            this.run(job);
+        }, delay);
+    }
+
+    // One cycle at a time per job; changes that come in meanwhile get one more cycle after it
+    async run(job) {
+        const state = this.state(job);
+        if (!job.enabled || !this.jobs.includes(job)) return;
+        if (state.running) {
+            state.rerun = true;
+            return;
+        }
+        state.running = true;
+        try {
+            await this.runCycle(job, state);
+            job.lastError = null;
+            job.lastSyncAt = Date.now();
+        } catch (e) {
+            console.error(`Sync of ${job.localPath} with ${job.peerName} failed:`, e.message);
+            job.lastError = e.message;
+        } finally {
+            state.running = false;
+            state.status = 'idle';
+            this.save();
+            this.changed(job);
+        }
+        if (state.rerun) {
+            state.rerun = false;
+            this.schedule(job, WATCH_DEBOUNCE);
+        }
+    }
+
+    async runCycle(job, state) {
+        this.setStatus(job, 'scanning');
+        if (!fs.existsSync(job.localPath)) {
+            throw new Error(`${job.localPath} no longer exists`);
+        }
+        const local = await scanFolder(job.localPath, state.cache, isIgnored);
+        if (WATCH_EACH_DIRECTORY && job.enabled && this.jobs.includes(job)) this.watch(job);
+        // The peer may have moved since the last cycle; its device id finds it at its new address
+        job.peerIP = this.networkManager.peerAddresses(job.peerIP, job.peerId)[0];
+        const answer = await this.networkManager.requestShare(job.peerIP,
+            { action: 'manifest', share: job.share, password: job.password || undefined }, { peerKey: job.peerKey });
+        if (!answer.success) {
+            throw new Error(answer.error || 'Peer refused the sync');
+        }
+        job.peerName = answer.peer.name;
+        job.peerIP = answer.peer.ip;
+        job.peerId = answer.peer.deviceId || job.peerId || null;
+        // A job added before its peer had announced a key sticks with the first one that answers
+        job.peerKey = job.peerKey || answer.peer.publicKey;
+        const remote = answer.files || {};
+
+        const plan = planSync(job.base, local, remote, job.mode, job.deletions);
+        job.base = plan.base;
+        job.conflicts = plan.conflicts.map(c => ({ ...c, detectedAt: Date.now() }));
+        const work = plan.push.length + plan.pull.length + plan.deleteLocal.length + plan.deleteRemote.length;
+        if (work === 0) return;
+
+        this.setStatus(job, 'syncing');
+        console.log(`Syncing ${job.localPath} with ${job.peerName}/${job.share}: ${plan.push.length} up, ` +
+            `${plan.pull.length} down, ${plan.deleteLocal.length + plan.deleteRemote.length} deleted`);
+        const archive = job.deletions === 'archive';
+
+        // Their changes come first, so a share we can't write to still keeps us up to date
+        for (const relativePath of plan.deleteLocal) {
+            removeFile(job.localPath, relativePath, archive);
+            delete job.base[relativePath];
+        }
+        if (plan.pull.length > 0) {
+            const received = await this.pull(job, plan.pull);
+            for (const file of received) {
+                if (file.status === 'completed' || file.status === 'skipped') {
+                    job.base[file.relativePath] = remote[file.relativePath].sha256;
+                }
+            }
+        }
+
+        if (plan.push.length + plan.deleteRemote.length === 0) return;
+        if (!answer.writable) {
+            throw new Error(`${job.peerName} doesn't accept changes to "${job.share}" from this device; allow sync on the share and verify this device there`);
+        }
+        if (plan.deleteRemote.length > 0) {
+            const result = await this.networkManager.requestShare(job.peerIP,
+                { action: 'delete', share: job.share, password: job.password || undefined, paths: plan.deleteRemote, archive },
+                { peerKey: job.peerKey });
+            if (!result.success) throw new Error(result.error || 'Peer refused the deletions');
+            for (const relativePath of plan.deleteRemote) delete job.base[relativePath];
+        }
+        if (plan.push.length > 0) {
+            // A push queued before a restart is waited for rather than sent twice
+            const pending = job.pushId && this.queue.get(job.pushId);
+            if (!pending) {
+                job.pushId = this.queue.enqueue({
+                    id: `sync_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+                    peerIP: job.peerIP,
+                    peerId: job.peerId,
+                    peerKey: job.peerKey,
+                    files: plan.push.map(relativePath => ({ path: path.join(job.localPath, relativePath), relativePath, size: local[relativePath].size })),
+                    sync: { share: job.share }
+                }).id;
+                this.save();
+            }
+            const result = await this.queue.whenFinished(job.pushId);
+            if (result.status !== 'completed') {
+                throw new Error(result.error || `Sending changes to ${job.peerName} was ${result.status}`);
+            }
+            if (pending || result.corrupted > 0) {
+                // Not everything planned here is known to have landed as sent; the next cycle compares again
+                state.rerun = true;
+            } else {
+                for (const relativePath of plan.push) job.base[relativePath] = local[relativePath].sha256;
+            }
+        }
+    }
+
+    // Ask the peer to send these files into our folder and wait for them to land
+    pull(job, paths) {
+        return new Promise((resolve, reject) => {
+            let timer = null;
+            let settled = false;
+            const settle = (err, files) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                if (err) reject(err);
+                else resolve(files);
+            };
+            // The batch can arrive, and even finish, before the peer's answer does
+            this.networkManager.pullFromPeer(job.peerIP, job.share, paths, job.password || undefined,
+                { baseDir: job.localPath, onFinished: settle, peerKey: job.peerKey })
+                .then((answer) => {
+                    if (!answer.success) return settle(new Error(answer.error || 'Peer refused the pull'));
+                    if (!settled) timer = setTimeout(() => settle(new Error('Timed out waiting for files from the peer')), PULL_TIMEOUT);
+                }, settle);
+        });
+    }
+
+    setStatus(job, status) {
+        this.state(job).status = status;
+        this.changed(job);
+    }
+
+    changed(job) {
+        this.onChange(this.describe(job));
+    }
+
+    save() {
+        saveJson(this.jobsPath, this.jobs, { mode: 0o600 });
+    }
+}
+
+FolderSync.isIgnored = isIgnored;
+
+module.exports = FolderSync;
+module.exports.planSync = planSync;
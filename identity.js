@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const path = require('path');
+const { loadJson, saveJson } = require('./jsonStore');
+
+const IDENTITY_FILE = 'identity.json';
+const KNOWN_PEERS_FILE = 'known-peers.json';
+// Keys remembered from handshakes alone are forgotten, least recently seen first, past this many
+const MAX_UNVERIFIED_PEERS = 200;
+
+// Import a raw (base64url) Ed25519 public key as sent over the wire
+function importPublicKey(publicKey) {
+    return crypto.createPublicKey({
+        key: { kty: 'OKP', crv: 'Ed25519', x: publicKey },
+        format: 'jwk'
+    });
+}
+
+// Human readable fingerprint: first 16 bytes of SHA-256, grouped in fours
+function fingerprintOf(publicKey) {
+    const hex = crypto.createHash('sha256').update(publicKey).digest('hex').slice(0, 32).toUpperCase();
+    return hex.match(/.{4}/g).join(' ');
+}
+
+/**
+ * A device's id, derived from its identity key and shaped like a UUID (version 8),
+ * so no other device can announce it without also announcing that key.
+ */
+function deviceIdFor(publicKey) {
+    const bytes = crypto.createHash('sha256').update(`safeshare-device-id|${publicKey}`).digest().subarray(0, 16);
+    bytes[6] = (bytes[6] & 0x0f) | 0x80;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = bytes.toString('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+function verify(data, signature, publicKey) {
+    try {
+        return crypto.verify(null, Buffer.from(data), importPublicKey(publicKey), Buffer.from(signature, 'base64'));
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Persistent Ed25519 identity and device id for this install plus the trust-on-first-use
+ * record of peer keys, keyed by the key itself. A key is only recorded once it has
+ * completed a signed handshake with us or the user has verified it, never just for
+ * being announced, so nobody can fill the file or claim a name by broadcasting.
+ */
+class Identity {
+    constructor(dataDir) {
+        this.identityPath = path.join(dataDir, IDENTITY_FILE);
+        this.knownPeersPath = path.join(dataDir, KNOWN_PEERS_FILE);
+        this.knownPeers = loadJson(this.knownPeersPath, {});
+
+        const stored = loadJson(this.identityPath, null);
+        if (stored && stored.privateKey && stored.publicKey) {
+            this.privateKey = crypto.createPrivateKey(stored.privateKey);
+            this.publicKey = stored.publicKey;
+        } else {
+            const keyPair = crypto.generateKeyPairSync('ed25519');
+            this.privateKey = keyPair.privateKey;
+            this.publicKey = keyPair.publicKey.export({ format: 'jwk' }).x;
+            saveJson(this.identityPath, {
+                publicKey: this.publicKey,
+                privateKey: this.privateKey.export({ type: 'pkcs8', format: 'pem' }),
+                createdAt: new Date().toISOString()
+            }, { mode: 0o600 });
+            console.log('Generated new device identity key');
+        }
+
+        this.deviceId = deviceIdFor(this.publicKey);
+        this.fingerprint = fingerprintOf(this.publicKey);
+    }
+
+    sign(data) {
+        return crypto.sign(null, Buffer.from(data), this.privateKey).toString('base64');
+    }
+
+    /**
+     * Short code both users can read out loud to confirm first-time pairing.
+     * Both sides derive the same six digits because the keys are sorted first.
+     */
+    verificationCode(peerPublicKey) {
+        const digest = crypto.createHash('sha256')
+            .update([this.publicKey, peerPublicKey].sort().join('|'))
+            .digest();
+        const code = (digest.readUInt32BE(0) % 1000000).toString().padStart(6, '0');
+        return `${code.slice(0, 3)} ${code.slice(3)}`;
+    }
+
+    /**
+     * Compare a peer's key against what we've recorded. Returns 'new' (never seen),
+     * 'known' (seen in an earlier handshake, not yet verified by the user),
+     * 'trusted' (verified) or 'changed' (the name was last seen with another key).
+     * Nothing is stored; see rememberPeer and trustPeer.
+     */
+    checkPeer(name, publicKey) {
+        const fingerprint = fingerprintOf(publicKey);
+        const record = this.knownPeers[publicKey];
+        const result = {
+            name,
+            publicKey,
+            fingerprint,
+            verificationCode: this.verificationCode(publicKey)
+        };
+
+        if (record) {
+            return { ...result, trust: record.verified ? 'trusted' : 'known' };
+        }
+        const previous = this.recordNamed(name);
+        if (previous) {
+            return { ...result, trust: 'changed', previousFingerprint: previous.fingerprint };
+        }
+        return { ...result, trust: 'new' };
+    }
+
+    // The record that last went by this name, verified ones first
+    recordNamed(name) {
+        const named = Object.values(this.knownPeers).filter(record => record.name === name);
+        return named.find(record => record.verified) || named[0] || null;
+    }
+
+    /**
+     * Record a key after a completed, signed handshake. A key whose name was last
+     * seen with a different key isn't recorded: the user has to accept it first.
+     */
+    rememberPeer(name, publicKey) {
+        const record = this.knownPeers[publicKey];
+        if (!record && this.recordNamed(name)) return;
+        const now = new Date().toISOString();
+        this.knownPeers[publicKey] = {
+            name,
+            fingerprint: fingerprintOf(publicKey),
+            verified: !!(record && record.verified),
+            firstSeen: record ? record.firstSeen : now,
+            lastSeen: now,
+            ...(record && record.verifiedAt ? { verifiedAt: record.verifiedAt } : {})
+        };
+        this.pruneUnverified();
+        saveJson(this.knownPeersPath, this.knownPeers);
+    }
+
+    // Mark a peer's key as verified; any other key recorded under that name is forgotten
+    trustPeer(name, publicKey) {
+        const previous = this.knownPeers[publicKey];
+        for (const [key, record] of Object.entries(this.knownPeers)) {
+            if (key !== publicKey && record.name === name) delete this.knownPeers[key];
+        }
+        const now = new Date().toISOString();
+        this.knownPeers[publicKey] = {
+            name,
+            fingerprint: fingerprintOf(publicKey),
+            verified: true,
+            firstSeen: previous ? previous.firstSeen : now,
+            lastSeen: now,
+            verifiedAt: now
+        };
+        saveJson(this.knownPeersPath, this.knownPeers);
+        return this.checkPeer(name, publicKey);
+    }
+
+    pruneUnverified() {
+        const unverified = Object.entries(this.knownPeers)
+            .filter(([, record]) => !record.verified)
+            .sort(([, a], [, b]) => String(b.lastSeen || b.firstSeen).localeCompare(String(a.lastSeen || a.firstSeen)));
+        for (const [key] of unverified.slice(MAX_UNVERIFIED_PEERS)) delete this.knownPeers[key];
+    }
+
+    describe() {
+        return { deviceId: this.deviceId, publicKey: this.publicKey, fingerprint: this.fingerprint };
+    }
+}
+
+module.exports = Identity;
+module.exports.fingerprintOf = fingerprintOf;
+module.exports.deviceIdFor = deviceIdFor;
+module.exports.verify = verify;
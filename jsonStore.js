@@ -0,0 +1,31 @@
+const fs = require('fs');
+const path = require('path');
+
+// Small helpers for the JSON files we keep in the userData directory.
+
+function loadJson(filePath, fallback) {
+    try {
+        if (fs.existsSync(filePath)) {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        }
+    } catch (e) {
+        console.error(`Error reading ${filePath}:`, e);
+    }
+    return fallback;
+}
+
+// Write to a temp file first and rename over the target so a crash never leaves half a file behind
+function saveJson(filePath, data, options = {}) {
+    try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), { mode: options.mode });
+        fs.renameSync(tmpPath, filePath);
+        return true;
+    } catch (e) {
+        console.error(`Error writing ${filePath}:`, e);
+        return false;
+    }
+}
+
+module.exports = { loadJson, saveJson };
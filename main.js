@@ -3,6 +3,12 @@ const path = require('path');
 const os = require('os');
 const { exec } = require('child_process');
 const NetworkManager = require('./networkManager');
+const TransferQueue = require('./transferQueue');
+const FolderSync = require('./folderSync');
+const ControlApi = require('./controlApi');
+const WebShare = require('./webShare');
+const Identity = require('./identity');
+const { collectFiles } = require('./fileTree');
 
 // Global error handlers to prevent silent crashes
 process.on('uncaughtException', (error) => {
@@ -15,6 +21,32 @@ process.on('unhandledRejection', (reason, promise) => {
 
 let mainWindow;
 let networkManager;
+let transferQueue;
+let folderSync;
+let controlApi;
+let webShare;
+
+// IPC handlers by channel, so the control API can call the same operations as the renderer
+const handlers = new Map();
+// Dialogs need someone at the window, and the API doesn't get to reconfigure itself, read the
+// browser page's PIN or move where received files land
+const NOT_SCRIPTABLE = [
+    'select-download-directory', 'select-files', 'open-folder', 'get-control-api', 'set-control-api',
+    'get-web-share', 'set-web-share', 'set-download-directory'
+];
+
+function handle(channel, handler) {
+    handlers.set(channel, handler);
+    ipcMain.handle(channel, handler);
+}
+
+// Send an event to the renderer and to any scripts following the control API's event stream
+function notify(channel, data) {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send(channel, data);
+    }
+    if (controlApi) controlApi.publish(channel, data);
+}
 
 function createWindow() {
     mainWindow = new BrowserWindow({
@@ -29,7 +61,23 @@ function createWindow() {
     });
 
     // Initialize Network Manager
-    networkManager = new NetworkManager(mainWindow, app);
+    networkManager = new NetworkManager({
+        dataDir: app.getPath('userData'),
+        downloadsDir: path.join(app.getPath('downloads'), 'EtherLink')
+    });
+    // The core only emits events; they're passed on while the window is open, and once it's
+    // gone nobody is listening, so offers that need the user are declined
+    const manager = networkManager;
+    for (const channel of NetworkManager.EVENTS) {
+        manager.on(channel, (data) => notify(channel, data));
+    }
+    mainWindow.on('closed', () => {
+        for (const channel of NetworkManager.EVENTS) manager.removeAllListeners(channel);
+    });
+    startTransferQueue();
+    startFolderSync();
+    startControlApi();
+    startWebShare();
 
     // Start Network Status Polling
     startNetworkWatcher();
@@ -48,7 +96,25 @@ function createWindow() {
 
 app.whenReady().then(createWindow);
 
+// On macOS the app outlives its window; reopening it builds a new network manager,
+// so the services around it are dropped here and started again by createWindow
 app.on('window-all-closed', () => {
+    if (transferQueue) {
+        transferQueue.stop();
+        transferQueue = null;
+    }
+    if (folderSync) {
+        folderSync.stop();
+        folderSync = null;
+    }
+    if (controlApi) {
+        controlApi.stop();
+        controlApi = null;
+    }
+    if (webShare) {
+        webShare.stop();
+        webShare = null;
+    }
     if (networkManager) networkManager.stop();
     if (process.platform !== 'darwin') {
         app.quit();
@@ -75,11 +141,8 @@ function startNetworkWatcher() {
             console.log('Network interface change detected');
             lastInterfaceState = currentState;
 
-            if (mainWindow) {
-                // Return formatted interface list like in 'detect-network-interfaces'
-                const formatted = formatInterfaces(currentInterfaces);
-                mainWindow.webContents.send('network-interfaces-changed', formatted);
-            }
+            // Return formatted interface list like in 'detect-network-interfaces'
+            notify('network-interfaces-changed', formatInterfaces(currentInterfaces));
         }
     }, 3000); // Poll every 3 seconds
 }
@@ -103,7 +166,8 @@ function formatInterfaces(interfaces) {
             type = 'wired';
         }
 
-        const connected = addresses.some(a => !a.internal && a.family === 'IPv4');
+        // An IPv6 link-local address is enough: peers on a direct cable can reach each other with nothing else
+        const connected = addresses.some(a => !a.internal);
 
         result.push({
             name,
@@ -117,18 +181,16 @@ function formatInterfaces(interfaces) {
 }
 
 // Update the existing handler to use the format function
-ipcMain.handle('detect-network-interfaces', async () => {
+handle('detect-network-interfaces', async () => {
     const result = formatInterfaces(os.networkInterfaces());
 
-    if (mainWindow) {
-        mainWindow.webContents.send('network-interfaces-detected', result);
-    }
+    notify('network-interfaces-detected', result);
 
     return result;
 });
 
 // Configure Network (Firewall)
-ipcMain.handle('configure-network', async (event, data) => {
+handle('configure-network', async (event, data) => {
     console.log('Configuring network/firewall...', data);
 
     if (os.platform() !== 'win32') {
@@ -177,7 +239,7 @@ ipcMain.handle('configure-network', async (event, data) => {
 });
 
 // Get System Info
-ipcMain.handle('get-system-info', async () => {
+handle('get-system-info', async () => {
     return {
         success: true,
         platform: os.platform(),
@@ -192,7 +254,7 @@ ipcMain.handle('get-system-info', async () => {
 });
 
 // Open Folder
-ipcMain.handle('open-folder', async (event, filePath) => {
+handle('open-folder', async (event, filePath) => {
     try {
         const fs = require('fs');
         if (fs.existsSync(filePath)) {
@@ -212,7 +274,7 @@ ipcMain.handle('open-folder', async (event, filePath) => {
 });
 
 // Select Download Directory
-ipcMain.handle('select-download-directory', async () => {
+handle('select-download-directory', async () => {
     const result = await dialog.showOpenDialog(mainWindow, {
         properties: ['openDirectory', 'createDirectory']
     });
@@ -225,7 +287,7 @@ ipcMain.handle('select-download-directory', async () => {
 });
 
 // Set Download Directory
-ipcMain.handle('set-download-directory', async (event, dir) => {
+handle('set-download-directory', async (event, dir) => {
     try {
         if (networkManager) {
             networkManager.setDownloadsDir(dir);
@@ -238,7 +300,7 @@ ipcMain.handle('set-download-directory', async (event, dir) => {
 });
 
 // Get Download Directory
-ipcMain.handle('get-download-directory', async () => {
+handle('get-download-directory', async () => {
     try {
         if (networkManager) {
             return { success: true, path: networkManager.getDownloadsDir() };
@@ -250,15 +312,23 @@ ipcMain.handle('get-download-directory', async () => {
 });
 
 // Select Files
-ipcMain.handle('select-files', async () => {
+handle('select-files', async (event, options = {}) => {
     const result = await dialog.showOpenDialog(mainWindow, {
-        properties: ['openFile', 'multiSelections']
+        properties: [options.folders ? 'openDirectory' : 'openFile', 'multiSelections']
     });
 
     if (result.canceled) {
         return { success: false, canceled: true };
     }
 
+    // Folders are expanded into their files, each tagged with its path inside the folder
+    if (options.folders && options.expand === false) {
+        return { success: true, paths: result.filePaths };
+    }
+    if (options.folders) {
+        return { success: true, files: collectFiles(result.filePaths) };
+    }
+
     const files = result.filePaths.map(filePath => ({
         name: path.basename(filePath),
         path: filePath,
@@ -280,8 +350,17 @@ ipcMain.handle('select-files', async () => {
     return { success: true, files };
 });
 
+// Expand dropped folders into the files they contain
+handle('expand-paths', async (event, paths) => {
+    try {
+        return { success: true, files: collectFiles(paths || []) };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
+
 // Test Connection
-ipcMain.handle('test-connection', async (event, ip) => {
+handle('test-connection', async (event, ip) => {
     try {
         if (networkManager) {
             const success = await networkManager.checkPeer(ip);
@@ -293,8 +372,45 @@ ipcMain.handle('test-connection', async (event, ip) => {
     }
 });
 
+// Get this device's identity key fingerprint
+handle('get-identity', async () => {
+    try {
+        if (networkManager) {
+            return { success: true, ...networkManager.getIdentity() };
+        }
+        return { success: false, error: 'NetworkManager not initialized' };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
+
+// Mark a peer's identity key as verified (first pairing or accepting a changed key)
+handle('trust-peer', async (event, data) => {
+    try {
+        if (!data || !data.name || !data.publicKey) return { success: false, error: 'Peer name and key required' };
+        if (networkManager) {
+            const peer = networkManager.trustPeer(data.name, data.publicKey);
+            return { success: true, peer };
+        }
+        return { success: false, error: 'NetworkManager not initialized' };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
+
+// Verify a signature made by any device's identity key
+handle('verify-signature', async (event, data) => {
+    try {
+        const { payload, signature, publicKey } = data || {};
+        if (!payload || !signature || !publicKey) return { success: false, error: 'Payload, signature and key required' };
+        return { success: true, valid: Identity.verify(payload, signature, publicKey) };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
+
 // Start Discovery
-ipcMain.handle('discover-peer', async () => {
+handle('discover-peer', async () => {
     try {
         if (networkManager) {
             networkManager.startDiscovery();
@@ -306,57 +422,515 @@ ipcMain.handle('discover-peer', async () => {
     }
 });
 
-// Transfer Files process lock - now granular per peer to allow broadcasting
-const activeTransferPeers = new Set();
+// Outgoing batches wait in a persisted queue and run within the concurrency limits
+function startTransferQueue() {
+    if (transferQueue) return;
+    transferQueue = new TransferQueue(app.getPath('userData'), {
+        // The whole batch goes over one connection; files the receiver already
+        // acknowledged are left out when a job is retried or resumed after a restart
+        runJob: async (job, files, onFileComplete) => {
+            console.log(`Starting batch ${job.id}: ${files.length} of ${job.files.length} file(s)`);
+            const result = await networkManager.sendBatch(job.id, job.peerIP,
+                files.map(f => ({ path: f.path, relativePath: f.relativePath })),
+                {
+                    peerId: job.peerId,
+                    peerKey: job.peerKey,
+                    sync: job.sync,
+                    onFileComplete,
+                    onConnected: (address) => transferQueue.setAddress(job.id, address),
+                    // Pauses from either end are kept with the job so they survive a restart
+                    onPauseChange: (paused, peerKey) => transferQueue.setPaused(job.id, paused, peerKey),
+                    isPaused: () => !!job.paused
+                });
+            if (result.corrupted.length > 0) {
+                console.error(`Receiver could not verify ${result.corrupted.length} file(s) in ${job.id}`);
+            }
+            return result;
+        },
+        getLimits: () => {
+            const settings = networkManager.transferSettings.getSettings();
+            return { maxConcurrent: settings.maxConcurrentTransfers, maxPerPeer: settings.maxTransfersPerPeer };
+        },
+        onChange: (job) => {
+            if (['completed', 'failed', 'cancelled'].includes(job.status)) {
+                networkManager.bandwidth.forgetTransfer(job.id);
+            }
+            notify('transfer-queue-updated', { job, jobs: transferQueue.list() });
+        }
+    });
+    transferQueue.start();
+
+    // A receiver can ask for a paused send to carry on after its connection has gone
+    networkManager.onResumeRequest = ({ transferId, publicKey }) => {
+        const job = transferQueue.get(transferId);
+        if (!job || !job.paused || job.peerKey !== publicKey) return false;
+        return transferQueue.setPaused(transferId, false);
+    };
+
+    // A peer pulling from one of our shares gets the files as an ordinary queued send
+    networkManager.onPullRequest = ({ transferId, peerIP, peerId, peerKey, peerName, share, files }) => {
+        if (transferQueue.get(transferId)) throw new Error('That pull is already queued');
+        transferQueue.enqueue({ id: transferId, peerIP, peerId, peerKey, files });
+        const job = transferQueue.list({ withFiles: true }).find(j => j.id === transferId);
+        notify('share-pulled', { job, peerName, share });
+    };
+}
+
+// Folders kept in step with shares on other devices
+function startFolderSync() {
+    if (folderSync) return;
+    folderSync = new FolderSync(app.getPath('userData'), networkManager, {
+        queue: transferQueue,
+        onChange: (job) => {
+            notify('sync-updated', { job, jobs: folderSync.list() });
+        }
+    });
+    folderSync.start();
+}
+
+// Localhost HTTP API for scripts, off until the user turns it on
+function startControlApi() {
+    if (controlApi) return;
+    controlApi = new ControlApi(app.getPath('userData'), {
+        // API calls have no renderer behind them, so handlers get an empty event
+        invoke: (channel, data) => handlers.get(channel)({}, data),
+        operations: () => [...handlers.keys()].filter(channel => !NOT_SCRIPTABLE.includes(channel))
+    });
+    controlApi.start();
+}
+
+// Upload/download page for browsers on the LAN, off until the user turns it on
+function startWebShare() {
+    if (webShare) return;
+    webShare = new WebShare(app.getPath('userData'), networkManager, { onEvent: notify });
+    webShare.start();
+}
 
-ipcMain.handle('transfer-files', async (event, data) => {
+handle('transfer-files', async (event, data) => {
     console.log('Transfer requested', data);
+    try {
+        const peerId = data.peerId || networkManager.deviceIdAt(data.peerIP);
+        const job = transferQueue.enqueue({
+            id: data.transferId,
+            peerIP: data.peerIP,
+            peerId,
+            peerKey: networkManager.publicKeyAt(data.peerIP, peerId),
+            files: data.files,
+            priority: data.priority || 'normal'
+        });
+        return { success: true, queued: true, transferId: job.id, jobs: transferQueue.list() };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
 
-    const peerIP = data.peerIP;
-    if (activeTransferPeers.has(peerIP)) {
-        return { success: false, error: `A transfer to ${peerIP} is already in progress.` };
+// Queued outgoing transfers, with their file lists so a restarted UI can show them again
+handle('get-transfer-queue', async () => {
+    try {
+        return { success: true, jobs: transferQueue.list({ withFiles: true }) };
+    } catch (e) {
+        return { success: false, error: e.message };
     }
+});
 
-    if (!data.files || data.files.length === 0) return { success: false, error: 'No files provided' };
+// Incoming transfers that are paused; they're kept across restarts so they can still be resumed
+handle('get-paused-transfers', async () => {
+    try {
+        if (!networkManager) return { success: false, error: 'NetworkManager not initialized' };
+        return { success: true, transfers: networkManager.getPausedTransfers() };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
+
+// Reorder or reprioritise a queued transfer
+handle('update-queued-transfer', async (event, data) => {
+    try {
+        let success = true;
+        if (data.priority !== undefined) {
+            success = transferQueue.setPriority(data.transferId, data.priority);
+        }
+        if (success && data.beforeId !== undefined) {
+            success = transferQueue.move(data.transferId, data.beforeId);
+        }
+        return success
+            ? { success, jobs: transferQueue.list() }
+            : { success, error: 'Transfer is no longer queued' };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
+
+// Accept or decline an incoming transfer offer
+handle('respond-transfer-offer', async (event, data) => {
+    try {
+        if (networkManager) {
+            const success = networkManager.respondToOffer(data.transferId, !!data.accept, {
+                alwaysAccept: !!data.alwaysAccept,
+                conflictAction: data.conflictAction
+            });
+            return success ? { success } : { success, error: 'Offer is no longer pending' };
+        }
+        return { success: false, error: 'NetworkManager not initialized' };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
 
-    activeTransferPeers.add(peerIP);
+// Folders this device shares for peers to browse and pull from
+handle('get-shared-folders', async () => {
     try {
-        // Use the ID provided by frontend, or generate one if missing
-        const batchId = data.transferId || `send_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+        if (!networkManager) return { success: false, error: 'NetworkManager not initialized' };
+        return { success: true, shares: networkManager.sharedFolders.list() };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
 
-        for (const file of data.files) {
-            // We use the same Batch ID for all files so the frontend can track them in the same card
-            console.log(`Starting transfer for ${file.name} (${batchId})`);
+handle('add-shared-folder', async (event, data) => {
+    try {
+        if (!networkManager) return { success: false, error: 'NetworkManager not initialized' };
+        const share = networkManager.sharedFolders.add(data);
+        return { success: true, share, shares: networkManager.sharedFolders.list() };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
 
+handle('update-shared-folder', async (event, data) => {
+    try {
+        if (!networkManager) return { success: false, error: 'NetworkManager not initialized' };
+        const share = networkManager.sharedFolders.update(data.name, data);
+        return { success: true, share, shares: networkManager.sharedFolders.list() };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
 
-            try {
-                await networkManager.sendFile(batchId, data.peerIP, file.path);
-                // Small gap between files to allow OS to clean up sockets
-                await new Promise(r => setTimeout(r, 100));
-            } catch (err) {
-                console.error(`Error sending file ${file.name}:`, err);
-                // We continue with next files unless it's a critical connection error
-                if (err.message.includes('ECONNREFUSED') || err.message.includes('ETIMEDOUT')) {
-                    throw err;
-                }
-            }
+handle('remove-shared-folder', async (event, name) => {
+    try {
+        if (!networkManager) return { success: false, error: 'NetworkManager not initialized' };
+        const success = networkManager.sharedFolders.remove(name);
+        return success
+            ? { success, shares: networkManager.sharedFolders.list() }
+            : { success, error: `No share named "${name}"` };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
+
+// List a peer's shares, or a folder inside one of them
+handle('browse-peer', async (event, data) => {
+    try {
+        if (!networkManager) return { success: false, error: 'NetworkManager not initialized' };
+        return await networkManager.browsePeer(data.peerIP, data.share, data.path, data.password);
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
+
+// Ask a peer to send us files from one of its shares
+handle('pull-from-peer', async (event, data) => {
+    try {
+        if (!networkManager) return { success: false, error: 'NetworkManager not initialized' };
+        return await networkManager.pullFromPeer(data.peerIP, data.share, data.paths, data.password);
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
+
+handle('get-sync-jobs', async () => {
+    try {
+        if (!folderSync) return { success: false, error: 'Folder sync not initialized' };
+        return { success: true, jobs: folderSync.list() };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
+
+handle('add-sync-job', async (event, data) => {
+    try {
+        if (!folderSync) return { success: false, error: 'Folder sync not initialized' };
+        const job = folderSync.add(data);
+        return { success: true, job, jobs: folderSync.list() };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
+
+handle('update-sync-job', async (event, data) => {
+    try {
+        if (!folderSync) return { success: false, error: 'Folder sync not initialized' };
+        const job = folderSync.update(data.id, data);
+        return { success: true, job, jobs: folderSync.list() };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
+
+handle('remove-sync-job', async (event, id) => {
+    try {
+        if (!folderSync) return { success: false, error: 'Folder sync not initialized' };
+        const success = folderSync.remove(id);
+        return success ? { success, jobs: folderSync.list() } : { success, error: 'No such sync job' };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
+
+handle('sync-now', async (event, id) => {
+    try {
+        if (!folderSync) return { success: false, error: 'Folder sync not initialized' };
+        const success = folderSync.syncNow(id);
+        return success ? { success } : { success, error: 'No such sync job' };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
+
+// Settle a file that changed differently on both sides
+handle('resolve-sync-conflict', async (event, data) => {
+    try {
+        if (!folderSync) return { success: false, error: 'Folder sync not initialized' };
+        const job = folderSync.resolveConflict(data.id, data.path, data.keep);
+        return { success: true, job, jobs: folderSync.list() };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
+
+// Get incoming transfer rules
+handle('get-transfer-rules', async () => {
+    try {
+        if (networkManager) {
+            return { success: true, rules: networkManager.transferRules.getRules() };
         }
-        return { success: true, message: 'Transfer batch completed' };
+        return { success: false, error: 'NetworkManager not initialized' };
+    } catch (e) {
+        return { success: false, error: e.message };
     }
-    catch (error) {
-        console.error('Batch transfer failed', error);
-        return { success: false, error: error.message };
-    } finally {
-        activeTransferPeers.delete(peerIP);
+});
+
+// Update incoming transfer rules
+handle('set-transfer-rules', async (event, data) => {
+    try {
+        if (!networkManager) return { success: false, error: 'NetworkManager not initialized' };
+        const rules = networkManager.transferRules;
+
+        if (data.autoRejectOverBytes !== undefined) {
+            rules.setAutoRejectOverBytes(data.autoRejectOverBytes);
+        }
+        if (data.conflictPolicy !== undefined) {
+            rules.setConflictPolicy(data.conflictPolicy);
+        }
+        if (data.skipIdentical !== undefined) {
+            rules.setSkipIdentical(!!data.skipIdentical);
+        }
+        if (data.removeAlwaysAccept) {
+            rules.removeAlwaysAccept(data.removeAlwaysAccept);
+        }
+        return { success: true, rules: rules.getRules() };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
+
+// Get outgoing transfer settings
+handle('get-transfer-settings', async () => {
+    try {
+        if (networkManager) {
+            return { success: true, settings: networkManager.transferSettings.getSettings() };
+        }
+        return { success: false, error: 'NetworkManager not initialized' };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
+
+// Update outgoing transfer settings
+handle('set-transfer-settings', async (event, data) => {
+    try {
+        if (!networkManager) return { success: false, error: 'NetworkManager not initialized' };
+        const settings = networkManager.transferSettings;
+
+        if (data.parallelStreams !== undefined) {
+            settings.setParallelStreams(data.parallelStreams);
+        }
+        if (data.parallelThresholdBytes !== undefined) {
+            settings.setParallelThreshold(data.parallelThresholdBytes);
+        }
+        if (data.compression !== undefined) {
+            settings.setCompression(data.compression);
+        }
+        if (data.deltaTransfers !== undefined) {
+            settings.setDeltaTransfers(data.deltaTransfers);
+        }
+        if (data.maxConcurrentTransfers !== undefined) {
+            settings.setMaxConcurrentTransfers(data.maxConcurrentTransfers);
+        }
+        if (data.maxTransfersPerPeer !== undefined) {
+            settings.setMaxTransfersPerPeer(data.maxTransfersPerPeer);
+        }
+        // Raised limits let waiting jobs start straight away
+        transferQueue.pump();
+        return { success: true, settings: settings.getSettings() };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
+
+// Get how long peers may stay silent before they show as away, and then as gone
+handle('get-presence-settings', async () => {
+    try {
+        if (!networkManager) return { success: false, error: 'NetworkManager not initialized' };
+        return { success: true, settings: networkManager.presence.getSettings() };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
+
+// Update them; `data` may hold awayAfterSeconds and offlineAfterSeconds
+handle('set-presence-settings', async (event, data) => {
+    try {
+        if (!networkManager) return { success: false, error: 'NetworkManager not initialized' };
+        const settings = networkManager.presence.update(data || {});
+        // Apply the new limits now rather than at the next check
+        networkManager.checkPresence();
+        return { success: true, settings };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
+
+// Devices added by hand for networks discovery can't reach, with what the last probe found for each
+handle('get-address-book', async () => {
+    try {
+        if (!networkManager) return { success: false, error: 'NetworkManager not initialized' };
+        return { success: true, entries: networkManager.addressBook.list() };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
+
+// `data` is { target, label?, favourite? }; the target is an IP address, a hostname or an IPv4 range
+handle('add-address-book-entry', async (event, data) => {
+    try {
+        if (!networkManager) return { success: false, error: 'NetworkManager not initialized' };
+        const entry = networkManager.addressBook.add(data || {});
+        // Probed straight away rather than at the next round; the result arrives as address-book-updated
+        networkManager.probeAddressBookEntry(networkManager.addressBook.get(entry.id));
+        return { success: true, entry, entries: networkManager.addressBook.list() };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
+
+handle('update-address-book-entry', async (event, data) => {
+    try {
+        if (!networkManager) return { success: false, error: 'NetworkManager not initialized' };
+        const entry = networkManager.addressBook.update(data.id, data);
+        return { success: true, entry, entries: networkManager.addressBook.list() };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
+
+handle('remove-address-book-entry', async (event, id) => {
+    try {
+        if (!networkManager) return { success: false, error: 'NetworkManager not initialized' };
+        const success = networkManager.addressBook.remove(id);
+        return success
+            ? { success, entries: networkManager.addressBook.list() }
+            : { success, error: 'No such address book entry' };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
+
+// Probe every entry now instead of waiting for the next round
+handle('probe-address-book', async () => {
+    try {
+        if (!networkManager) return { success: false, error: 'NetworkManager not initialized' };
+        await networkManager.probeAddressBook();
+        return { success: true, entries: networkManager.addressBook.list() };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
+
+// Get outgoing bandwidth caps, including the global cap the schedule has in force right now
+handle('get-bandwidth-limits', async () => {
+    try {
+        if (networkManager) {
+            return { success: true, limits: networkManager.bandwidth.getLimits() };
+        }
+        return { success: false, error: 'NetworkManager not initialized' };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
+
+// Change bandwidth caps; running transfers pick them up with their next chunk
+handle('set-bandwidth-limits', async (event, data) => {
+    try {
+        if (!networkManager) return { success: false, error: 'NetworkManager not initialized' };
+        const bandwidth = networkManager.bandwidth;
+
+        if (data.globalLimit !== undefined) {
+            bandwidth.setGlobalLimit(data.globalLimit);
+        }
+        // Caps are kept per device; an address is looked up to find which
+        if ((data.peerId || data.peerIP) && data.peerLimit !== undefined) {
+            const peerId = data.peerId || networkManager.deviceIdAt(data.peerIP);
+            if (!peerId) throw new Error(`No device has announced itself at ${data.peerIP}`);
+            bandwidth.setPeerLimit(peerId, data.peerLimit);
+        }
+        // "default" drops a transfer's override so the global and peer caps apply again
+        if (data.transferId && data.transferLimit !== undefined) {
+            bandwidth.setTransferLimit(data.transferId, data.transferLimit === 'default' ? undefined : data.transferLimit);
+        }
+        if (data.schedule !== undefined) {
+            bandwidth.setSchedule(data.schedule);
+        }
+
+        const limits = bandwidth.getLimits();
+        notify('bandwidth-limits-changed', limits);
+        return { success: true, limits };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
+
+// Get recorded transfers, newest first, optionally filtered by a search query
+handle('get-transfer-history', async (event, options = {}) => {
+    try {
+        if (networkManager) {
+            return { success: true, history: networkManager.getTransferHistory(options) };
+        }
+        return { success: false, error: 'NetworkManager not initialized' };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
+
+// Forget every recorded transfer
+handle('clear-transfer-history', async () => {
+    try {
+        if (!networkManager) return { success: false, error: 'NetworkManager not initialized' };
+        networkManager.clearTransferHistory();
+        return { success: true };
+    } catch (e) {
+        return { success: false, error: e.message };
     }
 });
 
 // Cancel Transfer
-ipcMain.handle('cancel-transfer', async (event, transferId) => {
+handle('cancel-transfer', async (event, transferId) => {
     console.log('Cancel transfer requested', transferId);
     try {
         if (networkManager) {
-            const success = networkManager.cancelTransfer(transferId);
+            const dequeued = transferQueue.cancel(transferId);
+            const success = networkManager.cancelTransfer(transferId) || dequeued;
             return { success };
         }
         return { success: false, error: 'NetworkManager not initialized' };
@@ -366,11 +940,13 @@ ipcMain.handle('cancel-transfer', async (event, transferId) => {
 });
 
 // Pause Transfer
-ipcMain.handle('pause-transfer', async (event, transferId) => {
+handle('pause-transfer', async (event, transferId) => {
     console.log('Pause transfer requested', transferId);
     try {
         if (networkManager) {
-            const success = networkManager.pauseTransfer(transferId);
+            // Queued sends keep the pause across restarts; a live connection also tells the peer
+            const queued = transferQueue.setPaused(transferId, true);
+            const success = networkManager.pauseTransfer(transferId) || queued;
             return { success };
         }
         return { success: false, error: 'NetworkManager not initialized' };
@@ -380,11 +956,12 @@ ipcMain.handle('pause-transfer', async (event, transferId) => {
 });
 
 // Resume Transfer
-ipcMain.handle('resume-transfer', async (event, transferId) => {
+handle('resume-transfer', async (event, transferId) => {
     console.log('Resume transfer requested', transferId);
     try {
         if (networkManager) {
-            const success = networkManager.resumeTransfer(transferId);
+            const queued = transferQueue.setPaused(transferId, false);
+            const success = await networkManager.resumeTransfer(transferId) || queued;
             return { success };
         }
         return { success: false, error: 'NetworkManager not initialized' };
@@ -392,3 +969,61 @@ ipcMain.handle('resume-transfer', async (event, transferId) => {
         return { success: false, error: e.message };
     }
 });
+
+// Get the control API's settings, including its token
+handle('get-control-api', async () => {
+    try {
+        if (!controlApi) return { success: false, error: 'Control API not initialized' };
+        return { success: true, api: controlApi.getSettings() };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
+
+// Turn the control API on or off, move it to another port or replace its token
+handle('set-control-api', async (event, data) => {
+    try {
+        if (!controlApi) return { success: false, error: 'Control API not initialized' };
+        if (data.port !== undefined) {
+            await controlApi.setPort(data.port);
+        }
+        if (data.rotateToken) {
+            controlApi.rotateToken();
+        }
+        if (data.enabled !== undefined) {
+            await controlApi.setEnabled(data.enabled);
+        }
+        return { success: true, api: controlApi.getSettings() };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
+
+// Get the browser page's state, including its current PIN and addresses
+handle('get-web-share', async () => {
+    try {
+        if (!webShare) return { success: false, error: 'Web share not initialized' };
+        return { success: true, web: webShare.getStatus() };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
+
+// Turn the browser page on or off, move it to another port or pick a new PIN
+handle('set-web-share', async (event, data) => {
+    try {
+        if (!webShare) return { success: false, error: 'Web share not initialized' };
+        if (data.port !== undefined) {
+            await webShare.setPort(data.port);
+        }
+        if (data.enabled !== undefined) {
+            await webShare.setEnabled(data.enabled);
+        }
+        if (data.newPin) {
+            webShare.newPin();
+        }
+        return { success: true, web: webShare.getStatus() };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
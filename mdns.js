@@ -0,0 +1,587 @@
+const dgram = require('dgram');
+const os = require('os');
+
+// Multicast DNS (RFC 6762) with DNS-SD service records (RFC 6763), enough to
+// advertise one service and browse for others of the same type
+
+const MDNS_PORT = 5353;
+const MDNS_GROUP_V4 = '224.0.0.251';
+const MDNS_GROUP_V6 = 'ff02::fb';
+const TYPE = { A: 1, PTR: 12, TXT: 16, AAAA: 28, SRV: 33, ANY: 255 };
+const CLASS_IN = 1;
+// Set on unique records so caches replace what they held instead of adding to it
+const CACHE_FLUSH = 0x8000;
+const RESPONSE_FLAGS = 0x8400;
+const RECORD_TTL = 120;
+const SERVICES_META_QUERY = '_services._dns-sd._udp.local';
+// Queries go out again after these delays, then every REQUERY_INTERVAL
+const INITIAL_QUERIES = [0, 1000, 3000];
+const REQUERY_INTERVAL = 60000;
+// Three probes 250 ms apart claim the instance name (RFC 6762 section 8.1), then
+// announcements go out after these delays
+const PROBE_COUNT = 3;
+const PROBE_INTERVAL = 250;
+const ANNOUNCE_DELAYS = [0, 1000];
+// A device that lost a simultaneous probe tries again after a second; past
+// RAPID_CONFLICTS renames in CONFLICT_WINDOW, every probe waits CONFLICT_BACKOFF
+const PROBE_RETRY_DELAY = 1000;
+const RAPID_CONFLICTS = 15;
+const CONFLICT_WINDOW = 10000;
+const CONFLICT_BACKOFF = 5000;
+const MAX_NAME_JUMPS = 32;
+
+function encodeName(name) {
+    const parts = [];
+    for (const label of name.split('.').filter(Boolean)) {
+        const bytes = Buffer.from(label);
+        if (bytes.length > 63) throw new Error(`DNS label too long: ${label}`);
+        parts.push(Buffer.from([bytes.length]), bytes);
+    }
+    parts.push(Buffer.from([0]));
+    return Buffer.concat(parts);
+}
+
+function encodeRdata(record) {
+    switch (record.type) {
+        case TYPE.A:
+            return Buffer.from(record.data.split('.').map(Number));
+        case TYPE.AAAA: {
+            // Expand "::" so every group is present, then write them out
+            const [head, tail = ''] = record.data.split('%')[0].split('::');
+            const headGroups = head ? head.split(':') : [];
+            const tailGroups = record.data.includes('::') && tail ? tail.split(':') : [];
+            const groups = [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+            const buffer = Buffer.alloc(16);
+            groups.forEach((group, i) => buffer.writeUInt16BE(parseInt(group, 16), i * 2));
+            return buffer;
+        }
+        case TYPE.PTR:
+            return encodeName(record.data);
+        case TYPE.SRV: {
+            const header = Buffer.alloc(6);
+            header.writeUInt16BE(0, 0);
+            header.writeUInt16BE(0, 2);
+            header.writeUInt16BE(record.data.port, 4);
+            return Buffer.concat([header, encodeName(record.data.target)]);
+        }
+        case TYPE.TXT: {
+            const strings = Object.entries(record.data).map(([key, value]) => {
+                const bytes = Buffer.from(`${key}=${value}`);
+                if (bytes.length > 255) throw new Error(`TXT entry too long: ${key}`);
+                return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+            });
+            return strings.length ? Buffer.concat(strings) : Buffer.from([0]);
+        }
+        default:
+            throw new Error(`Unsupported record type ${record.type}`);
+    }
+}
+
+// Names are written out in full; compression is optional for senders
+function encodePacket({ id = 0, flags = 0, questions = [], answers = [], authorities = [], additionals = [] }) {
+    const header = Buffer.alloc(12);
+    header.writeUInt16BE(id, 0);
+    header.writeUInt16BE(flags, 2);
+    header.writeUInt16BE(questions.length, 4);
+    header.writeUInt16BE(answers.length, 6);
+    header.writeUInt16BE(authorities.length, 8);
+    header.writeUInt16BE(additionals.length, 10);
+
+    const parts = [header];
+    for (const question of questions) {
+        const fields = Buffer.alloc(4);
+        fields.writeUInt16BE(question.type, 0);
+        fields.writeUInt16BE(CLASS_IN, 2);
+        parts.push(encodeName(question.name), fields);
+    }
+    for (const record of [...answers, ...authorities, ...additionals]) {
+        const rdata = encodeRdata(record);
+        const fields = Buffer.alloc(10);
+        fields.writeUInt16BE(record.type, 0);
+        fields.writeUInt16BE(CLASS_IN | (record.unique ? CACHE_FLUSH : 0), 2);
+        fields.writeUInt32BE(record.ttl, 4);
+        fields.writeUInt16BE(rdata.length, 8);
+        parts.push(encodeName(record.name), fields, rdata);
+    }
+    return Buffer.concat(parts);
+}
+
+// Read a possibly compressed name; returns it with the offset just past it
+function decodeName(buffer, offset) {
+    const labels = [];
+    let end = null;
+    let jumps = 0;
+    for (;;) {
+        if (offset >= buffer.length) throw new Error('Name runs past the end of the packet');
+        const length = buffer[offset];
+        if (length === 0) {
+            offset++;
+            break;
+        }
+        if ((length & 0xc0) === 0xc0) {
+            if (++jumps > MAX_NAME_JUMPS) throw new Error('Too many compression pointers');
+            if (end === null) end = offset + 2;
+            offset = buffer.readUInt16BE(offset) & 0x3fff;
+            continue;
+        }
+        if (offset + 1 + length > buffer.length) throw new Error('Label runs past the end of the packet');
+        labels.push(buffer.toString('utf8', offset + 1, offset + 1 + length));
+        offset += 1 + length;
+    }
+    return { name: labels.join('.'), offset: end === null ? offset : end };
+}
+
+function decodeRdata(buffer, type, start, length) {
+    const end = start + length;
+    switch (type) {
+        case TYPE.A:
+            return length === 4 ? Array.from(buffer.subarray(start, end)).join('.') : null;
+        case TYPE.AAAA: {
+            if (length !== 16) return null;
+            const groups = [];
+            for (let i = 0; i < 16; i += 2) groups.push(buffer.readUInt16BE(start + i).toString(16));
+            // Shorten the first run of zero groups to "::"
+            return groups.join(':').replace(/(^|:)0(:0)+(:|$)/, '::');
+        }
+        case TYPE.PTR:
+            return decodeName(buffer, start).name;
+        case TYPE.SRV:
+            return { port: buffer.readUInt16BE(start + 4), target: decodeName(buffer, start + 6).name };
+        case TYPE.TXT: {
+            const txt = {};
+            for (let offset = start; offset < end;) {
+                const entry = buffer.toString('utf8', offset + 1, Math.min(end, offset + 1 + buffer[offset]));
+                offset += 1 + buffer[offset];
+                const index = entry.indexOf('=');
+                if (index > 0) txt[entry.slice(0, index).toLowerCase()] = entry.slice(index + 1);
+                else if (entry) txt[entry.toLowerCase()] = true;
+            }
+            return txt;
+        }
+        default:
+            return null;
+    }
+}
+
+function decodePacket(buffer) {
+    if (buffer.length < 12) throw new Error('Packet is too short');
+    const packet = {
+        id: buffer.readUInt16BE(0),
+        flags: buffer.readUInt16BE(2),
+        questions: [],
+        records: [],
+        // What a probe proposes for the names it asks about
+        authorities: []
+    };
+    const counts = [4, 6, 8, 10].map(offset => buffer.readUInt16BE(offset));
+    let offset = 12;
+
+    for (let i = 0; i < counts[0]; i++) {
+        const { name, offset: next } = decodeName(buffer, offset);
+        packet.questions.push({ name, type: buffer.readUInt16BE(next) });
+        offset = next + 4;
+    }
+    const recordCount = counts[1] + counts[2] + counts[3];
+    for (let i = 0; i < recordCount; i++) {
+        const { name, offset: next } = decodeName(buffer, offset);
+        if (next + 10 > buffer.length) throw new Error('Record runs past the end of the packet');
+        const type = buffer.readUInt16BE(next);
+        const ttl = buffer.readUInt32BE(next + 4);
+        const length = buffer.readUInt16BE(next + 8);
+        const start = next + 10;
+        if (start + length > buffer.length) throw new Error('Record data runs past the end of the packet');
+        const section = i >= counts[1] && i < counts[1] + counts[2] ? packet.authorities : packet.records;
+        section.push({ name, type, ttl, data: decodeRdata(buffer, type, start, length) });
+        offset = start + length;
+    }
+    return packet;
+}
+
+const sameName = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// DNS labels can't hold dots; anything else in a device name is fine in an instance name.
+// A name someone else holds gets " (2)", " (3)" and so on, as RFC 6763 suggests.
+function instanceLabel(name, attempt = 1) {
+    const suffix = attempt > 1 ? ` (${attempt})` : '';
+    // Cutting at 63 bytes can split a character; drop what's left of it
+    const room = 63 - Buffer.byteLength(suffix);
+    return Buffer.from(name.replace(/\./g, '-')).subarray(0, room).toString().replace(/\uFFFD+$/, '') + suffix;
+}
+
+/**
+ * Advertises this device as `<instance>.<serviceType>.local` and browses for other
+ * instances of the same type, over IPv4 and IPv6 on every interface. The instance
+ * name is probed before it's announced, and renamed if another device holds it.
+ * Every complete instance heard (SRV and TXT known) is passed to `onService({
+ * instance, address, port, txt, addresses })`, where `address` is the one its
+ * answer came from.
+ */
+class MdnsDiscovery {
+    constructor({ serviceType, instance, hostLabel, port, txt, onService }) {
+        this.serviceName = `${serviceType}.local`;
+        this.instance = instance;
+        this.attempt = 1;
+        this.instanceName = `${instanceLabel(instance)}.${this.serviceName}`;
+        this.hostName = `${hostLabel}.local`;
+        this.port = port;
+        this.txt = txt;
+        this.onService = onService;
+        this.sockets = [];
+        this.timers = [];
+        // Probing, then announcing, the instance name; restarted whenever it's renamed
+        this.claimTimers = [];
+        this.probing = false;
+        this.conflicts = [];
+        // Records heard for the service, and the addresses of the hosts its SRV records
+        // point at, by type and lower-cased name: { data, expiresAt }[]
+        this.cache = new Map();
+    }
+
+    start() {
+        if (this.sockets.length) return;
+        this.openSocket('udp4');
+        this.openSocket('udp6');
+        for (const delay of INITIAL_QUERIES) {
+            this.timers.push(setTimeout(() => this.query(), delay));
+        }
+        this.timers.push(setInterval(() => {
+            this.pruneCache();
+            this.query();
+        }, REQUERY_INTERVAL));
+        this.probe(PROBE_INTERVAL);
+    }
+
+    // Say goodbye so others drop this device from their caches at once
+    stop() {
+        for (const timer of [...this.timers, ...this.claimTimers]) clearTimeout(timer);
+        this.timers = [];
+        this.claimTimers = [];
+        this.probing = false;
+        const sockets = this.sockets;
+        this.sockets = [];
+        const goodbye = encodePacket({ flags: RESPONSE_FLAGS, answers: [this.pointerRecord(0)] });
+        for (const entry of sockets) {
+            if (!entry.bound) {
+                try { entry.socket.close(); } catch (e) { }
+                continue;
+            }
+            this.sendOnEachInterface(entry, goodbye, () => {
+                try { entry.socket.close(); } catch (e) { }
+            });
+        }
+        this.cache.clear();
+    }
+
+    openSocket(type) {
+        const entry = { type, socket: null, bound: false, joined: new Set() };
+        try {
+            entry.socket = dgram.createSocket({ type, reuseAddr: true, ipv6Only: type === 'udp6' });
+        } catch (e) {
+            console.error(`mDNS: could not open ${type} socket:`, e.message);
+            return;
+        }
+        this.sockets.push(entry);
+        entry.socket.on('message', (msg, rinfo) => this.handleMessage(entry, msg, rinfo));
+        entry.socket.on('error', (err) => {
+            console.error(`mDNS ${type} error:`, err.message);
+            this.sockets = this.sockets.filter(s => s !== entry);
+            try { entry.socket.close(); } catch (e) { }
+        });
+        entry.socket.bind(MDNS_PORT, type === 'udp6' ? '::' : '0.0.0.0', () => {
+            entry.bound = true;
+            try {
+                entry.socket.setMulticastTTL(255);
+                entry.socket.setMulticastLoopback(true);
+            } catch (e) { }
+            this.joinGroups(entry);
+        });
+    }
+
+    // Where to send on each interface: the interface's IPv4 address, or the IPv6 zone naming it
+    interfaces(entry) {
+        const targets = new Set();
+        for (const [name, addrs] of Object.entries(os.networkInterfaces())) {
+            for (const iface of addrs) {
+                if (iface.internal) continue;
+                if (entry.type === 'udp4' && iface.family === 'IPv4') targets.add(iface.address);
+                if (entry.type === 'udp6' && iface.family === 'IPv6') {
+                    targets.add(process.platform === 'win32' ? String(iface.scopeid) : name);
+                }
+            }
+        }
+        return [...targets];
+    }
+
+    // Interfaces that came up since the last call are joined too
+    joinGroups(entry) {
+        for (const target of this.interfaces(entry)) {
+            if (entry.joined.has(target)) continue;
+            try {
+                if (entry.type === 'udp4') entry.socket.addMembership(MDNS_GROUP_V4, target);
+                else entry.socket.addMembership(MDNS_GROUP_V6, `::%${target}`);
+            } catch (e) {
+                if (e.code !== 'EADDRINUSE') continue;
+            }
+            entry.joined.add(target);
+        }
+    }
+
+    /**
+     * Multicast `packet` out of every interface. IPv6 names the interface in the
+     * address; IPv4 has to switch the socket's outgoing interface, so those sends
+     * go one after another.
+     */
+    sendOnEachInterface(entry, packet, done = () => { }) {
+        const targets = this.interfaces(entry);
+        const next = (i) => {
+            if (i >= targets.length) return done();
+            try {
+                if (entry.type === 'udp4') {
+                    entry.socket.setMulticastInterface(targets[i]);
+                    entry.socket.send(packet, MDNS_PORT, MDNS_GROUP_V4, () => next(i + 1));
+                } else {
+                    entry.socket.send(packet, MDNS_PORT, `${MDNS_GROUP_V6}%${targets[i]}`, () => next(i + 1));
+                }
+            } catch (e) {
+                next(i + 1);
+            }
+        };
+        next(0);
+    }
+
+    send(packet) {
+        for (const entry of this.sockets) {
+            if (!entry.bound) continue;
+            this.joinGroups(entry);
+            this.sendOnEachInterface(entry, packet);
+        }
+    }
+
+    query() {
+        this.send(encodePacket({ questions: [{ name: this.serviceName, type: TYPE.PTR }] }));
+    }
+
+    /**
+     * Ask whether anyone holds the instance name, PROBE_COUNT times, before announcing
+     * it. An answer in the meantime renames it and starts over (see handleResponse).
+     */
+    probe(delay) {
+        for (const timer of this.claimTimers) clearTimeout(timer);
+        this.claimTimers = [];
+        this.probing = true;
+        const packet = encodePacket({
+            questions: [{ name: this.instanceName, type: TYPE.ANY }],
+            authorities: this.serviceRecords().filter(r => r.name === this.instanceName)
+        });
+        for (let i = 0; i < PROBE_COUNT; i++) {
+            this.claimTimers.push(setTimeout(() => this.send(packet), delay + i * PROBE_INTERVAL));
+        }
+        const claimedAt = delay + PROBE_COUNT * PROBE_INTERVAL;
+        this.claimTimers.push(setTimeout(() => {
+            this.probing = false;
+        }, claimedAt));
+        for (const announceDelay of ANNOUNCE_DELAYS) {
+            this.claimTimers.push(setTimeout(() => this.announce(), claimedAt + announceDelay));
+        }
+    }
+
+    // Someone else holds the instance name: let go of it and probe for the next one
+    rename() {
+        if (!this.probing) this.send(encodePacket({ flags: RESPONSE_FLAGS, answers: [this.pointerRecord(0)] }));
+        const now = Date.now();
+        this.conflicts = this.conflicts.filter(at => now - at < CONFLICT_WINDOW).concat(now);
+        this.attempt++;
+        this.instanceName = `${instanceLabel(this.instance, this.attempt)}.${this.serviceName}`;
+        console.log(`mDNS: name taken by another device, now advertising as ${this.instanceName}`);
+        this.probe(this.conflicts.length > RAPID_CONFLICTS ? CONFLICT_BACKOFF : 0);
+    }
+
+    // Whether an SRV record for our instance name is this device's own, heard back over loopback
+    isOwnService(data) {
+        return data.port === this.port && sameName(data.target, this.hostName);
+    }
+
+    announce() {
+        this.send(encodePacket({ flags: RESPONSE_FLAGS, answers: [this.pointerRecord(RECORD_TTL), ...this.serviceRecords()] }));
+    }
+
+    pointerRecord(ttl) {
+        return { name: this.serviceName, type: TYPE.PTR, ttl, data: this.instanceName };
+    }
+
+    serviceRecords() {
+        return [
+            { name: this.instanceName, type: TYPE.SRV, ttl: RECORD_TTL, unique: true, data: { port: this.port, target: this.hostName } },
+            { name: this.instanceName, type: TYPE.TXT, ttl: RECORD_TTL, unique: true, data: this.txt },
+            ...this.addressRecords()
+        ];
+    }
+
+    addressRecords() {
+        const records = [];
+        for (const addrs of Object.values(os.networkInterfaces())) {
+            for (const iface of addrs) {
+                if (iface.internal) continue;
+                const type = iface.family === 'IPv4' ? TYPE.A : TYPE.AAAA;
+                records.push({ name: this.hostName, type, ttl: RECORD_TTL, unique: true, data: iface.address });
+            }
+        }
+        return records;
+    }
+
+    handleMessage(entry, msg, rinfo) {
+        let packet;
+        try {
+            packet = decodePacket(msg);
+        } catch (e) {
+            // Malformed packets are common enough on a busy network; ignore them
+            return;
+        }
+        try {
+            if (packet.flags & 0x8000) this.handleResponse(packet, rinfo);
+            else this.handleQuery(entry, packet, rinfo);
+        } catch (e) {
+            console.error('mDNS: could not handle a message:', e.message);
+        }
+    }
+
+    handleQuery(entry, packet, rinfo) {
+        // Names being probed aren't ours to answer for yet
+        if (this.probing) return this.handleProbe(packet);
+        const answers = [];
+        for (const { name, type } of packet.questions) {
+            const any = type === TYPE.ANY;
+            if (sameName(name, this.serviceName) && (any || type === TYPE.PTR)) {
+                answers.push(this.pointerRecord(RECORD_TTL));
+            } else if (sameName(name, SERVICES_META_QUERY) && (any || type === TYPE.PTR)) {
+                answers.push({ name: SERVICES_META_QUERY, type: TYPE.PTR, ttl: RECORD_TTL, data: this.serviceName });
+            } else if (sameName(name, this.instanceName) && (any || type === TYPE.SRV || type === TYPE.TXT)) {
+                answers.push(...this.serviceRecords().filter(r => r.name === this.instanceName && (any || r.type === type)));
+            } else if (sameName(name, this.hostName) && (any || type === TYPE.A || type === TYPE.AAAA)) {
+                answers.push(...this.addressRecords().filter(r => any || r.type === type));
+            }
+        }
+        if (answers.length === 0) return;
+
+        const additionals = answers.some(r => r.type === TYPE.PTR && r.data === this.instanceName)
+            ? this.serviceRecords()
+            : [];
+        // A query from a port other than 5353 is a plain DNS client expecting a unicast reply
+        if (rinfo.port !== MDNS_PORT) {
+            const reply = encodePacket({ id: packet.id, flags: RESPONSE_FLAGS, questions: packet.questions, answers, additionals });
+            entry.socket.send(reply, rinfo.port, rinfo.address);
+            return;
+        }
+        this.send(encodePacket({ flags: RESPONSE_FLAGS, answers, additionals }));
+    }
+
+    /**
+     * Another device probing for the same name at the same time: the one whose SRV
+     * record sorts later keeps it (RFC 6762 section 8.2), and this one waits a second
+     * and probes again, when the winner's answer will make it rename.
+     */
+    handleProbe(packet) {
+        if (!packet.questions.some(q => sameName(q.name, this.instanceName))) return;
+        const theirs = packet.authorities.find(r => r.type === TYPE.SRV && sameName(r.name, this.instanceName) && r.data);
+        if (!theirs || this.isOwnService(theirs.data)) return;
+        const ours = this.serviceRecords().find(r => r.type === TYPE.SRV);
+        if (Buffer.compare(encodeRdata(ours), encodeRdata(theirs)) < 0) this.probe(PROBE_RETRY_DELAY);
+    }
+
+    // Only this service's records are kept, and the addresses of the hosts its instances are on
+    isServiceRecord(record) {
+        const name = record.name.toLowerCase();
+        const service = this.serviceName.toLowerCase();
+        if (record.type === TYPE.PTR) return name === service;
+        if (record.type === TYPE.SRV || record.type === TYPE.TXT) return name.endsWith(`.${service}`);
+        return false;
+    }
+
+    serviceHosts() {
+        const hosts = new Set();
+        for (const [key, entries] of this.cache) {
+            if (!key.startsWith(`${TYPE.SRV}:`)) continue;
+            for (const entry of entries) hosts.add(entry.data.target.toLowerCase());
+        }
+        return hosts;
+    }
+
+    // A goodbye (ttl 0) removes just the record it names; one service PTR name holds every instance
+    cacheRecord(record, now) {
+        const key = `${record.type}:${record.name.toLowerCase()}`;
+        const entries = (this.cache.get(key) || []).filter(e => e.expiresAt > now && JSON.stringify(e.data) !== JSON.stringify(record.data));
+        if (record.ttl > 0) entries.push({ data: record.data, expiresAt: now + record.ttl * 1000 });
+        if (entries.length) this.cache.set(key, entries);
+        else this.cache.delete(key);
+    }
+
+    // Drop expired records, then addresses of hosts no instance points at any more
+    pruneCache() {
+        const now = Date.now();
+        for (const [key, entries] of this.cache) {
+            const live = entries.filter(e => e.expiresAt > now);
+            if (live.length) this.cache.set(key, live);
+            else this.cache.delete(key);
+        }
+        const hosts = this.serviceHosts();
+        for (const key of this.cache.keys()) {
+            const separator = key.indexOf(':');
+            const type = Number(key.slice(0, separator));
+            if ((type === TYPE.A || type === TYPE.AAAA) && !hosts.has(key.slice(separator + 1))) this.cache.delete(key);
+        }
+    }
+
+    handleResponse(packet, rinfo) {
+        const now = Date.now();
+        const instances = new Set();
+        const records = packet.records.filter(record => record.data !== null);
+        const taken = records.some(record => record.type === TYPE.SRV && record.ttl > 0
+            && sameName(record.name, this.instanceName) && !this.isOwnService(record.data));
+        if (taken) this.rename();
+
+        for (const record of records) {
+            if (!this.isServiceRecord(record)) continue;
+            this.cacheRecord(record, now);
+            if (record.type === TYPE.PTR) instances.add(record.data);
+            else instances.add(record.name);
+        }
+        // Addresses come after the SRV records in a response, but check against all of them
+        const hosts = this.serviceHosts();
+        for (const record of records) {
+            if ((record.type === TYPE.A || record.type === TYPE.AAAA) && hosts.has(record.name.toLowerCase())) {
+                this.cacheRecord(record, now);
+            }
+        }
+
+        for (const instance of instances) {
+            if (sameName(instance, this.instanceName)) continue;
+            const srv = this.cached(TYPE.SRV, instance)[0];
+            const txt = this.cached(TYPE.TXT, instance)[0];
+            // Our own announcements under a name we've since given up
+            if (srv && this.isOwnService(srv)) continue;
+            if (!srv || !txt) {
+                // Heard of it but not how to reach it; ask the instance directly
+                this.send(encodePacket({ questions: [{ name: instance, type: TYPE.SRV }, { name: instance, type: TYPE.TXT }] }));
+                continue;
+            }
+            const addresses = [...this.cached(TYPE.A, srv.target), ...this.cached(TYPE.AAAA, srv.target)];
+            this.onService({
+                instance: instance.slice(0, -(this.serviceName.length + 1)),
+                address: rinfo.address,
+                port: srv.port,
+                txt,
+                addresses
+            });
+        }
+    }
+
+    cached(type, name) {
+        const now = Date.now();
+        return (this.cache.get(`${type}:${name.toLowerCase()}`) || []).filter(e => e.expiresAt > now).map(e => e.data);
+    }
+}
+
+module.exports = MdnsDiscovery;
+module.exports.TYPE = TYPE;
+module.exports.encodePacket = encodePacket;
+module.exports.decodePacket = decodePacket;
@@ -1,27 +1,460 @@
 const dgram = require('dgram');
 const net = require('net');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const { pipeline, Transform } = require('stream');
+const { pipeline, PassThrough, Transform, Writable } = require('stream');
+const { EventEmitter, once } = require('events');
+const secureChannel = require('./secureChannel');
+const { PROTOCOL_VERSION, MessageType, encodeMessage, parsePayload, createMessageDecoder } = require('./transferProtocol');
+const Identity = require('./identity');
+const TransferRules = require('./transferRules');
+const partialFiles = require('./partialFiles');
+const fileTree = require('./fileTree');
+const TransferSettings = require('./transferSettings');
+const compression = require('./compression');
+const delta = require('./delta');
+const TransferHistory = require('./transferHistory');
+const BandwidthLimiter = require('./bandwidthLimiter');
+const PausedTransfers = require('./pausedTransfers');
+const SharedFolders = require('./sharedFolders');
+const MdnsDiscovery = require('./mdns');
+const PeerPresence = require('./peerPresence');
+const AddressBook = require('./addressBook');
+const { version: APP_VERSION } = require('./package.json');
 
 const DISCOVERY_PORT = 9000;
+// Advertised over multicast DNS as well, for networks that drop broadcasts
+const MDNS_SERVICE_TYPE = '_safeshare._tcp';
+// IPv6 has no broadcast; peers announce to this link-local multicast group on each interface instead
+const DISCOVERY_GROUP_V6 = 'ff02::5afe';
 const TRANSFER_PORT = 9001;
 const BROADCAST_INTERVAL = 1000;
+// How often peers' silence is checked against the presence settings, and how long a direct check may take
+const PRESENCE_CHECK_INTERVAL = 2000;
+const PROBE_TIMEOUT = 1500;
+// How long each of a peer's addresses gets to answer before the next one is tried
+const CONNECT_TIMEOUT = 3000;
+// How often the address book is probed, and how many of its addresses are tried at once
+const ADDRESS_BOOK_INTERVAL = 30000;
+const PROBE_BATCH_SIZE = 15;
+// The fallback subnet scan covers at most the 1022 hosts of a /22 per interface
+const MIN_SCAN_PREFIX = 22;
+const ENCRYPTION_LABEL = `${secureChannel.KEY_EXCHANGE} + ${secureChannel.CIPHER_LABEL}`;
+const OFFER_RESPONSE_TIMEOUT = 60000;
+// A signed request to resume a transfer or use a shared folder is only honoured this soon after it was made
+const SIGNED_REQUEST_MAX_AGE = 60000;
+// Browsing a share is one request and one answer; a peer that takes longer is given up on
+const SHARE_REQUEST_TIMEOUT = 10000;
+// The first manifest of a large share hashes every file in it
+const SYNC_MANIFEST_TIMEOUT = 10 * 60 * 1000;
+const ACCEPTED_OFFER_TTL = 60 * 60 * 1000;
+const INTEGRITY_ALGORITHM = 'sha256';
+const QUARANTINE_DIR = 'Quarantine';
+const PROGRESS_INTERVAL = 500;
+// The offer carries the whole batch manifest, so it may be far larger than other handshake lines
+const MAX_OFFER_SIZE = 32 * 1024 * 1024;
+const MAX_BATCH_FILES = 1000000;
+const MAX_PROMPT_FILES = 100;
+// While a transfer is paused each side sends a keep-alive this often, and gives up
+// on a peer it hasn't heard from in PAUSED_PEER_TIMEOUT
+const KEEPALIVE_INTERVAL = 2000;
+const PAUSED_PEER_TIMEOUT = 15000;
+// Socket failures worth reconnecting for; the receiver keeps the partial file
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH', 'ERR_STREAM_PREMATURE_CLOSE'];
+
+// Holds each chunk back long enough to keep outgoing data under the limiter's caps for `scope`
+function createThrottleTransform(limiter, scope) {
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            const delay = limiter.delayFor(chunk.length, scope);
+            if (delay > 0) {
+                setTimeout(() => callback(null, chunk), delay);
+            } else {
+                callback(null, chunk);
+            }
+        }
+    });
+}
+
+// Calls `emit` at most every PROGRESS_INTERVAL ms with the running speed in MB/s
+function createProgressThrottle(emit) {
+    let lastUpdate = Date.now();
+    let lastBytes = 0;
+    return (transferred, force = false) => {
+        const now = Date.now();
+        const delta = now - lastUpdate;
+        if (!force && delta < PROGRESS_INTERVAL) return;
+        const speed = delta > 0 ? ((transferred - lastBytes) / (delta / 1000)) / (1024 * 1024) : 0;
+        emit(Number(speed.toFixed(2)));
+        lastUpdate = now;
+        lastBytes = transferred;
+    };
+}
+
+// Coalesces per-file completion events so a batch of thousands of small files
+// doesn't flood the renderer with one IPC message each
+function createCompletionReporter(emit, interval = 250) {
+    let queued = [];
+    let timer = null;
+
+    const flush = () => {
+        clearTimeout(timer);
+        timer = null;
+        if (queued.length === 0) return;
+        const files = queued;
+        queued = [];
+        const last = files[files.length - 1];
+        emit({
+            ...last,
+            filenames: files.map(f => f.filename),
+            checksum: files.length === 1 ? last.checksum : undefined,
+            // Files that were renamed, replaced or skipped because the name was taken
+            conflicts: files.filter(f => f.conflict).map(f => ({ filename: f.filename, savedAs: f.savedAs, conflict: f.conflict })),
+            // Files sent as a delta against the receiver's older copy, with how much of them crossed the wire
+            deltas: files.filter(f => f.delta).map(f => ({ filename: f.filename, ...f.delta }))
+        });
+    };
+
+    return {
+        add(file) {
+            queued.push(file);
+            if (!timer) timer = setTimeout(flush, interval);
+        },
+        flush
+    };
+}
 
-// Helper to create a progress transform stream
-function createProgressTransform(onProgress) {
-    let transferred = 0;
+/**
+ * Pause state shared by both ends of one connection. `sendMessage(type)` writes a
+ * control message to the peer, `onChange(paused, by)` fires when either side
+ * pauses or resumes ('local' or 'peer'), and `onSilent()` when a paused peer
+ * stops sending keep-alives. Writers wait on `whenRunning()` before each chunk.
+ */
+function createPauseControl(sendMessage, onChange, onSilent) {
+    let paused = false;
+    let stopped = false;
+    let waiters = [];
+    let keepAliveTimer = null;
+    let lastHeard = Date.now();
+
+    const update = (value, by) => {
+        if (value === paused) return false;
+        paused = value;
+        if (paused) {
+            lastHeard = Date.now();
+            keepAliveTimer = setInterval(() => {
+                sendMessage(MessageType.KEEPALIVE);
+                if (Date.now() - lastHeard > PAUSED_PEER_TIMEOUT) onSilent();
+            }, KEEPALIVE_INTERVAL);
+        } else {
+            clearInterval(keepAliveTimer);
+            keepAliveTimer = null;
+            waiters.forEach(resolve => resolve());
+            waiters = [];
+        }
+        onChange(paused, by);
+        return true;
+    };
+
+    return {
+        get paused() {
+            return paused;
+        },
+        // Pause or resume from this end and tell the peer
+        set(value) {
+            if (!update(value, 'local')) return false;
+            sendMessage(value ? MessageType.PAUSE : MessageType.RESUME);
+            return true;
+        },
+        // Handle a message from the peer; returns true if it was a control message
+        receive(message) {
+            lastHeard = Date.now();
+            if (message.type === MessageType.PAUSE) update(true, 'peer');
+            else if (message.type === MessageType.RESUME) update(false, 'peer');
+            return [MessageType.PAUSE, MessageType.RESUME, MessageType.KEEPALIVE].includes(message.type);
+        },
+        whenRunning() {
+            return paused && !stopped ? new Promise(resolve => waiters.push(resolve)) : Promise.resolve();
+        },
+        // The connection is gone; let any waiting writer run into the closed stream
+        stop() {
+            stopped = true;
+            clearInterval(keepAliveTimer);
+            keepAliveTimer = null;
+            waiters.forEach(resolve => resolve());
+            waiters = [];
+        }
+    };
+}
+
+// Passes chunks straight through after showing each one to `onChunk`
+function createTapTransform(onChunk) {
     return new Transform({
         transform(chunk, encoding, callback) {
-            transferred += chunk.length;
-            onProgress(transferred);
-            this.push(chunk);
-            callback();
+            try {
+                onChunk(chunk);
+                callback(null, chunk);
+            } catch (e) {
+                callback(e);
+            }
+        }
+    });
+}
+
+// Read [start, end) of a file, showing the raw bytes to `onChunk` before they're compressed.
+// `throttle`, if given, paces the bytes as they'll go out on the wire.
+function createFileSource(filePath, start, end, algorithm, onChunk, throttle) {
+    const streams = [fs.createReadStream(filePath, { start, end: end - 1 }), createTapTransform(onChunk)];
+    if (algorithm) streams.push(compression.createCompressStream(algorithm, end - start));
+    if (throttle) streams.push(throttle);
+    pipeline(...streams, () => { });
+    return streams[streams.length - 1];
+}
+
+// Where the bytes of one file (or one range of it) land on the receiver: decompressed if need be,
+// then written at `start` without ever going past `end`. `onWritten` sees each chunk once it's on disk.
+function createFileSink(handle, start, end, algorithm, onWritten) {
+    let position = start;
+    const writer = new Writable({
+        write(chunk, encoding, callback) {
+            if (position + chunk.length > end) {
+                return callback(new Error('Sender sent more data than announced'));
+            }
+            handle.write(chunk, 0, chunk.length, position).then(() => {
+                position += chunk.length;
+                onWritten(chunk);
+                callback();
+            }, callback);
+        }
+    });
+    const input = algorithm ? compression.createDecompressStream(algorithm) : new PassThrough();
+    const done = new Promise((resolve, reject) => {
+        pipeline(input, writer, err => (err ? reject(err) : resolve()));
+    });
+    done.catch(() => { });
+    return { input, done };
+}
+
+// Write one payload into a sink, waiting if it's backed up and surfacing any error it hit
+async function feedSink(sink, payload) {
+    if (sink.input.destroyed) await sink.done;
+    if (!sink.input.write(payload)) {
+        await Promise.race([once(sink.input, 'drain'), sink.done]);
+    }
+}
+
+// Feed the first `length` bytes of a file into a hash, used when a transfer resumes mid-file
+function hashFilePrefix(hash, filePath, length) {
+    return new Promise((resolve, reject) => {
+        if (length <= 0) return resolve(hash);
+        fs.createReadStream(filePath, { start: 0, end: length - 1 })
+            .on('data', chunk => hash.update(chunk))
+            .on('error', reject)
+            .on('end', () => resolve(hash));
+    });
+}
+
+// Reads a single newline-terminated JSON message off the socket. Any bytes that
+// arrived after the newline are unshifted back so the next consumer sees them.
+function readJsonLine(socket, maxLength = 65536) {
+    return new Promise((resolve, reject) => {
+        // Offers can carry a large manifest, so collect chunks instead of re-concatenating each time
+        const chunks = [];
+        let length = 0;
+
+        const cleanup = () => {
+            socket.removeListener('data', onData);
+            socket.removeListener('close', onClose);
+        };
+
+        const onData = (chunk) => {
+            const newlineIndex = chunk.indexOf('\n');
+            if (newlineIndex === -1) {
+                chunks.push(chunk);
+                length += chunk.length;
+                if (length > maxLength) {
+                    cleanup();
+                    socket.destroy();
+                    reject(new Error('Handshake message too large'));
+                }
+                return;
+            }
+
+            cleanup();
+            // Important: Pause before unshifting so nothing is emitted until the next consumer attaches
+            socket.pause();
+            const remainingData = chunk.subarray(newlineIndex + 1);
+            if (remainingData.length > 0) {
+                socket.unshift(remainingData);
+            }
+
+            chunks.push(chunk.subarray(0, newlineIndex));
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString()));
+            } catch (e) {
+                reject(new Error('Malformed handshake message'));
+            }
+        };
+
+        const onClose = () => {
+            cleanup();
+            const err = new Error('Connection closed during handshake');
+            err.code = 'ECONNRESET';
+            err.empty = chunks.length === 0;
+            reject(err);
+        };
+
+        socket.on('data', onData);
+        socket.on('close', onClose);
+        // A previous readJsonLine may have paused the socket
+        socket.resume();
+    });
+}
+
+// What each side signs with its identity key during the handshake. Binding the
+// ephemeral keys means a signature can't be lifted into a different session.
+function offerSignaturePayload(offer) {
+    const fields = ['safeshare-offer', offer.protocol, offer.transferId, offer.senderName, offer.encryption.publicKey,
+        offer.integrity, JSON.stringify(offer.compression || []), JSON.stringify(offer.manifest)];
+    // Only sync offers carry the share they write into, so older signatures still check out
+    if (offer.sync) fields.push(JSON.stringify(offer.sync));
+    return fields.join('|');
+}
+
+function acceptSignaturePayload(transferId, offerKey, reply) {
+    const fields = ['safeshare-accept', reply.protocol, transferId, reply.name, offerKey, reply.encryption.publicKey,
+        reply.compression || '', JSON.stringify(reply.resume || {}), JSON.stringify(reply.skip || []),
+        JSON.stringify(reply.existing || {})];
+    // Only replies offering deltas list them, so older signatures still check out
+    if (reply.delta) fields.push(JSON.stringify(reply.delta));
+    return fields.join('|');
+}
+
+// Refuse an offer with a reason the sender can show, then abandon the handshake
+function rejectOffer(socket, reason) {
+    if (!socket.destroyed) socket.end(JSON.stringify({ type: 'reject', reason }) + '\n');
+    throw new Error(reason);
+}
+
+/**
+ * Check a batch manifest from a peer and resolve where each file will land.
+ * Entries must be in index order with sane sizes, and every path must stay
+ * inside the downloads folder; one bad entry refuses the whole batch. Paths
+ * differing only in case count as the same file, as they are on Windows and macOS.
+ */
+function validateManifest(manifest, baseDir) {
+    if (!manifest || !Array.isArray(manifest.files) || manifest.files.length === 0) {
+        throw new Error('Offer has no files');
+    }
+    if (manifest.files.length > MAX_BATCH_FILES) {
+        throw new Error('Offer has too many files');
+    }
+
+    const seen = new Set();
+    return manifest.files.map((entry, index) => {
+        if (!entry || entry.index !== index || !Number.isSafeInteger(entry.size) || entry.size < 0) {
+            throw new Error('Offer has a malformed file entry');
         }
+        const target = fileTree.resolveSafePath(baseDir, entry.relativePath || entry.name);
+        const key = target.fullPath.toLowerCase();
+        if (seen.has(key)) {
+            throw new Error(`Offer lists "${target.relativePath}" more than once`);
+        }
+        seen.add(key);
+        return {
+            index,
+            relativePath: target.relativePath,
+            fullPath: target.fullPath,
+            size: entry.size,
+            modified: Number.isSafeInteger(entry.modified) ? entry.modified : undefined
+        };
     });
 }
 
+function resumeSignaturePayload(request) {
+    return ['safeshare-resume', request.protocol, request.transferId, request.name, request.requestedAt].join('|');
+}
+
+function shareSignaturePayload(request) {
+    return ['safeshare-share', request.protocol, request.requestId, request.name, request.requestedAt,
+        request.encryption.publicKey].join('|');
+}
+
+function shareAcceptSignaturePayload(requestId, requestKey, reply) {
+    return ['safeshare-share-accept', reply.protocol, requestId, reply.name, requestKey, reply.encryption.publicKey].join('|');
+}
+
+function joinSignaturePayload(join) {
+    return ['safeshare-join', join.protocol, join.transferId, join.index, join.start, join.end,
+        join.encryption.publicKey].join('|');
+}
+
+// Split [start, end) into up to `count` contiguous ranges of roughly equal size
+function splitRanges(start, end, count) {
+    const step = Math.ceil((end - start) / count);
+    const ranges = [];
+    for (let rangeStart = start; rangeStart < end; rangeStart += step) {
+        ranges.push({ start: rangeStart, end: Math.min(end, rangeStart + step) });
+    }
+    return ranges;
+}
+
+// Ranges must tile [offset, size) exactly, in order
+function validateRanges(ranges, offset, size) {
+    if (!Array.isArray(ranges) || ranges.length === 0 || ranges.length > TransferSettings.MAX_PARALLEL_STREAMS) {
+        throw new Error('Sender announced an invalid set of ranges');
+    }
+    let expected = offset;
+    for (const range of ranges) {
+        if (!range || range.start !== expected || !Number.isSafeInteger(range.end) || range.end <= range.start) {
+            throw new Error('Sender announced an invalid set of ranges');
+        }
+        expected = range.end;
+    }
+    if (expected !== size) {
+        throw new Error('Sender announced an invalid set of ranges');
+    }
+}
+
+// Bytes of a file that are safely on disk from the start; with ranges that's up to the first gap
+function resumableBytes(file) {
+    if (!file.parallel) return file.received;
+    let position = file.offset;
+    for (const range of file.parallel.ranges) {
+        position = range.start + range.received;
+        if (range.received < range.end - range.start) break;
+    }
+    return position;
+}
+
+function markRetryable(err) {
+    if (err && RETRYABLE_CODES.includes(err.code)) err.retryable = true;
+    return err;
+}
+
+// How a finished transfer is filed in the history
+function historyOutcome(err, corruptedCount = 0) {
+    if (err) {
+        if (err.code === 'TRANSFER_CANCELLED') return 'cancelled';
+        if (err.code === 'TRANSFER_DECLINED') return 'declined';
+        return 'failed';
+    }
+    return corruptedCount > 0 ? 'corrupted' : 'completed';
+}
+
+// How a batch treats names that are already taken: the rules' policy, or the user's pick if it's 'ask'
+function resolveConflictAction(policy, decision) {
+    if (policy !== 'ask') return policy;
+    return ['rename', 'overwrite', 'skip'].includes(decision.conflictAction) ? decision.conflictAction : 'rename';
+}
+
+// A saved file's path relative to the downloads folder, in the manifest's POSIX form
+function toRelativePath(baseDir, fullPath) {
+    return path.relative(baseDir, fullPath).split(path.sep).join('/');
+}
+
 function ipToLong(ip) {
     const parts = ip.split('.');
     return ((parts[0] << 24) | (parts[1] << 16) | (parts[2] << 8) | parts[3]) >>> 0;
@@ -36,17 +469,142 @@ function longToIp(long) {
     ].join('.');
 }
 
-class NetworkManager {
-    constructor(mainWindow, app) {
-        this.mainWindow = mainWindow;
-        this.app = app;
+// Prefix length of an IPv4 netmask such as 255.255.252.0
+function netmaskBits(netmask) {
+    let mask = ipToLong(netmask);
+    let bits = 0;
+    while (mask & 0x80000000) {
+        bits++;
+        mask = (mask << 1) >>> 0;
+    }
+    return bits;
+}
+
+// The TCP server is dual-stack, so IPv4 peers connect as "::ffff:192.168.1.5"
+function normalizeAddress(address) {
+    if (address && address.startsWith('::ffff:') && net.isIPv4(address.slice(7))) return address.slice(7);
+    return address;
+}
+
+// Link-local IPv6 addresses carry the interface they were reached on, as in "fe80::1%eth0"
+function stripZone(address) {
+    return address.split('%')[0];
+}
+
+// The zone naming an interface in a scoped address: its name, or its index on Windows
+function interfaceZone(name, iface) {
+    return process.platform === 'win32' ? String(iface.scopeid) : name;
+}
+
+// The device id a peer sent, if it's the one its identity key gives; older versions don't send one
+function deviceIdOf(data, publicKey) {
+    const id = data && data.deviceId;
+    if (typeof id !== 'string' || typeof publicKey !== 'string') return null;
+    return id.toLowerCase() === Identity.deviceIdFor(publicKey) ? id.toLowerCase() : null;
+}
+
+// Lower is better: IPv4 on one of our own subnets, other IPv4, routable IPv6, then link-local IPv6
+function addressRank(address) {
+    const plain = stripZone(address);
+    if (!net.isIPv4(plain)) return /^fe[89ab]/i.test(plain) ? 3 : 2;
+    for (const addrs of Object.values(os.networkInterfaces())) {
+        for (const iface of addrs) {
+            if (iface.family !== 'IPv4' || iface.internal) continue;
+            const mask = ipToLong(iface.netmask);
+            if ((ipToLong(iface.address) & mask) === (ipToLong(plain) & mask)) return 0;
+        }
+    }
+    return 1;
+}
+
+// Connect to the transfer port at one address, giving up after `timeout` ms
+function connectTo(address, socketOptions, timeout) {
+    return new Promise((resolve, reject) => {
+        const socket = new net.Socket(socketOptions);
+        const onError = (err) => {
+            socket.destroy();
+            reject(err);
+        };
+        const onTimeout = () => onError(Object.assign(new Error(`No answer from ${address}`), { code: 'ETIMEDOUT' }));
+        socket.setTimeout(timeout);
+        socket.once('error', onError);
+        socket.once('timeout', onTimeout);
+        socket.connect(TRANSFER_PORT, address, () => {
+            socket.removeListener('error', onError);
+            socket.removeListener('timeout', onTimeout);
+            socket.setTimeout(0);
+            resolve(socket);
+        });
+    });
+}
+
+// Everything the core reports, for whoever shows it: the desktop window forwards
+// these to the renderer, the command line prints them
+const EVENTS = [
+    'peer-discovered',
+    'peer-updated',
+    'peer-lost',
+    'peer-key-changed',
+    'address-book-updated',
+    'discovery-status',
+    'transfer-offer',
+    'transfer-offer-cancelled',
+    'transfer-progress',
+    'transfer-paused',
+    'transfer-complete',
+    'transfer-error'
+];
+
+/**
+ * Discovery and transfers, with no UI of its own. `dataDir` holds the identity
+ * and every persisted store; incoming files go to `downloadsDir`. Progress and
+ * discoveries are emitted as EVENTS. Offers that no rule decides are emitted as
+ * 'transfer-offer' and answered with respondToOffer(); with nobody listening
+ * for them, they are declined.
+ */
+class NetworkManager extends EventEmitter {
+    constructor({ dataDir, downloadsDir }) {
+        super();
         this.udpSocket = null;
+        this.udp6Socket = null;
+        this.udp6Bound = false;
+        this.mdns = null;
+        this.presenceTimer = null;
+        this.addressBookTimer = null;
+        // The address book round in progress, so rounds never overlap
+        this.addressBookProbe = null;
+        // Quiet peers being checked directly right now, by peer id
+        this.probing = new Set();
+        // Interfaces whose IPv6 discovery group has been joined; ones that come up later are joined as they appear
+        this.joinedGroups = new Set();
         this.tcpServer = null;
+        this.tcpServerListening = null;
         this.peers = new Map();
         this.activeTransfers = new Map();
         this.isScanning = false;
         this.broadcastTimer = null;
-        this.downloadsDir = path.join(this.app.getPath('downloads'), 'EtherLink');
+        this.downloadsDir = downloadsDir;
+        this.identity = new Identity(dataDir);
+        this.transferRules = new TransferRules(dataDir);
+        this.transferSettings = new TransferSettings(dataDir);
+        this.history = new TransferHistory(dataDir);
+        this.bandwidth = new BandwidthLimiter(dataDir);
+        this.pausedTransfers = new PausedTransfers(dataDir);
+        this.presence = new PeerPresence(dataDir);
+        this.addressBook = new AddressBook(dataDir);
+        this.sharedFolders = new SharedFolders(dataDir);
+        // Set by the owner of the send queue: ({ transferId, publicKey, peerIP }) => whether a
+        // paused send to that peer was found and resumed
+        this.onResumeRequest = null;
+        // Set by the owner of the send queue: ({ transferId, peerIP, peerId, peerKey, peerName, share, files }) queues
+        // the files a peer pulled from one of our shares, sending them back under transferId
+        this.onPullRequest = null;
+        // Pulls we asked a peer for, keyed by transferId, so their offers go through without asking
+        this.expectedPulls = new Map();
+        this.pendingOffers = new Map();
+        this.acceptedOffers = new Map();
+        // Large incoming files being filled by extra range connections, keyed by "transferId|index"
+        this.parallelFiles = new Map();
 
         if (!fs.existsSync(this.downloadsDir)) {
             try {
@@ -72,109 +630,745 @@ class NetworkManager {
         return this.downloadsDir;
     }
 
-    async sendFile(transferId, peerIP, filePath) {
-        return new Promise((resolve, reject) => {
-            const fileName = path.basename(filePath);
-            const socket = new net.Socket();
-            let transferFinished = false;
+    getIdentity() {
+        return { name: os.hostname(), ...this.identity.describe() };
+    }
+
+    trustPeer(name, publicKey) {
+        const result = this.identity.trustPeer(name, publicKey);
 
-            if (!fs.existsSync(filePath)) {
-                return reject(new Error('File not found'));
+        // Refresh any discovered entries for this peer so the UI drops its warning
+        for (const peer of this.peers.values()) {
+            if (peer.name === name && peer.publicKey === publicKey) {
+                Object.assign(peer, { trust: result.trust, fingerprint: result.fingerprint });
+                this.emit('peer-discovered', peer);
             }
+        }
+        return result;
+    }
+
+    /**
+     * Check a handshake signature and the peer's key against our trust store.
+     * Throws if the signature is bad or the name was last seen with another key.
+     * Nothing is recorded until the handshake has gone through.
+     */
+    verifyPeerIdentity(name, peerIdentity, payload, peerIP) {
+        if (!peerIdentity || !peerIdentity.publicKey || !peerIdentity.signature) {
+            throw new Error('Peer did not sign the handshake');
+        }
+        if (!Identity.verify(payload, peerIdentity.signature, peerIdentity.publicKey)) {
+            throw new Error('Peer handshake signature is invalid');
+        }
 
-            const stats = fs.statSync(filePath);
-            const fileSize = stats.size;
-            let lastUpdate = Date.now();
-            let lastBytes = 0;
+        const check = this.identity.checkPeer(name, peerIdentity.publicKey);
+        if (check.trust === 'changed') {
+            this.emit('peer-key-changed', { ...check, ip: peerIP });
+            throw new Error(`Identity key for ${name} has changed. Verify the new key before transferring.`);
+        }
+        return check;
+    }
+
+    /**
+     * Decide whether to accept an incoming offer: later files of an already
+     * accepted batch go straight through, then the persisted rules, then the user.
+     */
+    async reviewOffer(offer, socket) {
+        const cacheKey = `${offer.transferId}|${offer.publicKey || offer.peerIP}`;
+        if (this.acceptedOffers.has(cacheKey)) {
+            return { accept: true, conflictAction: this.acceptedOffers.get(cacheKey).conflictAction };
+        }
+        // A batch that was accepted and then paused picks up again without asking
+        const paused = this.pausedTransfers.get(offer.transferId);
+        if (paused && offer.publicKey && paused.publicKey === offer.publicKey) {
+            return { accept: true, conflictAction: paused.conflictAction };
+        }
+        // So does a batch we pulled from the peer's shared folders ourselves
+        const pull = this.expectedPulls.get(offer.transferId);
+        if (pull && offer.publicKey && pull.publicKey === offer.publicKey) {
+            return { accept: true, conflictAction: pull.baseDir ? 'overwrite' : undefined };
+        }
+
+        const verdict = this.transferRules.evaluate(offer);
+        const decision = verdict.action === 'ask'
+            ? await this.promptForOffer(offer, socket)
+            : { accept: verdict.action === 'accept', reason: verdict.reason };
+
+        if (decision.accept) {
+            const now = Date.now();
+            for (const [key, accepted] of this.acceptedOffers) {
+                if (now - accepted.acceptedAt > ACCEPTED_OFFER_TTL) this.acceptedOffers.delete(key);
+            }
+            this.acceptedOffers.set(cacheKey, { acceptedAt: now, conflictAction: decision.conflictAction });
+        }
+        return decision;
+    }
+
+    promptForOffer(offer, socket) {
+        return new Promise((resolve) => {
+            if (this.listenerCount('transfer-offer') === 0) {
+                return resolve({ accept: false, reason: 'Receiver is not available to approve transfers' });
+            }
+
+            const finish = (decision) => {
+                clearTimeout(timer);
+                socket.removeListener('close', onClose);
+                this.pendingOffers.delete(offer.transferId);
+                resolve(decision);
+            };
+            const withdraw = (reason) => {
+                this.emit('transfer-offer-cancelled', { transferId: offer.transferId, reason });
+                finish({ accept: false, reason });
+            };
+
+            const timer = setTimeout(() => withdraw('Receiver did not respond to the transfer offer'), OFFER_RESPONSE_TIMEOUT);
+            const onClose = () => withdraw('Sender disconnected');
+            socket.once('close', onClose);
+
+            this.pendingOffers.set(offer.transferId, { offer, finish });
+            // A batch can list far more files than anyone will read, so only the first few cross IPC
+            this.emit('transfer-offer', {
+                ...offer,
+                files: offer.files.slice(0, MAX_PROMPT_FILES),
+                fileCount: offer.files.length,
+                expiresAt: Date.now() + OFFER_RESPONSE_TIMEOUT
+            });
+        });
+    }
+
+    respondToOffer(transferId, accept, options = {}) {
+        const pending = this.pendingOffers.get(transferId);
+        if (!pending) return false;
+
+        if (accept && options.alwaysAccept) {
+            this.transferRules.addAlwaysAccept(pending.offer);
+        }
+        pending.finish(accept
+            ? { accept: true, conflictAction: options.conflictAction }
+            : { accept: false, reason: 'Transfer declined by receiver' });
+        return true;
+    }
+
+    getTransferHistory(options) {
+        return this.history.list(options);
+    }
+
+    clearTransferHistory() {
+        this.history.clear();
+    }
+
+    // What discovery told us about a device we never completed a handshake with
+    describeAnnouncedPeer(ip) {
+        const peer = this.findPeer(ip) || {};
+        return {
+            name: peer.name || null,
+            ip,
+            deviceId: peer.deviceId || null,
+            publicKey: peer.publicKey || null,
+            fingerprint: peer.fingerprint || null,
+            trust: peer.trust || 'unverified'
+        };
+    }
+
+    // A history write must never take a transfer down with it
+    recordHistory(entry) {
+        try {
+            this.history.record(entry);
+        } catch (e) {
+            console.error('Failed to record transfer history:', e);
+        }
+    }
+
+    // Single-file convenience wrapper around sendBatch
+    async sendFile(transferId, peerIP, filePath, options = {}) {
+        return this.sendBatch(transferId, peerIP, [{ path: filePath, relativePath: options.relativePath }], options);
+    }
+
+    /**
+     * Send a batch of files over one connection. `files` are { path, relativePath? };
+     * relativePath is set for files picked from inside a folder, e.g. "project/src/index.js".
+     * `options.onFileComplete(file)` fires as the receiver acknowledges each file, so a
+     * retried batch only needs to send what hasn't arrived yet. `options.onPauseChange(paused, peerKey)`
+     * fires when either end pauses or resumes the connection, and `options.isPaused()` is
+     * checked once it's up, for a pause asked for while connecting. `options.peerId` is
+     * the receiver's device id, so its other addresses are tried if `peerIP` doesn't answer,
+     * and `options.peerKey` its identity key: a device answering with any other is refused.
+     * `options.onConnected(address)` is told which address answered.
+     */
+    async sendBatch(transferId, peerIP, files, options = {}) {
+        const entries = [];
+        for (const file of files) {
+            if (!fs.existsSync(file.path)) {
+                console.error(`Skipping missing file ${file.path}`);
+                continue;
+            }
+            const stats = fs.statSync(file.path);
+            entries.push({
+                file,
+                index: entries.length,
+                name: path.basename(file.path),
+                relativePath: file.relativePath || path.basename(file.path),
+                size: stats.size,
+                // Lets the receiver tell whether a partial copy it holds is still this file
+                modified: Math.floor(stats.mtimeMs)
+            });
+        }
+        if (entries.length === 0) {
+            throw new Error('File not found');
+        }
+
+        const startedAt = Date.now();
+        return new Promise((resolve, reject) => {
+            let socket = null;
+            // streamBatch fills in the peer and byte counts as the handshake and transfer progress
+            const channel = { outgoing: null, rangeSockets: new Set(), peer: null, algorithm: null, sent: 0, wire: 0, pause: null };
+            let finished = false;
+
+            const finish = (err, result) => {
+                if (finished) return;
+                finished = true;
+                this.activeTransfers.delete(transferId);
+                // A paused transfer that lost its connection isn't over; it's recorded once it finishes
+                const pausedDrop = err && channel.pause && channel.pause.paused && err.code !== 'TRANSFER_CANCELLED';
+                if (channel.pause) channel.pause.stop();
+                if (!pausedDrop) this.recordHistory({
+                    id: transferId,
+                    direction: 'sent',
+                    peer: channel.peer || this.describeAnnouncedPeer(peerIP),
+                    files: entries.map(e => ({
+                        name: e.relativePath,
+                        size: e.size,
+                        sha256: e.checksum || null,
+                        status: e.status || 'pending',
+                        path: e.file.path
+                    })),
+                    totalSize: entries.reduce((sum, e) => sum + e.size, 0),
+                    bytesTransferred: channel.sent,
+                    startedAt,
+                    endedAt: Date.now(),
+                    outcome: historyOutcome(err, result && result.corrupted.length),
+                    error: err ? err.message : null,
+                    savePath: null,
+                    encryption: channel.peer ? ENCRYPTION_LABEL : null,
+                    compression: compression.describe(channel.algorithm, channel.sent, channel.wire)
+                });
+                if (err) {
+                    if (channel.outgoing) channel.outgoing.destroy(err);
+                    for (const rangeSocket of channel.rangeSockets) rangeSocket.destroy();
+                    if (socket) socket.destroy();
+                    reject(markRetryable(err));
+                } else {
+                    resolve(result);
+                }
+            };
 
             this.activeTransfers.set(transferId, {
-                socket,
-                cancel: () => {
-                    if (transferFinished) return;
-                    transferFinished = true;
+                cancel: () => finish(Object.assign(new Error('Transfer cancelled'), { code: 'TRANSFER_CANCELLED' })),
+                setPaused: (paused) => (channel.pause ? channel.pause.set(paused) : false)
+            });
+
+            // Half-open so acknowledgements can still arrive after our side has finished
+            this.connectToPeer(peerIP, options.peerId, { allowHalfOpen: true }).then(({ socket: connected, address }) => {
+                socket = connected;
+                if (finished) {
                     socket.destroy();
-                    reject(new Error('Transfer cancelled'));
+                    return;
                 }
+                if (options.onConnected) options.onConnected(address);
+                socket.setTimeout(5000);
+                socket.on('timeout', () => {
+                    const err = new Error('Transfer connection timed out');
+                    err.code = 'ETIMEDOUT';
+                    socket.destroy(err);
+                });
+                socket.on('error', (err) => {
+                    console.error('Send socket error:', err);
+                    finish(err);
+                });
+                socket.on('close', () => {
+                    const err = new Error('Connection closed before all files were acknowledged');
+                    err.code = 'ECONNRESET';
+                    finish(err);
+                });
+
+                this.streamBatch(transferId, address, socket, entries, options, channel)
+                    .then(result => finish(null, result), err => finish(err));
+            }, (err) => {
+                console.error('Send socket error:', err);
+                finish(err);
             });
+        });
+    }
+
+    async streamBatch(transferId, peerIP, socket, entries, options, channel) {
+        const keyPair = secureChannel.createKeyPair();
+        const totalSize = entries.reduce((sum, e) => sum + e.size, 0);
+        const offer = {
+            protocol: PROTOCOL_VERSION,
+            type: 'offer',
+            transferId,
+            senderName: os.hostname(),
+            // Not signed, but only taken if it's the one the signing key gives
+            deviceId: this.identity.deviceId,
+            encryption: secureChannel.describe(keyPair),
+            integrity: INTEGRITY_ALGORITHM,
+            compression: compression.offeredAlgorithms(this.transferSettings.getSettings().compression),
+            manifest: {
+                files: entries.map(e => ({
+                    index: e.index,
+                    name: e.name,
+                    relativePath: e.relativePath,
+                    size: e.size,
+                    modified: e.modified
+                })),
+                totalSize
+            }
+        };
+        if (options.sync) offer.sync = { share: options.sync.share };
+        offer.identity = {
+            publicKey: this.identity.publicKey,
+            signature: this.identity.sign(offerSignaturePayload(offer))
+        };
+        socket.write(JSON.stringify(offer) + '\n', 'utf8');
+
+        // The receiver may be waiting on its user to accept, so allow for that
+        socket.setTimeout(OFFER_RESPONSE_TIMEOUT + 5000);
+        const reply = await readJsonLine(socket);
+        socket.setTimeout(5000);
+
+        if (reply.type === 'reject') {
+            const declined = new Error(reply.reason || 'Transfer rejected by peer');
+            declined.code = 'TRANSFER_DECLINED';
+            throw declined;
+        }
+        if (reply.protocol !== PROTOCOL_VERSION || !secureChannel.isSupported(reply.encryption)) {
+            throw new Error('Peer did not negotiate a supported encrypted session');
+        }
+
+        const peerIdentity = this.verifyPeerIdentity(reply.name, reply.identity,
+            acceptSignaturePayload(transferId, keyPair.publicKey, reply), peerIP);
+
+        // The key that answered must be the one this peer announced during discovery, and the one
+        // a queued send was meant for: anyone can announce themselves at another device's id
+        const announced = this.findPeer(peerIP);
+        if (announced && announced.publicKey && announced.publicKey !== reply.identity.publicKey) {
+            throw new Error(`Device at ${peerIP} presented a different identity than it announced`);
+        }
+        if (options.peerKey && options.peerKey !== reply.identity.publicKey) {
+            throw new Error(`Device at ${peerIP} is not the one this transfer is for`);
+        }
+        // Both ends have signed, so the key is worth remembering now
+        this.identity.rememberPeer(reply.name, reply.identity.publicKey);
+
+        const algorithm = reply.compression || null;
+        if (algorithm && !offer.compression.includes(algorithm)) {
+            throw new Error('Peer chose a compression method we did not offer');
+        }
+        channel.peer = {
+            name: reply.name,
+            ip: peerIP,
+            deviceId: deviceIdOf(reply, reply.identity.publicKey),
+            publicKey: reply.identity.publicKey,
+            fingerprint: peerIdentity.fingerprint,
+            trust: peerIdentity.trust
+        };
+        channel.algorithm = algorithm;
+        // Caps follow the device that answered, whichever of its addresses it's on
+        const peerId = Identity.deviceIdFor(reply.identity.publicKey);
+
+        // Where the receiver already holds part of a file from an earlier attempt
+        const resume = reply.resume || {};
+        for (const entry of entries) {
+            const offset = resume[entry.index] || 0;
+            if (!Number.isInteger(offset) || offset < 0 || offset > entry.size) {
+                throw new Error('Peer requested an invalid resume offset');
+            }
+            entry.offset = offset;
+        }
+        // Names the receiver already has: skipped outright, or hashed so identical copies stay put
+        const skipRequested = reply.skip || [];
+        const existing = reply.existing || {};
+        if (!Array.isArray(skipRequested) || skipRequested.some(index => !entries[index]) ||
+            typeof existing !== 'object' || Object.keys(existing).some(index => !entries[index])) {
+            throw new Error('Peer asked to skip files that are not in the batch');
+        }
+        // Files the receiver holds an older copy of, which can go as a delta against it
+        const deltaOffered = reply.delta || [];
+        if (!Array.isArray(deltaOffered) || deltaOffered.some(index => !entries[index])) {
+            throw new Error('Peer offered deltas for files that are not in the batch');
+        }
+
+        const sessionKeys = secureChannel.deriveSessionKeys(keyPair, reply.encryption.publicKey, transferId, true);
+        const outgoing = secureChannel.createEncryptStream(sessionKeys.sendKey);
+        const decoder = createMessageDecoder();
+        channel.outgoing = outgoing;
+        pipeline(outgoing, socket, () => { });
+        pipeline(socket, secureChannel.createDecryptStream(sessionKeys.receiveKey), decoder, () => { });
+
+        const common = {
+            peerIP,
+            encryption: ENCRYPTION_LABEL,
+            peerFingerprint: peerIdentity.fingerprint,
+            peerTrust: peerIdentity.trust
+        };
+        const send = (channel, data) => {
+            this.emit(channel, { transferId, ...common, ...data });
+        };
+        const completions = createCompletionReporter(data => send('transfer-complete', { status: 'completed', batchFiles: entries.length, ...data }));
+
+        // The queue hears about pauses from either end, so a pause outlives this connection
+        channel.pause = createPauseControl(
+            (type) => {
+                if (!outgoing.destroyed) outgoing.write(encodeMessage(type));
+            },
+            (paused, by) => {
+                console.log(`Transfer ${transferId} ${paused ? 'paused' : 'resumed'}${by === 'peer' ? ` by ${reply.name}` : ''}`);
+                if (options.onPauseChange) options.onPauseChange(paused, channel.peer.publicKey);
+                send('transfer-paused', { paused, by, peerName: reply.name });
+            },
+            () => socket.destroy(Object.assign(new Error('Receiver stopped responding while paused'), { code: 'ETIMEDOUT' }))
+        );
+        // A pause asked for while we were still connecting takes effect now
+        if (options.isPaused && options.isPaused()) channel.pause.set(true);
+
+        // Acknowledgements arrive while later files are still streaming
+        const corrupted = [];
+        const rangeWaiters = new Map();
+        const signatureWaiters = new Map();
+        let acknowledged = 0;
+        const allAcknowledged = new Promise((resolve, reject) => {
+            decoder.on('data', (message) => {
+                if (message.type === MessageType.DELTA_SIGNATURES) {
+                    try {
+                        const signatures = delta.parseSignatures(message.payload);
+                        const onSignatures = signatureWaiters.get(signatures.index);
+                        if (onSignatures) onSignatures(signatures);
+                    } catch (e) {
+                        reject(e);
+                    }
+                    return;
+                }
+                if (channel.pause.receive(message) || message.type !== MessageType.FILE_ACK) return;
+                const ack = parsePayload(message);
+                if (ack.status === 'ready') {
+                    const onReady = rangeWaiters.get(ack.index);
+                    if (onReady) onReady();
+                    return;
+                }
+                const entry = entries[ack.index];
+                if (!entry || entry.acknowledged) return;
+                entry.acknowledged = true;
+                acknowledged++;
+
+                if (ack.status === 'skipped' && entry.skip) {
+                    entry.status = 'skipped';
+                    if (options.onFileComplete) options.onFileComplete(entry.file);
+                    completions.add({
+                        filename: entry.relativePath,
+                        conflict: entry.skip === 'identical' ? 'identical' : 'skipped',
+                        verified: entry.skip === 'identical',
+                        checksum: entry.checksum
+                    });
+                } else if (ack.status === 'verified') {
+                    entry.status = 'completed';
+                    if (options.onFileComplete) options.onFileComplete(entry.file);
+                    completions.add({
+                        filename: entry.relativePath,
+                        resumedFrom: entry.offset,
+                        verified: true,
+                        checksum: entry.checksum,
+                        compression: compression.describe(algorithm, batchSent, wireSent),
+                        delta: entry.delta
+                    });
+                } else {
+                    entry.status = 'corrupted';
+                    corrupted.push(entry.relativePath);
+                    console.error(`Receiver reported a checksum mismatch for ${entry.relativePath}`);
+                    send('transfer-error', {
+                        filename: entry.relativePath,
+                        status: 'corrupted',
+                        error: `Receiver reported a checksum mismatch for ${entry.relativePath}`,
+                        expected: entry.checksum,
+                        actual: ack[INTEGRITY_ALGORITHM]
+                    });
+                }
+
+                if (acknowledged === entries.length) resolve();
+            });
+            decoder.on('error', reject);
+            decoder.on('end', () => reject(Object.assign(new Error('Receiver closed the connection early'), { code: 'ECONNRESET' })));
+        });
+        // Don't let an early rejection go unhandled while we're still streaming
+        allAcknowledged.catch(() => { });
+
+        const write = async (type, payload) => {
+            if (!outgoing.write(encodeMessage(type, payload))) {
+                await once(outgoing, 'drain');
+            }
+        };
+        // While paused, the receiver going away must still end the transfer
+        const whenRunning = () => Promise.race([channel.pause.whenRunning(), allAcknowledged]);
+
+        let alreadyHeld = entries.reduce((sum, e) => sum + e.offset, 0);
+        let batchSent = 0;
+        let wireSent = 0;
+        let current = entries[0];
+        let fileSent = current.offset;
+        const reportProgress = createProgressThrottle(speed => send('transfer-progress', {
+            status: 'sending',
+            filename: current.relativePath,
+            progress: current.size ? Math.min(100, Math.floor((fileSent / current.size) * 100)) : 100,
+            overallProgress: totalSize > alreadyHeld
+                ? Math.min(100, Math.floor(((alreadyHeld + batchSent) / totalSize) * 100))
+                : 100,
+            sent: fileSent,
+            total: current.size,
+            batchTotal: totalSize,
+            batchFiles: entries.length,
+            speed,
+            resumedFrom: current.offset,
+            compression: compression.describe(algorithm, batchSent, wireSent)
+        }));
+
+        // Progress counts file bytes; the wire count shows what compression saved
+        const meter = {
+            sent: (length) => {
+                fileSent += length;
+                batchSent += length;
+                channel.sent = batchSent;
+                reportProgress(batchSent);
+            },
+            wire: (length) => {
+                wireSent += length;
+                channel.wire = wireSent;
+            }
+        };
+        const onFileChunk = (chunk) => {
+            current.hash.update(chunk);
+            meter.sent(chunk.length);
+        };
+        const { parallelStreams, parallelThresholdBytes, deltaTransfers } = this.transferSettings.getSettings();
+
+        for (const entry of entries) {
+            await whenRunning();
+            current = entry;
+            fileSent = entry.offset;
+
+            if (skipRequested.includes(entry.index)) {
+                entry.skip = 'exists';
+            } else if (existing[entry.index]) {
+                socket.setTimeout(0);
+                const hash = await hashFilePrefix(crypto.createHash(INTEGRITY_ALGORITHM), entry.file.path, entry.size);
+                socket.setTimeout(5000);
+                const checksum = hash.digest('hex');
+                if (checksum === existing[entry.index]) {
+                    entry.skip = 'identical';
+                    entry.checksum = checksum;
+                }
+            }
+            if (entry.skip) {
+                // Skipped files count as delivered, so progress still ends at 100%
+                alreadyHeld += entry.size - entry.offset;
+                await write(MessageType.FILE_HEADER, { index: entry.index, skip: entry.skip, [INTEGRITY_ALGORITHM]: entry.checksum });
+                continue;
+            }
+            if (entry.offset > 0) {
+                console.log(`Resuming ${entry.relativePath} at byte ${entry.offset} of ${entry.size}`);
+            }
+
+            // Already-compressed formats go as they are
+            const fileCompression = algorithm && compression.isCompressible(entry.relativePath, entry.size - entry.offset)
+                ? algorithm
+                : undefined;
+
+            // Changed files the receiver has an older copy of go as just the parts that differ
+            if (deltaTransfers && entry.offset === 0 && deltaOffered.includes(entry.index)) {
+                const ready = new Promise(resolve => signatureWaiters.set(entry.index, resolve));
+                await write(MessageType.FILE_HEADER, { index: entry.index, offset: 0, delta: true });
+                // The receiver reads through its whole copy before it can answer
+                socket.setTimeout(0);
+                const signatures = await Promise.race([ready, allAcknowledged]);
+                signatureWaiters.delete(entry.index);
+
+                entry.hash = crypto.createHash(INTEGRITY_ALGORITHM);
+                let literal = 0;
+                let done = 0;
+                for await (const op of delta.generateDelta(entry.file.path, signatures, chunk => entry.hash.update(chunk))) {
+                    await whenRunning();
+                    if (op.literal) {
+                        const wait = this.bandwidth.delayFor(op.literal.length, { transferId, peerId });
+                        if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+                        literal += op.literal.length;
+                        done += op.literal.length;
+                        meter.sent(op.literal.length);
+                        meter.wire(op.literal.length);
+                        await write(MessageType.FILE_DATA, op.literal);
+                    } else {
+                        // Progress is in bytes of this file, so a copied run never counts past its end
+                        const copied = Math.min(op.copy.count * signatures.blockSize, entry.size - done);
+                        done += copied;
+                        meter.sent(copied);
+                        await write(MessageType.DELTA_COPY, op.copy);
+                    }
+                }
+                socket.setTimeout(5000);
+
+                entry.checksum = entry.hash.digest('hex');
+                entry.delta = { size: entry.size, sent: literal };
+                await write(MessageType.FILE_END, { index: entry.index, [INTEGRITY_ALGORITHM]: entry.checksum });
+                continue;
+            }
+
+            // Large files are split into ranges, each sent over its own connection
+            if (parallelStreams > 1 && entry.size - entry.offset >= parallelThresholdBytes) {
+                const ranges = splitRanges(entry.offset, entry.size, parallelStreams);
+                const ready = new Promise(resolve => rangeWaiters.set(entry.index, resolve));
+                await write(MessageType.FILE_HEADER, { index: entry.index, offset: entry.offset, ranges, compression: fileCompression });
+                // Range connections are only recognised once the receiver has set the file up
+                await Promise.race([ready, allAcknowledged]);
+                rangeWaiters.delete(entry.index);
+
+                // The batch connection sits idle until every range has landed
+                socket.setTimeout(0);
+                const [checksum] = await Promise.all([
+                    hashFilePrefix(crypto.createHash(INTEGRITY_ALGORITHM), entry.file.path, entry.size).then(hash => hash.digest('hex')),
+                    ...ranges.map(range => this.sendRange(transferId, peerIP, peerIdentity.publicKey, entry, range,
+                        { compression: fileCompression, meter, peerId, pause: channel.pause }, channel.rangeSockets))
+                ]);
+                socket.setTimeout(5000);
+
+                entry.checksum = checksum;
+                await write(MessageType.FILE_END, { index: entry.index, [INTEGRITY_ALGORITHM]: entry.checksum });
+                continue;
+            }
+
+            // The digest covers the whole file, including any part the receiver already has
+            entry.hash = crypto.createHash(INTEGRITY_ALGORITHM);
+            await hashFilePrefix(entry.hash, entry.file.path, entry.offset);
+
+            await write(MessageType.FILE_HEADER, { index: entry.index, offset: entry.offset, compression: fileCompression });
+            if (entry.offset < entry.size) {
+                const throttle = createThrottleTransform(this.bandwidth, { transferId, peerId });
+                for await (const chunk of createFileSource(entry.file.path, entry.offset, entry.size, fileCompression, onFileChunk, throttle)) {
+                    meter.wire(chunk.length);
+                    await whenRunning();
+                    await write(MessageType.FILE_DATA, chunk);
+                }
+            }
+            entry.checksum = entry.hash.digest('hex');
+            await write(MessageType.FILE_END, { index: entry.index, [INTEGRITY_ALGORITHM]: entry.checksum });
+        }
+
+        await write(MessageType.BATCH_END);
+        outgoing.end();
+        await allAcknowledged;
+        completions.flush();
+        socket.end();
+
+        return { success: true, files: entries.length, corrupted };
+    }
+
+    // Send one byte range of a large file over its own connection
+    sendRange(transferId, peerIP, peerKey, entry, range, options, rangeSockets) {
+        return new Promise((resolve, reject) => {
+            const socket = new net.Socket({ allowHalfOpen: true });
+            let finished = false;
+            rangeSockets.add(socket);
+
+            const finish = (err) => {
+                if (finished) return;
+                finished = true;
+                rangeSockets.delete(socket);
+                if (err) {
+                    socket.destroy();
+                    reject(err);
+                } else {
+                    socket.end();
+                    resolve();
+                }
+            };
 
             socket.setTimeout(5000);
             socket.on('timeout', () => {
-                socket.destroy();
-                reject(new Error('Transfer connection timed out'));
+                const err = new Error('Range connection timed out');
+                err.code = 'ETIMEDOUT';
+                socket.destroy(err);
+            });
+            socket.on('error', (err) => finish(err));
+            socket.on('close', () => {
+                const err = new Error('Range connection closed before it was acknowledged');
+                err.code = 'ECONNRESET';
+                finish(err);
             });
 
             socket.connect(TRANSFER_PORT, peerIP, () => {
-                const meta = JSON.stringify({
-                    transferId,
-                    name: fileName,
-                    size: fileSize,
-                    senderName: os.hostname()
-                }) + '\n';
-
-                // Wait for metadata to be flushed to kernel before starting pipeline
-                // This prevents race conditions where binaries might look like metadata
-                socket.write(meta, 'utf8', () => {
-                    const fileStream = fs.createReadStream(filePath);
-                    const progressTransform = createProgressTransform((transferred) => {
-                        const now = Date.now();
-                        const delta = now - lastUpdate;
-
-                        if (delta >= 500 && this.mainWindow && !this.mainWindow.isDestroyed()) {
-                            const progress = Math.min(100, Math.floor((transferred / fileSize) * 100));
-                            const speed = ((transferred - lastBytes) / (delta / 1000)) / (1024 * 1024);
-
-                            this.mainWindow.webContents.send('transfer-progress', {
-                                transferId,
-                                status: 'sending',
-                                filename: fileName,
-                                progress: progress,
-                                sent: transferred,
-                                total: fileSize,
-                                speed: Number(speed.toFixed(2)),
-                                peerIP: peerIP
-                            });
-
-                            lastUpdate = now;
-                            lastBytes = transferred;
-                        }
-                    });
-
-                    pipeline(
-                        fileStream,
-                        progressTransform,
-                        socket,
-                        (err) => {
-                            if (transferFinished) return;
-                            transferFinished = true;
-                            this.activeTransfers.delete(transferId);
-
-                            if (err) {
-                                console.error('Send pipeline error:', err);
-                                reject(err);
-                            } else {
-                                if (this.mainWindow && !this.mainWindow.isDestroyed()) {
-                                    this.mainWindow.webContents.send('transfer-complete', {
-                                        transferId,
-                                        filename: fileName,
-                                        status: 'completed',
-                                        peerIP: peerIP
-                                    });
-                                }
-                                resolve({ success: true });
-                            }
-                        }
-                    );
-                });
+                this.streamRange(transferId, socket, peerKey, entry, range, options)
+                    .then(() => finish(), err => finish(err));
             });
+        });
+    }
 
-            socket.on('error', (err) => {
-                console.error('Send socket error:', err);
-                if (transferFinished) return;
-                transferFinished = true;
-                this.activeTransfers.delete(transferId);
-                reject(err);
-            });
+    async streamRange(transferId, socket, peerKey, entry, range, options) {
+        const keyPair = secureChannel.createKeyPair();
+        const join = {
+            protocol: PROTOCOL_VERSION,
+            type: 'join',
+            transferId,
+            index: entry.index,
+            start: range.start,
+            end: range.end,
+            encryption: secureChannel.describe(keyPair)
+        };
+        join.identity = {
+            publicKey: this.identity.publicKey,
+            signature: this.identity.sign(joinSignaturePayload(join))
+        };
+        socket.write(JSON.stringify(join) + '\n', 'utf8');
+
+        const reply = await readJsonLine(socket);
+        if (reply.type === 'reject') {
+            throw new Error(reply.reason || 'Range rejected by peer');
+        }
+        if (reply.protocol !== PROTOCOL_VERSION || !secureChannel.isSupported(reply.encryption)) {
+            throw new Error('Peer did not negotiate a supported encrypted session');
+        }
+        // Must be the same device that accepted the batch
+        if (!reply.identity || reply.identity.publicKey !== peerKey ||
+            !Identity.verify(acceptSignaturePayload(transferId, keyPair.publicKey, reply), reply.identity.signature, peerKey)) {
+            throw new Error('Range connection answered by a different device');
+        }
+
+        const sessionKeys = secureChannel.deriveSessionKeys(keyPair, reply.encryption.publicKey, transferId, true);
+        const outgoing = secureChannel.createEncryptStream(sessionKeys.sendKey);
+        const decoder = createMessageDecoder();
+        pipeline(outgoing, socket, () => { });
+        pipeline(socket, secureChannel.createDecryptStream(sessionKeys.receiveKey), decoder, (err) => {
+            if (err) outgoing.destroy(err);
         });
+        const acknowledged = once(decoder, 'data');
+        acknowledged.catch(() => { });
+
+        // Ranges share their batch's caps, so parallel streams don't multiply the allowance
+        const source = createFileSource(entry.file.path, range.start, range.end, options.compression,
+            chunk => options.meter.sent(chunk.length), createThrottleTransform(this.bandwidth, { transferId, peerId: options.peerId }));
+        for await (const chunk of source) {
+            options.meter.wire(chunk.length);
+            if (options.pause.paused) {
+                // Keep-alives go over the batch connection while ranges wait
+                socket.setTimeout(0);
+                await options.pause.whenRunning();
+                socket.setTimeout(5000);
+            }
+            if (!outgoing.write(encodeMessage(MessageType.FILE_DATA, chunk))) {
+                await once(outgoing, 'drain');
+            }
+        }
+        outgoing.end(encodeMessage(MessageType.FILE_END, { index: entry.index, start: range.start }));
+
+        const [ack] = await acknowledged;
+        const payload = ack.type === MessageType.FILE_ACK ? parsePayload(ack) : {};
+        if (payload.status !== 'received' || payload.start !== range.start) {
+            throw new Error(`Receiver did not confirm bytes ${range.start}-${range.end} of ${entry.relativePath}`);
+        }
     }
 
     getLocalIPs() {
@@ -182,9 +1376,7 @@ class NetworkManager {
         const results = [];
         for (const name of Object.keys(nets)) {
             for (const net of nets[name]) {
-                if (net.family === 'IPv4') {
-                    results.push(net.address);
-                }
+                results.push(net.address);
             }
         }
         return results;
@@ -196,10 +1388,11 @@ class NetworkManager {
         this.peers.clear();
 
         // Ensure TCP server is running (idempotent check is inside startTcpServer)
-        this.startTcpServer();
+        this.startTcpServer().catch((err) => console.error('TCP Server Error:', err));
 
         if (this.isScanning) {
             console.log('Discovery restart: Peers list cleared, continuing broadcast.');
+            if (this.mdns) this.mdns.query();
             return;
         }
 
@@ -227,6 +1420,11 @@ class NetworkManager {
             this.isScanning = false;
         }
 
+        this.startIPv6Discovery();
+        this.startMdns();
+        this.startPresenceMonitor();
+        this.startAddressBookProbes();
+
         // Fallback subnet scan if no peers found via UDP in 5 seconds
         setTimeout(() => {
             if (this.peers.size === 0) {
@@ -235,73 +1433,330 @@ class NetworkManager {
         }, 5000);
     }
 
-    async scanSubnet() {
-        if (this.mainWindow && !this.mainWindow.isDestroyed()) {
-            this.mainWindow.webContents.send('discovery-status', { status: 'advanced-scanning' });
+    // Best effort: without IPv6 on the machine the socket fails and discovery carries on over IPv4
+    startIPv6Discovery() {
+        if (this.udp6Socket) return;
+        try {
+            const socket = dgram.createSocket({ type: 'udp6', reuseAddr: true, ipv6Only: true });
+            this.udp6Socket = socket;
+            socket.on('message', (msg, rinfo) => this.handleDiscoveryMessage(msg, rinfo));
+            socket.on('error', (err) => {
+                console.error('UDP6 Error:', err);
+                this.closeIPv6Discovery();
+            });
+            // Nothing is sent until the bind completes; an earlier send would bind it to a random port
+            socket.bind(DISCOVERY_PORT, '::', () => {
+                this.udp6Bound = true;
+                this.joinDiscoveryGroups();
+            });
+        } catch (e) {
+            console.error('Failed to start IPv6 discovery:', e);
+            this.closeIPv6Discovery();
         }
+    }
+
+    startMdns() {
+        if (this.mdns) return;
+        this.mdns = new MdnsDiscovery({
+            serviceType: MDNS_SERVICE_TYPE,
+            instance: os.hostname(),
+            // Not the hostname itself: the OS may already answer for <hostname>.local
+            hostLabel: `safeshare-${this.identity.fingerprint.replace(/ /g, '').slice(0, 12).toLowerCase()}`,
+            port: TRANSFER_PORT,
+            txt: {
+                id: this.identity.deviceId,
+                name: os.hostname(),
+                os: os.platform(),
+                version: APP_VERSION,
+                port: TRANSFER_PORT,
+                fp: this.identity.fingerprint,
+                pk: this.identity.publicKey
+            },
+            onService: (service) => this.registerPeer(service.address, {
+                deviceId: service.txt.id,
+                name: service.txt.name || service.instance,
+                os: service.txt.os,
+                publicKey: typeof service.txt.pk === 'string' ? service.txt.pk : undefined
+            })
+        });
+        this.mdns.start();
+    }
+
+    closeIPv6Discovery() {
+        if (this.udp6Socket) {
+            try { this.udp6Socket.close(); } catch (e) { }
+            this.udp6Socket = null;
+        }
+        this.udp6Bound = false;
+        this.joinedGroups.clear();
+    }
+
+    // Interfaces that can carry IPv6 discovery, once each, by the zone that addresses them
+    ipv6Zones() {
+        const zones = new Set();
+        for (const [name, addrs] of Object.entries(os.networkInterfaces())) {
+            for (const iface of addrs) {
+                if (iface.family === 'IPv6' && !iface.internal) zones.add(interfaceZone(name, iface));
+            }
+        }
+        return [...zones];
+    }
+
+    joinDiscoveryGroups() {
+        if (!this.udp6Bound) return;
+        for (const zone of this.ipv6Zones()) {
+            if (this.joinedGroups.has(zone)) continue;
+            try {
+                this.udp6Socket.addMembership(DISCOVERY_GROUP_V6, `::%${zone}`);
+            } catch (e) {
+                // EADDRINUSE: already a member, e.g. after the interface bounced
+                if (e.code !== 'EADDRINUSE') {
+                    console.error(`Could not join IPv6 discovery on ${zone}:`, e.message);
+                    continue;
+                }
+            }
+            this.joinedGroups.add(zone);
+        }
+    }
+
+    // IPv6 segments are /64, far too many addresses to probe; multicast discovery covers them
+    async scanSubnet() {
+        if (this.subnetScanning) return;
+        this.subnetScanning = true;
+        this.emit('discovery-status', { status: 'advanced-scanning' });
 
         const interfaces = os.networkInterfaces();
-        const targets = [];
+        const targets = new Set();
         const localIPs = this.getLocalIPs();
 
-        for (const [name, addrs] of Object.entries(interfaces)) {
+        for (const addrs of Object.values(interfaces)) {
             for (const addr of addrs) {
-                if (!addr.internal && addr.family === 'IPv4') {
-                    const ipLong = ipToLong(addr.address);
-                    const maskLong = ipToLong(addr.netmask);
-                    const networkLong = ipLong & maskLong;
-                    const broadcastLong = networkLong | (~maskLong >>> 0);
-
-                    // Scan /24 or smaller
-                    if ((broadcastLong - networkLong) <= 256) {
-                        for (let i = networkLong + 1; i < broadcastLong; i++) {
-                            const targetIP = longToIp(i);
-                            if (!localIPs.includes(targetIP)) {
-                                targets.push(targetIP);
-                            }
-                        }
-                    }
+                if (addr.internal || addr.family !== 'IPv4') continue;
+                // Networks bigger than MIN_SCAN_PREFIX are only scanned in the block around our own address
+                const prefix = Math.max(netmaskBits(addr.netmask), MIN_SCAN_PREFIX);
+                // /31 and /32 links have no room for anyone else worth scanning
+                if (prefix > 30) continue;
+                const maskLong = (~0 << (32 - prefix)) >>> 0;
+                const networkLong = (ipToLong(addr.address) & maskLong) >>> 0;
+                const broadcastLong = (networkLong | (~maskLong >>> 0)) >>> 0;
+
+                for (let i = networkLong + 1; i < broadcastLong; i++) {
+                    const targetIP = longToIp(i);
+                    if (!localIPs.includes(targetIP)) targets.add(targetIP);
                 }
             }
         }
 
-        const batchSize = 15;
-        for (let i = 0; i < targets.length; i += batchSize) {
-            if (this.peers.size > 0) break;
-            const batch = targets.slice(i, i + batchSize);
-            await Promise.all(batch.map(ip => this.checkPeer(ip)));
+        // Every address gets probed: one peer turning up doesn't mean it's the only one
+        const list = [...targets];
+        try {
+            for (let i = 0; i < list.length; i += PROBE_BATCH_SIZE) {
+                const batch = list.slice(i, i + PROBE_BATCH_SIZE);
+                await Promise.all(batch.map(ip => this.checkPeer(ip)));
+            }
+        } finally {
+            this.subnetScanning = false;
+            this.emit('discovery-status', { status: 'idle' });
+        }
+    }
+
+    // Nothing is known about a device found this way, so it's keyed by its address until it announces itself
+    async checkPeer(ip, name = `Discovered Device (${ip})`) {
+        const reachable = await this.isReachable(ip, 800);
+        if (reachable && !this.findPeer(ip)) {
+            const now = Date.now();
+            const peer = {
+                id: ip,
+                deviceId: null,
+                ip,
+                addresses: [ip],
+                addressSeen: { [ip]: now },
+                name,
+                lastSeen: now,
+                state: 'online'
+            };
+            this.peers.set(ip, peer);
+            this.emit('peer-discovered', peer);
+        }
+        return reachable;
+    }
+
+    // Whether something accepts connections on the transfer port; the connection is dropped straight away
+    isReachable(ip, timeout) {
+        return new Promise((resolve) => {
+            const socket = new net.Socket();
+            socket.setTimeout(timeout);
+            socket.on('connect', () => { socket.destroy(); resolve(true); });
+            socket.on('error', () => { socket.destroy(); resolve(false); });
+            socket.on('timeout', () => { socket.destroy(); resolve(false); });
+            socket.connect(TRANSFER_PORT, ip);
+        });
+    }
+
+    // A peer by its id, or whichever peer was last heard at `address`
+    findPeer(target) {
+        return this.peers.get(target) || [...this.peers.values()].find(peer => peer.addresses.includes(target)) || null;
+    }
+
+    // The device id announced from an address, so a queued send can still find the device if it moves
+    deviceIdAt(address) {
+        const peer = this.findPeer(address);
+        return (peer && peer.deviceId) || null;
+    }
+
+    // The identity key a device announced, so a queued send or sync can refuse anyone else answering for it
+    publicKeyAt(address, deviceId = null) {
+        const peer = (deviceId && this.peers.get(deviceId)) || this.findPeer(address);
+        return (peer && peer.publicKey) || null;
+    }
+
+    /**
+     * Addresses to try for a peer, best first. The address we were given comes
+     * last if the device isn't heard there any more: it may be all a restarted
+     * queue or a hand-typed IP has to go on.
+     */
+    peerAddresses(address, deviceId = null) {
+        const peer = (deviceId && this.peers.get(deviceId)) || (address && this.findPeer(address));
+        const addresses = peer
+            ? [...peer.addresses].sort((a, b) => addressRank(a) - addressRank(b) || peer.addressSeen[b] - peer.addressSeen[a])
+            : [];
+        if (address && !addresses.includes(address)) addresses.push(address);
+        return addresses;
+    }
+
+    /**
+     * Open a transfer connection, trying each of the peer's addresses in turn.
+     * Resolves with the connected socket and the address that answered; rejects
+     * with the last address's error if none did.
+     */
+    async connectToPeer(address, deviceId, socketOptions = {}) {
+        const addresses = this.peerAddresses(address, deviceId);
+        let lastError = new Error('No address known for this device');
+        for (const candidate of addresses) {
+            try {
+                return { socket: await connectTo(candidate, socketOptions, CONNECT_TIMEOUT), address: candidate };
+            } catch (e) {
+                if (addresses.length > 1) console.log(`Could not connect to ${candidate} (${e.message})`);
+                lastError = e;
+            }
+        }
+        throw lastError;
+    }
+
+    startAddressBookProbes() {
+        if (this.addressBookTimer) return;
+        this.addressBookTimer = setInterval(() => this.probeAddressBook(), ADDRESS_BOOK_INTERVAL);
+        this.probeAddressBook();
+    }
+
+    // One round over every address book entry; a round asked for while one is running joins it
+    probeAddressBook() {
+        if (!this.addressBookProbe) {
+            this.addressBookProbe = (async () => {
+                for (const entry of [...this.addressBook.entries]) await this.probeAddressBookEntry(entry);
+            })().finally(() => {
+                this.addressBookProbe = null;
+            });
         }
+        return this.addressBookProbe;
+    }
 
-        if (this.mainWindow && !this.mainWindow.isDestroyed()) {
-            this.mainWindow.webContents.send('discovery-status', { status: 'idle' });
+    /**
+     * Probe every address an entry stands for with checkPeer, so the devices that
+     * answer are listed like discovered ones, under the entry's label if it has one.
+     */
+    async probeAddressBookEntry(entry) {
+        let addresses;
+        try {
+            addresses = await this.addressBook.addressesOf(entry);
+        } catch (e) {
+            this.addressBook.recordProbe(entry.id, [], `Could not look up ${entry.target}: ${e.code || e.message}`);
+            this.emit('address-book-updated', { entries: this.addressBook.list() });
+            return;
+        }
+        const localIPs = this.getLocalIPs();
+        const targets = addresses.filter(address => !localIPs.includes(stripZone(address)));
+        const name = entry.label || (entry.kind === 'hostname' ? entry.target : undefined);
+
+        const found = [];
+        for (let i = 0; i < targets.length; i += PROBE_BATCH_SIZE) {
+            const batch = targets.slice(i, i + PROBE_BATCH_SIZE);
+            const reachable = await Promise.all(batch.map(ip => this.checkPeer(ip, name)));
+            found.push(...batch.filter((ip, n) => reachable[n]));
         }
+        this.addressBook.recordProbe(entry.id, found);
+        this.emit('address-book-updated', { entries: this.addressBook.list() });
     }
 
-    async checkPeer(ip) {
-        return new Promise((resolve) => {
-            const socket = new net.Socket();
-            socket.setTimeout(800);
-            socket.on('connect', () => {
-                const peer = { ip, name: `Discovered Device (${ip})`, lastSeen: Date.now() };
-                if (!this.peers.has(ip)) {
-                    this.peers.set(ip, peer);
-                    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
-                        this.mainWindow.webContents.send('peer-discovered', peer);
-                    }
+    startPresenceMonitor() {
+        if (this.presenceTimer) return;
+        this.presenceTimer = setInterval(() => this.checkPresence(), PRESENCE_CHECK_INTERVAL);
+    }
+
+    /**
+     * Move peers between online and away as they go quiet or are heard again
+     * ('peer-updated'), and drop the ones silent for longer than the offline time
+     * ('peer-lost'). A peer halfway to away is checked directly first: where
+     * broadcasts are dropped, mDNS may only hear from it once a minute. An
+     * address the peer hasn't been heard at for the offline time is forgotten,
+     * as after a DHCP lease change.
+     */
+    checkPresence() {
+        const now = Date.now();
+        const probeAfter = this.presence.getSettings().awayAfterSeconds * 500;
+        for (const [id, peer] of this.peers) {
+            const state = this.presence.stateOf(peer.lastSeen, now);
+            if (state === 'offline') {
+                this.peers.delete(id);
+                this.emit('peer-lost', { ...peer, state });
+                continue;
+            }
+            const current = peer.addresses.filter(address => this.presence.stateOf(peer.addressSeen[address], now) !== 'offline');
+            const moved = current.length > 0 && current.length < peer.addresses.length;
+            if (moved) {
+                for (const address of peer.addresses) {
+                    if (!current.includes(address)) delete peer.addressSeen[address];
                 }
-                socket.destroy();
-                resolve(true);
-            });
-            socket.on('error', () => { socket.destroy(); resolve(false); });
-            socket.on('timeout', () => { socket.destroy(); resolve(false); });
-            socket.connect(TRANSFER_PORT, ip);
-        });
+                peer.addresses = current;
+                if (!current.includes(peer.ip)) peer.ip = this.peerAddresses(null, id)[0];
+            }
+            if (state !== peer.state || moved) {
+                peer.state = state;
+                this.emit('peer-updated', { ...peer });
+            }
+            if (now - peer.lastSeen >= probeAfter && !this.probing.has(id)) {
+                this.probing.add(id);
+                this.isReachable(peer.ip, PROBE_TIMEOUT).then((alive) => {
+                    this.probing.delete(id);
+                    if (alive && this.peers.get(id) === peer) this.touchPeer(peer, peer.ip);
+                });
+            }
+        }
+    }
+
+    // Heard from a peer we already know, at `address`; a new address is added to the ones it's reachable at
+    touchPeer(peer, address, changed = false) {
+        peer.lastSeen = Date.now();
+        peer.addressSeen[address] = peer.lastSeen;
+        const added = !peer.addresses.includes(address);
+        if (added) peer.addresses.push(address);
+        if (peer.state !== 'online' || added || changed) {
+            peer.state = 'online';
+            this.emit('peer-updated', { ...peer });
+        }
     }
 
     startBroadcasting() {
         const broadcast = () => {
             try {
-                const message = JSON.stringify({ type: 'discovery', name: os.hostname(), os: os.platform() });
+                const message = JSON.stringify({
+                    type: 'discovery',
+                    deviceId: this.identity.deviceId,
+                    name: os.hostname(),
+                    os: os.platform(),
+                    publicKey: this.identity.publicKey,
+                    fingerprint: this.identity.fingerprint
+                });
                 const interfaces = os.networkInterfaces();
 
                 for (const name in interfaces) {
@@ -331,6 +1786,17 @@ class NetworkManager {
                         }
                     }
                 }
+
+                if (this.udp6Bound) {
+                    this.joinDiscoveryGroups();
+                    for (const zone of this.ipv6Zones()) {
+                        try {
+                            this.udp6Socket.send(message, DISCOVERY_PORT, `${DISCOVERY_GROUP_V6}%${zone}`);
+                        } catch (e) {
+                            console.error(`Error announcing on IPv6 interface ${zone}:`, e);
+                        }
+                    }
+                }
             } catch (e) {
                 console.error('Broadcast loop error:', e);
             }
@@ -341,222 +1807,1172 @@ class NetworkManager {
 
     handleDiscoveryMessage(msg, rinfo) {
         try {
-            const localIPs = this.getLocalIPs();
-            if (localIPs.includes(rinfo.address)) return;
-
             const data = JSON.parse(msg.toString());
-            if (data.type === 'discovery') {
-                const peer = {
-                    ip: rinfo.address,
-                    name: data.name,
-                    os: data.os,
-                    lastSeen: Date.now(),
-                    lastUpdate: Date.now()
-                };
+            if (data.type === 'discovery') this.registerPeer(rinfo.address, data);
+        } catch (e) { }
+    }
 
-                const existing = this.peers.get(peer.ip);
-                if (!existing || existing.name !== peer.name) {
-                    this.peers.set(peer.ip, peer);
-                    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
-                        this.mainWindow.webContents.send('peer-discovered', peer);
-                    }
-                } else {
-                    existing.lastSeen = Date.now();
-                }
+    /**
+     * A device announced itself, by broadcast or over mDNS, with its name and
+     * identity key. Peers are keyed by device id, so one with several network
+     * interfaces, or both IPv4 and IPv6, is one entry listing every address it
+     * was heard at; older versions without an id are keyed by address.
+     */
+    registerPeer(rawAddress, data) {
+        const address = normalizeAddress(rawAddress);
+        if (this.getLocalIPs().includes(stripZone(address))) return;
+        if (data.deviceId === this.identity.deviceId) return;
+
+        // An id that isn't the announced key's is someone claiming another device's place
+        const deviceId = deviceIdOf(data, data.publicKey);
+        if (data.deviceId && !deviceId) return;
+        const now = Date.now();
+        const peer = {
+            id: deviceId || address,
+            deviceId,
+            ip: address,
+            addresses: [address],
+            addressSeen: { [address]: now },
+            name: data.name,
+            os: data.os,
+            lastSeen: now,
+            lastUpdate: now,
+            state: 'online'
+        };
+
+        // Peers announce their identity key; the fingerprint is always recomputed locally
+        if (typeof data.publicKey === 'string') {
+            const check = this.identity.checkPeer(data.name, data.publicKey);
+            Object.assign(peer, {
+                publicKey: data.publicKey,
+                fingerprint: check.fingerprint,
+                verificationCode: check.verificationCode,
+                trust: check.trust === 'new' ? 'known' : check.trust,
+                previousFingerprint: check.previousFingerprint
+            });
+        } else {
+            peer.trust = 'unverified';
+        }
+
+        // The entry a subnet scan made for this address gives way to the device's own
+        const scanned = deviceId && this.peers.get(address);
+        if (scanned && !scanned.deviceId) {
+            this.peers.delete(address);
+            this.emit('peer-lost', { ...scanned, state: 'offline' });
+        }
+
+        // Older versions send no id, so their IPv4 and IPv6 announcements are matched up by identity key
+        const legacy = !deviceId && peer.publicKey && !this.peers.has(peer.id) && [...this.peers.values()].find(p =>
+            !p.deviceId && p.publicKey === peer.publicKey && p.name === peer.name);
+        if (legacy) {
+            this.touchPeer(legacy, address);
+            return;
+        }
+
+        // Ids are bound to keys, so only an entry keyed by address can change hands; that starts afresh,
+        // without the old addresses. A device that's been renamed keeps its entry.
+        const existing = this.peers.get(peer.id);
+        if (!existing || existing.publicKey !== peer.publicKey) {
+            if (peer.trust === 'changed') {
+                this.emit('peer-key-changed', { ...peer });
             }
-        } catch (e) { }
+            this.peers.set(peer.id, peer);
+            this.emit('peer-discovered', peer);
+        } else {
+            const renamed = existing.name !== peer.name;
+            const { name, os, trust, verificationCode, previousFingerprint } = peer;
+            Object.assign(existing, { name, os, trust, verificationCode, previousFingerprint });
+            this.touchPeer(existing, address, renamed);
+        }
     }
 
+    // Resolves once the server is listening; rejects if it can't be, e.g. when the port is already taken
     startTcpServer() {
-        if (this.tcpServer) return;
-        this.tcpServer = net.createServer((socket) => this.handleIncomingTransfer(socket));
-        this.tcpServer.on('error', (err) => console.error('TCP Server Error:', err));
-        this.tcpServer.listen(TRANSFER_PORT, () => {
-            console.log(`TCP Transfer Server listening on port ${TRANSFER_PORT}`);
+        if (this.tcpServer) return this.tcpServerListening;
+        const server = net.createServer({ allowHalfOpen: true }, (socket) => this.handleIncomingTransfer(socket));
+        this.tcpServer = server;
+        this.tcpServerListening = new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(TRANSFER_PORT, () => {
+                server.removeListener('error', reject);
+                server.on('error', (err) => console.error('TCP Server Error:', err));
+                console.log(`TCP Transfer Server listening on port ${TRANSFER_PORT}`);
+                resolve();
+            });
+        });
+        // Forget a server that never listened so the next attempt tries again
+        this.tcpServerListening.catch(() => {
+            if (this.tcpServer === server) this.tcpServer = null;
         });
+        return this.tcpServerListening;
     }
 
+    // Pause a live transfer; both ends stop sending data and keep the connection alive until it resumes
     pauseTransfer(transferId) {
-        if (this.activeTransfers.has(transferId)) {
-            const transfer = this.activeTransfers.get(transferId);
-            if (transfer.socket) {
-                transfer.socket.pause();
-                console.log(`Paused socket for ${transferId}`);
-                return true;
+        const transfer = this.activeTransfers.get(transferId);
+        if (!transfer || !transfer.setPaused) return false;
+        return transfer.setPaused(true);
+    }
+
+    /**
+     * Resume a paused transfer. If its connection has gone (say one of the apps was
+     * restarted), ask the sender to reconnect; the batch picks up from the part files.
+     */
+    async resumeTransfer(transferId) {
+        const transfer = this.activeTransfers.get(transferId);
+        if (transfer && transfer.setPaused && transfer.setPaused(false)) return true;
+
+        const paused = this.pausedTransfers.get(transferId);
+        if (!paused) return false;
+        await this.requestResume(paused);
+        return true;
+    }
+
+    // Paused incoming transfers, newest first, including those whose connection has gone
+    getPausedTransfers() {
+        return this.pausedTransfers.list();
+    }
+
+    requestResume(paused) {
+        return new Promise((resolve, reject) => {
+            let socket = null;
+            const fail = (err) => {
+                if (socket) socket.destroy();
+                reject(err);
+            };
+
+            // The sender may have moved since the pause; its device id finds it at its new address
+            this.connectToPeer(paused.peerIP, paused.deviceId).then(({ socket: connected }) => {
+                socket = connected;
+                socket.setTimeout(5000);
+                socket.on('timeout', () => fail(new Error(`${paused.senderName} did not answer the resume request`)));
+                socket.on('error', fail);
+                const request = {
+                    protocol: PROTOCOL_VERSION,
+                    type: 'resume',
+                    transferId: paused.id,
+                    name: os.hostname(),
+                    requestedAt: Date.now()
+                };
+                request.identity = {
+                    publicKey: this.identity.publicKey,
+                    signature: this.identity.sign(resumeSignaturePayload(request))
+                };
+                socket.write(JSON.stringify(request) + '\n');
+
+                readJsonLine(socket).then((reply) => {
+                    socket.destroy();
+                    if (reply.type === 'resumed') {
+                        resolve();
+                    } else {
+                        reject(new Error(reply.reason || `${paused.senderName} refused to resume the transfer`));
+                    }
+                }, fail);
+            }, fail);
+        });
+    }
+
+    // Only the device a paused send was going to can ask for it to carry on
+    async handleResumeRequest(socket, request) {
+        const peerIP = normalizeAddress(socket.remoteAddress);
+        let peerIdentity;
+        try {
+            peerIdentity = this.verifyPeerIdentity(request.name, request.identity, resumeSignaturePayload(request), peerIP);
+        } catch (e) {
+            rejectOffer(socket, `Resume request rejected: ${e.message}`);
+        }
+        if (!Number.isSafeInteger(request.requestedAt) || Math.abs(Date.now() - request.requestedAt) > SIGNED_REQUEST_MAX_AGE) {
+            rejectOffer(socket, 'Resume request has expired');
+        }
+
+        const resumed = !!this.onResumeRequest && this.onResumeRequest({
+            transferId: String(request.transferId),
+            publicKey: peerIdentity.publicKey,
+            peerIP
+        });
+        if (!resumed) {
+            rejectOffer(socket, 'No paused transfer to resume');
+        }
+        console.log(`${request.name} asked to resume ${request.transferId}`);
+        socket.end(JSON.stringify({ type: 'resumed' }) + '\n');
+    }
+
+    // List a peer's shared folders, or one folder inside a share when `share` is given
+    browsePeer(peerIP, share, relativePath = '', password) {
+        return this.requestShare(peerIP, share
+            ? { action: 'browse', share, path: relativePath, password }
+            : { action: 'shares' });
+    }
+
+    /**
+     * Ask a peer for files from one of its shares. The peer queues an ordinary
+     * batch back to us under the returned transferId; its offer is accepted
+     * without asking since we're the ones who wanted it.
+     *
+     * Folder sync passes `sync: { baseDir, onFinished, peerKey }`: the files then
+     * keep their paths inside the share, land in baseDir replacing what's there,
+     * and onFinished(err, files) fires once the batch is over. Only the device
+     * holding peerKey, when given, is asked.
+     */
+    pullFromPeer(peerIP, share, paths, password, sync) {
+        return this.requestShare(peerIP, { action: 'pull', share, paths, password, sync: !!sync },
+            { sync, peerKey: sync && sync.peerKey });
+    }
+
+    /**
+     * One signed handshake, then a single encrypted request and answer. Resolves
+     * with the peer's answer, which has success: false for refusals such as a
+     * wrong password; rejects only if the peer couldn't be asked at all, or if
+     * `options.peerKey` is given and the device answering doesn't hold that key.
+     */
+    requestShare(peerIP, request, { sync = null, peerKey = null } = {}) {
+        const requestId = `pull_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+
+        return new Promise((resolve, reject) => {
+            const keyPair = secureChannel.createKeyPair();
+            let socket = null;
+            const fail = (err) => {
+                this.expectedPulls.delete(requestId);
+                if (socket) socket.destroy();
+                reject(err);
+            };
+
+            this.connectToPeer(peerIP).then(async ({ socket: connected, address }) => {
+                socket = connected;
+                socket.setTimeout(request.action === 'manifest' ? SYNC_MANIFEST_TIMEOUT : SHARE_REQUEST_TIMEOUT);
+                socket.on('timeout', () => fail(new Error('Peer did not answer the share request')));
+                socket.on('error', fail);
+                try {
+                    const hello = {
+                        protocol: PROTOCOL_VERSION,
+                        type: 'share',
+                        requestId,
+                        deviceId: this.identity.deviceId,
+                        name: os.hostname(),
+                        requestedAt: Date.now(),
+                        encryption: secureChannel.describe(keyPair)
+                    };
+                    hello.identity = {
+                        publicKey: this.identity.publicKey,
+                        signature: this.identity.sign(shareSignaturePayload(hello))
+                    };
+                    socket.write(JSON.stringify(hello) + '\n');
+
+                    const reply = await readJsonLine(socket);
+                    if (reply.type !== 'share-accept') {
+                        throw new Error(reply.reason || 'Peer refused the share request');
+                    }
+                    if (!secureChannel.isSupported(reply.encryption)) {
+                        throw new Error('Peer does not support our encryption protocol');
+                    }
+                    const owner = this.verifyPeerIdentity(reply.name, reply.identity,
+                        shareAcceptSignaturePayload(requestId, hello.encryption.publicKey, reply), address);
+                    if (peerKey && owner.publicKey !== peerKey) {
+                        throw new Error(`Device at ${address} is not the one this folder syncs with`);
+                    }
+                    this.identity.rememberPeer(reply.name, owner.publicKey);
+
+                    // The batch a pull starts can arrive before the answer to it does
+                    if (request.action === 'pull') {
+                        const now = Date.now();
+                        for (const [id, pull] of this.expectedPulls) {
+                            if (now - pull.requestedAt > ACCEPTED_OFFER_TTL) this.expectedPulls.delete(id);
+                        }
+                        this.expectedPulls.set(requestId, {
+                            publicKey: owner.publicKey,
+                            requestedAt: now,
+                            baseDir: sync ? sync.baseDir : null,
+                            onFinished: sync ? sync.onFinished : null
+                        });
+                    }
+
+                    const sessionKeys = secureChannel.deriveSessionKeys(keyPair, reply.encryption.publicKey, requestId, true);
+                    const outgoing = secureChannel.createEncryptStream(sessionKeys.sendKey);
+                    const decoder = createMessageDecoder();
+                    pipeline(outgoing, socket, () => { });
+                    pipeline(socket, secureChannel.createDecryptStream(sessionKeys.receiveKey), decoder, () => { });
+                    outgoing.end(encodeMessage(MessageType.SHARE_REQUEST, request));
+
+                    const [message] = await Promise.race([
+                        once(decoder, 'data'),
+                        once(decoder, 'end').then(() => { throw new Error('Peer closed the connection without answering'); })
+                    ]);
+                    if (message.type !== MessageType.SHARE_REPLY) {
+                        throw new Error('Peer broke the share protocol');
+                    }
+                    const answer = parsePayload(message);
+                    if (!answer.success) this.expectedPulls.delete(requestId);
+                    socket.destroy();
+                    resolve({
+                        ...answer,
+                        peer: {
+                            name: reply.name,
+                            ip: address,
+                            deviceId: deviceIdOf(reply, owner.publicKey),
+                            publicKey: owner.publicKey,
+                            fingerprint: owner.fingerprint,
+                            trust: owner.trust
+                        }
+                    });
+                } catch (e) {
+                    fail(e);
+                }
+            }, fail);
+        });
+    }
+
+    async handleShareRequest(socket, request) {
+        const peerIP = normalizeAddress(socket.remoteAddress);
+        if (!secureChannel.isSupported(request.encryption)) {
+            rejectOffer(socket, 'Unsupported encryption protocol');
+        }
+        let peerIdentity;
+        try {
+            peerIdentity = this.verifyPeerIdentity(request.name, request.identity, shareSignaturePayload(request), peerIP);
+        } catch (e) {
+            rejectOffer(socket, `Share request rejected: ${e.message}`);
+        }
+        if (!Number.isSafeInteger(request.requestedAt) || Math.abs(Date.now() - request.requestedAt) > SIGNED_REQUEST_MAX_AGE) {
+            rejectOffer(socket, 'Share request has expired');
+        }
+
+        const requestId = String(request.requestId);
+        const keyPair = secureChannel.createKeyPair();
+        const reply = {
+            protocol: PROTOCOL_VERSION,
+            type: 'share-accept',
+            name: os.hostname(),
+            deviceId: this.identity.deviceId,
+            encryption: secureChannel.describe(keyPair)
+        };
+        reply.identity = {
+            publicKey: this.identity.publicKey,
+            signature: this.identity.sign(shareAcceptSignaturePayload(requestId, request.encryption.publicKey, reply))
+        };
+        socket.write(JSON.stringify(reply) + '\n');
+
+        const sessionKeys = secureChannel.deriveSessionKeys(keyPair, request.encryption.publicKey, requestId, false);
+        const outgoing = secureChannel.createEncryptStream(sessionKeys.sendKey);
+        const decoder = createMessageDecoder();
+        pipeline(outgoing, socket, () => { });
+        pipeline(socket, secureChannel.createDecryptStream(sessionKeys.receiveKey), decoder, () => { });
+        socket.setTimeout(SHARE_REQUEST_TIMEOUT);
+        socket.on('timeout', () => socket.destroy());
+
+        const [message] = await once(decoder, 'data');
+        // Answering can take a while (a sync manifest hashes the share); the asker keeps its own timeout
+        socket.setTimeout(0);
+        let answer;
+        try {
+            if (message.type !== MessageType.SHARE_REQUEST) {
+                throw new Error('Peer broke the share protocol');
             }
+            answer = await this.answerShareRequest(parsePayload(message), { ...peerIdentity, name: request.name, peerIP, deviceId: deviceIdOf(request, peerIdentity.publicKey), requestId });
+        } catch (e) {
+            answer = { success: false, error: e.message, passwordRequired: e.code === 'PASSWORD_REQUIRED' };
         }
-        return false;
+        outgoing.end(encodeMessage(MessageType.SHARE_REPLY, answer));
     }
 
-    resumeTransfer(transferId) {
-        if (this.activeTransfers.has(transferId)) {
-            const transfer = this.activeTransfers.get(transferId);
-            if (transfer.socket) {
-                transfer.socket.resume();
-                console.log(`Resumed socket for ${transferId}`);
-                return true;
+    /**
+     * What a peer gets back for listing our shares, browsing one, or pulling files
+     * from it, and for a folder sync: the share's manifest, or deleting files the
+     * peer deleted on its side.
+     */
+    async answerShareRequest(request, peer) {
+        if (request.action === 'shares') {
+            return { success: true, shares: this.sharedFolders.visibleTo(peer.trust) };
+        }
+
+        const share = this.sharedFolders.authorize(request.share, { trust: peer.trust, password: request.password });
+        if (request.action === 'browse') {
+            const relativePath = typeof request.path === 'string' ? request.path : '';
+            return { success: true, share: share.name, path: relativePath, entries: this.sharedFolders.listDirectory(share, relativePath) };
+        }
+        if (request.action === 'manifest') {
+            // `writable` tells the syncing peer up front whether its own changes will be taken
+            const writable = !!share.allowSync && peer.trust === 'trusted';
+            return { success: true, share: share.name, writable, files: await this.sharedFolders.manifest(share) };
+        }
+        if (request.action === 'delete') {
+            this.sharedFolders.authorizeSync(share.name, peer.trust);
+            if (!Array.isArray(request.paths)) {
+                throw new Error('Nothing was selected');
             }
+            const removed = this.sharedFolders.removeFiles(share, request.paths.map(String), !!request.archive);
+            console.log(`${peer.name} synced ${removed.length} deletion(s) into the ${share.name} share`);
+            return { success: true, share: share.name, removed };
+        }
+        if (request.action !== 'pull') {
+            throw new Error('Unknown share request');
+        }
+
+        if (!Array.isArray(request.paths) || request.paths.length === 0) {
+            throw new Error('Nothing was selected');
+        }
+        // The batch goes out under the puller's ID, so it has to be one we'd make ourselves
+        if (!/^pull_\w{1,64}$/.test(peer.requestId)) {
+            throw new Error('Invalid pull request ID');
+        }
+        const files = this.sharedFolders.collect(share, request.paths, !!request.sync);
+        if (files.length === 0) {
+            throw new Error('The selection has no files in it');
+        }
+        if (!this.onPullRequest) {
+            throw new Error('This device is not sending files right now');
         }
-        return false;
+        await this.onPullRequest({
+            transferId: peer.requestId,
+            peerIP: peer.peerIP,
+            peerId: peer.deviceId,
+            peerKey: peer.publicKey,
+            peerName: peer.name,
+            share: share.name,
+            files
+        });
+        console.log(`${peer.name} is pulling ${files.length} file(s) from the ${share.name} share`);
+        return {
+            success: true,
+            transferId: peer.requestId,
+            share: share.name,
+            fileCount: files.length,
+            totalSize: files.reduce((sum, f) => sum + f.size, 0)
+        };
     }
 
     handleIncomingTransfer(socket) {
-        let receiving = false;
-        let transferId = `recv_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
-        let metaBuffer = Buffer.alloc(0);
-        let transferFinished = false;
-        let lastUpdate = Date.now();
-        let lastBytes = 0;
-
-        this.activeTransfers.set(transferId, {
-            socket,
-            cancel: () => {
-                if (transferFinished) return;
-                transferFinished = true;
-                socket.destroy();
+        const session = {
+            transferId: `recv_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+            finished: false,
+            // The file currently being written, discarded if the user cancels
+            partial: null
+        };
+
+        const registerTransfer = () => {
+            this.activeTransfers.set(session.transferId, {
+                socket,
+                cancel: () => {
+                    if (session.finished) return;
+                    session.finished = true;
+                    session.cancelled = true;
+                    this.pausedTransfers.remove(session.transferId);
+                    socket.destroy();
+                    // A cancelled download is not coming back, so don't keep it around for resuming
+                    if (session.partial) partialFiles.discardPartial(session.partial);
+                },
+                setPaused: (paused) => {
+                    if (!session.pause) return false;
+                    session.pause.set(paused);
+                    return true;
+                }
+            });
+        };
+        registerTransfer();
+
+        // Swap the temporary ID for the sender's once its offer has been verified. An ID that's
+        // already in use is refused, so nobody can take over cancelling or pausing a running transfer.
+        session.adoptId = (transferId) => {
+            const id = String(transferId);
+            if (this.activeTransfers.has(id)) return false;
+            this.activeTransfers.delete(session.transferId);
+            session.transferId = id;
+            registerTransfer();
+            return true;
+        };
+
+        socket.on('error', (err) => {
+            console.error('Socket error:', err);
+            if (!session.finished) {
+                session.finished = true;
+                this.activeTransfers.delete(session.transferId);
             }
         });
 
-        // Debug: Log raw connection
-        if (this.mainWindow && !this.mainWindow.isDestroyed()) {
-            // Send an immediate "Starting" signal so UI knows a connection happened
-            this.mainWindow.webContents.send('transfer-progress', {
-                transferId, status: 'connecting', filename: 'Incoming Transfer...', progress: 0, speed: 0
-            });
+        readJsonLine(socket, MAX_OFFER_SIZE).then(async (offer) => {
+            if (session.finished) return;
+
+            // A receiver asking us to carry on with a send it paused before the connection went away
+            if (offer.protocol === PROTOCOL_VERSION && offer.type === 'resume') {
+                this.activeTransfers.delete(session.transferId);
+                session.finished = true;
+                return this.handleResumeRequest(socket, offer);
+            }
+
+            // A peer browsing our shared folders or pulling files from them
+            if (offer.protocol === PROTOCOL_VERSION && offer.type === 'share') {
+                this.activeTransfers.delete(session.transferId);
+                session.finished = true;
+                return this.handleShareRequest(socket, offer);
+            }
+
+            // Range connections belong to a batch that's already registered under this ID
+            if (offer.protocol === PROTOCOL_VERSION && offer.type === 'join') {
+                this.activeTransfers.delete(session.transferId);
+                session.finished = true;
+                return this.receiveRange(socket, offer);
+            }
+
+            // Anything else we can't speak is refused, including the bare plaintext header of
+            // senders that predate encryption: they can't prove who they are
+            if (offer.protocol === PROTOCOL_VERSION) {
+                await this.receiveBatch(socket, offer, session);
+            } else {
+                rejectOffer(socket, 'Unsupported protocol version');
+            }
+        }).catch((e) => {
+            // Reachability checks connect and hang up without a word; that's not worth a log line
+            if (!e.empty) console.error('Handshake failed:', e);
+            if (!session.finished) {
+                session.finished = true;
+                this.activeTransfers.delete(session.transferId);
+            }
+            // A rejection reply may still be flushing; end() already closes the socket after it
+            if (!socket.writableEnded) socket.destroy();
+        });
+    }
+
+    async receiveBatch(socket, offer, session) {
+        const peerIP = normalizeAddress(socket.remoteAddress);
+
+        if (!secureChannel.isSupported(offer.encryption)) {
+            rejectOffer(socket, 'Unsupported encryption protocol');
+        }
+        let peerIdentity;
+        try {
+            peerIdentity = this.verifyPeerIdentity(offer.senderName, offer.identity, offerSignaturePayload(offer), peerIP);
+        } catch (e) {
+            rejectOffer(socket, `Sender identity rejected: ${e.message}`);
+        }
+        if (offer.transferId && !session.adoptId(offer.transferId)) {
+            rejectOffer(socket, 'Transfer ID already in use');
         }
+        const { transferId } = session;
 
-        socket.on('data', (data) => {
-            if (transferFinished) return;
+        // Sync batches land in the synced folder instead of downloads: pushes into a
+        // share that allows it, and pulls a folder sync of ours asked for
+        let baseDir = this.downloadsDir;
+        let syncPull = null;
+        if (offer.sync) {
+            try {
+                baseDir = this.sharedFolders.authorizeSync(offer.sync.share, peerIdentity.trust).path;
+            } catch (e) {
+                rejectOffer(socket, e.message);
+            }
+        } else {
+            const pull = this.expectedPulls.get(String(offer.transferId));
+            if (pull && pull.baseDir && pull.publicKey === peerIdentity.publicKey) {
+                syncPull = pull;
+                baseDir = pull.baseDir;
+            }
+        }
 
-            if (!receiving) {
-                metaBuffer = Buffer.concat([metaBuffer, data]);
-                const newlineIndex = metaBuffer.indexOf('\n');
-                if (newlineIndex === -1) {
-                    if (metaBuffer.length > 65536) socket.destroy();
-                    return;
+        // Every path in the batch is checked before the user is even asked about it
+        let files;
+        try {
+            files = validateManifest(offer.manifest, baseDir);
+            // Synced folders are the user's own and may hold symlinks; none of them may carry a write outside
+            if (offer.sync || syncPull) {
+                for (const file of files) fileTree.assertRealPathInside(baseDir, file.fullPath);
+            }
+        } catch (e) {
+            rejectOffer(socket, e.message);
+        }
+        const totalSize = files.reduce((sum, f) => sum + f.size, 0);
+        const senderName = offer.senderName || 'Unknown Device';
+        // Names already taken in the downloads folder; the conflict policy decides what happens to them
+        const rules = this.transferRules.getRules();
+        const conflicting = files.filter(f => fs.existsSync(f.fullPath));
+        let startedAt = Date.now();
+        let batchReceived = 0;
+        let algorithm = null;
+        let wireReceived = 0;
+        const recordHistory = (outcome, error = null) => this.recordHistory({
+            id: transferId,
+            direction: 'received',
+            peer: {
+                name: senderName,
+                ip: peerIP,
+                deviceId: deviceIdOf(offer, peerIdentity.publicKey),
+                publicKey: peerIdentity.publicKey,
+                fingerprint: peerIdentity.fingerprint,
+                trust: peerIdentity.trust
+            },
+            files: files.map(f => ({
+                name: f.relativePath,
+                size: f.size,
+                sha256: f.checksum || null,
+                status: f.status || 'pending',
+                path: f.savedPath || null
+            })),
+            totalSize,
+            bytesTransferred: batchReceived,
+            startedAt,
+            endedAt: Date.now(),
+            outcome,
+            error,
+            savePath: baseDir,
+            encryption: outcome === 'declined' ? null : ENCRYPTION_LABEL,
+            compression: compression.describe(algorithm, batchReceived, wireReceived)
+        });
+
+        // Nothing is written until the offer is accepted by a rule or the user; a
+        // verified peer syncing into a share that allows it has already been accepted
+        const decision = offer.sync ? { accept: true, conflictAction: 'overwrite' } : await this.reviewOffer({
+            transferId,
+            senderName,
+            peerIP,
+            deviceId: deviceIdOf(offer, peerIdentity.publicKey),
+            publicKey: peerIdentity.publicKey,
+            fingerprint: peerIdentity.fingerprint,
+            trust: peerIdentity.trust,
+            verificationCode: peerIdentity.verificationCode,
+            files: files.map(f => ({ name: f.relativePath, size: f.size })),
+            totalSize,
+            conflicts: conflicting.slice(0, MAX_PROMPT_FILES).map(f => f.relativePath),
+            conflictCount: conflicting.length,
+            conflictPolicy: rules.conflictPolicy
+        }, socket);
+        if (session.finished) return;
+        if (!decision.accept) {
+            recordHistory('declined', decision.reason);
+            rejectOffer(socket, decision.reason);
+        }
+        // Only a sender whose offer was taken up is remembered; anyone on the network can make one
+        this.identity.rememberPeer(senderName, peerIdentity.publicKey);
+        this.pausedTransfers.remove(transferId);
+        // Sync keeps both folders the same, so it always replaces what's there
+        const conflictAction = decision.conflictAction === 'overwrite' && (offer.sync || syncPull)
+            ? 'overwrite'
+            : resolveConflictAction(rules.conflictPolicy, decision);
+        // Time spent waiting on the prompt isn't transfer time
+        startedAt = Date.now();
+
+        const descriptorFor = (file) => ({
+            name: file.relativePath,
+            size: file.size,
+            modified: file.modified,
+            source: peerIdentity.publicKey
+        });
+        // Taken names are either not sent at all, or hashed so the sender can leave out identical copies
+        const skip = conflictAction === 'skip' ? conflicting.map(f => f.index) : [];
+        const existing = {};
+        if (rules.skipIdentical && conflictAction !== 'skip') {
+            for (const file of conflicting) {
+                const stats = fs.statSync(file.fullPath, { throwIfNoEntry: false });
+                if (!stats || !stats.isFile() || stats.size !== file.size) continue;
+                const hash = await hashFilePrefix(crypto.createHash(INTEGRITY_ALGORITHM), file.fullPath, file.size);
+                file.existingChecksum = hash.digest('hex');
+                existing[file.index] = file.existingChecksum;
+            }
+        }
+
+        // Tell the sender how much of each file we already hold from an earlier attempt
+        const resume = {};
+        for (const file of files) {
+            if (skip.includes(file.index)) continue;
+            const offset = partialFiles.findResumeOffset(baseDir, descriptorFor(file));
+            if (offset > 0) resume[file.index] = offset;
+        }
+        // Skipped files count as held, so progress still ends at 100%
+        let alreadyHeld = Object.values(resume).reduce((sum, n) => sum + n, 0);
+        // A taken name we're replacing or renaming around can serve as the base for a delta,
+        // unless an earlier attempt left a partial copy to resume instead
+        const deltaCandidates = conflicting
+            .filter(f => !skip.includes(f.index) && !resume[f.index])
+            .filter(f => {
+                const stats = fs.statSync(f.fullPath, { throwIfNoEntry: false });
+                return stats && stats.isFile() && delta.isWorthDelta(stats.size, f.size);
+            })
+            .map(f => f.index);
+
+        const keyPair = secureChannel.createKeyPair();
+        const reply = {
+            type: 'accept',
+            protocol: PROTOCOL_VERSION,
+            name: os.hostname(),
+            deviceId: this.identity.deviceId,
+            encryption: secureChannel.describe(keyPair),
+            compression: compression.negotiate(offer.compression),
+            resume,
+            skip,
+            existing
+        };
+        if (deltaCandidates.length > 0) reply.delta = deltaCandidates;
+        algorithm = reply.compression;
+        reply.identity = {
+            publicKey: this.identity.publicKey,
+            signature: this.identity.sign(acceptSignaturePayload(transferId, offer.encryption.publicKey, reply))
+        };
+        socket.write(JSON.stringify(reply) + '\n');
+
+        const sessionKeys = secureChannel.deriveSessionKeys(keyPair, offer.encryption.publicKey, transferId, false);
+        const outgoing = secureChannel.createEncryptStream(sessionKeys.sendKey);
+        const decoder = createMessageDecoder();
+        pipeline(outgoing, socket, () => { });
+        pipeline(socket, secureChannel.createDecryptStream(sessionKeys.receiveKey), decoder, () => { });
+
+        const common = {
+            senderName,
+            peerIP,
+            sync: offer.sync || syncPull ? true : undefined,
+            conflictPolicy: conflictAction,
+            encryption: ENCRYPTION_LABEL,
+            peerFingerprint: peerIdentity.fingerprint,
+            peerTrust: peerIdentity.trust
+        };
+        const send = (channel, data) => {
+            this.emit(channel, { transferId, ...common, ...data });
+        };
+        const completions = createCompletionReporter(data => send('transfer-complete', { batchFiles: files.length, ...data }));
+        const acknowledge = (payload) => {
+            if (!outgoing.destroyed) outgoing.write(encodeMessage(MessageType.FILE_ACK, payload));
+        };
+
+        let current = null;
+        // Paused batches are remembered so they can still be resumed after either app restarts
+        const pause = createPauseControl(
+            (type) => {
+                if (!outgoing.destroyed) outgoing.write(encodeMessage(type));
+            },
+            (paused, by) => {
+                console.log(`Transfer ${transferId} ${paused ? 'paused' : 'resumed'}${by === 'peer' ? ` by ${senderName}` : ''}`);
+                if (paused) {
+                    if (current) partialFiles.recordProgress(current.partial, current.descriptor, resumableBytes(current));
+                    this.pausedTransfers.add({
+                        id: transferId,
+                        peerIP,
+                        deviceId: deviceIdOf(offer, peerIdentity.publicKey),
+                        senderName,
+                        publicKey: peerIdentity.publicKey,
+                        fingerprint: peerIdentity.fingerprint,
+                        fileNames: files.slice(0, MAX_PROMPT_FILES).map(f => f.relativePath),
+                        fileCount: files.length,
+                        totalSize,
+                        received: alreadyHeld + batchReceived,
+                        conflictAction
+                    });
+                } else {
+                    this.pausedTransfers.remove(transferId);
                 }
+                send('transfer-paused', { paused, by, peerName: senderName });
+            },
+            () => socket.destroy(Object.assign(new Error('Sender stopped responding while paused'), { code: 'ETIMEDOUT' }))
+        );
+        session.pause = pause;
+        let nextIndex = 0;
+        let batchEnded = false;
+        let failure = null;
+
+        const reportProgress = createProgressThrottle((speed) => {
+            const file = current ? current.file : files[Math.min(nextIndex, files.length - 1)];
+            const received = current ? current.received : 0;
+            // Keep the sidecar close to what's on disk so a dropped connection resumes near here
+            if (current) partialFiles.recordProgress(current.partial, current.descriptor, resumableBytes(current));
+            send('transfer-progress', {
+                status: 'receiving',
+                filename: file.relativePath,
+                progress: file.size ? Math.min(100, Math.floor((received / file.size) * 100)) : 100,
+                overallProgress: totalSize > alreadyHeld
+                    ? Math.min(100, Math.floor(((alreadyHeld + batchReceived) / totalSize) * 100))
+                    : 100,
+                received,
+                total: file.size,
+                batchTotal: totalSize,
+                batchFiles: files.length,
+                speed,
+                resumedFrom: current ? current.offset : 0,
+                compression: compression.describe(algorithm, batchReceived, wireReceived)
+            });
+        });
+        // Send immediate "receiving" status so the UI registers the batch even if it's small
+        reportProgress(0, true);
+
+        // Counts bytes once they're on disk, so resume offsets never run ahead of the file
+        const countWritten = (state, chunk) => {
+            if (state.hash) state.hash.update(chunk);
+            state.received += chunk.length;
+            batchReceived += chunk.length;
+            reportProgress(batchReceived);
+        };
+        const countWire = (length) => {
+            wireReceived += length;
+        };
+        // A delta is rebuilt in order, from new bytes and blocks of our own copy alike
+        const writeDeltaBytes = async (state, chunk) => {
+            if (state.received + chunk.length > state.file.size) {
+                throw new Error('Sender sent more data than announced');
+            }
+            await state.handle.write(chunk, 0, chunk.length, state.received);
+            countWritten(state, chunk);
+        };
 
-                try {
-                    const meta = JSON.parse(metaBuffer.slice(0, newlineIndex).toString());
-                    if (meta.transferId) {
-                        // Remove the temporary ID and set the real one
-                        this.activeTransfers.delete(transferId);
-                        transferId = meta.transferId;
-                        this.activeTransfers.set(transferId, {
-                            socket,
-                            cancel: () => {
-                                if (transferFinished) return;
-                                transferFinished = true;
-                                socket.destroy();
-                            }
+        try {
+            for await (const message of decoder) {
+                if (session.finished) break;
+                if (pause.receive(message)) continue;
+
+                if (message.type === MessageType.FILE_HEADER) {
+                    const header = parsePayload(message);
+                    const file = files[header.index];
+                    if (current || batchEnded || !file || header.index !== nextIndex) {
+                        throw new Error('Sender broke the batch protocol: unexpected file header');
+                    }
+                    if (header.skip !== undefined) {
+                        // Only what we asked to skip, or a copy that hashes the same as ours, may be left out
+                        const identical = header.skip === 'identical' && !!file.existingChecksum &&
+                            header[INTEGRITY_ALGORITHM] === file.existingChecksum;
+                        if (!identical && !(header.skip === 'exists' && skip.includes(file.index))) {
+                            throw new Error(`Sender skipped ${file.relativePath} without cause`);
+                        }
+                        nextIndex++;
+                        alreadyHeld += file.size;
+                        file.status = 'skipped';
+                        file.checksum = file.existingChecksum || null;
+                        file.savedPath = file.fullPath;
+                        completions.add({
+                            filename: file.relativePath,
+                            path: file.fullPath,
+                            savedAs: file.relativePath,
+                            conflict: identical ? 'identical' : 'skipped',
+                            verified: identical,
+                            checksum: file.checksum
                         });
+                        acknowledge({ index: file.index, status: 'skipped', reason: header.skip });
+                        continue;
+                    }
+                    const offset = resume[file.index] || 0;
+                    if (header.offset !== offset) {
+                        throw new Error(`Sender resumed ${file.relativePath} at the wrong offset`);
+                    }
+                    if (header.delta !== undefined && !deltaCandidates.includes(file.index)) {
+                        throw new Error(`Sender asked for a delta of ${file.relativePath} we didn't offer`);
+                    }
+                    if (header.compression !== undefined && header.compression !== algorithm) {
+                        throw new Error(`Sender compressed ${file.relativePath} with an unnegotiated method`);
+                    }
+                    nextIndex++;
+
+                    fs.mkdirSync(path.dirname(file.fullPath), { recursive: true });
+                    const descriptor = descriptorFor(file);
+                    const partial = partialFiles.openPartial(baseDir, descriptor, offset);
+                    session.partial = partial;
+                    if (offset > 0) {
+                        console.log(`Resuming ${file.relativePath} from byte ${offset}`);
                     }
-                    const fileName = path.basename(meta.name);
-                    const fileSize = meta.size || 0;
-                    const fullPath = path.join(this.downloadsDir, fileName);
 
-                    if (fs.existsSync(fullPath)) {
-                        try { fs.unlinkSync(fullPath); } catch (e) { }
+                    if (header.delta) {
+                        // Tell the sender which blocks of our copy it can point at instead of sending
+                        const state = { file, descriptor, partial, offset: 0, received: 0, hash: crypto.createHash(INTEGRITY_ALGORITHM) };
+                        state.handle = await fs.promises.open(partial.partPath, 'r+');
+                        current = state;
+                        // If our copy has gone since the offer, no blocks match and the whole file comes as new bytes
+                        const basis = await fs.promises.open(file.fullPath, 'r').catch(() => null);
+                        state.delta = { basis, literal: 0 };
+                        const basisSize = basis ? (await basis.stat()).size : 0;
+                        const signatures = await delta.computeSignatures(basis, basisSize, file.index);
+                        state.delta.blockSize = signatures.blockSize;
+                        state.delta.blockCount = signatures.count;
+                        if (!outgoing.destroyed) outgoing.write(encodeMessage(MessageType.DELTA_SIGNATURES, signatures.message));
+                        continue;
                     }
 
-                    const writeStream = fs.createWriteStream(fullPath);
-                    const progressTransform = createProgressTransform((transferred) => {
-                        const now = Date.now();
-                        const delta = now - lastUpdate;
-                        if (delta >= 500 && this.mainWindow && !this.mainWindow.isDestroyed()) {
-                            const progress = Math.min(100, Math.floor((transferred / fileSize) * 100));
-                            const speed = ((transferred - lastBytes) / (delta / 1000)) / (1024 * 1024);
-                            this.mainWindow.webContents.send('transfer-progress', {
-                                transferId,
-                                status: 'receiving',
-                                filename: fileName,
-                                progress,
-                                received: transferred,
-                                total: fileSize,
-                                speed: Number(speed.toFixed(2)),
-                                senderName: meta.senderName || 'Unknown Device',
-                                peerIP: socket.remoteAddress
-                            });
-                            lastUpdate = now;
-                            lastBytes = transferred;
-                        }
-                    });
+                    if (header.ranges !== undefined) {
+                        // The sender fills this file over extra connections, each writing its own range
+                        validateRanges(header.ranges, offset, file.size);
+                        fs.truncateSync(partial.partPath, file.size);
+                        const state = { file, descriptor, partial, offset, received: offset, handle: null };
+                        state.parallel = {
+                            peerKey: peerIdentity.publicKey,
+                            partPath: partial.partPath,
+                            ranges: header.ranges.map(r => ({ start: r.start, end: r.end, received: 0, claimed: false })),
+                            compression: header.compression,
+                            sockets: new Set(),
+                            onWritten: (chunk) => countWritten(state, chunk),
+                            onWire: countWire
+                        };
+                        this.parallelFiles.set(`${transferId}|${file.index}`, state.parallel);
+                        current = state;
+                        acknowledge({ index: file.index, status: 'ready' });
+                        continue;
+                    }
 
-                    // Send immediate "receiving" status so UI registers the file even if small
-                    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
-                        this.mainWindow.webContents.send('transfer-progress', {
-                            transferId,
-                            status: 'receiving',
-                            filename: fileName,
-                            progress: 0,
-                            received: 0,
-                            total: fileSize,
-                            speed: 0,
-                            senderName: meta.senderName || 'Unknown Device',
-                            peerIP: socket.remoteAddress
+                    // Hash what we already have before any new bytes arrive
+                    const hash = crypto.createHash(INTEGRITY_ALGORITHM);
+                    await hashFilePrefix(hash, partial.partPath, offset);
+                    const state = { file, descriptor, partial, hash, offset, received: offset };
+                    state.handle = await fs.promises.open(partial.partPath, 'r+');
+                    state.sink = createFileSink(state.handle, offset, file.size, header.compression, chunk => countWritten(state, chunk));
+                    current = state;
+                } else if (message.type === MessageType.FILE_DATA) {
+                    if (!current || current.parallel) {
+                        throw new Error('Sender broke the batch protocol: data outside a file');
+                    }
+                    countWire(message.payload.length);
+                    if (current.delta) {
+                        await writeDeltaBytes(current, message.payload);
+                        current.delta.literal += message.payload.length;
+                    } else {
+                        await feedSink(current.sink, message.payload);
+                    }
+                } else if (message.type === MessageType.DELTA_COPY) {
+                    if (!current || !current.delta) {
+                        throw new Error('Sender broke the batch protocol: block reference outside a delta');
+                    }
+                    countWire(message.payload.length);
+                    const { block, count } = parsePayload(message);
+                    const { basis, blockSize, blockCount } = current.delta;
+                    if (!Number.isInteger(block) || !Number.isInteger(count) || block < 0 || count < 1 || block + count > blockCount) {
+                        throw new Error(`Sender referred to blocks of ${current.file.relativePath} we don't have`);
+                    }
+                    // Copied a block at a time, so a long run never sits in memory whole
+                    const buffer = Buffer.alloc(blockSize);
+                    for (let i = block; i < block + count; i++) {
+                        const { bytesRead } = await basis.read(buffer, 0, blockSize, i * blockSize);
+                        if (bytesRead !== blockSize) {
+                            throw new Error(`${current.file.relativePath} changed here while the delta was arriving`);
+                        }
+                        await writeDeltaBytes(current, buffer);
+                    }
+                } else if (message.type === MessageType.FILE_END) {
+                    const end = parsePayload(message);
+                    if (!current || end.index !== current.file.index) {
+                        throw new Error('Sender broke the batch protocol: unexpected end of file');
+                    }
+                    const { file, partial, offset } = current;
+                    let checksum;
+                    if (current.parallel) {
+                        this.releaseParallelFile(transferId, file.index);
+                        if (!current.parallel.ranges.every(r => r.received === r.end - r.start)) {
+                            throw new Error(`Not every range of ${file.relativePath} arrived`);
+                        }
+                        // Ranges arrive out of order, so the digest is taken once the file is whole
+                        const hash = await hashFilePrefix(crypto.createHash(INTEGRITY_ALGORITHM), partial.partPath, file.size);
+                        checksum = hash.digest('hex');
+                    } else if (current.delta) {
+                        await current.handle.close();
+                        if (current.delta.basis) await current.delta.basis.close();
+                        checksum = current.hash.digest('hex');
+                    } else {
+                        current.sink.input.end();
+                        await current.sink.done;
+                        await current.handle.close();
+                        checksum = current.hash.digest('hex');
+                    }
+                    const { received } = current;
+                    const deltaStats = current.delta ? { size: file.size, sent: current.delta.literal } : undefined;
+                    current = null;
+                    session.partial = null;
+
+                    const expected = end[INTEGRITY_ALGORITHM] || null;
+                    file.checksum = checksum;
+                    if (checksum === expected && received === file.size) {
+                        const existed = fs.existsSync(file.fullPath);
+                        const savedPath = partialFiles.completePartial(partial, file.fullPath, { overwrite: conflictAction === 'overwrite' });
+                        file.status = 'completed';
+                        file.savedPath = savedPath;
+                        completions.add({
+                            filename: file.relativePath,
+                            path: savedPath,
+                            savedAs: toRelativePath(baseDir, savedPath),
+                            conflict: savedPath !== file.fullPath ? 'renamed' : (existed ? 'overwritten' : undefined),
+                            resumedFrom: offset,
+                            verified: true,
+                            checksum,
+                            compression: compression.describe(algorithm, batchReceived, wireReceived),
+                            delta: deltaStats
+                        });
+                        acknowledge({ index: file.index, status: 'verified', [INTEGRITY_ALGORITHM]: checksum });
+                    } else {
+                        let quarantinePath = null;
+                        try {
+                            quarantinePath = partialFiles.quarantinePartial(partial, path.join(this.downloadsDir, QUARANTINE_DIR), path.basename(file.fullPath));
+                        } catch (e) {
+                            console.error('Failed to quarantine corrupted file:', e);
+                            partialFiles.discardPartial(partial);
+                        }
+                        file.status = 'corrupted';
+                        file.savedPath = quarantinePath;
+                        console.error(`Checksum mismatch for ${file.relativePath}: expected ${expected}, got ${checksum}`);
+                        send('transfer-error', {
+                            filename: file.relativePath,
+                            status: 'corrupted',
+                            error: `Checksum mismatch for ${file.relativePath}; file moved to quarantine`,
+                            expected,
+                            actual: checksum,
+                            quarantinePath
                         });
+                        acknowledge({ index: file.index, status: 'corrupted', [INTEGRITY_ALGORITHM]: checksum });
                     }
+                } else if (message.type === MessageType.BATCH_END) {
+                    if (current || nextIndex !== files.length) {
+                        throw new Error('Sender ended the batch before sending every file');
+                    }
+                    batchEnded = true;
+                }
+            }
 
-                    receiving = true;
-                    // Important: Pause socket before unshifting to prevent data race with pipeline
-                    socket.pause();
+            if (session.finished) return;
+            if (!batchEnded) {
+                const err = new Error('Connection closed before the batch finished');
+                err.code = 'ECONNRESET';
+                throw err;
+            }
 
-                    // Remove our 'data' listener so pipeline can take over
-                    socket.removeAllListeners('data');
+            session.finished = true;
+            this.activeTransfers.delete(transferId);
+            this.pausedTransfers.remove(transferId);
+            completions.flush();
+            outgoing.end();
+            recordHistory(historyOutcome(null, files.filter(f => f.status === 'corrupted').length));
+        } catch (err) {
+            failure = err;
+            // Keep the part file so the sender's next attempt can resume from here
+            if (current && !session.finished) {
+                partialFiles.recordProgress(current.partial, current.descriptor, resumableBytes(current));
+            }
+            completions.flush();
+            if (session.finished) return;
+
+            session.finished = true;
+            this.activeTransfers.delete(transferId);
+            outgoing.destroy();
+            socket.destroy();
+            if (pause.paused) {
+                // Not a failure: the part files and the paused record let either end carry on later
+                console.log(`Paused transfer ${transferId} lost its connection: ${err.message}`);
+                send('transfer-paused', { paused: true, disconnected: true, peerName: senderName });
+                return;
+            }
+            console.error('Batch receive failed:', err);
+            send('transfer-error', {
+                filename: current ? current.file.relativePath : undefined,
+                error: err.message,
+                resumable: !!current && current.received > 0
+            });
+            recordHistory('failed', err.message);
+        } finally {
+            pause.stop();
+            if (session.cancelled) recordHistory('cancelled', 'Transfer cancelled');
+            // The folder sync that asked for this batch stops waiting either way; after a
+            // failure the sender may still retry into the same folder
+            if (syncPull) {
+                if (batchEnded) this.expectedPulls.delete(transferId);
+                syncPull.onFinished(batchEnded ? null : (failure || new Error('Transfer cancelled')), files);
+            }
+            if (current && current.sink) current.sink.input.destroy();
+            if (current && current.handle) await current.handle.close().catch(() => { });
+            if (current && current.delta && current.delta.basis) await current.delta.basis.close().catch(() => { });
+            if (current && current.parallel) this.releaseParallelFile(transferId, current.file.index);
+        }
+    }
 
-                    const remainingData = metaBuffer.slice(newlineIndex + 1);
-                    metaBuffer = null;
+    // Stop accepting ranges for a file and drop any range connections still open
+    releaseParallelFile(transferId, index) {
+        const key = `${transferId}|${index}`;
+        const parallel = this.parallelFiles.get(key);
+        if (!parallel) return;
+        this.parallelFiles.delete(key);
+        for (const socket of parallel.sockets) socket.destroy();
+    }
 
-                    // Push remaining data back to socket stream
-                    if (remainingData.length > 0) {
-                        socket.unshift(remainingData);
+    // An extra connection carrying one range of a large file in a batch we're already receiving
+    async receiveRange(socket, join) {
+        const parallel = this.parallelFiles.get(`${join.transferId}|${join.index}`);
+        if (!parallel) {
+            rejectOffer(socket, 'No transfer is waiting for this range');
+        }
+        if (!secureChannel.isSupported(join.encryption)) {
+            rejectOffer(socket, 'Unsupported encryption protocol');
+        }
+        if (!join.identity || join.identity.publicKey !== parallel.peerKey ||
+            !Identity.verify(joinSignaturePayload(join), join.identity.signature, parallel.peerKey)) {
+            rejectOffer(socket, 'Range sender does not match the batch sender');
+        }
+        const range = parallel.ranges.find(r => r.start === join.start && r.end === join.end && !r.claimed);
+        if (!range) {
+            rejectOffer(socket, 'Unexpected range');
+        }
+        range.claimed = true;
+        parallel.sockets.add(socket);
+
+        const keyPair = secureChannel.createKeyPair();
+        const reply = {
+            type: 'accept',
+            protocol: PROTOCOL_VERSION,
+            name: os.hostname(),
+            encryption: secureChannel.describe(keyPair)
+        };
+        reply.identity = {
+            publicKey: this.identity.publicKey,
+            signature: this.identity.sign(acceptSignaturePayload(join.transferId, join.encryption.publicKey, reply))
+        };
+        socket.write(JSON.stringify(reply) + '\n');
+
+        const sessionKeys = secureChannel.deriveSessionKeys(keyPair, join.encryption.publicKey, join.transferId, false);
+        const outgoing = secureChannel.createEncryptStream(sessionKeys.sendKey);
+        const decoder = createMessageDecoder();
+        pipeline(outgoing, socket, () => { });
+        pipeline(socket, secureChannel.createDecryptStream(sessionKeys.receiveKey), decoder, () => { });
+
+        const handle = await fs.promises.open(parallel.partPath, 'r+');
+        const sink = createFileSink(handle, range.start, range.end, parallel.compression, (chunk) => {
+            range.received += chunk.length;
+            parallel.onWritten(chunk);
+        });
+        try {
+            for await (const message of decoder) {
+                if (message.type === MessageType.FILE_DATA) {
+                    parallel.onWire(message.payload.length);
+                    await feedSink(sink, message.payload);
+                } else if (message.type === MessageType.FILE_END) {
+                    sink.input.end();
+                    await sink.done;
+                    if (range.received !== range.end - range.start) {
+                        throw new Error('Range ended before all of its bytes arrived');
                     }
-
-                    pipeline(socket, progressTransform, writeStream, (err) => {
-                        if (transferFinished) return;
-                        transferFinished = true;
-                        this.activeTransfers.delete(transferId);
-
-                        if (err) {
-                            console.error('Pipeline failed:', err);
-                            if (this.mainWindow && !this.mainWindow.isDestroyed()) {
-                                this.mainWindow.webContents.send('transfer-error', { transferId, error: err.message });
-                            }
-                        } else {
-                            if (this.mainWindow && !this.mainWindow.isDestroyed()) {
-                                this.mainWindow.webContents.send('transfer-complete', {
-                                    transferId,
-                                    filename: fileName,
-                                    path: fullPath,
-                                    senderName: meta.senderName || 'Unknown Device',
-                                    peerIP: socket.remoteAddress
-                                });
-                            }
-                        }
-                    });
-
-                } catch (e) {
-                    console.error('Metadata parse error:', e);
-                    socket.destroy();
+                    outgoing.end(encodeMessage(MessageType.FILE_ACK, { index: join.index, status: 'received', start: range.start }));
+                } else {
+                    throw new Error('Sender broke the range protocol');
                 }
             }
-        });
+        } catch (err) {
+            console.error(`Range ${range.start}-${range.end} failed:`, err.message);
+            outgoing.destroy();
+            socket.destroy();
+        } finally {
+            sink.input.destroy();
+            await handle.close().catch(() => { });
+            parallel.sockets.delete(socket);
+        }
+    }
 
-        socket.on('error', (err) => {
-            console.error('Socket error:', err);
-            if (!transferFinished) {
-                transferFinished = true;
-                this.activeTransfers.delete(transferId);
-            }
-        });
+    cancelTransfer(transferId) {
+        const forgotten = this.pausedTransfers.remove(transferId);
+        const transfer = this.activeTransfers.get(transferId);
+        if (!transfer) return forgotten;
+        transfer.cancel();
+        return true;
     }
 
     stop() {
         if (this.broadcastTimer) clearInterval(this.broadcastTimer);
+        if (this.presenceTimer) {
+            clearInterval(this.presenceTimer);
+            this.presenceTimer = null;
+        }
+        if (this.addressBookTimer) {
+            clearInterval(this.addressBookTimer);
+            this.addressBookTimer = null;
+        }
         if (this.udpSocket) {
             try { this.udpSocket.close(); } catch (e) { }
             this.udpSocket = null;
         }
+        this.closeIPv6Discovery();
+        if (this.mdns) {
+            this.mdns.stop();
+            this.mdns = null;
+        }
         if (this.tcpServer) {
             try { this.tcpServer.close(); } catch (e) { }
             this.tcpServer = null;
@@ -564,4 +2980,7 @@ class NetworkManager {
     }
 }
 
+NetworkManager.EVENTS = EVENTS;
 module.exports = NetworkManager;
+module.exports.resolveConflictAction = resolveConflictAction;
+module.exports.validateManifest = validateManifest;
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const { loadJson, saveJson } = require('./jsonStore');
+const { availablePath } = require('./fileTree');
+
+const PART_SUFFIX = '.part';
+const SIDECAR_SUFFIX = '.part.json';
+
+// Incoming files are written to "<name>.part" next to a "<name>.part.json" record
+// describing what they are, so an interrupted transfer can pick up where it stopped.
+
+function partialPaths(dir, fileName) {
+    return {
+        partPath: path.join(dir, fileName + PART_SUFFIX),
+        sidecarPath: path.join(dir, fileName + SIDECAR_SUFFIX)
+    };
+}
+
+// Our own records always say how much arrived; a file without that is the user's, not ours to reuse
+function isOurRecord(sidecarPath) {
+    if (!fs.existsSync(sidecarPath)) return false;
+    const record = loadJson(sidecarPath, null);
+    return !!record && typeof record === 'object' && typeof record.received === 'number';
+}
+
+// The usual part and record paths, unless something that isn't ours already sits at either of them.
+// Then the first free "name (n).ext.part" pair is used instead; that attempt can't be resumed later,
+// but nothing in the destination folder gets overwritten. With `unique`, even our own are passed over.
+function claimPartialPaths(dir, fileName, unique = false) {
+    const paths = partialPaths(dir, fileName);
+    if (!unique && isOurRecord(paths.sidecarPath)) return { ...paths, ours: true };
+    if (!fs.existsSync(paths.partPath) && !fs.existsSync(paths.sidecarPath)) return paths;
+
+    const { name, ext } = path.parse(fileName);
+    for (let n = 2; ; n++) {
+        const candidate = partialPaths(dir, path.join(path.dirname(fileName), `${name} (${n})${ext}`));
+        if (!fs.existsSync(candidate.partPath) && !fs.existsSync(candidate.sidecarPath)) return candidate;
+    }
+}
+
+// A partial only counts if it's the same file from the same sender; anything else starts over
+function matches(record, descriptor) {
+    return record &&
+        record.name === descriptor.name &&
+        record.size === descriptor.size &&
+        record.modified === descriptor.modified &&
+        record.source === descriptor.source;
+}
+
+// How many bytes of this file we already hold from an earlier, interrupted attempt
+function findResumeOffset(dir, descriptor) {
+    const { partPath, sidecarPath } = partialPaths(dir, descriptor.name);
+    if (!descriptor.modified || !fs.existsSync(sidecarPath)) return 0;
+
+    const record = loadJson(sidecarPath, null);
+    if (!matches(record, descriptor) || !fs.existsSync(partPath)) return 0;
+    return Math.min(record.received || 0, fs.statSync(partPath).size, descriptor.size);
+}
+
+/**
+ * Prepare a partial file for writing from `offset` (as agreed with the sender).
+ * The part file is trimmed to that byte so we never keep data written after
+ * the sidecar last saw it. `options.unique` starts one no other transfer is
+ * writing, for a file that will never be resumed.
+ */
+function openPartial(dir, descriptor, offset = 0, options = {}) {
+    let { partPath, sidecarPath } = partialPaths(dir, descriptor.name);
+
+    if (offset > 0) {
+        fs.truncateSync(partPath, offset);
+    } else {
+        // Only a part file we started earlier may be emptied; anything else is left alone
+        const claimed = claimPartialPaths(dir, descriptor.name, options.unique);
+        ({ partPath, sidecarPath } = claimed);
+        fs.writeFileSync(partPath, '', { flag: claimed.ours ? 'w' : 'wx' });
+    }
+
+    saveJson(sidecarPath, { ...descriptor, received: offset, updatedAt: new Date().toISOString() });
+    return { partPath, sidecarPath, offset };
+}
+
+function recordProgress(partial, descriptor, received) {
+    saveJson(partial.sidecarPath, { ...descriptor, received, updatedAt: new Date().toISOString() });
+}
+
+/**
+ * Move the finished part file into place and forget the record. A file already at
+ * `finalPath` is only replaced with `overwrite`; otherwise the new one is saved
+ * under the next free "name (n).ext". Returns where the file ended up.
+ */
+function completePartial(partial, finalPath, options = {}) {
+    let savedPath = finalPath;
+    if (fs.existsSync(finalPath)) {
+        if (options.overwrite) {
+            fs.unlinkSync(finalPath);
+        } else {
+            savedPath = availablePath(finalPath);
+        }
+    }
+    fs.renameSync(partial.partPath, savedPath);
+    try { fs.unlinkSync(partial.sidecarPath); } catch (e) { }
+    return savedPath;
+}
+
+// Set a file that failed verification aside where it can't be mistaken for a good copy
+function quarantinePartial(partial, quarantineDir, fileName) {
+    fs.mkdirSync(quarantineDir, { recursive: true });
+    const quarantinePath = path.join(quarantineDir, `${Date.now()}_${fileName}`);
+    fs.renameSync(partial.partPath, quarantinePath);
+    try { fs.unlinkSync(partial.sidecarPath); } catch (e) { }
+    return quarantinePath;
+}
+
+function discardPartial(partial) {
+    try { fs.unlinkSync(partial.partPath); } catch (e) { }
+    try { fs.unlinkSync(partial.sidecarPath); } catch (e) { }
+}
+
+// Whether a file name is one of our in-progress part files or their records
+function isPartialPath(fileName) {
+    return fileName.endsWith(PART_SUFFIX) || fileName.endsWith(SIDECAR_SUFFIX);
+}
+
+module.exports = { findResumeOffset, openPartial, recordProgress, completePartial, quarantinePartial, discardPartial, isPartialPath };
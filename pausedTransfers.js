@@ -0,0 +1,43 @@
+const path = require('path');
+const { loadJson, saveJson } = require('./jsonStore');
+
+const PAUSED_FILE = 'paused-transfers.json';
+
+/**
+ * Incoming transfers that were paused, kept across restarts so they can still be
+ * shown and resumed from either end once the connection is gone. Outgoing
+ * transfers remember their pause in the transfer queue instead.
+ */
+class PausedTransfers {
+    constructor(dataDir) {
+        this.pausedPath = path.join(dataDir, PAUSED_FILE);
+        this.records = loadJson(this.pausedPath, {});
+    }
+
+    // Newest first
+    list() {
+        return Object.values(this.records).sort((a, b) => b.pausedAt - a.pausedAt);
+    }
+
+    get(transferId) {
+        return this.records[transferId] || null;
+    }
+
+    add(record) {
+        this.records[record.id] = { ...record, pausedAt: Date.now() };
+        this.save();
+    }
+
+    remove(transferId) {
+        if (!this.records[transferId]) return false;
+        delete this.records[transferId];
+        this.save();
+        return true;
+    }
+
+    save() {
+        saveJson(this.pausedPath, this.records);
+    }
+}
+
+module.exports = PausedTransfers;
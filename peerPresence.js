@@ -0,0 +1,58 @@
+const path = require('path');
+const { loadJson, saveJson } = require('./jsonStore');
+
+const SETTINGS_FILE = 'presence.json';
+// Peers announce themselves every second, so anything shorter would flicker
+const MIN_AWAY_SECONDS = 3;
+const MAX_OFFLINE_SECONDS = 24 * 60 * 60;
+
+const DEFAULT_SETTINGS = {
+    // A peer not heard from for this long is shown as away
+    awayAfterSeconds: 10,
+    // and after this long it's dropped from the list and reported lost
+    offlineAfterSeconds: 60
+};
+
+/**
+ * How long a discovered peer may stay silent before it counts as away, and then
+ * as gone. Persisted; the network manager applies it to every peer it has heard.
+ */
+class PeerPresence {
+    constructor(dataDir) {
+        this.settingsPath = path.join(dataDir, SETTINGS_FILE);
+        this.settings = { ...DEFAULT_SETTINGS, ...loadJson(this.settingsPath, {}) };
+    }
+
+    getSettings() {
+        return this.settings;
+    }
+
+    save() {
+        saveJson(this.settingsPath, this.settings);
+    }
+
+    // Both limits are checked together, so they can be moved past each other in one call
+    update({ awayAfterSeconds = this.settings.awayAfterSeconds, offlineAfterSeconds = this.settings.offlineAfterSeconds }) {
+        const away = Number(awayAfterSeconds);
+        const offline = Number(offlineAfterSeconds);
+        if (!Number.isInteger(away) || away < MIN_AWAY_SECONDS) {
+            throw new Error(`Away time must be a whole number of seconds, at least ${MIN_AWAY_SECONDS}`);
+        }
+        if (!Number.isInteger(offline) || offline <= away || offline > MAX_OFFLINE_SECONDS) {
+            throw new Error('Offline time must be longer than the away time, and at most a day');
+        }
+        this.settings = { awayAfterSeconds: away, offlineAfterSeconds: offline };
+        this.save();
+        return this.settings;
+    }
+
+    // 'online', 'away' or 'offline' for a peer last heard at `lastSeen`
+    stateOf(lastSeen, now = Date.now()) {
+        const silence = (now - lastSeen) / 1000;
+        if (silence >= this.settings.offlineAfterSeconds) return 'offline';
+        if (silence >= this.settings.awayAfterSeconds) return 'away';
+        return 'online';
+    }
+}
+
+module.exports = PeerPresence;
@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+
+// Wire format for the encrypted part of a transfer connection.
+// Each frame is: [flag:1][length:4][ciphertext:length][tag:16]
+// The 5-byte header is authenticated as AAD so flags and lengths can't be tampered with.
+const PROTOCOL_VERSION = 1;
+const KEY_EXCHANGE = 'X25519';
+const CIPHER = 'aes-256-gcm';
+const CIPHER_LABEL = 'AES-256-GCM';
+const HEADER_LENGTH = 5;
+const TAG_LENGTH = 16;
+const MAX_FRAME_SIZE = 64 * 1024;
+
+const FLAG_DATA = 0;
+const FLAG_FINAL = 1;
+
+// Generate an ephemeral X25519 key pair for a single connection
+function createKeyPair() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('x25519');
+    return {
+        privateKey,
+        publicKey: publicKey.export({ format: 'jwk' }).x
+    };
+}
+
+// Describes what we offer/accept in the JSON handshake line
+function describe(keyPair) {
+    return {
+        version: PROTOCOL_VERSION,
+        keyExchange: KEY_EXCHANGE,
+        cipher: CIPHER_LABEL,
+        publicKey: keyPair.publicKey
+    };
+}
+
+// Validate the encryption block the other side sent us
+function isSupported(offer) {
+    return !!offer &&
+        offer.version === PROTOCOL_VERSION &&
+        offer.keyExchange === KEY_EXCHANGE &&
+        offer.cipher === CIPHER_LABEL &&
+        typeof offer.publicKey === 'string';
+}
+
+/**
+ * Derive a pair of directional session keys from our private key and the peer's public key.
+ * `initiator` is true on the sending (connecting) side; both ends end up with
+ * sendKey/receiveKey mirrored so neither direction ever reuses a key+nonce pair.
+ */
+function deriveSessionKeys(keyPair, peerPublicKey, transferId, initiator) {
+    const peerKey = crypto.createPublicKey({
+        key: { kty: 'OKP', crv: 'X25519', x: peerPublicKey },
+        format: 'jwk'
+    });
+    const shared = crypto.diffieHellman({ privateKey: keyPair.privateKey, publicKey: peerKey });
+
+    const [initiatorPub, responderPub] = initiator
+        ? [keyPair.publicKey, peerPublicKey]
+        : [peerPublicKey, keyPair.publicKey];
+    const salt = crypto.createHash('sha256')
+        .update(`${transferId}|${initiatorPub}|${responderPub}`)
+        .digest();
+
+    const derive = (label) => Buffer.from(crypto.hkdfSync('sha256', shared, salt, `safeshare/v${PROTOCOL_VERSION}/${label}`, 32));
+    const initiatorKey = derive('initiator');
+    const responderKey = derive('responder');
+
+    return initiator
+        ? { sendKey: initiatorKey, receiveKey: responderKey }
+        : { sendKey: responderKey, receiveKey: initiatorKey };
+}
+
+// 96-bit nonce: 4 zero bytes followed by a 64-bit big-endian frame counter
+function nonceFor(counter) {
+    const nonce = Buffer.alloc(12);
+    nonce.writeBigUInt64BE(counter, 4);
+    return nonce;
+}
+
+function sealFrame(key, counter, flag, plaintext) {
+    const header = Buffer.alloc(HEADER_LENGTH);
+    header.writeUInt8(flag, 0);
+    header.writeUInt32BE(plaintext.length, 1);
+
+    const cipher = crypto.createCipheriv(CIPHER, key, nonceFor(counter), { authTagLength: TAG_LENGTH });
+    cipher.setAAD(header);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+    return Buffer.concat([header, ciphertext, cipher.getAuthTag()]);
+}
+
+// Encrypts a plaintext byte stream into authenticated frames, terminated by a FINAL frame.
+// `options.trailer` may return a small buffer to carry inside the FINAL frame (e.g. a digest
+// that is only known once all data has passed through).
+function createEncryptStream(key, options = {}) {
+    let counter = 0n;
+
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            try {
+                for (let offset = 0; offset < chunk.length; offset += MAX_FRAME_SIZE) {
+                    this.push(sealFrame(key, counter++, FLAG_DATA, chunk.subarray(offset, offset + MAX_FRAME_SIZE)));
+                }
+                callback();
+            } catch (e) {
+                callback(e);
+            }
+        },
+        flush(callback) {
+            try {
+                // The final frame lets the receiver tell a clean end from a truncated stream
+                const trailer = options.trailer ? Buffer.from(options.trailer()) : Buffer.alloc(0);
+                if (trailer.length > MAX_FRAME_SIZE) throw new Error('Stream trailer too large');
+                this.push(sealFrame(key, counter++, FLAG_FINAL, trailer));
+                callback();
+            } catch (e) {
+                callback(e);
+            }
+        }
+    });
+}
+
+// Verifies and decrypts frames produced by createEncryptStream.
+// A non-empty FINAL frame is emitted as a 'trailer' event rather than as data.
+function createDecryptStream(key) {
+    let counter = 0n;
+    let pending = Buffer.alloc(0);
+    let finished = false;
+
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+
+            try {
+                while (pending.length >= HEADER_LENGTH) {
+                    if (finished) throw new Error('Unexpected data after end of encrypted stream');
+
+                    const flag = pending.readUInt8(0);
+                    const length = pending.readUInt32BE(1);
+                    if ((flag !== FLAG_DATA && flag !== FLAG_FINAL) || length > MAX_FRAME_SIZE) {
+                        throw new Error('Malformed encrypted frame');
+                    }
+
+                    const frameLength = HEADER_LENGTH + length + TAG_LENGTH;
+                    if (pending.length < frameLength) break;
+
+                    const header = pending.subarray(0, HEADER_LENGTH);
+                    const ciphertext = pending.subarray(HEADER_LENGTH, HEADER_LENGTH + length);
+                    const tag = pending.subarray(HEADER_LENGTH + length, frameLength);
+
+                    const decipher = crypto.createDecipheriv(CIPHER, key, nonceFor(counter++), { authTagLength: TAG_LENGTH });
+                    decipher.setAAD(header);
+                    decipher.setAuthTag(tag);
+                    let plaintext;
+                    try {
+                        plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+                    } catch (e) {
+                        throw new Error('Encrypted frame failed authentication');
+                    }
+
+                    pending = pending.subarray(frameLength);
+                    if (flag === FLAG_FINAL) {
+                        finished = true;
+                        if (plaintext.length > 0) this.emit('trailer', plaintext);
+                    } else if (plaintext.length > 0) {
+                        this.push(plaintext);
+                    }
+                }
+                callback();
+            } catch (e) {
+                callback(e);
+            }
+        },
+        flush(callback) {
+            if (!finished || pending.length > 0) {
+                return callback(new Error('Encrypted stream was truncated'));
+            }
+            callback();
+        }
+    });
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    KEY_EXCHANGE,
+    CIPHER_LABEL,
+    createKeyPair,
+    describe,
+    isSupported,
+    deriveSessionKeys,
+    createEncryptStream,
+    createDecryptStream
+};
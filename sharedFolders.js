@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { loadJson, saveJson } = require('./jsonStore');
+const { collectFiles, resolveSafePath, removeFile, scanFolder } = require('./fileTree');
+const FolderSync = require('./folderSync');
+
+const SHARES_FILE = 'shared-folders.json';
+const MAX_SHARE_NAME = 64;
+const MAX_LISTING_ENTRIES = 5000;
+const SCRYPT_KEY_LENGTH = 32;
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEY_LENGTH);
+    return { salt: salt.toString('hex'), hash: hash.toString('hex') };
+}
+
+function checkPassword(stored, password) {
+    if (typeof password !== 'string' || password.length === 0) return false;
+    const expected = Buffer.from(stored.hash, 'hex');
+    const actual = crypto.scryptSync(password, Buffer.from(stored.salt, 'hex'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// How a share is shown to its owner; the password hash never leaves this module
+function describe(share) {
+    return {
+        name: share.name,
+        path: share.path,
+        trustedOnly: share.trustedOnly,
+        allowSync: !!share.allowSync,
+        passwordProtected: !!share.password,
+        createdAt: share.createdAt
+    };
+}
+
+function accessError(message, code) {
+    return Object.assign(new Error(message), { code });
+}
+
+/**
+ * Folders this device publishes for peers to browse and pull from. Shares are
+ * read-only: peers can list them and ask for files, never write. Each one can
+ * require a password, be limited to devices whose key the user has verified,
+ * or both. Passwords are only kept as scrypt hashes.
+ *
+ * The one exception is folder sync: a share with allowSync also takes changes
+ * and deletions from verified devices syncing with it.
+ */
+class SharedFolders {
+    constructor(dataDir) {
+        this.sharesPath = path.join(dataDir, SHARES_FILE);
+        this.shares = loadJson(this.sharesPath, []);
+        // File hashes for sync manifests, per share, reused while files are unchanged
+        this.hashCaches = new Map();
+    }
+
+    list() {
+        return this.shares.map(describe);
+    }
+
+    get(name) {
+        const wanted = String(name).toLowerCase();
+        return this.shares.find(share => share.name.toLowerCase() === wanted) || null;
+    }
+
+    add({ name, folderPath, password, trustedOnly, allowSync }) {
+        const stats = folderPath ? fs.statSync(folderPath, { throwIfNoEntry: false }) : null;
+        if (!stats || !stats.isDirectory()) {
+            throw new Error('Only folders can be shared');
+        }
+        const shareName = String(name || path.basename(folderPath)).trim();
+        if (!shareName || shareName.length > MAX_SHARE_NAME || /[\\/]/.test(shareName)) {
+            throw new Error(`Share names must be 1-${MAX_SHARE_NAME} characters without slashes`);
+        }
+        if (this.get(shareName)) {
+            throw new Error(`A share named "${shareName}" already exists`);
+        }
+
+        const share = {
+            name: shareName,
+            path: path.resolve(folderPath),
+            trustedOnly: !!trustedOnly,
+            allowSync: !!allowSync,
+            password: password ? hashPassword(password) : null,
+            createdAt: Date.now()
+        };
+        this.shares.push(share);
+        this.save();
+        return describe(share);
+    }
+
+    // A password of '' or null removes it; leaving it out keeps the current one
+    update(name, changes) {
+        const share = this.get(name);
+        if (!share) throw new Error(`No share named "${name}"`);
+        if (changes.trustedOnly !== undefined) share.trustedOnly = !!changes.trustedOnly;
+        if (changes.allowSync !== undefined) share.allowSync = !!changes.allowSync;
+        if (changes.password !== undefined) share.password = changes.password ? hashPassword(changes.password) : null;
+        this.save();
+        return describe(share);
+    }
+
+    remove(name) {
+        const share = this.get(name);
+        if (!share) return false;
+        this.shares = this.shares.filter(s => s !== share);
+        this.hashCaches.delete(share.name);
+        this.save();
+        return true;
+    }
+
+    // The shares a peer with this identity trust gets to see; trusted-only ones stay hidden from everyone else
+    visibleTo(trust) {
+        return this.shares
+            .filter(share => !share.trustedOnly || trust === 'trusted')
+            .map(share => ({ name: share.name, passwordRequired: !!share.password, allowSync: !!share.allowSync && trust === 'trusted' }));
+    }
+
+    /**
+     * Check a peer's access to a share and return it. Errors carry a code so the
+     * peer can tell a missing password from a share it isn't allowed to see.
+     */
+    authorize(name, { trust, password }) {
+        const share = this.get(name);
+        if (!share || (share.trustedOnly && trust !== 'trusted')) {
+            throw accessError(`No share named "${name}"`, 'SHARE_NOT_FOUND');
+        }
+        if (share.password && !checkPassword(share.password, password)) {
+            throw accessError(password ? 'Wrong password' : 'This share needs a password', 'PASSWORD_REQUIRED');
+        }
+        return share;
+    }
+
+    // Writing into a share is only for folder sync, and only from devices the user has verified
+    authorizeSync(name, trust) {
+        const share = this.get(name);
+        if (!share || !share.allowSync || trust !== 'trusted') {
+            throw accessError(`"${name}" does not accept sync from this device`, 'SHARE_NOT_FOUND');
+        }
+        return share;
+    }
+
+    // Resolve a path inside a share, following symlinks only as far as they stay inside it
+    resolve(share, relativePath) {
+        if (!relativePath) return share.path;
+        let fullPath;
+        try {
+            fullPath = resolveSafePath(share.path, relativePath).fullPath;
+            const root = fs.realpathSync(share.path);
+            const real = fs.realpathSync(fullPath);
+            if (real !== root && !real.startsWith(root + path.sep)) throw new Error('outside');
+        } catch (e) {
+            throw accessError(`No such path "${relativePath}" in ${share.name}`, 'SHARE_NOT_FOUND');
+        }
+        return fullPath;
+    }
+
+    // One level of a share, folders first; symlinks are left out as they are when sending a folder
+    listDirectory(share, relativePath = '') {
+        const dir = this.resolve(share, relativePath);
+        const entries = [];
+        for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+            if (!dirent.isFile() && !dirent.isDirectory()) continue;
+            const entryPath = relativePath ? `${relativePath}/${dirent.name}` : dirent.name;
+            let stats;
+            try {
+                stats = fs.statSync(path.join(dir, dirent.name));
+            } catch (e) {
+                continue;
+            }
+            entries.push({
+                name: dirent.name,
+                path: entryPath,
+                type: dirent.isDirectory() ? 'directory' : 'file',
+                size: dirent.isDirectory() ? 0 : stats.size,
+                modified: stats.mtimeMs
+            });
+            if (entries.length >= MAX_LISTING_ENTRIES) break;
+        }
+        return entries.sort((a, b) => (a.type === b.type ? a.name.localeCompare(b.name) : (a.type === 'directory' ? -1 : 1)));
+    }
+
+    /**
+     * The files behind what a peer picked, named from the picked item down just
+     * like a local folder send. With `keepPaths` (for sync) they keep their full
+     * path inside the share instead.
+     */
+    collect(share, relativePaths, keepPaths = false) {
+        return relativePaths.flatMap(relativePath => {
+            const files = collectFiles([this.resolve(share, relativePath)]);
+            if (!keepPaths) return files;
+            const picked = path.posix.basename(relativePath);
+            return files.map(file => ({ ...file, relativePath: relativePath + file.relativePath.slice(picked.length) }));
+        });
+    }
+
+    // Every file in a share with its hash, for a peer syncing with it
+    manifest(share) {
+        if (!this.hashCaches.has(share.name)) this.hashCaches.set(share.name, new Map());
+        return scanFolder(share.path, this.hashCaches.get(share.name), FolderSync.isIgnored);
+    }
+
+    // Deletions a syncing peer made on its side; with `archive` the files are moved aside rather than removed
+    removeFiles(share, relativePaths, archive) {
+        return relativePaths.filter(relativePath => {
+            try {
+                this.resolve(share, relativePath);
+            } catch (e) {
+                // Already gone here
+                return false;
+            }
+            return removeFile(share.path, relativePath, archive);
+        });
+    }
+
+    save() {
+        saveJson(this.sharesPath, this.shares, { mode: 0o600 });
+    }
+}
+
+module.exports = SharedFolders;
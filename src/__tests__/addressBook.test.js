@@ -0,0 +1,92 @@
+/** @jest-environment node */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AddressBook = require('../../addressBook');
+
+const { parseTarget, rangeHosts } = AddressBook;
+
+describe('AddressBook', () => {
+    describe('parseTarget', () => {
+        it('tells addresses, ranges and hostnames apart', () => {
+            expect(parseTarget(' 10.0.4.7 ')).toEqual({ kind: 'address', target: '10.0.4.7' });
+            expect(parseTarget('fe80::1%eth0')).toEqual({ kind: 'address', target: 'fe80::1%eth0' });
+            expect(parseTarget('10.0.4.0/24')).toEqual({ kind: 'range', target: '10.0.4.0/24' });
+            expect(parseTarget('NAS.Home.Lan.')).toEqual({ kind: 'hostname', target: 'nas.home.lan' });
+        });
+
+        it('moves a range to its network address', () => {
+            expect(parseTarget('10.0.5.77/22')).toEqual({ kind: 'range', target: '10.0.4.0/22' });
+        });
+
+        it('refuses ranges too big to probe and anything it cannot read', () => {
+            expect(() => parseTarget('10.0.0.0/16')).toThrow('Ranges can be from /22 to /32');
+            expect(() => parseTarget('fe80::/64')).toThrow('Ranges are an IPv4 network and prefix length');
+            expect(() => parseTarget('10.0.0.300')).toThrow('10.0.0.300 is not a valid IP address');
+            expect(() => parseTarget('not a host!')).toThrow('Enter an IP address, a hostname or a range');
+            expect(() => parseTarget('')).toThrow('Enter an IP address, a hostname or a range');
+        });
+    });
+
+    describe('rangeHosts', () => {
+        it('leaves out the network and broadcast addresses', () => {
+            const hosts = rangeHosts('192.168.1.0/24');
+            expect(hosts).toHaveLength(254);
+            expect(hosts[0]).toBe('192.168.1.1');
+            expect(hosts[hosts.length - 1]).toBe('192.168.1.254');
+        });
+
+        it('keeps every address of a /31 or /32', () => {
+            expect(rangeHosts('10.0.0.4/31')).toEqual(['10.0.0.4', '10.0.0.5']);
+            expect(rangeHosts('10.0.0.9/32')).toEqual(['10.0.0.9']);
+        });
+
+        it('crosses octet boundaries', () => {
+            const hosts = rangeHosts('10.0.4.0/22');
+            expect(hosts).toHaveLength(1022);
+            expect(hosts).toContain('10.0.5.255');
+            expect(hosts[hosts.length - 1]).toBe('10.0.7.254');
+        });
+    });
+
+    describe('entries', () => {
+        let dataDir;
+
+        beforeEach(() => {
+            dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'address-book-test-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        });
+
+        it('lists favourites first and keeps entries across restarts', () => {
+            const book = new AddressBook(dataDir);
+            book.add({ target: '10.0.0.2', label: 'Printer' });
+            const nas = book.add({ target: 'nas.local', label: 'NAS' });
+            book.update(nas.id, { favourite: true });
+
+            const reopened = new AddressBook(dataDir);
+            expect(reopened.list().map(entry => entry.label)).toEqual(['NAS', 'Printer']);
+        });
+
+        it('refuses the same target twice and over-long labels', () => {
+            const book = new AddressBook(dataDir);
+            book.add({ target: '10.0.4.0/24' });
+
+            expect(() => book.add({ target: '10.0.4.9/24' })).toThrow('10.0.4.0/24 is already in the address book');
+            expect(() => book.add({ target: '10.0.0.3', label: 'x'.repeat(65) })).toThrow('Labels can be at most 64 characters');
+        });
+
+        it('shows what the last probe found until the entry is removed', () => {
+            const book = new AddressBook(dataDir);
+            const entry = book.add({ target: '10.0.0.2' });
+            book.recordProbe(entry.id, ['10.0.0.2']);
+
+            expect(book.list()[0]).toMatchObject({ found: ['10.0.0.2'], error: null });
+            expect(book.remove(entry.id)).toBe(true);
+            expect(book.probes.size).toBe(0);
+            expect(book.remove(entry.id)).toBe(false);
+        });
+    });
+});
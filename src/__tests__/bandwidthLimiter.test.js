@@ -0,0 +1,96 @@
+/** @jest-environment node */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BandwidthLimiter = require('../../bandwidthLimiter');
+
+const KB = 1024;
+
+describe('BandwidthLimiter', () => {
+    let dataDir;
+    let limiter;
+
+    beforeEach(() => {
+        jest.useFakeTimers('modern');
+        jest.setSystemTime(new Date(2026, 0, 5, 12, 0));
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bandwidth-test-'));
+        limiter = new BandwidthLimiter(dataDir);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    const scope = { transferId: 'batch-1', peerId: 'device-1' };
+
+    it('lets everything through with no caps', () => {
+        expect(limiter.delayFor(100 * 1024 * KB, scope)).toBe(0);
+    });
+
+    it('holds data back once the burst is used up, for as long as the cap needs', () => {
+        limiter.setGlobalLimit(256 * KB);
+
+        expect(limiter.delayFor(64 * KB, scope)).toBe(0);
+        expect(limiter.delayFor(256 * KB, scope)).toBe(1000);
+
+        jest.advanceTimersByTime(1000);
+        expect(limiter.delayFor(64 * KB, scope)).toBe(250);
+    });
+
+    it('applies the stricter of the global and per-device caps', () => {
+        limiter.setGlobalLimit(1024 * KB);
+        limiter.setPeerLimit('device-1', 128 * KB);
+
+        limiter.delayFor(64 * KB, scope);
+        expect(limiter.delayFor(128 * KB, scope)).toBe(1000);
+        expect(limiter.delayFor(64 * KB, { transferId: 'batch-2', peerId: 'device-2' })).toBe(0);
+    });
+
+    it('lets a per-transfer override replace the other caps', () => {
+        limiter.setGlobalLimit(64 * KB);
+        limiter.setTransferLimit('batch-1', null);
+        expect(limiter.delayFor(10 * 1024 * KB, scope)).toBe(0);
+
+        limiter.setTransferLimit('batch-1', undefined);
+        limiter.delayFor(64 * KB, scope);
+        expect(limiter.delayFor(64 * KB, scope)).toBe(1000);
+    });
+
+    it('uses the schedule window in force, including one that wraps past midnight', () => {
+        limiter.setGlobalLimit(64 * KB);
+        limiter.setSchedule([{ from: '19:00', to: '07:00', limit: null }, { from: '11:00', to: '13:00', limit: 32 * KB }]);
+
+        expect(limiter.activeGlobalLimit(new Date(2026, 0, 5, 12, 30))).toBe(32 * KB);
+        expect(limiter.activeGlobalLimit(new Date(2026, 0, 5, 23, 0))).toBeNull();
+        expect(limiter.activeGlobalLimit(new Date(2026, 0, 5, 6, 59))).toBeNull();
+        expect(limiter.activeGlobalLimit(new Date(2026, 0, 5, 7, 0))).toBe(64 * KB);
+    });
+
+    it('refuses caps too low to be usable and malformed schedules', () => {
+        expect(() => limiter.setGlobalLimit(1000)).toThrow('Bandwidth limit must be at least 16 KB/s, or off');
+        expect(() => limiter.setSchedule([{ from: '7:00', to: '19:00' }])).toThrow('Schedule windows need distinct');
+        expect(() => limiter.setSchedule([{ from: '07:00', to: '07:00' }])).toThrow('Schedule windows need distinct');
+        expect(limiter.setGlobalLimit(0).globalLimit).toBeNull();
+    });
+
+    it('keeps the caps across restarts, but not the per-transfer overrides', () => {
+        limiter.setGlobalLimit(512 * KB);
+        limiter.setPeerLimit('device-1', 128 * KB);
+        limiter.setTransferLimit('batch-1', 64 * KB);
+
+        const reloaded = new BandwidthLimiter(dataDir).getLimits();
+        expect(reloaded.globalLimit).toBe(512 * KB);
+        expect(reloaded.peerLimits).toEqual({ 'device-1': 128 * KB });
+        expect(reloaded.transferLimits).toEqual({});
+    });
+
+    it('drops caps saved under an address, which no longer name a device', () => {
+        fs.writeFileSync(path.join(dataDir, 'bandwidth-limits.json'), JSON.stringify({
+            peerLimits: { '10.0.0.2': 64 * KB, 'fe80::1': 64 * KB, 'device-1': 128 * KB }
+        }));
+
+        expect(new BandwidthLimiter(dataDir).getLimits().peerLimits).toEqual({ 'device-1': 128 * KB });
+        expect(() => limiter.setPeerLimit('', 64 * KB)).toThrow('No device specified');
+    });
+});
@@ -0,0 +1,60 @@
+/** @jest-environment node */
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const {
+    isCompressible,
+    offeredAlgorithms,
+    negotiate,
+    createCompressStream,
+    createDecompressStream,
+    describe: describeCompression
+} = require('../../compression');
+
+const collect = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+};
+
+describe('compression', () => {
+    it('leaves small files and already-compressed formats alone', () => {
+        expect(isCompressible('notes.txt', 4096)).toBe(true);
+        expect(isCompressible('notes.txt', 1023)).toBe(false);
+        expect(isCompressible('photo.JPG', 4096)).toBe(false);
+        expect(isCompressible('backup.tar.gz', 4096)).toBe(false);
+        expect(isCompressible('image.bmp', 4096)).toBe(true);
+        expect(isCompressible('Makefile', 4096)).toBe(true);
+    });
+
+    it('offers the preferred algorithm first, or nothing when it is off', () => {
+        expect(offeredAlgorithms('gzip')).toEqual(['gzip', 'br']);
+        expect(offeredAlgorithms('br')).toEqual(['br', 'gzip']);
+        expect(offeredAlgorithms('off')).toEqual([]);
+    });
+
+    it('takes the first offered algorithm it knows', () => {
+        expect(negotiate(['zstd', 'gzip', 'br'])).toBe('gzip');
+        expect(negotiate(['zstd'])).toBeNull();
+        expect(negotiate(undefined)).toBeNull();
+    });
+
+    it.each(['br', 'gzip'])('round-trips data through %s', async (algorithm) => {
+        const data = Buffer.concat([Buffer.from('repetitive text '.repeat(4096)), crypto.randomBytes(1000)]);
+        const compressed = await collect(Readable.from([data]).pipe(createCompressStream(algorithm, data.length)));
+        const restored = await collect(Readable.from([compressed]).pipe(createDecompressStream(algorithm)));
+
+        expect(compressed.length).toBeLessThan(data.length / 4);
+        expect(restored.equals(data)).toBe(true);
+    });
+
+    it('refuses an algorithm it does not know', () => {
+        expect(() => createCompressStream('zstd')).toThrow('Unsupported compression "zstd"');
+        expect(() => createDecompressStream('zstd')).toThrow('Unsupported compression "zstd"');
+    });
+
+    it('reports the ratio of wire bytes to file bytes', () => {
+        expect(describeCompression('gzip', 1000, 250)).toEqual({ algorithm: 'gzip', ratio: 0.25 });
+        expect(describeCompression(null, 1000, 1000)).toBeNull();
+        expect(describeCompression('br', 0, 0)).toBeNull();
+    });
+});
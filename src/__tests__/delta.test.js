@@ -0,0 +1,98 @@
+/** @jest-environment node */
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MIN_FILE_SIZE, isWorthDelta, computeSignatures, parseSignatures, generateDelta } = require('../../delta');
+
+// Rebuild the new file from the old copy the way the receiver does
+const applyDelta = (old, blockSize, parts) => Buffer.concat(parts.map(part => (part.literal
+    ? part.literal
+    : old.subarray(part.copy.block * blockSize, (part.copy.block + part.copy.count) * blockSize))));
+
+describe('delta', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'delta-test-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const signaturesOf = async (content) => {
+        const oldPath = path.join(dir, 'old');
+        fs.writeFileSync(oldPath, content);
+        const handle = await fs.promises.open(oldPath, 'r');
+        try {
+            return await computeSignatures(handle, content.length, 7);
+        } finally {
+            await handle.close();
+        }
+    };
+
+    const deltaOf = async (content, signatures) => {
+        const newPath = path.join(dir, 'new');
+        fs.writeFileSync(newPath, content);
+        const hash = crypto.createHash('sha256');
+        const parts = [];
+        for await (const part of generateDelta(newPath, signatures, chunk => hash.update(chunk))) parts.push(part);
+        return { parts, sha256: hash.digest('hex') };
+    };
+
+    it('is only worth it when both copies are big enough', () => {
+        expect(isWorthDelta(MIN_FILE_SIZE, MIN_FILE_SIZE)).toBe(true);
+        expect(isWorthDelta(MIN_FILE_SIZE - 1, MIN_FILE_SIZE)).toBe(false);
+        expect(isWorthDelta(MIN_FILE_SIZE, 10)).toBe(false);
+    });
+
+    it('sends only what changed, and rebuilds the new file exactly', async () => {
+        const old = crypto.randomBytes(2 * 1024 * 1024 + 123);
+        const changed = Buffer.concat([
+            old.subarray(0, 500000),
+            Buffer.from('inserted in the middle'),
+            old.subarray(500000, 1500000),
+            crypto.randomBytes(4096),
+            old.subarray(1504096),
+            Buffer.from('appended at the end')
+        ]);
+
+        const { blockSize, count, message } = await signaturesOf(old);
+        const signatures = parseSignatures(message);
+        expect(signatures).toMatchObject({ index: 7, blockSize, count });
+
+        const { parts, sha256 } = await deltaOf(changed, signatures);
+        const literalBytes = parts.filter(part => part.literal).reduce((sum, part) => sum + part.literal.length, 0);
+
+        expect(applyDelta(old, blockSize, parts).equals(changed)).toBe(true);
+        expect(literalBytes).toBeLessThan(5 * blockSize);
+        expect(sha256).toBe(crypto.createHash('sha256').update(changed).digest('hex'));
+    });
+
+    it('sends everything as literal data when there is nothing to match', async () => {
+        const content = crypto.randomBytes(300 * 1024);
+        const empty = Buffer.alloc(12);
+        empty.writeUInt32BE(3, 0);
+
+        const { parts } = await deltaOf(content, parseSignatures(empty));
+
+        expect(parts.every(part => part.literal)).toBe(true);
+        expect(Buffer.concat(parts.map(part => part.literal)).equals(content)).toBe(true);
+    });
+
+    it('rejects signatures whose length does not match their count', async () => {
+        const { message } = await signaturesOf(crypto.randomBytes(MIN_FILE_SIZE));
+
+        expect(() => parseSignatures(message.subarray(0, message.length - 1))).toThrow('Malformed delta signatures');
+        expect(() => parseSignatures(Buffer.alloc(4))).toThrow('Malformed delta signatures');
+    });
+
+    it('rejects a block size outside the allowed range', async () => {
+        const { message } = await signaturesOf(crypto.randomBytes(MIN_FILE_SIZE));
+        const tampered = Buffer.from(message);
+        tampered.writeUInt32BE(16, 4);
+
+        expect(() => parseSignatures(tampered)).toThrow('Malformed delta signatures');
+    });
+});
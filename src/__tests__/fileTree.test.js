@@ -0,0 +1,78 @@
+/** @jest-environment node */
+const path = require('path');
+const { sanitizeRelativePath, resolveSafePath } = require('../../fileTree');
+const { validateManifest } = require('../../networkManager');
+
+const manifestOf = (...relativePaths) => ({
+    files: relativePaths.map((relativePath, index) => ({ index, relativePath, size: 1 }))
+});
+
+describe('fileTree', () => {
+    describe('sanitizeRelativePath', () => {
+        it('splits a relative path into its segments, whichever slash it uses', () => {
+            expect(sanitizeRelativePath('project/src/index.js')).toEqual(['project', 'src', 'index.js']);
+            expect(sanitizeRelativePath('project\\src\\index.js')).toEqual(['project', 'src', 'index.js']);
+            expect(sanitizeRelativePath('.config/settings.json')).toEqual(['.config', 'settings.json']);
+        });
+
+        it.each([
+            ['a parent segment', '../secret.txt', 'unsafe path'],
+            ['a parent segment further in', 'project/../../secret.txt', 'unsafe path'],
+            ['a current-directory segment', 'project/./index.js', 'unsafe path'],
+            ['an empty segment', 'project//index.js', 'unsafe path'],
+            ['a trailing slash', 'project/', 'unsafe path'],
+            ['an absolute path', '/etc/passwd', 'absolute path'],
+            ['a backslash absolute path', '\\Windows\\win.ini', 'absolute path'],
+            ['a drive letter', 'C:\\Windows\\win.ini', 'absolute path'],
+            ['a drive-relative path', 'c:notes.txt', 'absolute path'],
+            ['a reserved device name', 'CON', 'reserved name'],
+            ['a reserved name in lower case', 'project/nul', 'reserved name'],
+            ['a reserved name with an extension', 'aux.txt', 'reserved name'],
+            ['a numbered reserved name', 'logs/LPT1.log', 'reserved name'],
+            ['a name ending in a dot', 'report.', 'reserved name'],
+            ['a folder ending in a space', 'project /index.js', 'reserved name']
+        ])('refuses %s', (_, relativePath, message) => {
+            expect(() => sanitizeRelativePath(relativePath)).toThrow(message);
+        });
+
+        it('refuses what is not a usable string', () => {
+            expect(() => sanitizeRelativePath('')).toThrow('Invalid file path');
+            expect(() => sanitizeRelativePath(undefined)).toThrow('Invalid file path');
+            expect(() => sanitizeRelativePath('a\0b')).toThrow('Invalid file path');
+        });
+
+        it('allows names that only start like a reserved one', () => {
+            expect(sanitizeRelativePath('console.log')).toEqual(['console.log']);
+            expect(sanitizeRelativePath('COM10')).toEqual(['COM10']);
+            expect(sanitizeRelativePath('auxiliary/notes.txt')).toEqual(['auxiliary', 'notes.txt']);
+        });
+    });
+
+    it('resolves a safe path under the base folder', () => {
+        const base = path.resolve('/downloads');
+
+        expect(resolveSafePath(base, 'project\\a.txt')).toEqual({
+            fullPath: path.join(base, 'project', 'a.txt'),
+            relativePath: 'project/a.txt'
+        });
+    });
+
+    describe('validateManifest', () => {
+        const base = path.resolve('/downloads');
+
+        it('maps every entry under the base folder', () => {
+            expect(validateManifest(manifestOf('a.txt', 'project/b.txt'), base).map(file => file.fullPath))
+                .toEqual([path.join(base, 'a.txt'), path.join(base, 'project', 'b.txt')]);
+        });
+
+        it('refuses the same path listed twice, even in another case', () => {
+            expect(() => validateManifest(manifestOf('a.txt', 'a.txt'), base)).toThrow('more than once');
+            expect(() => validateManifest(manifestOf('Project/Readme.md', 'project/README.md'), base))
+                .toThrow('Offer lists "project/README.md" more than once');
+        });
+
+        it('refuses the whole batch over one unsafe entry', () => {
+            expect(() => validateManifest(manifestOf('a.txt', '../b.txt'), base)).toThrow('unsafe path');
+        });
+    });
+});
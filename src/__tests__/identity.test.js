@@ -0,0 +1,38 @@
+/** @jest-environment node */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Identity = require('../../identity');
+
+const { deviceIdFor } = Identity;
+
+describe('Identity device ids', () => {
+    let dataDir;
+
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'identity-test-'));
+        jest.spyOn(console, 'log').mockImplementation(() => { });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('derives the same UUID-shaped id from the same key, and another from another key', () => {
+        const id = deviceIdFor('laptop-key');
+
+        expect(id).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-8[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+        expect(deviceIdFor('laptop-key')).toBe(id);
+        expect(deviceIdFor('desktop-key')).not.toBe(id);
+    });
+
+    it('keeps this device\'s id across restarts, tied to its key', () => {
+        const identity = new Identity(dataDir);
+        const restarted = new Identity(dataDir);
+
+        expect(restarted.deviceId).toBe(identity.deviceId);
+        expect(identity.deviceId).toBe(deviceIdFor(identity.publicKey));
+        expect(identity.describe()).toMatchObject({ deviceId: identity.deviceId, publicKey: identity.publicKey });
+    });
+});
@@ -0,0 +1,170 @@
+/** @jest-environment node */
+const MdnsDiscovery = require('../../mdns');
+
+const { TYPE, encodePacket, decodePacket } = MdnsDiscovery;
+const RESPONSE = 0x8400;
+
+const createDiscovery = (options = {}) => new MdnsDiscovery({
+    serviceType: '_safeshare._tcp',
+    instance: 'laptop',
+    hostLabel: 'safeshare-aaaa',
+    port: 9001,
+    txt: { id: 'device-a' },
+    onService: () => { },
+    ...options
+});
+
+// What another device announcing itself sends
+const announcement = (instance, host, address = '10.0.0.7') => decodePacket(encodePacket({
+    flags: RESPONSE,
+    answers: [{ name: '_safeshare._tcp.local', type: TYPE.PTR, ttl: 120, data: `${instance}._safeshare._tcp.local` }],
+    additionals: [
+        { name: `${instance}._safeshare._tcp.local`, type: TYPE.SRV, ttl: 120, data: { port: 9001, target: host } },
+        { name: `${instance}._safeshare._tcp.local`, type: TYPE.TXT, ttl: 120, data: { id: host } },
+        { name: host, type: TYPE.A, ttl: 120, data: address }
+    ]
+}));
+
+describe('mdns', () => {
+    describe('packets', () => {
+        it('round-trips every record type it writes', () => {
+            const packet = decodePacket(encodePacket({
+                id: 42,
+                flags: RESPONSE,
+                questions: [{ name: '_safeshare._tcp.local', type: TYPE.PTR }],
+                answers: [{ name: '_safeshare._tcp.local', type: TYPE.PTR, ttl: 120, data: 'laptop._safeshare._tcp.local' }],
+                authorities: [{ name: 'laptop._safeshare._tcp.local', type: TYPE.SRV, ttl: 120, data: { port: 9001, target: 'host.local' } }],
+                additionals: [
+                    { name: 'laptop._safeshare._tcp.local', type: TYPE.TXT, ttl: 120, unique: true, data: { id: 'abc', name: 'My Laptop' } },
+                    { name: 'host.local', type: TYPE.A, ttl: 120, data: '192.168.1.20' },
+                    { name: 'host.local', type: TYPE.AAAA, ttl: 120, data: 'fe80::1:2' }
+                ]
+            }));
+
+            expect(packet.id).toBe(42);
+            expect(packet.flags).toBe(RESPONSE);
+            expect(packet.questions).toEqual([{ name: '_safeshare._tcp.local', type: TYPE.PTR }]);
+            expect(packet.authorities).toEqual([
+                { name: 'laptop._safeshare._tcp.local', type: TYPE.SRV, ttl: 120, data: { port: 9001, target: 'host.local' } }
+            ]);
+            expect(packet.records.map(record => record.data)).toEqual([
+                'laptop._safeshare._tcp.local',
+                { id: 'abc', name: 'My Laptop' },
+                '192.168.1.20',
+                'fe80::1:2'
+            ]);
+        });
+
+        it('follows compressed names', () => {
+            const packet = Buffer.concat([
+                Buffer.from([0, 0, 0x84, 0, 0, 0, 0, 1, 0, 0, 0, 0]),
+                // _safeshare._tcp.local PTR, with the instance name pointing back into it
+                Buffer.from([10]), Buffer.from('_safeshare'), Buffer.from([4]), Buffer.from('_tcp'), Buffer.from([5]), Buffer.from('local'), Buffer.from([0]),
+                Buffer.from([0, TYPE.PTR, 0, 1, 0, 0, 0, 120, 0, 9]),
+                Buffer.from([6]), Buffer.from('laptop'), Buffer.from([0xc0, 12])
+            ]);
+
+            expect(decodePacket(packet).records[0].data).toBe('laptop._safeshare._tcp.local');
+        });
+
+        it('rejects packets that run past their end or loop', () => {
+            expect(() => decodePacket(Buffer.alloc(4))).toThrow('Packet is too short');
+
+            const truncated = encodePacket({ answers: [{ name: 'host.local', type: TYPE.A, ttl: 120, data: '10.0.0.1' }] });
+            expect(() => decodePacket(truncated.subarray(0, truncated.length - 2))).toThrow('runs past the end');
+
+            const loop = Buffer.concat([Buffer.from([0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0]), Buffer.from([0xc0, 12, 0, 1, 0, 1])]);
+            expect(() => decodePacket(loop)).toThrow('Too many compression pointers');
+        });
+    });
+
+    describe('discovery', () => {
+        let discovery;
+
+        beforeEach(() => {
+            jest.useFakeTimers();
+            jest.spyOn(console, 'log').mockImplementation(() => { });
+        });
+
+        afterEach(() => {
+            discovery.stop();
+            console.log.mockRestore();
+            jest.useRealTimers();
+        });
+
+        it('reports other instances with their addresses', () => {
+            const onService = jest.fn();
+            discovery = createDiscovery({ onService });
+            discovery.handleResponse(announcement('desktop', 'safeshare-bbbb.local'), { address: '10.0.0.7' });
+
+            expect(onService).toHaveBeenCalledWith({
+                instance: 'desktop',
+                address: '10.0.0.7',
+                port: 9001,
+                txt: { id: 'safeshare-bbbb.local' },
+                addresses: ['10.0.0.7']
+            });
+        });
+
+        it('caches only the service and the hosts it points at', () => {
+            discovery = createDiscovery();
+            discovery.handleResponse(announcement('desktop', 'safeshare-bbbb.local'), { address: '10.0.0.7' });
+            discovery.handleResponse(decodePacket(encodePacket({
+                flags: RESPONSE,
+                answers: [
+                    { name: 'printer._ipp._tcp.local', type: TYPE.SRV, ttl: 120, data: { port: 631, target: 'printer.local' } },
+                    { name: 'printer.local', type: TYPE.A, ttl: 120, data: '10.0.0.9' }
+                ]
+            })), { address: '10.0.0.9' });
+
+            expect([...discovery.cache.keys()].sort()).toEqual([
+                `${TYPE.A}:safeshare-bbbb.local`,
+                `${TYPE.PTR}:_safeshare._tcp.local`,
+                `${TYPE.TXT}:desktop._safeshare._tcp.local`,
+                `${TYPE.SRV}:desktop._safeshare._tcp.local`
+            ].sort());
+        });
+
+        it('prunes expired records and the addresses nothing points at any more', () => {
+            discovery = createDiscovery();
+            discovery.handleResponse(announcement('desktop', 'safeshare-bbbb.local'), { address: '10.0.0.7' });
+            discovery.handleResponse(decodePacket(encodePacket({
+                flags: RESPONSE,
+                answers: [{ name: 'desktop._safeshare._tcp.local', type: TYPE.SRV, ttl: 1, data: { port: 9001, target: 'safeshare-bbbb.local' } }]
+            })), { address: '10.0.0.7' });
+
+            jest.setSystemTime(Date.now() + 2000);
+            discovery.pruneCache();
+
+            expect(discovery.cache.has(`${TYPE.SRV}:desktop._safeshare._tcp.local`)).toBe(false);
+            expect(discovery.cache.has(`${TYPE.A}:safeshare-bbbb.local`)).toBe(false);
+            expect(discovery.cache.has(`${TYPE.TXT}:desktop._safeshare._tcp.local`)).toBe(true);
+        });
+
+        it('renames itself when another device holds its name', () => {
+            const onService = jest.fn();
+            discovery = createDiscovery({ onService });
+            discovery.handleResponse(announcement('laptop', 'safeshare-bbbb.local'), { address: '10.0.0.7' });
+
+            expect(discovery.instanceName).toBe('laptop (2)._safeshare._tcp.local');
+            expect(onService).toHaveBeenCalledWith(expect.objectContaining({ instance: 'laptop' }));
+        });
+
+        it('ignores its own announcements heard back', () => {
+            const onService = jest.fn();
+            discovery = createDiscovery({ onService });
+            discovery.handleResponse(announcement('laptop', 'safeshare-aaaa.local'), { address: '10.0.0.5' });
+
+            expect(discovery.instanceName).toBe('laptop._safeshare._tcp.local');
+            expect(onService).not.toHaveBeenCalled();
+        });
+
+        it('keeps names with a suffix within one DNS label', () => {
+            discovery = createDiscovery({ instance: 'x'.repeat(80) });
+            discovery.handleResponse(announcement('x'.repeat(63), 'safeshare-bbbb.local'), { address: '10.0.0.7' });
+
+            const label = discovery.instanceName.split('._safeshare')[0];
+            expect(label).toBe(`${'x'.repeat(59)} (2)`);
+        });
+    });
+});
@@ -0,0 +1,133 @@
+/** @jest-environment node */
+const {
+    ipToBytes,
+    bytesToIp,
+    isSameSubnet,
+    getNetworkAddress,
+    prefixLengthToMask
+} = require('../utils/networkUtils');
+
+describe('networkUtils', () => {
+    describe('ipToBytes', () => {
+        it.each([
+            ['192.168.1.5', [192, 168, 1, 5]],
+            ['0.0.0.0', [0, 0, 0, 0]],
+            ['::', new Array(16).fill(0)],
+            ['::1', [...new Array(15).fill(0), 1]],
+            ['fe80::', [0xfe, 0x80, ...new Array(14).fill(0)]],
+            ['fe80::1:2', [0xfe, 0x80, ...new Array(10).fill(0), 0, 1, 0, 2]],
+            ['2001:db8:0:0:1:0:0:1', [0x20, 0x01, 0x0d, 0xb8, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 1]],
+            ['FE80::ABCD', [0xfe, 0x80, ...new Array(12).fill(0), 0xab, 0xcd]],
+            ['fe80::1%eth0', [0xfe, 0x80, ...new Array(13).fill(0), 1]],
+            ['fe80::1%12', [0xfe, 0x80, ...new Array(13).fill(0), 1]],
+            ['::ffff:192.168.1.5', [...new Array(10).fill(0), 0xff, 0xff, 192, 168, 1, 5]],
+            ['64:ff9b::10.0.0.1', [0, 0x64, 0xff, 0x9b, ...new Array(8).fill(0), 10, 0, 0, 1]]
+        ])('parses %s', (ip, bytes) => {
+            expect(ipToBytes(ip)).toEqual(bytes);
+        });
+
+        it.each([
+            ['256.1.1.1'],
+            ['1.2.3'],
+            ['1.2.3.4.5'],
+            ['1:2:3:4:5:6:7:8:9'],
+            ['1:2:3:4:5:6:7'],
+            ['1::2::3'],
+            ['1:2:3:4::5:6:7:8'],
+            ['fe80::12345'],
+            ['fe80::g'],
+            ['::ffff:300.1.1.1'],
+            ['not an address']
+        ])('refuses %s', (ip) => {
+            expect(ipToBytes(ip)).toBeNull();
+        });
+    });
+
+    describe('bytesToIp', () => {
+        it.each([
+            [[10, 0, 0, 1], '10.0.0.1'],
+            [new Array(16).fill(0), '::'],
+            [[...new Array(15).fill(0), 1], '::1'],
+            [[0xfe, 0x80, ...new Array(14).fill(0)], 'fe80::'],
+            [[0x20, 0x01, 0x0d, 0xb8, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 1], '2001:db8::1:0:0:1'],
+            [[0x20, 0x01, 0x0d, 0xb8, 0, 0, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1], '2001:db8:0:1:1:1:1:1'],
+            [[...new Array(10).fill(0), 0xff, 0xff, 192, 168, 1, 5], '::ffff:c0a8:105']
+        ])('formats %j as %s', (bytes, ip) => {
+            expect(bytesToIp(bytes)).toBe(ip);
+        });
+
+        it.each([
+            ['fe80::1'],
+            ['2001:db8::1:0:0:1'],
+            ['1:2:3:4:5:6:7:8'],
+            ['::']
+        ])('round-trips %s', (ip) => {
+            expect(bytesToIp(ipToBytes(ip))).toBe(ip);
+        });
+    });
+
+    describe('prefixLengthToMask', () => {
+        it.each([
+            [0, 'IPv4', '0.0.0.0'],
+            [8, 'IPv4', '255.0.0.0'],
+            [12, 'IPv4', '255.240.0.0'],
+            [20, 'IPv4', '255.255.240.0'],
+            [27, 'IPv4', '255.255.255.224'],
+            [32, 'IPv4', '255.255.255.255'],
+            [10, 'IPv6', 'ffc0::'],
+            [64, 'IPv6', 'ffff:ffff:ffff:ffff::'],
+            [127, 'IPv6', 'ffff:ffff:ffff:ffff:ffff:ffff:ffff:fffe'],
+            [128, 'IPv6', 'ffff:ffff:ffff:ffff:ffff:ffff:ffff:ffff']
+        ])('turns /%i (%s) into %s', (prefixLength, family, mask) => {
+            expect(prefixLengthToMask(prefixLength, family)).toBe(mask);
+        });
+    });
+
+    describe('getNetworkAddress', () => {
+        it.each([
+            ['192.168.1.77', '255.255.255.0', '192.168.1.0'],
+            ['172.20.99.5', '255.255.240.0', '172.20.96.0'],
+            ['10.1.2.3', 20, '10.1.0.0'],
+            ['192.168.1.77', '27', '192.168.1.64'],
+            ['2001:db8:1:2:3:4:5:6', 64, '2001:db8:1:2::'],
+            ['2001:db8:1:2:3:4:5:6', 'ffff:ffff:ffff:ffff::', '2001:db8:1:2::'],
+            ['fe80::abcd:1%eth0', 10, 'fe80::'],
+            ['2001:db8:ffff::1', 36, '2001:db8:f000::'],
+            ['::ffff:192.168.1.5', 120, '::ffff:c0a8:100']
+        ])('of %s with mask %s is %s', (ip, mask, network) => {
+            expect(getNetworkAddress(ip, mask)).toBe(network);
+        });
+
+        it('has no answer when the address and mask are different families', () => {
+            expect(getNetworkAddress('192.168.1.5', 'ffff:ffff::')).toBeNull();
+            expect(getNetworkAddress('fe80::1', '255.255.0.0')).toBeNull();
+            expect(getNetworkAddress('nonsense', 24)).toBeNull();
+        });
+    });
+
+    describe('isSameSubnet', () => {
+        it.each([
+            ['192.168.1.5', '192.168.1.200', '255.255.255.0', true],
+            ['192.168.1.5', '192.168.2.5', '255.255.255.0', false],
+            ['172.20.96.1', '172.20.111.254', 20, true],
+            ['172.20.96.1', '172.20.112.1', 20, false],
+            ['10.0.0.1', '10.0.0.30', '27', true],
+            ['10.0.0.1', '10.0.0.33', '27', false],
+            ['fe80::1', 'fe80::2', 64, true],
+            ['fe80::1%eth0', 'fe80::2%eth0', 64, true],
+            ['fe80::1%eth0', 'fe80::2', 64, true],
+            ['fe80::1%eth0', 'fe80::2%wlan0', 64, false],
+            ['2001:db8::1', '2001:db8:0:1::1', 64, false],
+            ['2001:db8:1000::1', '2001:db8:1fff::1', 36, true],
+            ['2001:db8:1000::1', '2001:db8:2000::1', 36, false],
+            ['2001:db8::1', '2001:db8::2', 'ffff:ffff:ffff:ffff::', true],
+            ['::ffff:192.168.1.5', '::ffff:192.168.1.9', 120, true],
+            ['::ffff:192.168.1.5', '192.168.1.9', 24, false],
+            ['192.168.1.5', 'fe80::1', 24, false],
+            ['192.168.1.5', '192.168.1.6', 'ffff::', false],
+            ['bogus', '192.168.1.6', 24, false]
+        ])('%s and %s under %s: %s', (ip1, ip2, mask, same) => {
+            expect(isSameSubnet(ip1, ip2, mask)).toBe(same);
+        });
+    });
+});
@@ -0,0 +1,107 @@
+/** @jest-environment node */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    findResumeOffset,
+    openPartial,
+    recordProgress,
+    completePartial,
+    quarantinePartial,
+    discardPartial
+} = require('../../partialFiles');
+
+const descriptor = { name: 'video.mp4', size: 100, modified: 1700000000000, source: 'sender-key' };
+
+describe('partialFiles', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'partial-test-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    // An attempt that got `received` bytes in before it was cut off
+    const interrupted = (received, written = received) => {
+        const partial = openPartial(dir, descriptor);
+        fs.writeFileSync(partial.partPath, Buffer.alloc(written, 1));
+        recordProgress(partial, descriptor, received);
+        return partial;
+    };
+
+    it('resumes the same file from the same sender where it stopped', () => {
+        interrupted(40);
+
+        expect(findResumeOffset(dir, descriptor)).toBe(40);
+    });
+
+    it('starts over for another version of the file or another sender', () => {
+        interrupted(40);
+
+        expect(findResumeOffset(dir, { ...descriptor, modified: descriptor.modified + 1 })).toBe(0);
+        expect(findResumeOffset(dir, { ...descriptor, size: 200 })).toBe(0);
+        expect(findResumeOffset(dir, { ...descriptor, source: 'someone-else' })).toBe(0);
+        expect(findResumeOffset(dir, { ...descriptor, modified: undefined })).toBe(0);
+    });
+
+    it('resumes only from what the record and the part file both hold', () => {
+        interrupted(40, 25);
+        expect(findResumeOffset(dir, descriptor)).toBe(25);
+
+        interrupted(60, 80);
+        const partial = openPartial(dir, descriptor, findResumeOffset(dir, descriptor));
+        expect(partial.offset).toBe(60);
+        expect(fs.statSync(partial.partPath).size).toBe(60);
+    });
+
+    it('leaves a .part file it did not start alone', () => {
+        fs.writeFileSync(path.join(dir, 'video.mp4.part'), 'the user\'s own file');
+
+        const partial = openPartial(dir, descriptor);
+
+        expect(partial.partPath).toBe(path.join(dir, 'video (2).mp4.part'));
+        expect(fs.readFileSync(path.join(dir, 'video.mp4.part'), 'utf8')).toBe('the user\'s own file');
+    });
+
+    it('starts an unused part file when asked for a unique one', () => {
+        const first = interrupted(40);
+        const second = openPartial(dir, descriptor, 0, { unique: true });
+
+        expect(second.partPath).not.toBe(first.partPath);
+        expect(fs.statSync(first.partPath).size).toBe(40);
+    });
+
+    it('saves a finished file under the next free name unless told to overwrite', () => {
+        const finalPath = path.join(dir, 'video.mp4');
+        fs.writeFileSync(finalPath, 'old');
+        fs.writeFileSync(path.join(dir, 'video (2).mp4'), 'older');
+
+        expect(completePartial(interrupted(100), finalPath)).toBe(path.join(dir, 'video (3).mp4'));
+        expect(fs.readFileSync(finalPath, 'utf8')).toBe('old');
+
+        expect(completePartial(interrupted(100), finalPath, { overwrite: true })).toBe(finalPath);
+        expect(fs.statSync(finalPath).size).toBe(100);
+        expect(fs.readdirSync(dir).sort()).toEqual(['video (2).mp4', 'video (3).mp4', 'video.mp4']);
+    });
+
+    it('sets a file that failed verification aside, out of the downloads', () => {
+        const partial = interrupted(100);
+        const quarantineDir = path.join(dir, 'Quarantine');
+
+        const quarantinePath = quarantinePartial(partial, quarantineDir, 'video.mp4');
+
+        expect(path.dirname(quarantinePath)).toBe(quarantineDir);
+        expect(path.basename(quarantinePath)).toMatch(/^\d+_video\.mp4$/);
+        expect(fs.statSync(quarantinePath).size).toBe(100);
+        expect(fs.readdirSync(dir)).toEqual(['Quarantine']);
+    });
+
+    it('discards both the part file and its record', () => {
+        discardPartial(interrupted(40));
+
+        expect(fs.readdirSync(dir)).toEqual([]);
+    });
+});
@@ -0,0 +1,40 @@
+/** @jest-environment node */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PausedTransfers = require('../../pausedTransfers');
+
+describe('PausedTransfers', () => {
+    let dataDir;
+    let paused;
+
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'paused-test-'));
+        paused = new PausedTransfers(dataDir);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('lists paused transfers newest first', () => {
+        jest.spyOn(Date, 'now').mockReturnValueOnce(1000).mockReturnValueOnce(2000);
+        paused.add({ id: 'older', peerIP: '10.0.0.1' });
+        paused.add({ id: 'newer', peerIP: '10.0.0.2' });
+
+        expect(paused.list().map(record => record.id)).toEqual(['newer', 'older']);
+        expect(paused.get('older')).toEqual({ id: 'older', peerIP: '10.0.0.1', pausedAt: 1000 });
+    });
+
+    it('keeps them across restarts until they are removed', () => {
+        paused.add({ id: 'batch-1', peerIP: '10.0.0.1' });
+
+        const reloaded = new PausedTransfers(dataDir);
+        expect(reloaded.get('batch-1')).toMatchObject({ peerIP: '10.0.0.1' });
+
+        expect(reloaded.remove('batch-1')).toBe(true);
+        expect(reloaded.remove('batch-1')).toBe(false);
+        expect(new PausedTransfers(dataDir).list()).toEqual([]);
+    });
+});
@@ -0,0 +1,49 @@
+/** @jest-environment node */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PeerPresence = require('../../peerPresence');
+
+describe('PeerPresence', () => {
+    let dataDir;
+    let presence;
+
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'presence-test-'));
+        presence = new PeerPresence(dataDir);
+    });
+
+    afterEach(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('shows a silent peer as away, then as offline', () => {
+        const now = 100000;
+
+        expect(presence.stateOf(now - 9999, now)).toBe('online');
+        expect(presence.stateOf(now - 10000, now)).toBe('away');
+        expect(presence.stateOf(now - 59999, now)).toBe('away');
+        expect(presence.stateOf(now - 60000, now)).toBe('offline');
+    });
+
+    it('moves both limits in one call, even past each other', () => {
+        presence.update({ awayAfterSeconds: 120, offlineAfterSeconds: 600 });
+
+        expect(presence.getSettings()).toEqual({ awayAfterSeconds: 120, offlineAfterSeconds: 600 });
+        expect(presence.update({ awayAfterSeconds: 30 })).toEqual({ awayAfterSeconds: 30, offlineAfterSeconds: 600 });
+    });
+
+    it('refuses limits that would flicker, overlap or run past a day', () => {
+        expect(() => presence.update({ awayAfterSeconds: 2 })).toThrow('Away time must be a whole number of seconds, at least 3');
+        expect(() => presence.update({ awayAfterSeconds: 7.5 })).toThrow('Away time must be');
+        expect(() => presence.update({ awayAfterSeconds: 60 })).toThrow('Offline time must be longer than the away time, and at most a day');
+        expect(() => presence.update({ offlineAfterSeconds: 24 * 60 * 60 + 1 })).toThrow('Offline time must be');
+        expect(presence.getSettings()).toEqual({ awayAfterSeconds: 10, offlineAfterSeconds: 60 });
+    });
+
+    it('keeps the limits across restarts', () => {
+        presence.update({ awayAfterSeconds: '15', offlineAfterSeconds: '90' });
+
+        expect(new PeerPresence(dataDir).getSettings()).toEqual({ awayAfterSeconds: 15, offlineAfterSeconds: 90 });
+    });
+});
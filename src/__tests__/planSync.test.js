@@ -0,0 +1,98 @@
+/** @jest-environment node */
+const FolderSync = require('../../folderSync');
+
+const { planSync } = FolderSync;
+
+const side = (hashes) => Object.fromEntries(Object.entries(hashes).map(([file, sha256]) => [file, { sha256, size: 1 }]));
+
+describe('planSync', () => {
+    it('leaves files alone that match, and records them as agreed', () => {
+        const plan = planSync({}, side({ 'a.txt': 'h1' }), side({ 'a.txt': 'h1' }), 'two-way', 'delete');
+
+        expect(plan).toEqual({ base: { 'a.txt': 'h1' }, push: [], pull: [], deleteLocal: [], deleteRemote: [], conflicts: [] });
+    });
+
+    it('sends each change the way it was made in two-way mode', () => {
+        const base = { 'edited-here.txt': 'h1', 'edited-there.txt': 'h1' };
+        const local = side({ 'edited-here.txt': 'h2', 'edited-there.txt': 'h1', 'new-here.txt': 'n1' });
+        const remote = side({ 'edited-here.txt': 'h1', 'edited-there.txt': 'h3', 'new-there.txt': 'n2' });
+        const plan = planSync(base, local, remote, 'two-way', 'delete');
+
+        expect(plan.push).toEqual(['edited-here.txt', 'new-here.txt']);
+        expect(plan.pull).toEqual(['edited-there.txt', 'new-there.txt']);
+        expect(plan.conflicts).toEqual([]);
+        // Nothing is agreed on until the copies have gone through
+        expect(plan.base).toEqual(base);
+    });
+
+    it('reports a file changed differently on both sides as a conflict', () => {
+        const plan = planSync({ 'a.txt': 'h1' }, side({ 'a.txt': 'h2' }), side({ 'a.txt': 'h3' }), 'two-way', 'delete');
+
+        expect(plan.conflicts).toEqual([{ path: 'a.txt', local: { sha256: 'h2', size: 1 }, remote: { sha256: 'h3', size: 1 } }]);
+        expect(plan.push).toEqual([]);
+        expect(plan.pull).toEqual([]);
+    });
+
+    it('treats the same new file on both sides with different content as a conflict', () => {
+        const plan = planSync({}, side({ 'a.txt': 'h1' }), side({ 'a.txt': 'h2' }), 'two-way', 'delete');
+
+        expect(plan.conflicts.map(c => c.path)).toEqual(['a.txt']);
+    });
+
+    it('lets an edit win over a deletion on the other side', () => {
+        const base = { 'kept-here.txt': 'h1', 'kept-there.txt': 'h1' };
+        const local = side({ 'kept-here.txt': 'h2' });
+        const remote = side({ 'kept-there.txt': 'h3' });
+        const plan = planSync(base, local, remote, 'two-way', 'delete');
+
+        expect(plan.push).toEqual(['kept-here.txt']);
+        expect(plan.pull).toEqual(['kept-there.txt']);
+        expect(plan.deleteLocal).toEqual([]);
+        expect(plan.deleteRemote).toEqual([]);
+    });
+
+    it('passes deletions on unless told to keep them', () => {
+        const base = { 'gone-here.txt': 'h1', 'gone-there.txt': 'h2' };
+        const local = side({ 'gone-there.txt': 'h2' });
+        const remote = side({ 'gone-here.txt': 'h1' });
+
+        const plan = planSync(base, local, remote, 'two-way', 'archive');
+        expect(plan.deleteRemote).toEqual(['gone-here.txt']);
+        expect(plan.deleteLocal).toEqual(['gone-there.txt']);
+
+        const kept = planSync(base, local, remote, 'two-way', 'keep');
+        expect(kept.deleteRemote).toEqual([]);
+        expect(kept.deleteLocal).toEqual([]);
+    });
+
+    it('makes the other side match in one-way modes, deleting only files synced before', () => {
+        const base = { 'synced.txt': 'h1' };
+        const local = side({ 'mine.txt': 'm1' });
+        const remote = side({ 'synced.txt': 'h2', 'theirs.txt': 't1' });
+
+        const push = planSync(base, local, remote, 'push', 'delete');
+        expect(push.push).toEqual(['mine.txt']);
+        expect(push.deleteRemote).toEqual(['synced.txt']);
+        expect(push.pull).toEqual([]);
+
+        const pull = planSync(base, local, remote, 'pull', 'delete');
+        expect(pull.pull).toEqual(['synced.txt', 'theirs.txt']);
+        expect(pull.deleteLocal).toEqual([]);
+        expect(pull.push).toEqual([]);
+    });
+});
+
+describe('FolderSync.isIgnored', () => {
+    it('skips part files of transfers in progress and the archive of deleted files', () => {
+        expect(FolderSync.isIgnored('videos/clip.mp4.part')).toBe(true);
+        expect(FolderSync.isIgnored('videos/clip.mp4.part.json')).toBe(true);
+        expect(FolderSync.isIgnored('.sync-deleted')).toBe(true);
+        expect(FolderSync.isIgnored('.sync-deleted/old.txt')).toBe(true);
+    });
+
+    it('syncs everything else, including names that only look similar', () => {
+        expect(FolderSync.isIgnored('videos/clip.mp4')).toBe(false);
+        expect(FolderSync.isIgnored('notes.partial')).toBe(false);
+        expect(FolderSync.isIgnored('.sync-deleted-notes.txt')).toBe(false);
+    });
+});
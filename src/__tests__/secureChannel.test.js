@@ -0,0 +1,113 @@
+/** @jest-environment node */
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const {
+    createKeyPair,
+    describe: describeKeyPair,
+    isSupported,
+    deriveSessionKeys,
+    createEncryptStream,
+    createDecryptStream
+} = require('../../secureChannel');
+
+const collect = (stream) => new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+});
+
+const encrypt = (key, chunks, options) => collect(Readable.from(chunks).pipe(createEncryptStream(key, options)));
+
+const decrypt = (key, ciphertext) => {
+    const stream = createDecryptStream(key);
+    const trailers = [];
+    stream.on('trailer', trailer => trailers.push(trailer));
+    stream.end(ciphertext);
+    return collect(stream).then(data => ({ data, trailers }));
+};
+
+describe('secureChannel', () => {
+    describe('session keys', () => {
+        it('gives both ends mirrored keys', () => {
+            const sender = createKeyPair();
+            const receiver = createKeyPair();
+            const senderKeys = deriveSessionKeys(sender, receiver.publicKey, 'transfer-1', true);
+            const receiverKeys = deriveSessionKeys(receiver, sender.publicKey, 'transfer-1', false);
+
+            expect(senderKeys.sendKey.equals(receiverKeys.receiveKey)).toBe(true);
+            expect(senderKeys.receiveKey.equals(receiverKeys.sendKey)).toBe(true);
+            expect(senderKeys.sendKey.equals(senderKeys.receiveKey)).toBe(false);
+        });
+
+        it('derives different keys for another transfer over the same key pairs', () => {
+            const sender = createKeyPair();
+            const receiver = createKeyPair();
+            const first = deriveSessionKeys(sender, receiver.publicKey, 'transfer-1', true);
+            const second = deriveSessionKeys(sender, receiver.publicKey, 'transfer-2', true);
+
+            expect(first.sendKey.equals(second.sendKey)).toBe(false);
+        });
+    });
+
+    it('accepts only the offer it makes itself', () => {
+        const offer = describeKeyPair(createKeyPair());
+        expect(isSupported(offer)).toBe(true);
+        expect(isSupported({ ...offer, version: offer.version + 1 })).toBe(false);
+        expect(isSupported({ ...offer, cipher: 'AES-128-CBC' })).toBe(false);
+        expect(isSupported({ ...offer, publicKey: undefined })).toBe(false);
+        expect(isSupported(null)).toBe(false);
+    });
+
+    describe('streams', () => {
+        const key = crypto.randomBytes(32);
+
+        it('round-trips data split across frames, with the trailer', async () => {
+            const data = crypto.randomBytes(150 * 1024);
+            const ciphertext = await encrypt(key, [data.subarray(0, 1000), data.subarray(1000)], {
+                trailer: () => Buffer.from('digest')
+            });
+            const result = await decrypt(key, ciphertext);
+
+            expect(result.data.equals(data)).toBe(true);
+            expect(result.trailers.map(String)).toEqual(['digest']);
+        });
+
+        it('handles ciphertext that arrives a byte at a time', async () => {
+            const data = Buffer.from('hello over a slow link');
+            const ciphertext = await encrypt(key, [data]);
+            const stream = createDecryptStream(key);
+            const output = collect(stream);
+            for (const byte of ciphertext) stream.write(Buffer.from([byte]));
+            stream.end();
+
+            expect((await output).equals(data)).toBe(true);
+        });
+
+        it('rejects a tampered frame', async () => {
+            const ciphertext = await encrypt(key, [Buffer.from('do not touch')]);
+            ciphertext[8] ^= 1;
+
+            await expect(decrypt(key, ciphertext)).rejects.toThrow('Encrypted frame failed authentication');
+        });
+
+        it('rejects a stream cut off before its final frame', async () => {
+            const ciphertext = await encrypt(key, [Buffer.from('first frame')]);
+            const firstFrame = ciphertext.subarray(0, 5 + 'first frame'.length + 16);
+
+            await expect(decrypt(key, firstFrame)).rejects.toThrow('Encrypted stream was truncated');
+        });
+
+        it('rejects frames sealed with another key', async () => {
+            const ciphertext = await encrypt(key, [Buffer.from('secret')]);
+
+            await expect(decrypt(crypto.randomBytes(32), ciphertext)).rejects.toThrow('failed authentication');
+        });
+
+        it('rejects data after the final frame', async () => {
+            const ciphertext = await encrypt(key, [Buffer.from('once')]);
+
+            await expect(decrypt(key, Buffer.concat([ciphertext, ciphertext]))).rejects.toThrow('Unexpected data after end');
+        });
+    });
+});
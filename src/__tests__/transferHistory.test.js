@@ -0,0 +1,102 @@
+/** @jest-environment node */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TransferHistory = require('../../transferHistory');
+
+const entry = (overrides = {}) => ({
+    id: 'batch-1',
+    direction: 'sent',
+    peer: { name: 'Laptop', ip: '10.0.0.2', fingerprint: 'AAAA BBBB' },
+    files: [
+        { name: 'report.pdf', size: 600, sha256: 'abc123', status: 'completed' },
+        { name: 'notes.txt', size: 400, sha256: null, status: 'pending' }
+    ],
+    totalSize: 1000,
+    bytesTransferred: 600,
+    startedAt: 1000,
+    endedAt: 3000,
+    outcome: 'failed',
+    ...overrides
+});
+
+describe('TransferHistory', () => {
+    let dataDir;
+    let history;
+
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-test-'));
+        history = new TransferHistory(dataDir);
+    });
+
+    afterEach(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('works out the counts, duration and speed of a record', () => {
+        expect(history.record(entry())).toMatchObject({
+            fileCount: 2,
+            filesTruncated: false,
+            durationMs: 2000,
+            averageSpeed: 300
+        });
+    });
+
+    it('merges a retry into the same record, keeping files that already arrived', () => {
+        history.record(entry());
+        const merged = history.record(entry({
+            files: [{ name: 'notes.txt', size: 400, sha256: 'def456', status: 'completed' }],
+            bytesTransferred: 400,
+            startedAt: 10000,
+            endedAt: 11000,
+            outcome: 'completed'
+        }));
+
+        expect(history.list()).toHaveLength(1);
+        expect(merged).toMatchObject({
+            outcome: 'completed',
+            attempts: 2,
+            bytesTransferred: 1000,
+            startedAt: 1000,
+            durationMs: 3000
+        });
+        expect(merged.files.map(f => [f.name, f.status])).toEqual([['report.pdf', 'completed'], ['notes.txt', 'completed']]);
+    });
+
+    it('keeps a sent and a received transfer with the same id apart', () => {
+        history.record(entry());
+        history.record(entry({ direction: 'received' }));
+
+        expect(history.list().map(r => r.direction)).toEqual(['received', 'sent']);
+    });
+
+    it('finds records by file name, peer, checksum prefix or outcome, newest first', () => {
+        history.record(entry());
+        history.record(entry({ id: 'batch-2', peer: { name: 'Desktop', ip: '10.0.0.3' }, files: [], outcome: 'completed' }));
+
+        expect(history.list({ query: 'NOTES' }).map(r => r.id)).toEqual(['batch-1']);
+        expect(history.list({ query: 'desktop' }).map(r => r.id)).toEqual(['batch-2']);
+        expect(history.list({ query: 'abc' }).map(r => r.id)).toEqual(['batch-1']);
+        expect(history.list({ query: 'failed' }).map(r => r.id)).toEqual(['batch-1']);
+        expect(history.list({ query: '10.0.0' }).map(r => r.id)).toEqual(['batch-2', 'batch-1']);
+        expect(history.list({ limit: 1 }).map(r => r.id)).toEqual(['batch-2']);
+    });
+
+    it('reads the history back after a restart, skipping a torn last line', () => {
+        history.record(entry());
+        history.record(entry({ outcome: 'completed' }));
+        fs.appendFileSync(path.join(dataDir, 'transfer-history.jsonl'), '{"id":"torn"');
+
+        const reloaded = new TransferHistory(dataDir).list();
+        expect(reloaded).toHaveLength(1);
+        expect(reloaded[0]).toMatchObject({ id: 'batch-1', outcome: 'completed', attempts: 2 });
+    });
+
+    it('forgets everything when cleared', () => {
+        history.record(entry());
+        history.clear();
+
+        expect(history.list()).toEqual([]);
+        expect(new TransferHistory(dataDir).list()).toEqual([]);
+    });
+});
@@ -0,0 +1,63 @@
+/** @jest-environment node */
+const { MessageType, encodeMessage, parsePayload, createMessageDecoder } = require('../../transferProtocol');
+
+const decodeAll = (...chunks) => new Promise((resolve, reject) => {
+    const decoder = createMessageDecoder();
+    const messages = [];
+    decoder.on('data', message => messages.push(message));
+    decoder.on('end', () => resolve(messages));
+    decoder.on('error', reject);
+    for (const chunk of chunks) decoder.write(chunk);
+    decoder.end();
+});
+
+describe('transferProtocol', () => {
+    it('round-trips JSON and raw payloads', async () => {
+        const data = Buffer.from([0, 1, 2, 255]);
+        const messages = await decodeAll(Buffer.concat([
+            encodeMessage(MessageType.FILE_HEADER, { index: 0, name: 'a.txt', size: 4 }),
+            encodeMessage(MessageType.FILE_DATA, data),
+            encodeMessage(MessageType.FILE_END)
+        ]));
+
+        expect(messages.map(m => m.type)).toEqual([MessageType.FILE_HEADER, MessageType.FILE_DATA, MessageType.FILE_END]);
+        expect(parsePayload(messages[0])).toEqual({ index: 0, name: 'a.txt', size: 4 });
+        expect(messages[1].payload.equals(data)).toBe(true);
+        expect(parsePayload(messages[2])).toEqual({});
+    });
+
+    it('puts back together messages split across chunks', async () => {
+        const encoded = Buffer.concat([
+            encodeMessage(MessageType.FILE_ACK, { index: 3 }),
+            encodeMessage(MessageType.BATCH_END, {})
+        ]);
+        const messages = await decodeAll(encoded.subarray(0, 3), encoded.subarray(3, 9), encoded.subarray(9));
+
+        expect(messages.map(parsePayload)).toEqual([{ index: 3 }, {}]);
+    });
+
+    it('rejects an unknown message type', async () => {
+        const message = encodeMessage(MessageType.KEEPALIVE);
+        message[0] = 200;
+
+        await expect(decodeAll(message)).rejects.toThrow('Malformed protocol message');
+    });
+
+    it('rejects a message longer than the limit', async () => {
+        const header = Buffer.alloc(5);
+        header.writeUInt8(MessageType.FILE_DATA, 0);
+        header.writeUInt32BE(64 * 1024 * 1024, 1);
+
+        await expect(decodeAll(header)).rejects.toThrow('Malformed protocol message');
+    });
+
+    it('rejects a stream that ends mid-message', async () => {
+        const message = encodeMessage(MessageType.PAUSE, { reason: 'user' });
+
+        await expect(decodeAll(message.subarray(0, message.length - 1))).rejects.toThrow('ended mid-message');
+    });
+
+    it('reports a payload that is not JSON as malformed', () => {
+        expect(() => parsePayload({ payload: Buffer.from('{not json') })).toThrow('Malformed protocol message');
+    });
+});
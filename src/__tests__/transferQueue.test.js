@@ -0,0 +1,186 @@
+/** @jest-environment node */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TransferQueue = require('../../transferQueue');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// A runner whose jobs finish only when the test says so
+const createRunner = () => {
+    const running = new Map();
+    const runJob = jest.fn((job, files, onFileComplete) => new Promise((resolve, reject) => {
+        running.set(job.id, { files, onFileComplete, resolve, reject });
+    }));
+    return { runJob, running };
+};
+
+const file = (name) => ({ path: `/files/${name}`, name, size: 10 });
+
+describe('TransferQueue', () => {
+    let dataDir;
+    let queue;
+
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'queue-test-'));
+    });
+
+    afterEach(() => {
+        if (queue) queue.stop();
+        queue = null;
+        jest.useRealTimers();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    const createQueue = (runJob, limits = { maxConcurrent: 1, maxPerPeer: 1 }) => {
+        queue = new TransferQueue(dataDir, { runJob, getLimits: () => limits });
+        return queue;
+    };
+
+    it('starts jobs by priority, then in the order they were added', () => {
+        const { runJob } = createRunner();
+        createQueue(runJob);
+        queue.enqueue({ id: 'first', peerIP: '10.0.0.1', files: [file('a')] });
+        queue.enqueue({ id: 'low', peerIP: '10.0.0.2', files: [file('b')], priority: 'low' });
+        queue.enqueue({ id: 'second', peerIP: '10.0.0.3', files: [file('c')] });
+        queue.enqueue({ id: 'urgent', peerIP: '10.0.0.4', files: [file('d')], priority: 'high' });
+
+        expect(queue.list().map(job => job.id)).toEqual(['urgent', 'first', 'second', 'low']);
+    });
+
+    it('keeps to the global and per-peer limits', async () => {
+        const { runJob, running } = createRunner();
+        createQueue(runJob, { maxConcurrent: 2, maxPerPeer: 1 });
+        queue.enqueue({ id: 'a1', peerIP: '10.0.0.1', files: [file('a')] });
+        queue.enqueue({ id: 'a2', peerIP: '10.0.0.1', files: [file('b')] });
+        queue.enqueue({ id: 'b1', peerIP: '10.0.0.2', files: [file('c')] });
+        queue.enqueue({ id: 'c1', peerIP: '10.0.0.3', files: [file('d')] });
+        queue.start();
+
+        expect([...running.keys()]).toEqual(['a1', 'b1']);
+
+        running.get('a1').resolve({ corrupted: [] });
+        await flush();
+        expect([...running.keys()]).toEqual(['a1', 'b1', 'a2']);
+    });
+
+    it('counts jobs to the same device together, whatever address they use', () => {
+        const { runJob, running } = createRunner();
+        createQueue(runJob, { maxConcurrent: 3, maxPerPeer: 1 });
+        queue.enqueue({ id: 'wifi', peerIP: '10.0.0.1', peerId: 'laptop', files: [file('a')] });
+        queue.enqueue({ id: 'ethernet', peerIP: '10.0.1.1', peerId: 'laptop', files: [file('b')] });
+        queue.enqueue({ id: 'old-peer', peerIP: '10.0.0.1', files: [file('c')] });
+        queue.start();
+
+        expect([...running.keys()]).toEqual(['wifi', 'old-peer']);
+    });
+
+    it('leaves a paused job in line until it is resumed', () => {
+        const { runJob, running } = createRunner();
+        createQueue(runJob);
+        queue.enqueue({ id: 'held', peerIP: '10.0.0.1', files: [file('a')] });
+        queue.setPaused('held', true);
+        queue.enqueue({ id: 'next', peerIP: '10.0.0.2', files: [file('b')] });
+        queue.start();
+
+        expect([...running.keys()]).toEqual(['next']);
+        expect(queue.get('held').status).toBe('queued');
+    });
+
+    it('lets other jobs run while a running one is paused, and waits for its resume if the connection drops', async () => {
+        const { runJob, running } = createRunner();
+        createQueue(runJob);
+        queue.enqueue({ id: 'big', peerIP: '10.0.0.1', files: [file('a')] });
+        queue.enqueue({ id: 'small', peerIP: '10.0.0.2', files: [file('b')] });
+        queue.start();
+
+        queue.setPaused('big', true, 'receiver-key');
+        expect([...running.keys()]).toEqual(['big', 'small']);
+
+        running.get('big').reject(Object.assign(new Error('Connection reset'), { retryable: true }));
+        await flush();
+        expect(queue.get('big')).toMatchObject({ status: 'queued', paused: true, peerKey: 'receiver-key' });
+        expect(runJob).toHaveBeenCalledTimes(2);
+
+        running.get('small').resolve({ corrupted: [] });
+        queue.setPaused('big', false);
+        await flush();
+        expect(runJob).toHaveBeenCalledTimes(3);
+    });
+
+    it('retries a dropped connection with only the files not yet acknowledged', async () => {
+        jest.useFakeTimers();
+        jest.spyOn(console, 'log').mockImplementation(() => { });
+        const { runJob, running } = createRunner();
+        createQueue(runJob);
+        queue.enqueue({ id: 'job', peerIP: '10.0.0.1', files: [file('a'), file('b')] });
+        queue.start();
+
+        const first = running.get('job');
+        first.onFileComplete(first.files[0]);
+        first.reject(Object.assign(new Error('Connection reset'), { retryable: true }));
+        await Promise.resolve();
+        await Promise.resolve();
+        expect(queue.get('job').status).toBe('retrying');
+
+        jest.advanceTimersByTime(2000);
+        expect(runJob).toHaveBeenCalledTimes(2);
+        expect(running.get('job').files.map(f => f.name)).toEqual(['b']);
+        console.log.mockRestore();
+    });
+
+    it('gives up on errors that are not worth retrying', async () => {
+        const { runJob, running } = createRunner();
+        const changes = [];
+        queue = new TransferQueue(dataDir, {
+            runJob,
+            getLimits: () => ({ maxConcurrent: 1, maxPerPeer: 1 }),
+            onChange: change => changes.push(change)
+        });
+        queue.enqueue({ id: 'job', peerIP: '10.0.0.1', files: [file('a')] });
+        queue.start();
+
+        running.get('job').reject(Object.assign(new Error('Transfer declined'), { code: 'TRANSFER_DECLINED' }));
+        await flush();
+
+        expect(queue.get('job')).toBeNull();
+        expect(changes[changes.length - 1]).toMatchObject({ id: 'job', status: 'failed', declined: true });
+    });
+
+    it('tells whoever waits on a job how it finished', async () => {
+        const { runJob, running } = createRunner();
+        createQueue(runJob);
+        queue.enqueue({ id: 'push', peerIP: '10.0.0.1', files: [file('a')], sync: { share: 'docs' } });
+        queue.start();
+        const finished = queue.whenFinished('push');
+
+        expect(runJob.mock.calls[0][0].sync).toEqual({ share: 'docs' });
+        running.get('push').resolve({ corrupted: [] });
+
+        await expect(finished).resolves.toMatchObject({ id: 'push', status: 'completed', corrupted: 0 });
+        await expect(queue.whenFinished('push')).rejects.toThrow('No such transfer in the queue');
+    });
+
+    it('picks up saved jobs after a restart, keeping them paused if they were', () => {
+        const { runJob } = createRunner();
+        createQueue(runJob);
+        queue.enqueue({ id: 'sending', peerIP: '10.0.0.1', files: [file('a')] });
+        queue.enqueue({ id: 'held', peerIP: '10.0.0.2', files: [file('b')], priority: 'low' });
+        queue.setPaused('held', true);
+        queue.start();
+        queue.stop();
+
+        const restarted = new TransferQueue(dataDir, { runJob, getLimits: () => ({ maxConcurrent: 1, maxPerPeer: 1 }) });
+        expect(restarted.list().map(({ id, status, paused }) => ({ id, status, paused }))).toEqual([
+            { id: 'sending', status: 'queued', paused: false },
+            { id: 'held', status: 'queued', paused: true }
+        ]);
+    });
+
+    it('rejects an unknown priority', () => {
+        createQueue(createRunner().runJob);
+
+        expect(() => queue.enqueue({ peerIP: '10.0.0.1', files: [file('a')], priority: 'urgent' }))
+            .toThrow('Priority must be one of: high, normal, low');
+    });
+});
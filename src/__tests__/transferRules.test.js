@@ -0,0 +1,103 @@
+/** @jest-environment node */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TransferRules = require('../../transferRules');
+const { resolveConflictAction } = require('../../networkManager');
+
+const laptop = { name: 'Laptop', publicKey: 'laptop-key', fingerprint: 'AAAA BBBB' };
+
+describe('TransferRules', () => {
+    let dataDir;
+    let rules;
+
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-test-'));
+        rules = new TransferRules(dataDir);
+    });
+
+    afterEach(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('asks about an offer no rule covers', () => {
+        expect(rules.evaluate({ publicKey: 'someone', totalSize: 10 })).toEqual({ action: 'ask' });
+    });
+
+    it('accepts offers from an always-accepted device, matched by its key', () => {
+        rules.addAlwaysAccept(laptop);
+
+        expect(rules.evaluate({ publicKey: 'laptop-key', totalSize: 10 }).action).toBe('accept');
+        expect(rules.evaluate({ publicKey: 'other-key', totalSize: 10 }).action).toBe('ask');
+        expect(rules.evaluate({ publicKey: null, totalSize: 10 }).action).toBe('ask');
+    });
+
+    it('declines offers over the size limit, even from an always-accepted device', () => {
+        rules.addAlwaysAccept(laptop);
+        rules.setAutoRejectOverBytes(1000);
+
+        expect(rules.evaluate({ publicKey: 'laptop-key', totalSize: 1001 }))
+            .toEqual({ action: 'reject', reason: 'Transfer exceeds the receiver\'s size limit' });
+        expect(rules.evaluate({ publicKey: 'laptop-key', totalSize: 1000 }).action).toBe('accept');
+    });
+
+    it('turns the size limit off for zero or nothing', () => {
+        rules.setAutoRejectOverBytes(1000);
+        expect(rules.setAutoRejectOverBytes(0).autoRejectOverBytes).toBeNull();
+        rules.setAutoRejectOverBytes(1000);
+        expect(rules.setAutoRejectOverBytes(null).autoRejectOverBytes).toBeNull();
+    });
+
+    it('asks about a trusted device\'s offer that would replace files when set to ask', () => {
+        rules.addAlwaysAccept(laptop);
+        rules.setConflictPolicy('ask');
+
+        expect(rules.evaluate({ publicKey: 'laptop-key', totalSize: 10, conflictCount: 1 }).action).toBe('ask');
+        expect(rules.evaluate({ publicKey: 'laptop-key', totalSize: 10, conflictCount: 0 }).action).toBe('accept');
+
+        rules.setConflictPolicy('overwrite');
+        expect(rules.evaluate({ publicKey: 'laptop-key', totalSize: 10, conflictCount: 1 }).action).toBe('accept');
+    });
+
+    it('refuses an unknown conflict policy', () => {
+        expect(() => rules.setConflictPolicy('merge')).toThrow('Conflict policy must be one of: rename, overwrite, skip, ask');
+        expect(rules.getRules().conflictPolicy).toBe('rename');
+    });
+
+    it('keeps one entry per device key and removes it by name or fingerprint', () => {
+        rules.addAlwaysAccept(laptop);
+        rules.addAlwaysAccept({ ...laptop, name: 'Renamed laptop' });
+        expect(rules.getRules().alwaysAccept.map(rule => rule.name)).toEqual(['Renamed laptop']);
+
+        rules.addAlwaysAccept({ name: 'Desktop', publicKey: 'desktop-key', fingerprint: 'CCCC DDDD' });
+        rules.removeAlwaysAccept('AAAA BBBB');
+        rules.removeAlwaysAccept('Desktop');
+        expect(rules.getRules().alwaysAccept).toEqual([]);
+    });
+
+    it('only auto-accepts devices that have an identity key', () => {
+        expect(() => rules.addAlwaysAccept({ name: 'Old peer' })).toThrow('Only devices with an identity key can be auto-accepted');
+    });
+
+    it('keeps the rules across restarts', () => {
+        rules.addAlwaysAccept(laptop);
+        rules.setAutoRejectOverBytes(5000);
+
+        const reloaded = new TransferRules(dataDir).getRules();
+        expect(reloaded.autoRejectOverBytes).toBe(5000);
+        expect(reloaded.alwaysAccept).toMatchObject([{ name: 'Laptop', publicKey: 'laptop-key' }]);
+    });
+});
+
+describe('resolveConflictAction', () => {
+    it('follows the policy unless it is to ask', () => {
+        expect(resolveConflictAction('skip', { conflictAction: 'overwrite' })).toBe('skip');
+        expect(resolveConflictAction('overwrite', {})).toBe('overwrite');
+    });
+
+    it('takes the user\'s pick when asked, falling back to renaming', () => {
+        expect(resolveConflictAction('ask', { conflictAction: 'overwrite' })).toBe('overwrite');
+        expect(resolveConflictAction('ask', { conflictAction: 'ask' })).toBe('rename');
+        expect(resolveConflictAction('ask', {})).toBe('rename');
+    });
+});
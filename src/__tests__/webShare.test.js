@@ -0,0 +1,180 @@
+/** @jest-environment node */
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const WebShare = require('../../webShare');
+
+describe('WebShare', () => {
+    let dataDir;
+    let downloadsDir;
+    let manager;
+    let events;
+    let webShare;
+    let port;
+
+    beforeEach(async () => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webshare-test-'));
+        downloadsDir = path.join(dataDir, 'downloads');
+        fs.mkdirSync(downloadsDir);
+        fs.writeFileSync(path.join(dataDir, 'web-share.json'), JSON.stringify({ enabled: true, port: 0 }));
+        jest.spyOn(console, 'log').mockImplementation(() => { });
+        jest.spyOn(console, 'warn').mockImplementation(() => { });
+
+        manager = {
+            getDownloadsDir: () => downloadsDir,
+            transferRules: { getRules: () => ({ conflictPolicy: 'rename' }) },
+            reviewOffer: jest.fn(async () => ({ accept: true })),
+            recordHistory: jest.fn()
+        };
+        events = [];
+        webShare = new WebShare(dataDir, manager, { onEvent: (channel, data) => events.push({ channel, data }) });
+        await webShare.start();
+        port = webShare.server.address().port;
+    });
+
+    afterEach(async () => {
+        await webShare.stop();
+        jest.restoreAllMocks();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    const request = (method, route, { body, cookie } = {}) => new Promise((resolve, reject) => {
+        const data = Buffer.isBuffer(body) ? body : Buffer.from(body === undefined ? '' : JSON.stringify(body));
+        const req = http.request({
+            host: '127.0.0.1',
+            port,
+            method,
+            path: route,
+            headers: { 'Content-Length': data.length, ...(cookie ? { Cookie: cookie } : {}) }
+        }, (res) => {
+            let text = '';
+            res.on('data', chunk => { text += chunk; });
+            res.on('end', () => resolve({
+                status: res.statusCode,
+                body: text ? JSON.parse(text) : {},
+                cookie: (res.headers['set-cookie'] || [''])[0].split(';')[0]
+            }));
+        });
+        req.on('error', reject);
+        req.end(data);
+    });
+
+    const login = (pin = webShare.pin) => request('POST', '/api/login', { body: { pin } });
+    const wrongPin = () => String((Number(webShare.pin) + 1) % 1000000).padStart(6, '0');
+
+    describe('PIN', () => {
+        it('lets a browser in with the PIN shown on the device, and only then', async () => {
+            expect((await request('GET', '/api/shares')).status).toBe(401);
+            expect((await login(wrongPin())).status).toBe(403);
+
+            const { status, cookie } = await login();
+            expect(status).toBe(200);
+            expect((await request('GET', '/api/session', { cookie })).body.authenticated).toBe(true);
+        });
+
+        it('answers a body over the limit with 413', async () => {
+            const { status, body } = await login('1'.repeat(100 * 1024));
+
+            expect(status).toBe(413);
+            expect(body.error).toBe('Request body is too large');
+        });
+
+        it('makes an address wait after too many wrong PINs, even for the right one', async () => {
+            for (let i = 0; i < 5; i++) expect((await login(wrongPin())).status).toBe(403);
+
+            const locked = await login();
+            expect(locked.status).toBe(429);
+            expect(locked.body.error).toMatch('Too many wrong PINs');
+        });
+
+        it('replaces the PIN after too many wrong ones overall, logging everyone out', async () => {
+            const { cookie } = await login();
+            const oldPin = webShare.pin;
+            webShare.failedTotal = 19;
+
+            expect((await login(wrongPin())).status).toBe(403);
+
+            expect(webShare.pin).not.toBe(oldPin);
+            expect(events).toContainEqual({ channel: 'web-share-updated', data: expect.objectContaining({ pinChanged: true }) });
+            expect((await request('GET', '/api/session', { cookie })).body.authenticated).toBe(false);
+        });
+    });
+
+    describe('uploads', () => {
+        let cookie;
+
+        beforeEach(async () => {
+            ({ cookie } = await login());
+        });
+
+        const offer = (batch, files) => request('POST', '/api/offer', { cookie, body: { batch, files } });
+        const upload = (batch, name, content) => request('POST', `/api/upload?${new URLSearchParams({ batch, name })}`, {
+            cookie,
+            body: Buffer.from(content)
+        });
+
+        it('saves an accepted batch and records it in the history once', async () => {
+            expect((await offer('b1', [{ name: 'a.txt', size: 5 }, { name: 'b.txt', size: 3 }])).body).toEqual({ accepted: true, skipped: [] });
+
+            expect((await upload('b1', 'a.txt', 'hello')).status).toBe(200);
+            expect(manager.recordHistory).not.toHaveBeenCalled();
+            expect((await upload('b1', 'b.txt', 'bye')).status).toBe(200);
+
+            expect(fs.readFileSync(path.join(downloadsDir, 'a.txt'), 'utf8')).toBe('hello');
+            expect(fs.readdirSync(downloadsDir).sort()).toEqual(['a.txt', 'b.txt']);
+            expect(manager.recordHistory).toHaveBeenCalledTimes(1);
+            expect(manager.recordHistory.mock.calls[0][0]).toMatchObject({
+                id: 'web_b1',
+                outcome: 'completed',
+                totalSize: 8,
+                bytesTransferred: 8,
+                files: [{ name: 'a.txt', status: 'completed' }, { name: 'b.txt', status: 'completed' }]
+            });
+        });
+
+        it('only takes files from an accepted offer', async () => {
+            expect((await upload('nope', 'a.txt', 'hello')).status).toBe(403);
+
+            manager.reviewOffer.mockResolvedValueOnce({ accept: false, reason: 'Not now' });
+            expect((await offer('b2', [{ name: 'a.txt', size: 5 }])).status).toBe(403);
+            expect((await upload('b2', 'a.txt', 'hello')).status).toBe(403);
+
+            await offer('b3', [{ name: 'a.txt', size: 5 }]);
+            expect((await upload('b3', 'other.txt', 'hello')).status).toBe(403);
+            expect((await upload('b3', 'a.txt', 'hi')).status).toBe(400);
+            expect(fs.readdirSync(downloadsDir)).toEqual([]);
+        });
+
+        it('refuses a file name that would leave the downloads folder', async () => {
+            expect((await offer('b4', [{ name: '../escape.txt', size: 1 }])).body).toEqual({ error: 'Invalid file name' });
+        });
+
+        it('keeps two batches uploading the same name apart', async () => {
+            await offer('b5', [{ name: 'same.txt', size: 10 }]);
+            await offer('b6', [{ name: 'same.txt', size: 5 }]);
+
+            // The first upload is still coming in while the second one starts and finishes
+            let first;
+            const firstDone = new Promise((resolve, reject) => {
+                first = http.request({
+                    host: '127.0.0.1',
+                    port,
+                    method: 'POST',
+                    path: '/api/upload?batch=b5&name=same.txt',
+                    headers: { 'Content-Length': 10, Cookie: cookie }
+                }, resolve);
+                first.on('error', reject);
+            });
+            first.write('first');
+            await new Promise(resolve => setTimeout(resolve, 100));
+            expect((await upload('b6', 'same.txt', 'other')).status).toBe(200);
+            first.end('-half');
+            expect((await firstDone).statusCode).toBe(200);
+
+            expect(fs.readFileSync(path.join(downloadsDir, 'same.txt'), 'utf8')).toBe('other');
+            expect(fs.readFileSync(path.join(downloadsDir, 'same (2).txt'), 'utf8')).toBe('first-half');
+            expect(fs.readdirSync(downloadsDir).sort()).toEqual(['same (2).txt', 'same.txt']);
+        });
+    });
+});
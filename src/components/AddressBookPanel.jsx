@@ -0,0 +1,139 @@
+// src/components/AddressBookPanel.jsx
+import React, { useState } from 'react';
+
+const loadBridge = async () => (await import('../services/electronBridge')).default;
+
+const describeProbe = (entry) => {
+    if (entry.error) return `⚠️ ${entry.error}`;
+    if (!entry.probedAt) return 'Checking…';
+    if (entry.found.length === 0) return 'Not answering';
+    if (entry.kind === 'address') return 'Reachable';
+    return `Found at ${entry.found.join(', ')}`;
+};
+
+// Devices added by hand, for other subnets and networks that drop discovery; they're probed every 30 seconds
+const AddressBookPanel = ({ entries, onChange }) => {
+    const [target, setTarget] = useState('');
+    const [label, setLabel] = useState('');
+    const [editing, setEditing] = useState(null);
+    const [error, setError] = useState('');
+    const [probing, setProbing] = useState(false);
+
+    const apply = (result) => {
+        if (!result.success) {
+            setError(result.error);
+            return false;
+        }
+        setError('');
+        onChange(result.entries);
+        return true;
+    };
+
+    const add = async () => {
+        if (!target.trim()) return;
+        const result = await (await loadBridge()).addAddressBookEntry({ target, label });
+        if (apply(result)) {
+            setTarget('');
+            setLabel('');
+        }
+    };
+
+    const update = async (id, changes) => apply(await (await loadBridge()).updateAddressBookEntry(id, changes));
+
+    const saveLabel = async () => {
+        if (await update(editing.id, { label: editing.label })) setEditing(null);
+    };
+
+    const probeNow = async () => {
+        setProbing(true);
+        try {
+            apply(await (await loadBridge()).probeAddressBook());
+        } finally {
+            setProbing(false);
+        }
+    };
+
+    return (
+        <div className="address-book">
+            <div className="address-book-header">
+                <h3>Address Book</h3>
+                {entries.length > 0 && (
+                    <button className="btn-address-book" onClick={probeNow} disabled={probing}>
+                        {probing ? 'Checking…' : '🔄 Check now'}
+                    </button>
+                )}
+            </div>
+
+            {entries.length > 0 && (
+                <ul className="address-book-list">
+                    {entries.map(entry => (
+                        <li key={entry.id} className={`address-book-entry ${entry.found.length > 0 ? 'found' : ''}`}>
+                            <button
+                                className={`address-book-favourite ${entry.favourite ? 'on' : ''}`}
+                                title={entry.favourite ? 'Remove from favourites' : 'Add to favourites'}
+                                onClick={() => update(entry.id, { favourite: !entry.favourite })}
+                            >
+                                {entry.favourite ? '★' : '☆'}
+                            </button>
+                            <div className="address-book-details">
+                                {editing && editing.id === entry.id ? (
+                                    <input
+                                        type="text"
+                                        value={editing.label}
+                                        placeholder={entry.target}
+                                        autoFocus
+                                        onChange={(e) => setEditing({ ...editing, label: e.target.value })}
+                                        onKeyDown={(e) => {
+                                            if (e.key === 'Enter') saveLabel();
+                                            if (e.key === 'Escape') setEditing(null);
+                                        }}
+                                        onBlur={saveLabel}
+                                    />
+                                ) : (
+                                    <span
+                                        className="address-book-label"
+                                        title="Click to rename"
+                                        onClick={() => setEditing({ id: entry.id, label: entry.label || '' })}
+                                    >
+                                        {entry.label || entry.target}
+                                    </span>
+                                )}
+                                <span className="address-book-target">
+                                    {entry.label ? `${entry.target} · ` : ''}{describeProbe(entry)}
+                                </span>
+                            </div>
+                            <button
+                                className="address-book-remove"
+                                title="Remove from the address book"
+                                onClick={async () => apply(await (await loadBridge()).removeAddressBookEntry(entry.id))}
+                            >
+                                ✕
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <div className="manual-input-group">
+                <input
+                    type="text"
+                    value={target}
+                    placeholder="IP, hostname or range (10.0.4.0/24)"
+                    onChange={(e) => setTarget(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && add()}
+                />
+                <input
+                    type="text"
+                    value={label}
+                    placeholder="Label (optional)"
+                    onChange={(e) => setLabel(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && add()}
+                />
+                <button onClick={add}>Add</button>
+            </div>
+            {error && <div className="address-book-error">{error}</div>}
+        </div>
+    );
+};
+
+export default AddressBookPanel;
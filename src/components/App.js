@@ -6,8 +6,89 @@ import TerminalInterface from './TerminalInterface';
 import StatusBar from './StatusBar';
 import ConnectionLog from './ConnectionLog';
 import TransferQueue from './TransferQueue';
+import IncomingOfferPrompt from './IncomingOfferPrompt';
+import SharedFolders from './SharedFolders';
+import { formatBandwidthLimit, formatFileSize } from '../utils/helpers';
 import './App.css';
 
+// A batch that is one whole folder is labelled with the folder's name; `names` are relative paths
+const batchName = (names, fileCount = names.length) => {
+    const roots = new Set(names.map(name => name.includes('/') ? name.split('/')[0] : null));
+    const folderName = roots.size === 1 && !roots.has(null) ? [...roots][0] : null;
+    if (folderName) return `${folderName}/ (${fileCount} files)`;
+    return fileCount === 1 ? names[0] : `${fileCount} file(s)`;
+};
+
+// How a main-process queue job shows in the transfer list
+const queueStatus = (job, current) => {
+    if (job.paused) return 'paused';
+    if (job.status === 'running') return ['queued', 'paused'].includes(current) || !current ? 'transferring' : current;
+    return 'queued';
+};
+
+// A job from the main-process send queue, as listed with its files
+const queuedJobToTransfer = (job) => ({
+    id: job.id,
+    name: batchName(job.files.map(f => f.relativePath || f.name || f.path.split(/[\\/]/).pop())),
+    files: job.files.map(f => ({ ...f, name: f.relativePath || f.name, progress: 0, status: 'queued' })),
+    size: job.totalSize,
+    fileCount: job.fileCount,
+    status: queueStatus(job),
+    priority: job.priority,
+    queuePosition: job.position,
+    progress: 0,
+    startTime: new Date(job.createdAt),
+    peerIP: job.peerIP,
+    speed: 0,
+    isIncoming: false
+});
+
+// A record from the persisted transfer history, shaped like the live transfers in the queue
+const historyToTransfer = (record) => {
+    const fileCount = record.fileCount || record.files.length;
+    // Declined offers show as failed, with the reason as the error
+    const status = ['completed', 'corrupted', 'cancelled'].includes(record.outcome) ? record.outcome : 'failed';
+    // Files skipped because the receiver already had them count as done
+    const completedFiles = record.files.filter(f => f.status === 'completed' || f.status === 'skipped');
+
+    return {
+        id: record.id,
+        name: batchName(record.files.map(f => f.name), fileCount),
+        files: record.files.map(f => ({
+            name: f.name,
+            size: f.size,
+            progress: completedFiles.includes(f) ? 100 : 0,
+            status: f.status === 'pending' ? status : f.status,
+            checksum: f.sha256,
+            verified: f.status === 'completed' && !!f.sha256,
+            path: f.path
+        })),
+        size: record.totalSize,
+        fileCount,
+        status,
+        progress: record.totalSize > 0
+            ? Math.min(100, Math.floor((completedFiles.reduce((sum, f) => sum + f.size, 0) / record.totalSize) * 100))
+            : (status === 'completed' ? 100 : 0),
+        startTime: new Date(record.startedAt),
+        endTime: new Date(record.endedAt),
+        durationMs: record.durationMs,
+        averageSpeed: Number((record.averageSpeed / (1024 * 1024)).toFixed(2)),
+        peerIP: record.peer.ip,
+        peerName: record.peer.name || '',
+        peerFingerprint: record.peer.fingerprint,
+        speed: 0,
+        encryption: record.encryption,
+        verified: record.files.length > 0 && record.files.every(f => f.status === 'completed' && f.sha256),
+        checksum: record.files.length === 1 ? record.files[0].sha256 : undefined,
+        // Received files open from where they were saved; sent ones from their source
+        path: record.direction === 'received' && fileCount === 1 && completedFiles[0] ? completedFiles[0].path : record.savePath,
+        error: record.error,
+        compression: record.compression,
+        isIncoming: record.direction === 'received',
+        fromHistory: true
+    };
+};
+
 const App = () => {
     // Global state
     const [appState, setAppState] = useState({
@@ -28,6 +109,7 @@ const App = () => {
     const [transfers, setTransfers] = useState([]);
     const [logs, setLogs] = useState([]);
     const [activeTransfer, setActiveTransfer] = useState(null);
+    const [bandwidthLimits, setBandwidthLimits] = useState({ globalLimit: null, peerLimits: {}, transferLimits: {}, schedule: [], activeGlobalLimit: null });
     const peerIPRef = React.useRef(appState.peerIP);
 
     // Sync ref
@@ -109,24 +191,32 @@ const App = () => {
                     return prev.map((t, i) => {
                         if (i !== index) return t;
 
-                        // Update files progress
-                        const updatedFiles = t.files.map(f =>
-                            f.name === data.filename ? {
-                                ...f,
-                                progress: data.progress,
-                                status: data.status === 'connecting' ? 'transferring' : (data.status || 'transferring'),
-                                size: data.total || f.size
-                            } : f
-                        );
+                        // Update files progress; later files of an incoming batch or folder are added as they start
+                        const fileStatus = data.status === 'connecting' ? 'transferring' : (data.status || 'transferring');
+                        const knownFile = t.files.some(f => f.name === data.filename);
+                        const updatedFiles = knownFile || !data.filename
+                            ? t.files.map(f =>
+                                f.name === data.filename ? {
+                                    ...f,
+                                    progress: data.progress,
+                                    status: fileStatus,
+                                    size: data.total || f.size
+                                } : f
+                            )
+                            : [...t.files, { name: data.filename, size: data.total, progress: data.progress || 0, status: fileStatus }];
 
                         return {
                             ...t,
                             status: data.status === 'connecting' ? 'transferring' : (data.status || 'transferring'),
-                            progress: data.progress,
+                            // Batches report the card's progress across all files
+                            progress: data.overallProgress !== undefined ? data.overallProgress : data.progress,
                             speed: data.speed || t.speed,
                             peerIP: data.peerIP || t.peerIP,
                             peerName: data.senderName || t.peerName,
-                            size: data.total || t.size,
+                            size: data.batchTotal || data.total || t.size,
+                            fileCount: data.batchFiles || t.fileCount,
+                            compression: data.compression || t.compression,
+                            encryption: data.encryption !== undefined ? data.encryption : t.encryption,
                             files: updatedFiles
                         };
                     });
@@ -141,13 +231,15 @@ const App = () => {
                             progress: data.progress || 0,
                             status: data.status || 'transferring'
                         }],
-                        size: data.total || 0,
+                        size: data.batchTotal || data.total || 0,
+                        fileCount: data.batchFiles,
                         status: data.status || 'transferring',
-                        progress: data.progress || 0,
+                        progress: (data.overallProgress !== undefined ? data.overallProgress : data.progress) || 0,
                         startTime: new Date(),
                         peerIP: data.peerIP || peerIPRef.current,
                         peerName: data.senderName || '',
                         speed: data.speed || 0,
+                        encryption: data.encryption,
                         isIncoming: data.status === 'receiving' || data.status === 'connecting'
                     };
 
@@ -161,12 +253,15 @@ const App = () => {
         };
 
         const handleTransferComplete = (data) => {
+            // Completions in a batch arrive grouped, naming every file that finished since the last one
+            const finishedNames = new Set(data.filenames || [data.filename]);
+
             setTransfers(prev => {
                 const exists = prev.some(t => t.id === data.transferId);
                 if (!exists) {
                     const newTransfer = {
                         id: data.transferId,
-                        files: [{ name: data.filename, size: data.total || 0, progress: 100, status: 'completed' }],
+                        files: [...finishedNames].map(name => ({ name, size: name === data.filename ? data.total || 0 : 0, progress: 100, status: 'completed' })),
                         size: data.total || 0,
                         status: 'completed',
                         progress: 100,
@@ -175,6 +270,9 @@ const App = () => {
                         peerIP: data.peerIP || peerIPRef.current,
                         peerName: data.senderName || '',
                         speed: 0,
+                        encryption: data.encryption,
+                        verified: data.verified,
+                        checksum: data.checksum,
                         isIncoming: true // If it wasn't tracked before, it's likely an incoming file we just finished
                     };
                     return [newTransfer, ...prev];
@@ -183,37 +281,116 @@ const App = () => {
                 const updated = prev.map(t => {
                     if (t.id !== data.transferId) return t;
 
-                    const updatedFiles = t.files.map(f =>
-                        f.name === data.filename ? { ...f, status: 'completed', progress: 100 } : f
-                    );
+                    const finish = f => ({ ...f, status: 'completed', progress: 100, verified: data.verified, checksum: finishedNames.size === 1 ? data.checksum : f.checksum });
+                    const knownNames = new Set(t.files.map(f => f.name));
+                    // Incoming batches only learn about files as they arrive
+                    const updatedFiles = [
+                        ...t.files.map(f => finishedNames.has(f.name) ? finish(f) : f),
+                        ...[...finishedNames].filter(name => !knownNames.has(name)).map(name => finish({ name, size: 0 }))
+                    ];
 
-                    const allCompleted = updatedFiles.every(f => f.status === 'completed');
+                    // A corrupted file keeps the whole batch flagged even after the rest arrive
+                    const allDone = updatedFiles.length >= (data.batchFiles || t.fileCount || 0) &&
+                        updatedFiles.every(f => f.status === 'completed' || f.status === 'corrupted');
+                    const anyCorrupted = updatedFiles.some(f => f.status === 'corrupted');
+                    const allCompleted = allDone && !anyCorrupted;
 
                     return {
                         ...t,
                         files: updatedFiles,
-                        status: allCompleted ? 'completed' : 'transferring',
+                        status: allCompleted ? 'completed' : (anyCorrupted ? 'corrupted' : 'transferring'),
                         progress: allCompleted ? 100 : t.progress,
-                        endTime: allCompleted ? new Date() : t.endTime,
-                        path: data.path || t.path
+                        endTime: allDone ? new Date() : t.endTime,
+                        path: data.path || t.path,
+                        verified: updatedFiles.every(f => f.verified),
+                        compression: data.compression || t.compression,
+                        checksum: updatedFiles.length === 1 ? updatedFiles[0].checksum : t.checksum,
+                        encryption: data.encryption !== undefined ? data.encryption : t.encryption
                     };
                 });
 
                 return updated;
             });
-            addLog('success', `Transfer completed: ${data.filename}`);
+            addLog('success', finishedNames.size > 1
+                ? `Transfer completed: ${finishedNames.size} files (last: ${data.filename})`
+                : `Transfer completed: ${data.filename}`);
+            (data.conflicts || []).forEach(({ filename, savedAs, conflict }) => {
+                if (conflict === 'renamed') addLog('info', `${filename} already existed, saved as ${savedAs}`);
+                else if (conflict === 'overwritten') addLog('warning', `${filename} replaced an existing file`);
+                else if (conflict === 'identical') addLog('info', `${filename} skipped: an identical copy is already there`);
+                else addLog('info', `${filename} skipped: the name is already taken`);
+            });
+            (data.deltas || []).forEach(({ filename, size, sent }) => {
+                addLog('transfer', `${filename}: only ${formatFileSize(sent)} of ${formatFileSize(size)} changed and crossed the network`);
+            });
         };
 
         const handleTransferError = (data) => {
+            const status = data.status === 'corrupted' ? 'corrupted' : 'failed';
             setTransfers(prev => prev.map(t => {
                 if (t.id !== data.transferId) return t;
                 return {
                     ...t,
-                    status: 'failed',
-                    error: data.error
+                    status,
+                    error: data.error,
+                    files: t.files.map(f => f.name === data.filename ? { ...f, status } : f)
                 };
             }));
-            addLog('error', `Transfer failed: ${data.error || 'Unknown error'}`);
+            addLog('error', `Transfer failed: ${data.error || 'Unknown error'}${data.resumable ? ' (partial file kept, it will resume if the sender reconnects)' : ''}`);
+        };
+
+        // Queued sends run in the main process; it reports each state change and the new order
+        const handleQueueUpdated = ({ job, jobs }) => {
+            const pending = new Map(jobs.map(j => [j.id, j]));
+            setTransfers(prev => prev.map(t => {
+                const queued = pending.get(t.id);
+                if (queued) {
+                    return { ...t, status: queueStatus(queued, t.status), priority: queued.priority, queuePosition: queued.position, error: queued.error };
+                }
+                if (t.id !== job.id) return t;
+                if (job.status === 'failed' || job.status === 'cancelled') {
+                    return { ...t, status: job.status, error: job.error, queuePosition: undefined };
+                }
+                // Files already acknowledged before a restart don't get completion events again
+                return { ...t, status: t.status === 'corrupted' ? t.status : 'completed', progress: t.status === 'corrupted' ? t.progress : 100, queuePosition: undefined };
+            }));
+
+            if (job.status === 'retrying') {
+                addLog('error', `Connection to ${job.peerIP} lost: ${job.error}. Retrying (attempt ${job.attempts + 1})...`);
+            } else if (job.status === 'failed') {
+                addLog('error', `Transfer to ${job.peerIP} ${job.declined ? 'declined' : 'failed'}: ${job.error}`);
+            }
+        };
+
+        // Either end can pause a transfer; the card on both sides follows
+        const handleTransferPaused = (data) => {
+            setTransfers(prev => prev.map(t => t.id === data.transferId
+                ? { ...t, status: data.paused ? 'paused' : 'transferring', speed: data.paused ? 0 : t.speed }
+                : t));
+            const peer = data.peerName || data.peerIP || 'peer';
+            if (data.disconnected) {
+                addLog('system', `Paused transfer from ${peer} lost its connection; resume it once both devices are back`);
+            } else if (data.by === 'peer') {
+                addLog('system', `${peer} ${data.paused ? 'paused' : 'resumed'} transfer ${data.transferId}`);
+            }
+        };
+
+        const handlePeerKeyChanged = (data) => {
+            addLog('error', `WARNING: Identity key for ${data.name} changed (was ${data.previousFingerprint}, now ${data.fingerprint}). Transfers are blocked until you verify it.`);
+        };
+
+        const handleBandwidthLimitsChanged = (limits) => {
+            setBandwidthLimits(limits);
+        };
+
+        // A peer pulled files from one of our shares; they go out through our send queue
+        const handleSharePulled = ({ job, peerName, share }) => {
+            if (job) {
+                setTransfers(prev => prev.some(t => t.id === job.id)
+                    ? prev
+                    : [{ ...queuedJobToTransfer(job), peerName }, ...prev]);
+            }
+            addLog('transfer', `${peerName} is downloading ${job ? job.fileCount : 'some'} file(s) from your "${share}" share`);
         };
 
         const setupBridge = async () => {
@@ -223,12 +400,68 @@ const App = () => {
             bridge.on('transfer-progress', handleTransferProgress);
             bridge.on('transfer-complete', handleTransferComplete);
             bridge.on('transfer-error', handleTransferError);
+            bridge.on('peer-key-changed', handlePeerKeyChanged);
+            bridge.on('transfer-queue-updated', handleQueueUpdated);
+            bridge.on('transfer-paused', handleTransferPaused);
+            bridge.on('bandwidth-limits-changed', handleBandwidthLimitsChanged);
+            bridge.on('share-pulled', handleSharePulled);
 
             // Fetch initial downloads directory ONLY ONCE
             const dirResult = await bridge.getDownloadDirectory();
             if (dirResult.success) {
                 setAppState(prev => ({ ...prev, downloadsDir: dirResult.path }));
             }
+
+            const limitsResult = await bridge.getBandwidthLimits();
+            if (limitsResult.success) {
+                setBandwidthLimits(limitsResult.limits);
+            }
+
+            // Sends still queued from before a restart pick up where they left off
+            const queueResult = await bridge.getTransferQueue();
+            if (queueResult.success && queueResult.jobs.length > 0) {
+                setTransfers(prev => {
+                    const knownIds = new Set(prev.map(t => t.id));
+                    const restored = queueResult.jobs.filter(job => !knownIds.has(job.id)).map(queuedJobToTransfer);
+                    return [...restored, ...prev];
+                });
+                addLog('system', `Resuming ${queueResult.jobs.length} queued transfer(s)`);
+            }
+
+            // Downloads paused before a restart can be resumed from either end
+            const pausedResult = await bridge.getPausedTransfers();
+            if (pausedResult.success && pausedResult.transfers.length > 0) {
+                setTransfers(prev => {
+                    const knownIds = new Set(prev.map(t => t.id));
+                    const restored = pausedResult.transfers.filter(p => !knownIds.has(p.id)).map(p => ({
+                        id: p.id,
+                        name: batchName(p.fileNames, p.fileCount),
+                        files: p.fileNames.map(name => ({ name, progress: 0, status: 'paused' })),
+                        size: p.totalSize,
+                        fileCount: p.fileCount,
+                        status: 'paused',
+                        progress: p.totalSize ? Math.floor((p.received / p.totalSize) * 100) : 0,
+                        startTime: new Date(p.pausedAt),
+                        peerIP: p.peerIP,
+                        peerName: p.senderName,
+                        peerFingerprint: p.fingerprint,
+                        speed: 0,
+                        isIncoming: true
+                    }));
+                    return [...restored, ...prev];
+                });
+                addLog('system', `${pausedResult.transfers.length} paused download(s) can be resumed`);
+            }
+
+            // Earlier sessions' transfers go below anything already live
+            const historyResult = await bridge.getTransferHistory();
+            if (historyResult.success && historyResult.history.length > 0) {
+                setTransfers(prev => {
+                    const liveIds = new Set(prev.map(t => t.id));
+                    return [...prev, ...historyResult.history.filter(r => !liveIds.has(r.id)).map(historyToTransfer)];
+                });
+                addLog('system', `Loaded ${historyResult.history.length} transfer(s) from history`);
+            }
         };
 
         setupBridge();
@@ -238,6 +471,11 @@ const App = () => {
                 bridge.off('transfer-progress', handleTransferProgress);
                 bridge.off('transfer-complete', handleTransferComplete);
                 bridge.off('transfer-error', handleTransferError);
+                bridge.off('peer-key-changed', handlePeerKeyChanged);
+                bridge.off('transfer-queue-updated', handleQueueUpdated);
+                bridge.off('transfer-paused', handleTransferPaused);
+                bridge.off('bandwidth-limits-changed', handleBandwidthLimitsChanged);
+                bridge.off('share-pulled', handleSharePulled);
             }
         };
     }, [addLog]); // Run once on mount
@@ -263,6 +501,25 @@ const App = () => {
         setAppState(prev => ({ ...prev, isBroadcast: !prev.isBroadcast }));
     }, []);
 
+    // Files pulled from a peer's share arrive as an incoming transfer once the peer's queue gets to them
+    const handlePullStart = React.useCallback(({ transferId, peerIP, peerName, share, names, fileCount, totalSize }) => {
+        setTransfers(prev => prev.some(t => t.id === transferId) ? prev : [{
+            id: transferId,
+            name: batchName(names, fileCount),
+            files: [],
+            size: totalSize,
+            fileCount,
+            status: 'queued',
+            progress: 0,
+            startTime: new Date(),
+            peerIP,
+            peerName,
+            speed: 0,
+            isIncoming: true
+        }, ...prev]);
+        addLog('transfer', `Requested ${fileCount} file(s) from ${peerName}'s "${share}" share`);
+    }, [addLog]);
+
     const handleSelectPeers = React.useCallback((peers) => {
         setAppState(prev => ({ ...prev, selectedPeers: peers }));
     }, []);
@@ -284,12 +541,15 @@ const App = () => {
         }
 
         const baseId = `send_${Date.now()}`;
+        const priority = transferData.priority || 'normal';
         const newTransfers = targetPeers.map(peerIP => ({
             id: `${baseId}_${peerIP.replace(/\./g, '_')}`,
             ...transferData,
-            name: transferData.files.length === 1 ? transferData.files[0].name : `${transferData.files.length} file(s)`,
+            name: batchName(transferData.files.map(f => f.relativePath || f.name)),
             peerIP,
-            status: 'transferring',
+            priority,
+            // The main process starts it once a slot is free and reports back
+            status: 'queued',
             startTime: new Date(),
             progress: 0,
             speed: 0,
@@ -297,23 +557,25 @@ const App = () => {
         }));
 
         setTransfers(prev => [...newTransfers, ...prev]);
-        setActiveTransfer(newTransfers[0]); // Show the first one as active
-        setAppState(prev => ({ ...prev, transferActive: true }));
 
-        addLog('transfer', `Initiating transfer to ${targetPeers.length} device(s)`);
+        addLog('transfer', `Queued transfer to ${targetPeers.length} device(s)`);
 
         try {
             const bridge = (await import('../services/electronBridge')).default;
 
             addLog('system', 'System Diagnosis: Link stable. Ready for audio, video, and document broadcast.');
 
-            await Promise.all(targetPeers.map(peerIP => {
+            // Reconnecting after a dropped connection is handled by the queue in the main process
+            await Promise.all(targetPeers.map(async peerIP => {
                 const transferId = `${baseId}_${peerIP.replace(/\./g, '_')}`;
-                return bridge.transferFiles({
-                    ...transferData,
-                    peerIP,
-                    transferId
-                });
+                const result = await bridge.transferFiles({ ...transferData, peerIP, transferId, priority });
+
+                if (result && !result.success) {
+                    addLog('error', `Transfer to ${peerIP} failed: ${result.error}`);
+                    setTransfers(prev => prev.map(t =>
+                        t.id === transferId ? { ...t, status: 'failed', error: result.error } : t
+                    ));
+                }
             }));
         } catch (e) {
             addLog('error', `Transfer failed: ${e.message}`);
@@ -342,22 +604,43 @@ const App = () => {
                     }
                     break;
 
-                case 'pause':
-                    await bridge.pauseTransfer(transferId);
+                case 'pause': {
+                    const result = await bridge.pauseTransfer(transferId);
+                    if (!result.success) {
+                        addLog('error', `Could not pause transfer ${transferId}${result.error ? `: ${result.error}` : ''}`);
+                        break;
+                    }
                     addLog('system', `Paused transfer ${transferId}`);
                     setTransfers(prev => prev.map(t =>
                         t.id === transferId ? { ...t, status: 'paused' } : t
                     ));
                     break;
+                }
+
+                case 'start': {
+                    // A queued transfer jumps to the front of the line and starts once a slot is free
+                    const first = transfers
+                        .filter(t => t.queuePosition !== undefined)
+                        .sort((a, b) => a.queuePosition - b.queuePosition)[0];
+                    if (first && first.id !== transferId) {
+                        await handleQueueChange(transferId, { beforeId: first.id });
+                    }
+                    break;
+                }
 
-                case 'start':
-                case 'resume':
-                    await bridge.resumeTransfer(transferId);
-                    addLog('system', `${action === 'start' ? 'Started' : 'Resumed'} transfer ${transferId}`);
+                case 'resume': {
+                    // A transfer whose connection has gone waits in the queue, or for the sender to reconnect
+                    const result = await bridge.resumeTransfer(transferId);
+                    if (!result.success) {
+                        addLog('error', `Could not resume transfer ${transferId}${result.error ? `: ${result.error}` : ''}`);
+                        break;
+                    }
+                    addLog('system', `Resumed transfer ${transferId}`);
                     setTransfers(prev => prev.map(t =>
-                        t.id === transferId ? { ...t, status: 'transferring' } : t
+                        t.id === transferId ? { ...t, status: t.queuePosition !== undefined ? 'queued' : 'transferring' } : t
                     ));
                     break;
+                }
 
                 case 'open':
                     // Find the transfer to get the path
@@ -379,6 +662,36 @@ const App = () => {
     };
 
 
+    // Reprioritise or reorder a queued transfer; the main process answers with the new order
+    const handleQueueChange = async (transferId, changes) => {
+        try {
+            const bridge = (await import('../services/electronBridge')).default;
+            const result = await bridge.updateQueuedTransfer(transferId, changes);
+            if (!result.success) {
+                addLog('error', `Could not update queued transfer: ${result.error}`);
+            } else if (changes.priority) {
+                addLog('system', `Set ${transferId} to ${changes.priority} priority`);
+            }
+        } catch (e) {
+            addLog('error', `Could not update queued transfer: ${e.message}`);
+        }
+    };
+
+    // Change a bandwidth cap; every view picks up the result from 'bandwidth-limits-changed'
+    const handleBandwidthChange = async (changes, description) => {
+        try {
+            const bridge = (await import('../services/electronBridge')).default;
+            const result = await bridge.setBandwidthLimits(changes);
+            if (result.success) {
+                addLog('system', `Bandwidth limit ${description}`);
+            } else {
+                addLog('error', `Could not change bandwidth limit: ${result.error}`);
+            }
+        } catch (e) {
+            addLog('error', `Could not change bandwidth limit: ${e.message}`);
+        }
+    };
+
     // Handle download directory selection
     const handleSelectDownloadsDir = async () => {
         try {
@@ -396,11 +709,17 @@ const App = () => {
         }
     };
 
-    // Clear all transfers
-    const clearTransfers = () => {
+    // Clear all transfers, and the history they'd otherwise be reloaded from
+    const clearTransfers = async () => {
         setTransfers([]);
         setActiveTransfer(null);
-        addLog('system', 'Transfer queue cleared');
+        try {
+            const bridge = (await import('../services/electronBridge')).default;
+            await bridge.clearTransferHistory();
+            addLog('system', 'Transfer queue and history cleared');
+        } catch (e) {
+            addLog('error', `Failed to clear transfer history: ${e.message}`);
+        }
     };
 
     // Clear all logs
@@ -474,6 +793,11 @@ const App = () => {
                             onToggleBroadcast={handleToggleBroadcast}
                             selectedPeers={appState.selectedPeers}
                             onSelectPeers={handleSelectPeers}
+                            peerLimits={bandwidthLimits.peerLimits}
+                            onPeerLimitChange={(peer, limit) => handleBandwidthChange(
+                                { peerId: peer.deviceId, peerLimit: limit },
+                                `for ${peer.name} set to ${formatBandwidthLimit(limit)}`
+                            )}
                         />
                     </div>
                     <div className="layout-cell">
@@ -482,6 +806,14 @@ const App = () => {
                             clearTransfers={clearTransfers}
                             activeTransfer={activeTransfer}
                             onTransferAction={handleTransferAction}
+                            onQueueChange={handleQueueChange}
+                            transferLimits={bandwidthLimits.transferLimits}
+                            onLimitChange={(transferId, limit) => handleBandwidthChange(
+                                { transferId, transferLimit: limit },
+                                limit === 'default'
+                                    ? `for ${transferId} reset to the default`
+                                    : `for ${transferId} set to ${formatBandwidthLimit(limit)}`
+                            )}
                         />
                     </div>
                 </section>
@@ -508,6 +840,19 @@ const App = () => {
                             peerIP={appState.peerIP}
                             localIP={appState.localIP}
                             speed={appState.speed}
+                            encryption={(activeTransfer || transfers[0])?.encryption}
+                        />
+                    </div>
+                </section>
+
+                {/* Shared folders: pulling from other devices and sharing our own */}
+                <section className="section-shares">
+                    <div className="layout-cell full-width">
+                        <SharedFolders
+                            peers={appState.peers}
+                            selectedPeers={appState.selectedPeers}
+                            addLog={addLog}
+                            onPullStart={handlePullStart}
                         />
                     </div>
                 </section>
@@ -523,6 +868,8 @@ const App = () => {
                 </section>
             </main>
 
+            <IncomingOfferPrompt addLog={addLog} />
+
             {/* Footer */}
             <footer className="app-footer">
                 <StatusBar
@@ -536,6 +883,11 @@ const App = () => {
                     onSelectDownloadsDir={handleSelectDownloadsDir}
                     peerIP={appState.peerIP}
                     peerName={appState.peerName}
+                    bandwidthLimits={bandwidthLimits}
+                    onGlobalLimitChange={(limit) => handleBandwidthChange(
+                        { globalLimit: limit },
+                        `set to ${formatBandwidthLimit(limit)} for all transfers`
+                    )}
                 />
             </footer>
         </div>
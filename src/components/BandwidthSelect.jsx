@@ -0,0 +1,36 @@
+// src/components/BandwidthSelect.jsx
+import React from 'react';
+import { BANDWIDTH_PRESETS, formatBandwidthLimit } from '../utils/helpers';
+import './BandwidthSelect.css';
+
+// Picks a bandwidth cap in bytes per second. With `defaultLabel` there is also a
+// "default" choice (onChange gets 'default'), for overrides that can be dropped.
+const BandwidthSelect = ({ value, onChange, defaultLabel, className = '', title }) => {
+    const selected = value === undefined ? 'default' : (value === null ? 'off' : String(value));
+    // A cap set from the terminal may not be one of the presets
+    const limits = value && !BANDWIDTH_PRESETS.includes(value) ? [...BANDWIDTH_PRESETS, value].sort((a, b) => a - b) : BANDWIDTH_PRESETS;
+
+    const handleChange = (e) => {
+        const choice = e.target.value;
+        onChange(choice === 'default' ? 'default' : (choice === 'off' ? null : Number(choice)));
+    };
+
+    return (
+        <select
+            className={`bandwidth-select ${value ? 'limited' : ''} ${className}`}
+            value={selected}
+            onChange={handleChange}
+            onClick={(e) => e.stopPropagation()}
+            title={title}
+        >
+            {defaultLabel && <option value="default">{defaultLabel}</option>}
+            {limits.map(limit => (
+                <option key={limit || 'off'} value={limit === null ? 'off' : String(limit)}>
+                    {limit === null ? '🚦 Unlimited' : `🚦 ${formatBandwidthLimit(limit)}`}
+                </option>
+            ))}
+        </select>
+    );
+};
+
+export default BandwidthSelect;
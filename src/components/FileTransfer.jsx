@@ -7,6 +7,7 @@ const FileTransfer = ({ connectionStatus, peerIP, selectedPeers, isBroadcast, mo
     const [isDragging, setIsDragging] = useState(false);
     const [transferHistory, setTransferHistory] = useState([]);
     const [currentTransfer, setCurrentTransfer] = useState(null);
+    const [priority, setPriority] = useState('normal');
 
     const fileInputRef = useRef(null);
     const dropZoneRef = useRef(null);
@@ -76,9 +77,58 @@ const FileTransfer = ({ connectionStatus, peerIP, selectedPeers, isBroadcast, mo
         e.preventDefault();
         setIsDragging(false);
 
+        // Dropped folders show up as File objects too; the entry API tells them apart
+        const items = Array.from(e.dataTransfer.items || []);
         const files = Array.from(e.dataTransfer.files);
-        if (files.length > 0) {
-            addFilesToList(files);
+        const folderPaths = [];
+        const plainFiles = files.filter((file, index) => {
+            const entry = items[index] && items[index].webkitGetAsEntry && items[index].webkitGetAsEntry();
+            if (entry && entry.isDirectory) {
+                folderPaths.push(file.path);
+                return false;
+            }
+            return true;
+        });
+
+        if (plainFiles.length > 0) {
+            addFilesToList(plainFiles);
+        }
+        if (folderPaths.length > 0) {
+            addFolders(() => import('../services/electronBridge').then(m => m.default.expandPaths(folderPaths)));
+        }
+    };
+
+    // Pick whole folders through the native dialog
+    const handleFolderSelect = () => {
+        addFolders(() => import('../services/electronBridge').then(m => m.default.selectFiles({ folders: true })));
+    };
+
+    // Folder contents come back from the main process already expanded, with paths relative to the folder
+    const addFolders = async (loadFiles) => {
+        try {
+            const result = await loadFiles();
+            if (!result.success) {
+                if (!result.canceled) alert(result.error || 'Could not read folder');
+                return;
+            }
+            if (result.files.length === 0) {
+                alert('The selected folder is empty');
+                return;
+            }
+
+            const filesWithInfo = result.files.map(file => ({
+                id: Date.now() + Math.random(),
+                path: file.path,
+                relativePath: file.relativePath,
+                name: file.relativePath,
+                size: file.size,
+                type: '',
+                icon: getFileIcon({ name: file.name, type: '' }),
+                status: 'pending'
+            }));
+            setSelectedFiles(prev => [...prev, ...filesWithInfo]);
+        } catch (e) {
+            alert(`Could not read folder: ${e.message}`);
         }
     };
 
@@ -124,11 +174,13 @@ const FileTransfer = ({ connectionStatus, peerIP, selectedPeers, isBroadcast, mo
                 name: f.name,
                 size: f.size,
                 type: f.type,
-                path: f.file.path // Required for Electron to read file
+                path: f.path || f.file.path, // Required for Electron to read file
+                relativePath: f.relativePath
             })),
             totalSize: calculateTotalSize(),
             peerIP: isBroadcast ? selectedPeers[0] : peerIP, // Base IP (App.js handles loop)
             selectedPeers: isBroadcast ? selectedPeers : [peerIP],
+            priority,
             timestamp: new Date()
         };
 
@@ -202,7 +254,7 @@ const FileTransfer = ({ connectionStatus, peerIP, selectedPeers, isBroadcast, mo
                     <div className="drop-icon">
                         {isDragging ? '📂' : '📎'}
                     </div>
-                    <h3>Drag & Drop Files Here</h3>
+                    <h3>Drag & Drop Files or Folders Here</h3>
                     <p>or click to select files from your computer</p>
                     <p className="drop-info">
                         Supports any file type • No size limits • Direct transfer
@@ -217,12 +269,20 @@ const FileTransfer = ({ connectionStatus, peerIP, selectedPeers, isBroadcast, mo
                         id="file-input"
                     />
 
-                    <button
-                        className="btn-select"
-                        onClick={() => fileInputRef.current.click()}
-                    >
-                        📁 Select Files
-                    </button>
+                    <div className="select-buttons">
+                        <button
+                            className="btn-select"
+                            onClick={() => fileInputRef.current.click()}
+                        >
+                            📄 Select Files
+                        </button>
+                        <button
+                            className="btn-select"
+                            onClick={handleFolderSelect}
+                        >
+                            📁 Select Folder
+                        </button>
+                    </div>
                 </div>
             </div>
 
@@ -328,6 +388,16 @@ const FileTransfer = ({ connectionStatus, peerIP, selectedPeers, isBroadcast, mo
                 </button>
 
                 <div className="transfer-actions">
+                    <select
+                        className="btn-action priority-select"
+                        value={priority}
+                        onChange={(e) => setPriority(e.target.value)}
+                        title="Queue priority for this transfer"
+                    >
+                        <option value="high">⏫ High priority</option>
+                        <option value="normal">Normal priority</option>
+                        <option value="low">⏬ Low priority</option>
+                    </select>
                     <button
                         className="btn-action"
                         onClick={() => fileInputRef.current.click()}
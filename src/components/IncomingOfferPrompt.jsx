@@ -0,0 +1,184 @@
+// src/components/IncomingOfferPrompt.jsx
+import React, { useState, useEffect } from 'react';
+import './IncomingOfferPrompt.css';
+
+// What the receiver's conflict policy will do with files whose names are already taken
+const CONFLICT_POLICY_NOTES = {
+    rename: 'New copies will be saved under a numbered name',
+    overwrite: 'Existing files will be replaced',
+    skip: 'Those files will not be received'
+};
+
+const IncomingOfferPrompt = ({ addLog }) => {
+    const [offers, setOffers] = useState([]);
+    const [alwaysAccept, setAlwaysAccept] = useState(false);
+    const [conflictAction, setConflictAction] = useState('rename');
+    const [now, setNow] = useState(Date.now());
+
+    // Offers arrive from the main process; the oldest one is shown first
+    useEffect(() => {
+        let bridge;
+
+        const handleOffer = (offer) => {
+            setOffers(prev => [...prev.filter(o => o.transferId !== offer.transferId), offer]);
+            addLog('transfer', `${offer.senderName} wants to send ${offer.fileCount || offer.files.length} file(s)`);
+        };
+
+        const handleOfferCancelled = (data) => {
+            setOffers(prev => prev.filter(o => o.transferId !== data.transferId));
+            if (data.reason) addLog('system', `Transfer offer withdrawn: ${data.reason}`);
+        };
+
+        import('../services/electronBridge').then(module => {
+            bridge = module.default;
+            bridge.on('transfer-offer', handleOffer);
+            bridge.on('transfer-offer-cancelled', handleOfferCancelled);
+        });
+
+        return () => {
+            if (bridge) {
+                bridge.off('transfer-offer', handleOffer);
+                bridge.off('transfer-offer-cancelled', handleOfferCancelled);
+            }
+        };
+    }, [addLog]);
+
+    // Countdown only runs while something is waiting for an answer
+    useEffect(() => {
+        if (offers.length === 0) return;
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, [offers.length]);
+
+    const current = offers[0];
+
+    useEffect(() => {
+        setAlwaysAccept(false);
+        setConflictAction('rename');
+    }, [current?.transferId]);
+
+    if (!current) return null;
+
+    const formatFileSize = (bytes) => {
+        if (!bytes) return '0 Bytes';
+        const k = 1024;
+        const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+    };
+
+    const getTrustLabel = (trust) => {
+        switch (trust) {
+            case 'trusted': return '✔ Verified device';
+            case 'new': return 'First contact';
+            case 'known': return 'Not yet verified';
+            case 'unverified': return '⚠️ No identity key';
+            default: return trust;
+        }
+    };
+
+    const respond = async (accept) => {
+        setOffers(prev => prev.filter(o => o.transferId !== current.transferId));
+        try {
+            const bridge = (await import('../services/electronBridge')).default;
+            const result = await bridge.respondToTransferOffer(current.transferId, accept, {
+                alwaysAccept: accept && alwaysAccept,
+                conflictAction: current.conflictPolicy === 'ask' ? conflictAction : undefined
+            });
+            if (!result.success) {
+                addLog('error', `Could not answer transfer offer: ${result.error}`);
+                return;
+            }
+            addLog(accept ? 'success' : 'system', `${accept ? 'Accepted' : 'Declined'} transfer from ${current.senderName}`);
+            if (accept && alwaysAccept) {
+                addLog('system', `Future transfers from ${current.senderName} will be accepted automatically`);
+            }
+        } catch (e) {
+            addLog('error', `Could not answer transfer offer: ${e.message}`);
+        }
+    };
+
+    const secondsLeft = current.expiresAt ? Math.max(0, Math.ceil((current.expiresAt - now) / 1000)) : null;
+    const fileCount = current.fileCount || current.files.length;
+    const conflicts = new Set(current.conflicts || []);
+
+    return (
+        <div className="offer-overlay">
+            <div className="offer-dialog">
+                <div className="offer-header">
+                    <span className="offer-icon">📥</span>
+                    <div className="offer-title">
+                        <h3>Incoming Transfer</h3>
+                        <span className="offer-from">
+                            from <strong>{current.senderName}</strong> ({current.peerIP})
+                        </span>
+                    </div>
+                    {offers.length > 1 && (
+                        <span className="offer-pending">+{offers.length - 1} waiting</span>
+                    )}
+                </div>
+
+                <div className="offer-identity">
+                    <span className={`offer-trust ${current.trust}`}>{getTrustLabel(current.trust)}</span>
+                    {current.fingerprint && (
+                        <span className="offer-fingerprint" title={current.publicKey}>{current.fingerprint}</span>
+                    )}
+                </div>
+
+                <ul className="offer-files">
+                    {current.files.map((file, index) => (
+                        <li key={`${file.name}_${index}`} className={conflicts.has(file.name) ? 'exists' : ''}>
+                            <span className="offer-file-name" title={conflicts.has(file.name) ? 'Already in your downloads folder' : undefined}>
+                                {file.name}
+                            </span>
+                            <span className="offer-file-size">{formatFileSize(file.size)}</span>
+                        </li>
+                    ))}
+                    {fileCount > current.files.length && (
+                        <li className="offer-files-more">…and {fileCount - current.files.length} more</li>
+                    )}
+                </ul>
+
+                <div className="offer-summary">
+                    <span>{fileCount} file(s) • {formatFileSize(current.totalSize)}</span>
+                    {secondsLeft !== null && <span className="offer-timer">Expires in {secondsLeft}s</span>}
+                </div>
+
+                {current.conflictCount > 0 && (
+                    <div className="offer-conflicts">
+                        <span className="offer-conflict-count">
+                            ⚠️ {current.conflictCount} file(s) already exist in your downloads folder
+                        </span>
+                        {current.conflictPolicy === 'ask' ? (
+                            <select value={conflictAction} onChange={(e) => setConflictAction(e.target.value)}>
+                                <option value="rename">Keep both (rename new copies)</option>
+                                <option value="overwrite">Replace existing files</option>
+                                <option value="skip">Skip those files</option>
+                            </select>
+                        ) : (
+                            <span className="offer-conflict-policy">{CONFLICT_POLICY_NOTES[current.conflictPolicy]}</span>
+                        )}
+                    </div>
+                )}
+
+                {current.publicKey && (
+                    <label className="offer-always">
+                        <input
+                            type="checkbox"
+                            checked={alwaysAccept}
+                            onChange={(e) => setAlwaysAccept(e.target.checked)}
+                        />
+                        Always accept from this device
+                    </label>
+                )}
+
+                <div className="offer-actions">
+                    <button className="btn-offer decline" onClick={() => respond(false)}>Decline</button>
+                    <button className="btn-offer accept" onClick={() => respond(true)}>Accept</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default IncomingOfferPrompt;
@@ -1,14 +1,27 @@
 // src/components/NetworkDetector.jsx
 import React, { useState, useEffect, useCallback, useRef } from 'react';
+import BandwidthSelect from './BandwidthSelect';
+import AddressBookPanel from './AddressBookPanel';
 import './NetworkDetector.css';
 
-const NetworkDetector = ({ onConnectionUpdate, mode, isBroadcast, onToggleBroadcast, selectedPeers, onSelectPeers }) => {
+// Peers are listed by device id; manual connections and older versions only have an address
+const peerKey = (peer) => peer.id || peer.ip;
+
+// The address book entry a peer was found through or added as, for its label and favourite
+const bookEntryFor = (peer, entries) => {
+    const addresses = peer.addresses || [peer.ip];
+    return entries.find(entry => entry.target === peer.ip || entry.found.some(address => addresses.includes(address))) || null;
+};
+
+const NetworkDetector = ({ onConnectionUpdate, mode, isBroadcast, onToggleBroadcast, selectedPeers, onSelectPeers, peerLimits = {}, onPeerLimitChange }) => {
     const [connectionStatus, setConnectionStatus] = useState('disconnected');
     const [ipAddress, setIpAddress] = useState('0.0.0.0');
     const [discoveredPeers, setDiscoveredPeers] = useState([]);
     const [interfaces, setInterfaces] = useState([]);
     const [progress, setProgress] = useState(0);
     const [discoveryStatus, setDiscoveryStatus] = useState('');
+    const [localIdentity, setLocalIdentity] = useState(null);
+    const [addressBook, setAddressBook] = useState([]);
     const [configSteps, setConfigSteps] = useState([
         { id: 1, name: 'Scan interfaces', status: 'pending' },
         { id: 2, name: 'Assign IP', status: 'pending' },
@@ -22,6 +35,8 @@ const NetworkDetector = ({ onConnectionUpdate, mode, isBroadcast, onToggleBroadc
     const lastEmittedStatus = useRef('');
     const lastPeerCount = useRef(0);
     const discoveredPeersRef = useRef([]); // Critical for effect stability
+    const selectedPeersRef = useRef(selectedPeers);
+    const onSelectPeersRef = useRef(onSelectPeers);
 
     // Update refs when state changes
     useEffect(() => {
@@ -32,6 +47,11 @@ const NetworkDetector = ({ onConnectionUpdate, mode, isBroadcast, onToggleBroadc
         discoveredPeersRef.current = discoveredPeers;
     }, [discoveredPeers]);
 
+    useEffect(() => {
+        selectedPeersRef.current = selectedPeers;
+        onSelectPeersRef.current = onSelectPeers;
+    }, [selectedPeers, onSelectPeers]);
+
     useEffect(() => {
         ipAddressRef.current = ipAddress;
     }, [ipAddress]);
@@ -57,6 +77,12 @@ const NetworkDetector = ({ onConnectionUpdate, mode, isBroadcast, onToggleBroadc
 
         if (external) return external;
 
+        // An IPv6-only link still works for transfers
+        const external6 = interfaces.find(i => i.connected && i.addresses && i.addresses.length > 0)
+            ?.addresses.find(a => a.family === 'IPv6' && !a.internal)?.address;
+
+        if (external6) return external6;
+
         // 2. Fallback: Any IPv4 address (including internal/loopback)
         const internal = interfaces.find(i => i.addresses && i.addresses.length > 0)
             ?.addresses.find(a => a.family === 'IPv4')?.address;
@@ -130,14 +156,22 @@ const NetworkDetector = ({ onConnectionUpdate, mode, isBroadcast, onToggleBroadc
         }
     }, [mode, onConnectionUpdate, detectNetworkInterfaces, updateStep]);
 
+    // Selections are by address, so a selected peer that moves stays selected at its new one
+    const followPeerAddress = useCallback((peer) => {
+        const known = discoveredPeersRef.current.find(p => peerKey(p) === peerKey(peer));
+        if (!known || known.ip === peer.ip || !selectedPeersRef.current.includes(known.ip)) return;
+        onSelectPeersRef.current(selectedPeersRef.current.map(ip => (ip === known.ip ? peer.ip : ip)));
+    }, []);
+
     // Moved out of useEffect to be accessible in JSX
     const handlePeerDiscovered = useCallback((peer) => {
+        followPeerAddress(peer);
         setDiscoveredPeers(prev => {
-            const exists = prev.find(p => p.ip === peer.ip);
-            if (exists && exists.name === peer.name) return prev;
+            const exists = prev.find(p => peerKey(p) === peerKey(peer));
+            if (exists && exists.ip === peer.ip && exists.name === peer.name && exists.publicKey === peer.publicKey && exists.trust === peer.trust) return prev;
 
             const newList = exists
-                ? prev.map(p => p.ip === peer.ip ? peer : p)
+                ? prev.map(p => peerKey(p) === peerKey(peer) ? peer : p)
                 : [...prev, peer];
 
             return newList;
@@ -146,7 +180,7 @@ const NetworkDetector = ({ onConnectionUpdate, mode, isBroadcast, onToggleBroadc
         updateStep(4, 'completed');
         setProgress(100);
         setConnectionStatus('connected');
-    }, [updateStep]);
+    }, [updateStep, followPeerAddress]);
 
     // Auto-select first peer ONLY when peers change AND none are selected
     useEffect(() => {
@@ -214,6 +248,60 @@ const NetworkDetector = ({ onConnectionUpdate, mode, isBroadcast, onToggleBroadc
         prevWiredConnected.current = wiredConnected;
     }, [handleManualScan]);
 
+    // Confirm a peer's key after comparing verification codes (or accept a changed key)
+    const handleTrustPeer = useCallback(async (peer) => {
+        try {
+            const bridge = (await import('../services/electronBridge')).default;
+            const result = await bridge.trustPeer(peer);
+            if (result.success) {
+                setDiscoveredPeers(prev => prev.map(p =>
+                    p.name === peer.name && p.publicKey === peer.publicKey
+                        ? { ...p, trust: result.peer.trust, previousFingerprint: undefined }
+                        : p
+                ));
+            }
+        } catch (err) {
+            console.error('Failed to trust peer:', err);
+        }
+    }, []);
+
+    // Starring a peer that isn't in the address book yet adds it there by its address
+    const handleToggleFavourite = useCallback(async (peer, entry) => {
+        try {
+            const bridge = (await import('../services/electronBridge')).default;
+            const result = entry
+                ? await bridge.updateAddressBookEntry(entry.id, { favourite: !entry.favourite })
+                : await bridge.addAddressBookEntry({ target: peer.ip, favourite: true });
+            if (result.success) setAddressBook(result.entries);
+        } catch (err) {
+            console.error('Failed to update favourites:', err);
+        }
+    }, []);
+
+    const handlePeerKeyChanged = useCallback((data) => {
+        setDiscoveredPeers(prev => prev.map(p =>
+            p.name === data.name ? { ...p, ...data, ip: p.ip, trust: 'changed' } : p
+        ));
+    }, []);
+
+    // Quiet peers stay listed but greyed out until they're heard again or dropped;
+    // updates also carry addresses a peer has been heard at or has stopped using
+    const handlePeerUpdated = useCallback((peer) => {
+        followPeerAddress(peer);
+        setDiscoveredPeers(prev => prev.map(p =>
+            peerKey(p) === peerKey(peer)
+                ? { ...p, state: peer.state, lastSeen: peer.lastSeen, ip: peer.ip, addresses: peer.addresses }
+                : p
+        ));
+    }, [followPeerAddress]);
+
+    const handlePeerLost = useCallback((peer) => {
+        setDiscoveredPeers(prev => prev.filter(p => peerKey(p) !== peerKey(peer)));
+        if (selectedPeersRef.current.includes(peer.ip)) {
+            onSelectPeersRef.current(selectedPeersRef.current.filter(ip => ip !== peer.ip));
+        }
+    }, []);
+
     const handleDiscoveryStatus = useCallback((data) => {
         if (data.status === 'advanced-scanning') {
             setDiscoveryStatus('UDP blocked. Trying advanced subnet scan...');
@@ -234,12 +322,27 @@ const NetworkDetector = ({ onConnectionUpdate, mode, isBroadcast, onToggleBroadc
         const onPeer = (peer) => handlePeerDiscovered(peer);
         const onIface = (ifaces) => handleInterfacesChanged(ifaces);
         const onDiscovery = (status) => handleDiscoveryStatus(status);
+        const onKeyChanged = (data) => handlePeerKeyChanged(data);
+        const onPeerUpdated = (peer) => handlePeerUpdated(peer);
+        const onPeerLost = (peer) => handlePeerLost(peer);
+        const onAddressBook = (data) => setAddressBook(data.entries);
 
         import('../services/electronBridge').then(module => {
             bridge = module.default;
             bridge.on('peer-found', onPeer);
             bridge.on('network-interfaces-changed', onIface);
             bridge.on('discovery-status', onDiscovery);
+            bridge.on('peer-key-changed', onKeyChanged);
+            bridge.on('peer-updated', onPeerUpdated);
+            bridge.on('peer-lost', onPeerLost);
+            bridge.on('address-book-updated', onAddressBook);
+
+            bridge.getIdentity().then(identity => {
+                if (identity.success) setLocalIdentity(identity);
+            });
+            bridge.getAddressBook().then(result => {
+                if (result.success) setAddressBook(result.entries);
+            });
 
             if (mode === 'sender' || mode === 'receiver') {
                 startAutoConfiguration(bridge);
@@ -251,6 +354,10 @@ const NetworkDetector = ({ onConnectionUpdate, mode, isBroadcast, onToggleBroadc
                 bridge.off('peer-found', onPeer);
                 bridge.off('network-interfaces-changed', onIface);
                 bridge.off('discovery-status', onDiscovery);
+                bridge.off('peer-key-changed', onKeyChanged);
+                bridge.off('peer-updated', onPeerUpdated);
+                bridge.off('peer-lost', onPeerLost);
+                bridge.off('address-book-updated', onAddressBook);
             }
             if (connectionTimerRef.current) clearTimeout(connectionTimerRef.current);
         };
@@ -267,6 +374,16 @@ const NetworkDetector = ({ onConnectionUpdate, mode, isBroadcast, onToggleBroadc
         }
     }, []);
 
+    // Get peer trust label
+    const getTrustLabel = useCallback((trust) => {
+        switch (trust) {
+            case 'trusted': return '✔ Verified';
+            case 'known': return 'New device';
+            case 'changed': return '⚠️ Key changed';
+            default: return 'Unverified';
+        }
+    }, []);
+
     // Get status color
     const getStatusColor = useCallback((status) => {
         switch (status) {
@@ -277,6 +394,11 @@ const NetworkDetector = ({ onConnectionUpdate, mode, isBroadcast, onToggleBroadc
         }
     }, []);
 
+    // Favourites first; otherwise peers keep the order they were found in
+    const listedPeers = discoveredPeers
+        .map(peer => ({ peer, entry: bookEntryFor(peer, addressBook) }))
+        .sort((a, b) => Number(!!(b.entry && b.entry.favourite)) - Number(!!(a.entry && a.entry.favourite)));
+
     return (
         <div className="network-detector">
             <div className="detector-header">
@@ -333,10 +455,11 @@ const NetworkDetector = ({ onConnectionUpdate, mode, isBroadcast, onToggleBroadc
                 <h3>Connected Devices (Select to Send):</h3>
                 {discoveredPeers.length > 0 ? (
                     <div className="peers-grid">
-                        {discoveredPeers.map(peer => (
+                        {listedPeers.map(({ peer, entry }) => (
                             <div
-                                key={peer.ip}
-                                className={`peer-card ${selectedPeers.includes(peer.ip) ? 'selected' : ''}`}
+                                key={peerKey(peer)}
+                                className={`peer-card ${selectedPeers.includes(peer.ip) ? 'selected' : ''} ${peer.state === 'away' ? 'away' : ''}`}
+                                title={peer.state === 'away' ? `Not heard from since ${new Date(peer.lastSeen).toLocaleTimeString()}` : undefined}
                                 onClick={() => {
                                     if (selectedPeers.includes(peer.ip)) {
                                         onSelectPeers(selectedPeers.filter(ip => ip !== peer.ip));
@@ -350,12 +473,63 @@ const NetworkDetector = ({ onConnectionUpdate, mode, isBroadcast, onToggleBroadc
                                 </div>
                                 <div className="peer-icon">💻</div>
                                 <div className="peer-info">
-                                    <div className="peer-name">{peer.name}</div>
-                                    <div className="peer-ip">{peer.ip}</div>
+                                    <div className="peer-name" title={entry && entry.label ? peer.name : undefined}>
+                                        <span
+                                            className={`peer-favourite ${entry && entry.favourite ? 'on' : ''}`}
+                                            title={entry && entry.favourite ? 'Remove from favourites' : 'Add to favourites'}
+                                            onClick={(e) => {
+                                                e.stopPropagation();
+                                                handleToggleFavourite(peer, entry);
+                                            }}
+                                        >
+                                            {entry && entry.favourite ? '★' : '☆'}
+                                        </span>
+                                        {(entry && entry.label) || peer.name}
+                                        <span className={`peer-trust ${peer.trust || 'unverified'}`}>
+                                            {getTrustLabel(peer.trust)}
+                                        </span>
+                                    </div>
+                                    <div className="peer-ip" title={(peer.addresses || [peer.ip]).join('\n')}>
+                                        {peer.ip}
+                                        {peer.addresses && peer.addresses.length > 1 && (
+                                            <span className="peer-more-addresses"> +{peer.addresses.length - 1}</span>
+                                        )}
+                                    </div>
+                                    {peer.fingerprint && (
+                                        <div className="peer-fingerprint" title={peer.fingerprint}>
+                                            🔑 {peer.fingerprint.slice(0, 14)}…
+                                        </div>
+                                    )}
+                                    {peer.trust === 'known' && (
+                                        <div className="peer-verify" onClick={(e) => e.stopPropagation()}>
+                                            <span>Code: <strong>{peer.verificationCode}</strong></span>
+                                            <button className="btn-verify" onClick={() => handleTrustPeer(peer)}>
+                                                ✔ Codes match
+                                            </button>
+                                        </div>
+                                    )}
+                                    {peer.trust === 'changed' && (
+                                        <div className="peer-key-warning" onClick={(e) => e.stopPropagation()}>
+                                            <strong>⚠️ IDENTITY KEY CHANGED</strong>
+                                            <span>Was {peer.previousFingerprint} — this may be a different machine impersonating {peer.name}.</span>
+                                            <span>New code: <strong>{peer.verificationCode}</strong></span>
+                                            <button className="btn-verify danger" onClick={() => handleTrustPeer(peer)}>
+                                                Accept new key
+                                            </button>
+                                        </div>
+                                    )}
                                 </div>
                                 <div className="peer-status">
-                                    {selectedPeers.includes(peer.ip) ? '🎯 Target' : 'READY'}
+                                    {selectedPeers.includes(peer.ip) ? '🎯 Target' : peer.state === 'away' ? 'AWAY' : 'READY'}
                                 </div>
+                                {onPeerLimitChange && peer.deviceId && (
+                                    <BandwidthSelect
+                                        className="peer-limit"
+                                        value={peerLimits[peer.deviceId] || null}
+                                        onChange={(limit) => onPeerLimitChange(peer, limit)}
+                                        title={`Cap on transfers to ${peer.name}`}
+                                    />
+                                )}
                             </div>
                         ))}
                     </div>
@@ -364,6 +538,8 @@ const NetworkDetector = ({ onConnectionUpdate, mode, isBroadcast, onToggleBroadc
                 )}
             </div>
 
+            <AddressBookPanel entries={addressBook} onChange={setAddressBook} />
+
             {/* IP Configuration */}
             <div className="ip-configuration">
                 <div className="ip-display">
@@ -371,6 +547,18 @@ const NetworkDetector = ({ onConnectionUpdate, mode, isBroadcast, onToggleBroadc
                         <span className="ip-label">Local IP:</span>
                         <span className="ip-value">{ipAddress}</span>
                     </div>
+                    {localIdentity && (
+                        <div className="ip-item">
+                            <span className="ip-label">Device Key:</span>
+                            <span className="ip-value fingerprint" title={localIdentity.fingerprint}>{localIdentity.fingerprint}</span>
+                        </div>
+                    )}
+                    {localIdentity && localIdentity.deviceId && (
+                        <div className="ip-item">
+                            <span className="ip-label">Device ID:</span>
+                            <span className="ip-value fingerprint" title={localIdentity.deviceId}>{localIdentity.deviceId}</span>
+                        </div>
+                    )}
 
                     <div className="discovery-status-text">
                         {discoveryStatus && (
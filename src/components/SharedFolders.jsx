@@ -0,0 +1,410 @@
+// src/components/SharedFolders.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { formatFileSize, getFileIcon } from '../utils/helpers';
+import SyncJobs from './SyncJobs';
+import WebSharePanel from './WebSharePanel';
+import './SharedFolders.css';
+
+const loadBridge = async () => (await import('../services/electronBridge')).default;
+
+// Browse the folders other devices share and pull files from them, keep folders in sync with them, manage the ones
+// this device shares, or open them to browsers on the LAN
+const SharedFolders = ({ peers, selectedPeers, addLog, onPullStart }) => {
+    const [tab, setTab] = useState('browse');
+
+    // Browsing a peer
+    const [peerIP, setPeerIP] = useState('');
+    const [peerShares, setPeerShares] = useState(null);
+    const [location, setLocation] = useState(null);
+    const [entries, setEntries] = useState([]);
+    const [selected, setSelected] = useState(new Set());
+    // Passwords typed this session, per share, so browsing deeper doesn't ask again
+    const [passwords, setPasswords] = useState({});
+    const [passwordPrompt, setPasswordPrompt] = useState(null);
+    const [passwordInput, setPasswordInput] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    // This device's shares
+    const [myShares, setMyShares] = useState([]);
+    const [newShare, setNewShare] = useState({ name: '', password: '', trustedOnly: false, allowSync: false });
+    const [passwordEdit, setPasswordEdit] = useState(null);
+
+    // A browsed share the user chose to sync with, handed to the sync form
+    const [syncDraft, setSyncDraft] = useState(null);
+
+    // Follow the device picked in the device list until the user chooses another one here
+    useEffect(() => {
+        if (!peerIP && selectedPeers.length > 0) setPeerIP(selectedPeers[0]);
+    }, [peerIP, selectedPeers]);
+
+    const loadMyShares = useCallback(async () => {
+        const result = await (await loadBridge()).getSharedFolders();
+        if (result.success) setMyShares(result.shares);
+    }, []);
+
+    useEffect(() => {
+        loadMyShares();
+    }, [loadMyShares]);
+
+    const peerName = (ip) => (peers.find(p => p.ip === ip) || {}).name || ip;
+
+    const loadPeerShares = async (ip = peerIP) => {
+        if (!ip) return;
+        setLoading(true);
+        setError(null);
+        setLocation(null);
+        setSelected(new Set());
+        try {
+            const result = await (await loadBridge()).browsePeer(ip);
+            if (result.success) {
+                setPeerShares(result.shares);
+            } else {
+                setPeerShares(null);
+                setError(result.error);
+            }
+        } catch (e) {
+            setError(e.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const openFolder = async (share, folderPath = '', password = passwords[share]) => {
+        setLoading(true);
+        setError(null);
+        try {
+            const result = await (await loadBridge()).browsePeer(peerIP, share, folderPath, password);
+            if (!result.success) {
+                if (result.passwordRequired) {
+                    setPasswordPrompt({ share, path: folderPath, wrong: !!password });
+                    setPasswordInput('');
+                } else {
+                    setError(result.error);
+                }
+                return;
+            }
+            if (password) setPasswords(prev => ({ ...prev, [share]: password }));
+            setPasswordPrompt(null);
+            setLocation({ share: result.share, path: result.path });
+            setEntries(result.entries);
+            setSelected(new Set());
+        } catch (e) {
+            setError(e.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const toggleSelected = (entryPath) => {
+        setSelected(prev => {
+            const next = new Set(prev);
+            if (next.has(entryPath)) next.delete(entryPath);
+            else next.add(entryPath);
+            return next;
+        });
+    };
+
+    const downloadSelected = async () => {
+        if (!location || selected.size === 0) return;
+        const paths = [...selected];
+        setLoading(true);
+        setError(null);
+        try {
+            const result = await (await loadBridge()).pullFromPeer(peerIP, location.share, paths, passwords[location.share]);
+            if (!result.success) {
+                setError(result.error);
+                addLog('error', `Could not pull from ${peerName(peerIP)}: ${result.error}`);
+                return;
+            }
+            onPullStart({
+                transferId: result.transferId,
+                peerIP,
+                peerName: result.peer.name,
+                share: result.share,
+                names: paths.map(p => p.split('/').pop()),
+                fileCount: result.fileCount,
+                totalSize: result.totalSize
+            });
+            setSelected(new Set());
+        } catch (e) {
+            setError(e.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const addShare = async () => {
+        try {
+            const bridge = await loadBridge();
+            const picked = await bridge.selectFiles({ folders: true, expand: false });
+            if (!picked.success) {
+                if (!picked.canceled) addLog('error', `Could not pick a folder: ${picked.error}`);
+                return;
+            }
+            const result = await bridge.addSharedFolder({ ...newShare, folderPath: picked.paths[0] });
+            if (!result.success) {
+                addLog('error', `Could not share folder: ${result.error}`);
+                return;
+            }
+            setMyShares(result.shares);
+            setNewShare({ name: '', password: '', trustedOnly: false, allowSync: false });
+            addLog('system', `Sharing ${result.share.path} as "${result.share.name}"`);
+        } catch (e) {
+            addLog('error', `Could not share folder: ${e.message}`);
+        }
+    };
+
+    const updateShare = async (name, changes) => {
+        const result = await (await loadBridge()).updateSharedFolder(name, changes);
+        if (result.success) setMyShares(result.shares);
+        else addLog('error', `Could not update share: ${result.error}`);
+    };
+
+    const removeShare = async (name) => {
+        const result = await (await loadBridge()).removeSharedFolder(name);
+        if (result.success) {
+            setMyShares(result.shares);
+            addLog('system', `Stopped sharing "${name}"`);
+        } else {
+            addLog('error', `Could not stop sharing: ${result.error}`);
+        }
+    };
+
+    const crumbs = location && location.path ? location.path.split('/') : [];
+    const shareInfo = location && peerShares ? peerShares.find(s => s.name === location.share) : null;
+
+    return (
+        <div className="shared-folders">
+            <div className="shares-header">
+                <h3><span className="shares-icon">📂</span> Shared Folders</h3>
+                <div className="shares-tabs">
+                    <button className={tab === 'browse' ? 'active' : ''} onClick={() => setTab('browse')}>Browse a device</button>
+                    <button className={tab === 'sync' ? 'active' : ''} onClick={() => setTab('sync')}>Sync</button>
+                    <button className={tab === 'mine' ? 'active' : ''} onClick={() => setTab('mine')}>
+                        My shares{myShares.length > 0 && ` (${myShares.length})`}
+                    </button>
+                    <button className={tab === 'web' ? 'active' : ''} onClick={() => setTab('web')}>Browsers</button>
+                </div>
+            </div>
+
+            {tab === 'sync' && <SyncJobs peers={peers} addLog={addLog} draftShare={syncDraft} />}
+
+            {tab === 'web' && <WebSharePanel addLog={addLog} />}
+
+            {tab === 'browse' && (
+                <div className="shares-body">
+                    <div className="shares-toolbar">
+                        <select
+                            value={peerIP}
+                            onChange={(e) => {
+                                setPeerIP(e.target.value);
+                                setPeerShares(null);
+                                setLocation(null);
+                            }}
+                        >
+                            <option value="">Choose a device…</option>
+                            {peers.map(peer => (
+                                <option key={peer.ip} value={peer.ip}>{peer.name || peer.ip} ({peer.ip})</option>
+                            ))}
+                        </select>
+                        <button className="btn-shares" onClick={() => loadPeerShares()} disabled={!peerIP || loading}>
+                            🔄 Show shares
+                        </button>
+                    </div>
+
+                    {error && <div className="shares-error">⚠️ {error}</div>}
+
+                    {passwordPrompt && (
+                        <form
+                            className="shares-password"
+                            onSubmit={(e) => {
+                                e.preventDefault();
+                                openFolder(passwordPrompt.share, passwordPrompt.path, passwordInput);
+                            }}
+                        >
+                            <span>🔒 {passwordPrompt.wrong ? 'Wrong password for' : 'Password for'} "{passwordPrompt.share}"</span>
+                            <input
+                                type="password"
+                                value={passwordInput}
+                                onChange={(e) => setPasswordInput(e.target.value)}
+                                autoFocus
+                            />
+                            <button type="submit" className="btn-shares" disabled={!passwordInput}>Unlock</button>
+                            <button type="button" className="btn-shares" onClick={() => setPasswordPrompt(null)}>Cancel</button>
+                        </form>
+                    )}
+
+                    {location ? (
+                        <>
+                            <div className="shares-breadcrumbs">
+                                <button onClick={() => setLocation(null)}>{peerName(peerIP)}</button>
+                                <span>/</span>
+                                <button onClick={() => openFolder(location.share)}>
+                                    {shareInfo && shareInfo.passwordRequired ? '🔒 ' : ''}{location.share}
+                                </button>
+                                {crumbs.map((crumb, index) => (
+                                    <React.Fragment key={index}>
+                                        <span>/</span>
+                                        <button onClick={() => openFolder(location.share, crumbs.slice(0, index + 1).join('/'))}>{crumb}</button>
+                                    </React.Fragment>
+                                ))}
+                            </div>
+                            <ul className="shares-list">
+                                {entries.length === 0 && <li className="shares-empty">This folder is empty</li>}
+                                {entries.map(entry => (
+                                    <li key={entry.path} className={selected.has(entry.path) ? 'selected' : ''}>
+                                        <input
+                                            type="checkbox"
+                                            checked={selected.has(entry.path)}
+                                            onChange={() => toggleSelected(entry.path)}
+                                        />
+                                        {entry.type === 'directory' ? (
+                                            <button className="shares-entry-name folder" onClick={() => openFolder(location.share, entry.path)}>
+                                                📁 {entry.name}
+                                            </button>
+                                        ) : (
+                                            <span className="shares-entry-name" onClick={() => toggleSelected(entry.path)}>
+                                                {getFileIcon(entry.name)} {entry.name}
+                                            </span>
+                                        )}
+                                        <span className="shares-entry-size">{entry.type === 'directory' ? '' : formatFileSize(entry.size)}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                            <div className="shares-actions">
+                                <span>{selected.size} selected</span>
+                                <button className="btn-shares primary" onClick={downloadSelected} disabled={selected.size === 0 || loading}>
+                                    📥 Download
+                                </button>
+                            </div>
+                        </>
+                    ) : (
+                        <ul className="shares-list">
+                            {peerShares === null && (
+                                <li className="shares-empty">
+                                    {peerIP ? 'Show the shares of the chosen device to browse them' : 'Pick a device to see what it shares'}
+                                </li>
+                            )}
+                            {peerShares && peerShares.length === 0 && <li className="shares-empty">{peerName(peerIP)} doesn't share any folders with you</li>}
+                            {peerShares && peerShares.map(share => (
+                                <li key={share.name}>
+                                    <button className="shares-entry-name folder" onClick={() => openFolder(share.name)}>
+                                        {share.passwordRequired ? '🔒' : '📂'} {share.name}
+                                    </button>
+                                    <button
+                                        className="btn-shares"
+                                        onClick={() => {
+                                            // Without sync allowed on their side we can only receive their changes
+                                            setSyncDraft({ peerIP, share: share.name, password: passwords[share.name] || '', mode: share.allowSync ? 'two-way' : 'pull' });
+                                            setTab('sync');
+                                        }}
+                                        title={share.allowSync ? 'Keep a folder here in sync with this share' : 'Keep a folder here updated from this share'}
+                                    >
+                                        🔁 Sync
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+
+            {tab === 'mine' && (
+                <div className="shares-body">
+                    <ul className="shares-list">
+                        {myShares.length === 0 && <li className="shares-empty">You aren't sharing any folders</li>}
+                        {myShares.map(share => (
+                            <li key={share.name} className="my-share">
+                                <div className="my-share-info">
+                                    <span className="shares-entry-name">📂 {share.name}</span>
+                                    <span className="my-share-path" title={share.path}>{share.path}</span>
+                                </div>
+                                <label title="Only devices whose key you have verified can see this share">
+                                    <input
+                                        type="checkbox"
+                                        checked={share.trustedOnly}
+                                        onChange={(e) => updateShare(share.name, { trustedOnly: e.target.checked })}
+                                    />
+                                    Verified only
+                                </label>
+                                <label title="Verified devices syncing with this share can change and delete files in it">
+                                    <input
+                                        type="checkbox"
+                                        checked={share.allowSync}
+                                        onChange={(e) => updateShare(share.name, { allowSync: e.target.checked })}
+                                    />
+                                    Allow sync
+                                </label>
+                                {passwordEdit && passwordEdit.name === share.name ? (
+                                    <form
+                                        className="my-share-password"
+                                        onSubmit={(e) => {
+                                            e.preventDefault();
+                                            updateShare(share.name, { password: passwordEdit.value });
+                                            setPasswordEdit(null);
+                                        }}
+                                    >
+                                        <input
+                                            type="password"
+                                            placeholder="New password"
+                                            value={passwordEdit.value}
+                                            onChange={(e) => setPasswordEdit({ name: share.name, value: e.target.value })}
+                                            autoFocus
+                                        />
+                                        <button type="submit" className="btn-shares" disabled={!passwordEdit.value}>Save</button>
+                                    </form>
+                                ) : share.passwordProtected ? (
+                                    <button className="btn-shares" onClick={() => updateShare(share.name, { password: '' })} title="Remove the password">
+                                        🔒 Remove password
+                                    </button>
+                                ) : (
+                                    <button className="btn-shares" onClick={() => setPasswordEdit({ name: share.name, value: '' })}>
+                                        🔓 Set password
+                                    </button>
+                                )}
+                                <button className="btn-shares danger" onClick={() => removeShare(share.name)} title="Stop sharing">✕</button>
+                            </li>
+                        ))}
+                    </ul>
+                    <div className="shares-new">
+                        <input
+                            placeholder="Share name (defaults to the folder's)"
+                            value={newShare.name}
+                            onChange={(e) => setNewShare(prev => ({ ...prev, name: e.target.value }))}
+                        />
+                        <input
+                            type="password"
+                            placeholder="Password (optional)"
+                            value={newShare.password}
+                            onChange={(e) => setNewShare(prev => ({ ...prev, password: e.target.value }))}
+                        />
+                        <label>
+                            <input
+                                type="checkbox"
+                                checked={newShare.trustedOnly}
+                                onChange={(e) => setNewShare(prev => ({ ...prev, trustedOnly: e.target.checked }))}
+                            />
+                            Verified devices only
+                        </label>
+                        <label>
+                            <input
+                                type="checkbox"
+                                checked={newShare.allowSync}
+                                onChange={(e) => setNewShare(prev => ({ ...prev, allowSync: e.target.checked }))}
+                            />
+                            Allow sync
+                        </label>
+                        <button className="btn-shares primary" onClick={addShare}>➕ Share a folder…</button>
+                    </div>
+                    <p className="shares-note">
+                        Shared folders are read-only: other devices can browse and download, never change them.
+                        With sync allowed, devices you have verified can also send changes and deletions into the share.
+                    </p>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SharedFolders;
@@ -1,8 +1,10 @@
 // src/components/StatusBar.jsx
 import React, { useState, useEffect } from 'react';
+import BandwidthSelect from './BandwidthSelect';
+import { formatBandwidthLimit } from '../utils/helpers';
 import './StatusBar.css';
 
-const StatusBar = ({ connection, transferActive, mode, totalTransferred, transfersCount, speed, downloadsDir, onSelectDownloadsDir, peerIP, peerName }) => {
+const StatusBar = ({ connection, transferActive, mode, totalTransferred, transfersCount, speed, downloadsDir, onSelectDownloadsDir, peerIP, peerName, bandwidthLimits, onGlobalLimitChange }) => {
     const [currentTime, setCurrentTime] = useState(new Date());
     const [memoryUsage, setMemoryUsage] = useState(0);
 
@@ -111,6 +113,22 @@ const StatusBar = ({ connection, transferActive, mode, totalTransferred, transfe
                     </div>
                 )}
 
+                {bandwidthLimits && (
+                    <div className="status-item">
+                        <span className="status-label">Limit:</span>
+                        <BandwidthSelect
+                            value={bandwidthLimits.globalLimit}
+                            onChange={onGlobalLimitChange}
+                            title={bandwidthLimits.activeGlobalLimit !== bandwidthLimits.globalLimit
+                                ? `Schedule in force: ${formatBandwidthLimit(bandwidthLimits.activeGlobalLimit)}`
+                                : 'Cap on all outgoing transfers'}
+                        />
+                        {bandwidthLimits.activeGlobalLimit !== bandwidthLimits.globalLimit && (
+                            <span className="status-value schedule" title="A bandwidth schedule window is in force">🕒</span>
+                        )}
+                    </div>
+                )}
+
                 <div className="status-item downloads">
                     <span className="status-label">Saving to:</span>
                     <span className="status-value path" title={downloadsDir}>
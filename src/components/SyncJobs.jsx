@@ -0,0 +1,188 @@
+// src/components/SyncJobs.jsx
+import React, { useState, useEffect } from 'react';
+import { formatFileSize } from '../utils/helpers';
+
+const loadBridge = async () => (await import('../services/electronBridge')).default;
+
+const MODE_LABELS = {
+    'two-way': '⇄ Two-way',
+    push: '→ Send only',
+    pull: '← Receive only'
+};
+
+const DELETION_LABELS = {
+    archive: 'Archive deletions',
+    delete: 'Mirror deletions',
+    keep: 'Never delete'
+};
+
+const STATUS_LABELS = {
+    idle: 'Up to date',
+    scanning: 'Checking…',
+    syncing: 'Syncing…',
+    disabled: 'Paused'
+};
+
+const emptyDraft = { peerIP: '', share: '', password: '', mode: 'two-way', deletions: 'archive' };
+
+const describeSide = (side) => `${formatFileSize(side.size)}, ${new Date(side.modified).toLocaleString()}`;
+
+// Folders on this device kept in step with shares on other devices, and the conflicts waiting on the user
+const SyncJobs = ({ peers, addLog, draftShare }) => {
+    const [jobs, setJobs] = useState([]);
+    const [draft, setDraft] = useState(emptyDraft);
+
+    useEffect(() => {
+        let bridge;
+        const handleSyncUpdated = (data) => setJobs(data.jobs);
+        (async () => {
+            bridge = await loadBridge();
+            const result = await bridge.getSyncJobs();
+            if (result.success) setJobs(result.jobs);
+            bridge.on('sync-updated', handleSyncUpdated);
+        })();
+        return () => {
+            if (bridge) bridge.off('sync-updated', handleSyncUpdated);
+        };
+    }, []);
+
+    // "Sync" on a browsed share fills in the form
+    useEffect(() => {
+        if (draftShare) setDraft(prev => ({ ...prev, ...draftShare }));
+    }, [draftShare]);
+
+    const addJob = async () => {
+        try {
+            const bridge = await loadBridge();
+            const picked = await bridge.selectFiles({ folders: true, expand: false });
+            if (!picked.success) {
+                if (!picked.canceled) addLog('error', `Could not pick a folder: ${picked.error}`);
+                return;
+            }
+            const peer = peers.find(p => p.ip === draft.peerIP);
+            const result = await bridge.addSyncJob({
+                ...draft,
+                localPath: picked.paths[0],
+                peerName: peer ? peer.name : undefined,
+                password: draft.password || undefined
+            });
+            if (!result.success) {
+                addLog('error', `Could not set up sync: ${result.error}`);
+                return;
+            }
+            setJobs(result.jobs);
+            setDraft(emptyDraft);
+            addLog('system', `Syncing ${result.job.localPath} with "${result.job.share}" on ${result.job.peerName}`);
+        } catch (e) {
+            addLog('error', `Could not set up sync: ${e.message}`);
+        }
+    };
+
+    const updateJob = async (id, changes) => {
+        const result = await (await loadBridge()).updateSyncJob(id, changes);
+        if (result.success) setJobs(result.jobs);
+        else addLog('error', `Could not update sync: ${result.error}`);
+    };
+
+    const removeJob = async (job) => {
+        const result = await (await loadBridge()).removeSyncJob(job.id);
+        if (result.success) {
+            setJobs(result.jobs);
+            addLog('system', `Stopped syncing ${job.localPath}; files on both sides were left as they are`);
+        } else {
+            addLog('error', `Could not stop sync: ${result.error}`);
+        }
+    };
+
+    const resolveConflict = async (job, conflictPath, keep) => {
+        const result = await (await loadBridge()).resolveSyncConflict(job.id, conflictPath, keep);
+        if (result.success) setJobs(result.jobs);
+        else addLog('error', `Could not resolve conflict: ${result.error}`);
+    };
+
+    return (
+        <div className="shares-body">
+            <ul className="shares-list">
+                {jobs.length === 0 && <li className="shares-empty">No folders are syncing with other devices</li>}
+                {jobs.map(job => (
+                    <li key={job.id} className="sync-job">
+                        <div className="sync-job-row">
+                            <div className="my-share-info">
+                                <span className="shares-entry-name">🔁 {job.peerName} / {job.share}</span>
+                                <span className="my-share-path" title={job.localPath}>{job.localPath}</span>
+                                <span className={`sync-status ${job.lastError ? 'failed' : job.status}`}>
+                                    {job.lastError ? `⚠️ ${job.lastError}` : STATUS_LABELS[job.status] || job.status}
+                                    {!job.lastError && job.lastSyncAt && job.status === 'idle' && ` · ${job.fileCount} file(s), last synced ${new Date(job.lastSyncAt).toLocaleTimeString()}`}
+                                </span>
+                            </div>
+                            <select value={job.mode} onChange={(e) => updateJob(job.id, { mode: e.target.value })}>
+                                {Object.entries(MODE_LABELS).map(([mode, label]) => <option key={mode} value={mode}>{label}</option>)}
+                            </select>
+                            <select value={job.deletions} onChange={(e) => updateJob(job.id, { deletions: e.target.value })}>
+                                {Object.entries(DELETION_LABELS).map(([policy, label]) => <option key={policy} value={policy}>{label}</option>)}
+                            </select>
+                            <button className="btn-shares" onClick={() => updateJob(job.id, { enabled: !job.enabled })}>
+                                {job.enabled ? '⏸' : '▶'}
+                            </button>
+                            <button
+                                className="btn-shares"
+                                onClick={async () => (await loadBridge()).syncNow(job.id)}
+                                disabled={!job.enabled || job.status !== 'idle'}
+                                title="Sync now"
+                            >
+                                🔄
+                            </button>
+                            <button className="btn-shares danger" onClick={() => removeJob(job)} title="Stop syncing">✕</button>
+                        </div>
+                        {job.conflicts.map(conflict => (
+                            <div key={conflict.path} className="sync-conflict">
+                                <span className="sync-conflict-path" title={conflict.path}>⚠️ {conflict.path} changed on both devices</span>
+                                <button className="btn-shares" onClick={() => resolveConflict(job, conflict.path, 'local')} title={describeSide(conflict.local)}>
+                                    Keep mine
+                                </button>
+                                <button className="btn-shares" onClick={() => resolveConflict(job, conflict.path, 'remote')} title={describeSide(conflict.remote)}>
+                                    Keep theirs
+                                </button>
+                                <button className="btn-shares" onClick={() => resolveConflict(job, conflict.path, 'both')} title="Keep theirs and rename mine">
+                                    Keep both
+                                </button>
+                            </div>
+                        ))}
+                    </li>
+                ))}
+            </ul>
+            <div className="shares-new">
+                <select value={draft.peerIP} onChange={(e) => setDraft(prev => ({ ...prev, peerIP: e.target.value }))}>
+                    <option value="">Device…</option>
+                    {peers.map(peer => (
+                        <option key={peer.ip} value={peer.ip}>{peer.name || peer.ip}</option>
+                    ))}
+                </select>
+                <input
+                    placeholder="Share name"
+                    value={draft.share}
+                    onChange={(e) => setDraft(prev => ({ ...prev, share: e.target.value }))}
+                />
+                <input
+                    type="password"
+                    placeholder="Password (if any)"
+                    value={draft.password}
+                    onChange={(e) => setDraft(prev => ({ ...prev, password: e.target.value }))}
+                />
+                <select value={draft.mode} onChange={(e) => setDraft(prev => ({ ...prev, mode: e.target.value }))}>
+                    {Object.entries(MODE_LABELS).map(([mode, label]) => <option key={mode} value={mode}>{label}</option>)}
+                </select>
+                <select value={draft.deletions} onChange={(e) => setDraft(prev => ({ ...prev, deletions: e.target.value }))}>
+                    {Object.entries(DELETION_LABELS).map(([policy, label]) => <option key={policy} value={policy}>{label}</option>)}
+                </select>
+                <button className="btn-shares primary" onClick={addJob} disabled={!draft.peerIP || !draft.share}>➕ Sync a folder…</button>
+            </div>
+            <p className="shares-note">
+                Sending changes needs the other device to allow sync on its share and to have verified your key.
+                Archived deletions go to a .sync-deleted folder instead of being removed.
+            </p>
+        </div>
+    );
+};
+
+export default SyncJobs;
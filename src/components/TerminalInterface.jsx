@@ -1,8 +1,10 @@
 // src/components/TerminalInterface.jsx
 import React, { useState, useRef, useEffect } from 'react';
+import { formatBandwidthLimit, parseBandwidthLimit } from '../utils/helpers';
+import { isIPv6, isSameSubnet } from '../utils/networkUtils';
 import './TerminalInterface.css';
 
-const TerminalInterface = ({ addLog, connectionStatus, peerIP, localIP, speed }) => {
+const TerminalInterface = ({ addLog, connectionStatus, peerIP, localIP, speed, encryption }) => {
     const [commandHistory, setCommandHistory] = useState([
         { type: 'system', text: 'SafeShare Terminal v2.0 initialized', time: new Date() },
         { type: 'system', text: 'Ready for secure file transfers', time: new Date() }
@@ -43,6 +45,45 @@ Available Commands:
   ping <ip>              - Ping specific IP
   ipconfig               - Show IP configuration
   diagnose               - Run deep network diagnostics
+  rules                  - Show incoming transfer rules
+  rules max-size <GB|off> - Auto-decline offers above a size
+  rules remove <device>  - Stop auto-accepting a device
+  rules conflicts <rename|overwrite|skip|ask> - What to do when a name is taken
+  rules skip-identical <on|off> - Don't receive files already here unchanged
+  settings               - Show outgoing transfer settings
+  settings streams <1-16> - Connections used per large file
+  settings parallel-min <MB> - Smallest file split into ranges
+  settings compression <gzip|br|off> - On-the-fly compression
+  settings concurrent <1-16> - Queued transfers run at once
+  settings per-peer <1-16> - Queued transfers run at once per device
+  settings delta <on|off> - Send only the changed parts of files the receiver has
+  presence               - Show when quiet devices count as away or gone
+  presence away <sec>    - Grey out devices silent this long
+  presence offline <sec> - Drop devices silent this long
+  book                   - List devices added by hand and whether they answer
+  book add <target> [label] - Add an IP, hostname or range such as 10.0.4.0/24
+  book label <n> [text]  - Rename entry n, or clear its label
+  book star <n>          - Mark or unmark entry n as a favourite
+  book remove <n>        - Remove entry n
+  book check             - Probe every entry now
+  api                    - Show the local HTTP API for scripts
+  api on|off             - Enable or disable it (127.0.0.1 only)
+  api port <n>           - Move it to another port
+  api token              - Replace its access token
+  web                    - Show the upload/download page for browsers
+  web on|off             - Enable or disable it on the local network
+  web pin                - Replace its PIN and log out connected browsers
+  throttle               - Show outgoing bandwidth limits
+  throttle global <rate|off> - Cap all outgoing transfers, e.g. 2MB
+  throttle peer <ip> <rate|off> - Cap transfers to one device
+  throttle transfer <id> <rate|off|default> - Override the cap for one transfer
+  throttle schedule <HH:MM-HH:MM> <rate|off> - Replace the global cap during a time window
+  throttle schedule clear - Remove all time windows
+  shares                 - List the folders you share
+  shares <ip>            - List the folders a device shares with you
+  sync                   - Show folders syncing with other devices
+  sync now <n>           - Sync job number n right away
+  sync pause|resume <n>  - Stop or restart syncing job number n
   exit                   - Exit application
       `
         },
@@ -57,7 +98,7 @@ Connection Status:
   Status: ${connectionStatus.toUpperCase()}
   Speed: ${speed > 0 ? `${speed} MB/s` : 'Unknown'}
   Protocol: TCP/9001
-  Security: Stream Pipeline (Secured)
+  Security: ${encryption ? `${encryption} (Secured)` : (encryption === null ? 'Unencrypted browser transfer' : 'No session negotiated yet')}
       `
         },
 
@@ -76,6 +117,7 @@ Connection Status:
       Status: ${iface.connected ? 'CONNECTED ✓' : 'DISCONNECTED'}
       Type: ${iface.type}
       IP: ${iface.addresses?.find(a => a.family === 'IPv4')?.address || 'None'}
+      IPv6: ${iface.addresses?.filter(a => a.family === 'IPv6').map(a => a.address).join(', ') || 'None'}
       MAC: ${iface.addresses?.find(a => a.mac)?.mac || 'Unknown'}
                     `).join('\n');
 
@@ -147,8 +189,11 @@ Active Interfaces: ${active.length}
 `;
 
                     active.forEach(iface => {
-                        const ip = iface.addresses?.find(a => a.family === 'IPv4' && !a.internal)?.address;
-                        const mask = iface.addresses?.find(a => a.family === 'IPv4' && !a.internal)?.netmask;
+                        // Compare against the interface's address in the peer's family
+                        const family = peerIP && isIPv6(peerIP) ? 'IPv6' : 'IPv4';
+                        const addr = iface.addresses?.find(a => a.family === family && !a.internal);
+                        const ip = addr?.address;
+                        const mask = addr?.netmask;
 
                         report += `
 [${iface.name}]
@@ -157,7 +202,7 @@ Active Interfaces: ${active.length}
   - Status: Healthy
 `;
                         if (peerIP && ip) {
-                            const onSameSubnet = ip.split('.').slice(0, 3).join('.') === peerIP.split('.').slice(0, 3).join('.');
+                            const onSameSubnet = isSameSubnet(ip, peerIP, mask);
                             report += `  - Subnet Alignment: ${onSameSubnet ? 'CONFIRMED ✓' : 'MISMATCH ⚠'}\n`;
                         }
                     });
@@ -171,6 +216,441 @@ Active Interfaces: ${active.length}
             }
         },
 
+        rules: {
+            description: 'Manage incoming transfer rules',
+            execute: async (args) => {
+                try {
+                    const bridge = (await import('../services/electronBridge')).default;
+                    const [action, ...rest] = args;
+                    let result;
+
+                    if (action === 'max-size') {
+                        const value = rest[0];
+                        if (!value) return 'Usage: rules max-size <GB|off>';
+                        const gigabytes = value === 'off' ? 0 : parseFloat(value);
+                        if (isNaN(gigabytes) || gigabytes < 0) return `Invalid size: "${value}"`;
+                        result = await bridge.setTransferRules({ autoRejectOverBytes: Math.round(gigabytes * 1024 * 1024 * 1024) });
+                        if (result.success) addLog('system', gigabytes ? `Offers above ${gigabytes} GB will be declined automatically` : 'Incoming size limit removed');
+                    } else if (action === 'remove') {
+                        const target = rest.join(' ');
+                        if (!target) return 'Usage: rules remove <device name|fingerprint>';
+                        const current = await bridge.getTransferRules();
+                        if (!current.success) return `Failed to load rules: ${current.error}`;
+                        const rule = current.rules.alwaysAccept.find(r =>
+                            r.name.toLowerCase() === target || (r.fingerprint || '').toLowerCase() === target
+                        );
+                        if (!rule) return `No auto-accept rule for "${target}"`;
+                        result = await bridge.setTransferRules({ removeAlwaysAccept: rule.fingerprint || rule.name });
+                        if (result.success) addLog('system', `Stopped auto-accepting transfers from ${rule.name}`);
+                    } else if (action === 'conflicts') {
+                        const policy = rest[0];
+                        if (!['rename', 'overwrite', 'skip', 'ask'].includes(policy)) return 'Usage: rules conflicts <rename|overwrite|skip|ask>';
+                        result = await bridge.setTransferRules({ conflictPolicy: policy });
+                        if (result.success) addLog('system', `Filename conflicts: ${policy}`);
+                    } else if (action === 'skip-identical') {
+                        const value = rest[0];
+                        if (value !== 'on' && value !== 'off') return 'Usage: rules skip-identical <on|off>';
+                        result = await bridge.setTransferRules({ skipIdentical: value === 'on' });
+                        if (result.success) addLog('system', `Identical files will ${value === 'on' ? 'be skipped' : 'still be received'}`);
+                    } else if (!action) {
+                        result = await bridge.getTransferRules();
+                    } else {
+                        return 'Usage: rules [max-size <GB|off> | remove <device> | conflicts <policy> | skip-identical <on|off>]';
+                    }
+
+                    if (!result.success) return `Failed to update rules: ${result.error}`;
+
+                    const { alwaysAccept, autoRejectOverBytes, conflictPolicy, skipIdentical } = result.rules;
+                    const devices = alwaysAccept.length === 0
+                        ? '    (none)'
+                        : alwaysAccept.map(r => `    ${r.name}  ${r.fingerprint || ''}`).join('\n');
+
+                    return `
+Incoming Transfer Rules:
+═══════════════════
+  Size Limit: ${autoRejectOverBytes ? `${(autoRejectOverBytes / (1024 * 1024 * 1024)).toFixed(2)} GB` : 'None'}
+  Name Conflicts: ${conflictPolicy}${skipIdentical ? ' (identical files skipped)' : ''}
+  Always Accept:
+${devices}
+  Everything else asks for confirmation.
+      `;
+                } catch (e) {
+                    return `Rules command failed: ${e.message}`;
+                }
+            }
+        },
+
+        shares: {
+            description: 'List shared folders',
+            execute: async (args) => {
+                try {
+                    const bridge = (await import('../services/electronBridge')).default;
+                    const [ip] = args;
+
+                    if (!ip) {
+                        const result = await bridge.getSharedFolders();
+                        if (!result.success) return `Failed to load shares: ${result.error}`;
+                        if (result.shares.length === 0) return 'You are not sharing any folders.';
+                        const lines = result.shares.map(s =>
+                            `  ${s.name}  ${s.path}${s.passwordProtected ? '  🔒' : ''}${s.trustedOnly ? '  (verified devices only)' : ''}`
+                        );
+                        return `
+Your Shared Folders:
+═══════════════════
+${lines.join('\n')}
+      `;
+                    }
+
+                    const result = await bridge.browsePeer(ip);
+                    if (!result.success) return `Failed to list shares on ${ip}: ${result.error}`;
+                    if (result.shares.length === 0) return `${result.peer.name || ip} doesn't share any folders with you.`;
+                    return `
+Shared by ${result.peer.name || ip}:
+═══════════════════
+${result.shares.map(s => `  ${s.name}${s.passwordRequired ? '  🔒' : ''}`).join('\n')}
+  Browse and download them from the Shared Folders panel.
+      `;
+                } catch (e) {
+                    return `Shares command failed: ${e.message}`;
+                }
+            }
+        },
+
+        sync: {
+            description: 'Show and control folder sync',
+            execute: async (args) => {
+                try {
+                    const bridge = (await import('../services/electronBridge')).default;
+                    const [action, number] = args;
+                    const listed = await bridge.getSyncJobs();
+                    if (!listed.success) return `Failed to load sync jobs: ${listed.error}`;
+
+                    if (action) {
+                        const job = listed.jobs[parseInt(number, 10) - 1];
+                        if (!job) return `Usage: sync ${action} <n>, where n is a job number from "sync"`;
+                        let result;
+                        if (action === 'now') result = await bridge.syncNow(job.id);
+                        else if (action === 'pause' || action === 'resume') result = await bridge.updateSyncJob(job.id, { enabled: action === 'resume' });
+                        else return `Unknown sync action "${action}". Use now, pause or resume.`;
+                        if (!result.success) return `Failed to ${action} sync: ${result.error}`;
+                        return action === 'now' ? `Syncing ${job.localPath} now.` : `Sync of ${job.localPath} ${action === 'pause' ? 'paused' : 'resumed'}.`;
+                    }
+
+                    if (listed.jobs.length === 0) return 'No folders are syncing. Set one up from the Shared Folders panel.';
+                    const lines = listed.jobs.map((job, index) => {
+                        const state = job.lastError ? `error: ${job.lastError}` : job.status;
+                        const conflicts = job.conflicts.length > 0 ? `, ${job.conflicts.length} conflict(s)` : '';
+                        return `  ${index + 1}. ${job.localPath} ⇄ ${job.peerName}/${job.share}  [${job.mode}, deletions: ${job.deletions}] ${state}${conflicts}`;
+                    });
+                    return `
+Folder Sync:
+═══════════════════
+${lines.join('\n')}
+      `;
+                } catch (e) {
+                    return `Sync command failed: ${e.message}`;
+                }
+            }
+        },
+
+        settings: {
+            description: 'Manage outgoing transfer settings',
+            execute: async (args) => {
+                try {
+                    const bridge = (await import('../services/electronBridge')).default;
+                    const [action, value] = args;
+                    let result;
+
+                    if (action === 'streams') {
+                        const streams = parseInt(value, 10);
+                        if (isNaN(streams)) return 'Usage: settings streams <1-16>';
+                        result = await bridge.setTransferSettings({ parallelStreams: streams });
+                        if (result.success) addLog('system', streams > 1 ? `Large files will be sent over ${streams} parallel streams` : 'Parallel streams disabled');
+                    } else if (action === 'parallel-min') {
+                        const megabytes = parseFloat(value);
+                        if (isNaN(megabytes)) return 'Usage: settings parallel-min <MB>';
+                        result = await bridge.setTransferSettings({ parallelThresholdBytes: Math.round(megabytes * 1024 * 1024) });
+                        if (result.success) addLog('system', `Files from ${megabytes} MB up will be split into parallel ranges`);
+                    } else if (action === 'compression') {
+                        if (!value) return 'Usage: settings compression <gzip|br|off>';
+                        result = await bridge.setTransferSettings({ compression: value });
+                        if (result.success) addLog('system', value === 'off' ? 'Compression disabled' : `Transfers will offer ${value} compression`);
+                    } else if (action === 'concurrent' || action === 'per-peer') {
+                        const limit = parseInt(value, 10);
+                        if (isNaN(limit)) return `Usage: settings ${action} <1-16>`;
+                        result = await bridge.setTransferSettings(action === 'concurrent'
+                            ? { maxConcurrentTransfers: limit }
+                            : { maxTransfersPerPeer: limit });
+                        if (result.success) addLog('system', `Up to ${limit} queued transfer(s) will run at once${action === 'per-peer' ? ' per device' : ''}`);
+                    } else if (action === 'delta') {
+                        if (value !== 'on' && value !== 'off') return 'Usage: settings delta <on|off>';
+                        result = await bridge.setTransferSettings({ deltaTransfers: value === 'on' });
+                        if (result.success) addLog('system', value === 'on' ? 'Changed files will be sent as deltas where the receiver has an older copy' : 'Delta transfers disabled');
+                    } else if (!action) {
+                        result = await bridge.getTransferSettings();
+                    } else {
+                        return 'Usage: settings [streams <1-16> | parallel-min <MB> | compression <gzip|br|off> | concurrent <1-16> | per-peer <1-16> | delta <on|off>]';
+                    }
+
+                    if (!result.success) return `Failed to update settings: ${result.error}`;
+
+                    const { parallelStreams, parallelThresholdBytes, compression, maxConcurrentTransfers, maxTransfersPerPeer, deltaTransfers } = result.settings;
+                    return `
+Outgoing Transfer Settings:
+═══════════════════
+  Parallel Streams: ${parallelStreams}${parallelStreams > 1 ? '' : ' (disabled)'}
+  Split Files From: ${(parallelThresholdBytes / (1024 * 1024)).toFixed(0)} MB
+  Compression: ${compression === 'off' ? 'Off' : `${compression} (skips already-compressed files)`}
+  Concurrent Transfers: ${maxConcurrentTransfers} (${maxTransfersPerPeer} per device)
+  Delta Transfers: ${deltaTransfers ? 'On (changed parts only, for files the receiver has)' : 'Off'}
+      `;
+                } catch (e) {
+                    return `Settings command failed: ${e.message}`;
+                }
+            }
+        },
+
+        presence: {
+            description: 'Manage when quiet devices count as away or gone',
+            execute: async (args) => {
+                try {
+                    const bridge = (await import('../services/electronBridge')).default;
+                    const [action, value] = args;
+                    let result;
+
+                    if (action === 'away' || action === 'offline') {
+                        const seconds = parseInt(value, 10);
+                        if (isNaN(seconds)) return `Usage: presence ${action} <seconds>`;
+                        result = await bridge.setPresenceSettings(action === 'away'
+                            ? { awayAfterSeconds: seconds }
+                            : { offlineAfterSeconds: seconds });
+                        if (result.success) addLog('system', action === 'away'
+                            ? `Devices silent for ${seconds}s will show as away`
+                            : `Devices silent for ${seconds}s will be dropped`);
+                    } else if (!action) {
+                        result = await bridge.getPresenceSettings();
+                    } else {
+                        return 'Usage: presence [away <seconds> | offline <seconds>]';
+                    }
+
+                    if (!result.success) return `Failed to update presence: ${result.error}`;
+
+                    const { awayAfterSeconds, offlineAfterSeconds } = result.settings;
+                    return `
+Device Presence:
+═══════════════════
+  Away After: ${awayAfterSeconds}s without hearing from a device
+  Dropped After: ${offlineAfterSeconds}s
+      `;
+                } catch (e) {
+                    return `Presence command failed: ${e.message}`;
+                }
+            }
+        },
+
+        book: {
+            description: 'Manage devices added by hand for networks discovery cannot reach',
+            execute: async (args) => {
+                try {
+                    const bridge = (await import('../services/electronBridge')).default;
+                    const [action, ...rest] = args;
+                    let result;
+
+                    if (action === 'add') {
+                        const [target, ...label] = rest;
+                        if (!target) return 'Usage: book add <ip|hostname|range> [label]';
+                        result = await bridge.addAddressBookEntry({ target, label: label.join(' ') });
+                        if (result.success) addLog('system', `Added ${result.entry.target} to the address book`);
+                    } else if (action === 'check') {
+                        result = await bridge.probeAddressBook();
+                    } else if (action) {
+                        const listed = await bridge.getAddressBook();
+                        if (!listed.success) return `Failed to load the address book: ${listed.error}`;
+                        const entry = listed.entries[parseInt(rest[0], 10) - 1];
+                        if (!entry) return `Usage: book ${action} <n>, where n is an entry number from "book"`;
+                        if (action === 'label') result = await bridge.updateAddressBookEntry(entry.id, { label: rest.slice(1).join(' ') });
+                        else if (action === 'star') result = await bridge.updateAddressBookEntry(entry.id, { favourite: !entry.favourite });
+                        else if (action === 'remove') result = await bridge.removeAddressBookEntry(entry.id);
+                        else return `Unknown book action "${action}". Use add, label, star, remove or check.`;
+                    } else {
+                        result = await bridge.getAddressBook();
+                    }
+
+                    if (!result.success) return `Address book command failed: ${result.error}`;
+                    if (result.entries.length === 0) return 'The address book is empty. Add a device with "book add <ip|hostname|range>".';
+                    const lines = result.entries.map((entry, index) => {
+                        const name = entry.label ? `${entry.label} (${entry.target})` : entry.target;
+                        const state = entry.error || (!entry.probedAt ? 'not checked yet'
+                            : entry.found.length > 0 ? `answering at ${entry.found.join(', ')}` : 'not answering');
+                        return `  ${index + 1}. ${entry.favourite ? '★ ' : ''}${name}  ${state}`;
+                    });
+                    return `
+Address Book:
+═══════════════════
+${lines.join('\n')}
+      `;
+                } catch (e) {
+                    return `Address book command failed: ${e.message}`;
+                }
+            }
+        },
+
+        api: {
+            description: 'Manage the local HTTP API for scripts',
+            execute: async (args) => {
+                try {
+                    const bridge = (await import('../services/electronBridge')).default;
+                    const [action, value] = args;
+                    let result;
+
+                    if (action === 'on' || action === 'off') {
+                        result = await bridge.setControlApi({ enabled: action === 'on' });
+                        if (result.success) addLog('system', action === 'on' ? `Control API enabled on 127.0.0.1:${result.api.port}` : 'Control API disabled');
+                    } else if (action === 'port') {
+                        const port = parseInt(value, 10);
+                        if (isNaN(port)) return 'Usage: api port <1024-65535>';
+                        result = await bridge.setControlApi({ port });
+                    } else if (action === 'token') {
+                        result = await bridge.setControlApi({ rotateToken: true });
+                        if (result.success) addLog('warning', 'Control API token replaced; scripts using the old one will be refused');
+                    } else if (!action) {
+                        result = await bridge.getControlApi();
+                    } else {
+                        return 'Usage: api [on | off | port <1024-65535> | token]';
+                    }
+
+                    if (!result.success) return `Failed to update the API: ${result.error}`;
+
+                    const { enabled, port, token, listening, error } = result.api;
+                    const state = listening ? `Listening on http://127.0.0.1:${port}` : enabled ? `Not running: ${error || 'starting'}` : 'Off';
+                    return `
+Control API:
+═══════════════════
+  Status: ${state}
+  Token: ${token || '(created when first enabled)'}
+  Operations: POST /api/<name> with the argument as JSON, e.g. /api/transfer-files
+  Events: GET /api/events (Server-Sent Events)${token ? `
+  Try: curl -H "Authorization: Bearer ${token}" http://127.0.0.1:${port}/api/operations` : ''}
+      `;
+                } catch (e) {
+                    return `API command failed: ${e.message}`;
+                }
+            }
+        },
+
+        web: {
+            description: 'Manage the upload/download page for browsers',
+            execute: async (args) => {
+                try {
+                    const bridge = (await import('../services/electronBridge')).default;
+                    const [action] = args;
+                    let result;
+
+                    if (action === 'on' || action === 'off') {
+                        result = await bridge.setWebShare({ enabled: action === 'on' });
+                        if (result.success) addLog('system', action === 'on' ? `Browser page enabled on port ${result.web.port}` : 'Browser page disabled');
+                    } else if (action === 'pin') {
+                        result = await bridge.setWebShare({ newPin: true });
+                    } else if (!action) {
+                        result = await bridge.getWebShare();
+                    } else {
+                        return 'Usage: web [on | off | pin]';
+                    }
+
+                    if (!result.success) return `Failed to update the browser page: ${result.error}`;
+
+                    const { enabled, port, listening, error, pin, urls } = result.web;
+                    const state = listening ? `Listening on port ${port}` : enabled ? `Not running: ${error || 'starting'}` : 'Off';
+                    return `
+Browser Page:
+═══════════════════
+  Status: ${state}${listening ? `
+  PIN: ${pin}
+  Open: ${urls.join(', ') || '(no network connection)'}` : ''}
+  Plain HTTP: browser transfers aren't encrypted
+      `;
+                } catch (e) {
+                    return `Web command failed: ${e.message}`;
+                }
+            }
+        },
+
+        throttle: {
+            description: 'Manage outgoing bandwidth limits',
+            execute: async (args) => {
+                try {
+                    const bridge = (await import('../services/electronBridge')).default;
+                    const [action, ...rest] = args;
+                    const usage = 'Usage: throttle [global <rate|off> | peer <ip> <rate|off> | transfer <id> <rate|off|default> | schedule <HH:MM-HH:MM> <rate|off> | schedule clear]';
+                    let result;
+
+                    // Rates read like "500KB", "2.5MB" or "1G"; a bare number is MB/s
+                    const readLimit = (value) => {
+                        const limit = parseBandwidthLimit(value);
+                        if (Number.isNaN(limit)) throw new Error(`Invalid rate: "${value}"`);
+                        return limit;
+                    };
+
+                    if (action === 'global') {
+                        if (!rest[0]) return 'Usage: throttle global <rate|off>';
+                        const limit = readLimit(rest[0]);
+                        result = await bridge.setBandwidthLimits({ globalLimit: limit });
+                        if (result.success) addLog('system', `Bandwidth limit set to ${formatBandwidthLimit(limit)} for all transfers`);
+                    } else if (action === 'peer') {
+                        const [ip, value] = rest;
+                        if (!ip || !value) return 'Usage: throttle peer <ip> <rate|off>';
+                        const limit = readLimit(value);
+                        result = await bridge.setBandwidthLimits({ peerIP: ip, peerLimit: limit });
+                        if (result.success) addLog('system', `Bandwidth limit for ${ip} set to ${formatBandwidthLimit(limit)}`);
+                    } else if (action === 'transfer') {
+                        const [transferId, value] = rest;
+                        if (!transferId || !value) return 'Usage: throttle transfer <id> <rate|off|default>';
+                        const limit = value === 'default' ? 'default' : readLimit(value);
+                        result = await bridge.setBandwidthLimits({ transferId, transferLimit: limit });
+                        if (result.success) addLog('system', limit === 'default'
+                            ? `Bandwidth limit for ${transferId} reset to the default`
+                            : `Bandwidth limit for ${transferId} set to ${formatBandwidthLimit(limit)}`);
+                    } else if (action === 'schedule') {
+                        const [range, value] = rest;
+                        if (range === 'clear') {
+                            result = await bridge.setBandwidthLimits({ schedule: [] });
+                            if (result.success) addLog('system', 'Bandwidth schedule cleared');
+                        } else {
+                            const [from, to] = (range || '').split('-');
+                            if (!from || !to || !value) return 'Usage: throttle schedule <HH:MM-HH:MM> <rate|off>';
+                            const limit = readLimit(value);
+                            const current = await bridge.getBandwidthLimits();
+                            if (!current.success) return `Failed to load bandwidth limits: ${current.error}`;
+                            result = await bridge.setBandwidthLimits({ schedule: [...current.limits.schedule, { from, to, limit }] });
+                            if (result.success) addLog('system', `Bandwidth limited to ${formatBandwidthLimit(limit)} from ${from} to ${to}`);
+                        }
+                    } else if (!action) {
+                        result = await bridge.getBandwidthLimits();
+                    } else {
+                        return usage;
+                    }
+
+                    if (!result.success) return `Failed to update bandwidth limits: ${result.error}`;
+
+                    const { globalLimit, activeGlobalLimit, peerLimits, transferLimits, schedule } = result.limits;
+                    const list = (entries) => entries.length === 0 ? '    (none)' : entries.join('\n');
+                    return `
+Outgoing Bandwidth Limits:
+═══════════════════
+  Global: ${formatBandwidthLimit(globalLimit)}${activeGlobalLimit !== globalLimit ? ` (schedule in force: ${formatBandwidthLimit(activeGlobalLimit)})` : ''}
+  Per Device:
+${list(Object.entries(peerLimits).map(([ip, limit]) => `    ${ip}  ${formatBandwidthLimit(limit)}`))}
+  Per Transfer:
+${list(Object.entries(transferLimits).map(([id, limit]) => `    ${id}  ${formatBandwidthLimit(limit)}`))}
+  Schedule:
+${list(schedule.map(w => `    ${w.from}-${w.to}  ${formatBandwidthLimit(w.limit)}`))}
+      `;
+                } catch (e) {
+                    return `Throttle command failed: ${e.message}`;
+                }
+            }
+        },
+
         clear: {
             description: 'Clear terminal screen',
             execute: () => {
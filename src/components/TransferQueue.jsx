@@ -1,12 +1,22 @@
 // src/components/TransferQueue.jsx
 import React, { useState, useEffect } from 'react';
+import BandwidthSelect from './BandwidthSelect';
 import './TransferQueue.css';
 
-const TransferQueue = ({ transfers, clearTransfers, activeTransfer, onTransferAction }) => {
-    const [sortBy, setSortBy] = useState('time');
+// Running first, then waiting jobs in the order the main process will start them, then the rest
+const queueRank = (transfer) => {
+    if (transfer.queuePosition !== undefined && transfer.status === 'queued') return 1;
+    return ['transferring', 'sending', 'receiving'].includes(transfer.status) ? 0 : 2;
+};
+
+const TransferQueue = ({ transfers, clearTransfers, activeTransfer, onTransferAction, onQueueChange, transferLimits = {}, onLimitChange }) => {
+    const [sortBy, setSortBy] = useState('queue');
     const [sortOrder, setSortOrder] = useState('desc');
     const [filterStatus, setFilterStatus] = useState('all');
+    const [searchQuery, setSearchQuery] = useState('');
     const [sortedTransfers, setSortedTransfers] = useState([]);
+    const [draggingId, setDraggingId] = useState(null);
+    const [dropTargetId, setDropTargetId] = useState(null);
 
     // Sort and filter transfers
     useEffect(() => {
@@ -17,10 +27,29 @@ const TransferQueue = ({ transfers, clearTransfers, activeTransfer, onTransferAc
             result = result.filter(transfer => transfer.status === filterStatus);
         }
 
+        // Search names, files, peers and checksums
+        const query = searchQuery.trim().toLowerCase();
+        if (query) {
+            result = result.filter(transfer =>
+                [transfer.name, transfer.peerName, transfer.peerIP, transfer.peerFingerprint, transfer.error]
+                    .some(value => value && String(value).toLowerCase().includes(query)) ||
+                (transfer.files || []).some(f =>
+                    (f.name && f.name.toLowerCase().includes(query)) ||
+                    (f.checksum && f.checksum.startsWith(query))
+                )
+            );
+        }
+
         // Sort transfers
         result.sort((a, b) => {
             let aValue, bValue;
 
+            // Queue order is fixed; the other columns can be flipped
+            if (sortBy === 'queue') {
+                return queueRank(a) - queueRank(b) ||
+                    (queueRank(a) === 1 ? a.queuePosition - b.queuePosition : (b.startTime || 0) - (a.startTime || 0));
+            }
+
             switch (sortBy) {
                 case 'name':
                     aValue = a.name || '';
@@ -53,7 +82,7 @@ const TransferQueue = ({ transfers, clearTransfers, activeTransfer, onTransferAc
         });
 
         setSortedTransfers(result);
-    }, [transfers, sortBy, sortOrder, filterStatus]);
+    }, [transfers, sortBy, sortOrder, filterStatus, searchQuery]);
 
     // Format file size
     const formatFileSize = (bytes) => {
@@ -64,14 +93,25 @@ const TransferQueue = ({ transfers, clearTransfers, activeTransfer, onTransferAc
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     };
 
-    // Format time
+    // Format time; transfers from the history may be from another day
     const formatTime = (date) => {
         if (!date) return 'Unknown';
         const time = new Date(date);
-        return time.toLocaleTimeString([], {
+        const clock = time.toLocaleTimeString([], {
             hour: '2-digit',
             minute: '2-digit'
         });
+        if (time.toDateString() === new Date().toDateString()) return clock;
+        return `${time.toLocaleDateString([], { month: 'short', day: 'numeric' })} ${clock}`;
+    };
+
+    // Format a duration in milliseconds
+    const formatDuration = (ms) => {
+        const seconds = Math.round((ms || 0) / 1000);
+        if (seconds < 60) return `${seconds}s`;
+        const minutes = Math.floor(seconds / 60);
+        if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+        return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
     };
 
     // Calculate total transferred size
@@ -91,6 +131,7 @@ const TransferQueue = ({ transfers, clearTransfers, activeTransfer, onTransferAc
             case 'transferring': return '🔄';
             case 'queued': return '⏳';
             case 'failed': return '❌';
+            case 'corrupted': return '🛑';
             case 'paused': return '⏸️';
             default: return '📝';
         }
@@ -103,6 +144,7 @@ const TransferQueue = ({ transfers, clearTransfers, activeTransfer, onTransferAc
             case 'transferring': return 'var(--info-color)';
             case 'queued': return 'var(--warning-color)';
             case 'failed': return 'var(--error-color)';
+            case 'corrupted': return '#c0392b';
             case 'paused': return '#95a5a6';
             default: return 'var(--text-secondary)';
         }
@@ -132,6 +174,30 @@ const TransferQueue = ({ transfers, clearTransfers, activeTransfer, onTransferAc
         }
     };
 
+    // Queued jobs can be dragged into a new order
+    const isReorderable = (transfer) => transfer.queuePosition !== undefined && transfer.status === 'queued';
+    // Live transfers pause over the connection; queued sends just wait
+    const isPausable = (transfer) => ['transferring', 'sending', 'receiving'].includes(transfer.status) || isReorderable(transfer);
+    // Only outgoing transfers that haven't finished can have their own bandwidth cap
+    const isThrottleable = (transfer) => !transfer.isIncoming && !transfer.fromHistory
+        && ['queued', 'connecting', 'transferring', 'sending', 'paused'].includes(transfer.status);
+
+    const handleDrop = (target) => {
+        const dragged = transfers.find(t => t.id === draggingId);
+        setDraggingId(null);
+        setDropTargetId(null);
+        if (!dragged || dragged.id === target.id || !onQueueChange) return;
+
+        // Dragging down lands after the target, dragging up lands before it
+        const waiting = transfers.filter(isReorderable).sort((a, b) => a.queuePosition - b.queuePosition);
+        const targetIndex = waiting.findIndex(t => t.id === target.id);
+        let before = target;
+        if (dragged.queuePosition < target.queuePosition) {
+            before = waiting.slice(targetIndex + 1).find(t => t.id !== dragged.id) || null;
+        }
+        onQueueChange(dragged.id, { beforeId: before ? before.id : null });
+    };
+
     // Get sort icon
     const getSortIcon = (column) => {
         if (sortBy !== column) return '↕️';
@@ -183,6 +249,16 @@ const TransferQueue = ({ transfers, clearTransfers, activeTransfer, onTransferAc
             {/* Controls */}
             <div className="queue-controls">
                 <div className="controls-left">
+                    <div className="search-group">
+                        <input
+                            type="search"
+                            className="queue-search"
+                            placeholder="🔍 Search files, peers, checksums..."
+                            value={searchQuery}
+                            onChange={(e) => setSearchQuery(e.target.value)}
+                        />
+                    </div>
+
                     <div className="filter-group">
                         <span className="filter-label">Filter:</span>
                         <div className="filter-buttons">
@@ -192,7 +268,8 @@ const TransferQueue = ({ transfers, clearTransfers, activeTransfer, onTransferAc
                                 { id: 'queued', label: 'Queued', icon: '⏳' },
                                 { id: 'completed', label: 'Done', icon: '✅' },
                                 { id: 'paused', label: 'Paused', icon: '⏸️' },
-                                { id: 'failed', label: 'Failed', icon: '❌' }
+                                { id: 'failed', label: 'Failed', icon: '❌' },
+                                { id: 'corrupted', label: 'Corrupted', icon: '🛑' }
                             ].map((filter) => (
                                 <button
                                     key={filter.id}
@@ -210,7 +287,7 @@ const TransferQueue = ({ transfers, clearTransfers, activeTransfer, onTransferAc
                     <div className="sort-group">
                         <span className="sort-label">Sort by:</span>
                         <div className="sort-buttons">
-                            {['time', 'name', 'size', 'progress', 'speed'].map((column) => (
+                            {['queue', 'time', 'name', 'size', 'progress', 'speed'].map((column) => (
                                 <button
                                     key={column}
                                     className={`sort-btn ${sortBy === column ? 'active' : ''}`}
@@ -314,7 +391,26 @@ const TransferQueue = ({ transfers, clearTransfers, activeTransfer, onTransferAc
                             {sortedTransfers.map((transfer) => (
                                 <div
                                     key={transfer.id}
-                                    className={`table-row ${transfer.id === activeTransfer?.id ? 'active' : ''}`}
+                                    className={`table-row ${transfer.id === activeTransfer?.id ? 'active' : ''} ${isReorderable(transfer) ? 'reorderable' : ''} ${transfer.id === dropTargetId ? 'drop-target' : ''}`}
+                                    draggable={isReorderable(transfer)}
+                                    onDragStart={(e) => {
+                                        e.dataTransfer.effectAllowed = 'move';
+                                        setDraggingId(transfer.id);
+                                    }}
+                                    onDragOver={(e) => {
+                                        if (!draggingId || !isReorderable(transfer)) return;
+                                        e.preventDefault();
+                                        setDropTargetId(transfer.id);
+                                    }}
+                                    onDragLeave={() => setDropTargetId(prev => prev === transfer.id ? null : prev)}
+                                    onDrop={(e) => {
+                                        e.preventDefault();
+                                        handleDrop(transfer);
+                                    }}
+                                    onDragEnd={() => {
+                                        setDraggingId(null);
+                                        setDropTargetId(null);
+                                    }}
                                 >
                                     <div className="table-cell" style={{ width: '40%' }}>
                                         <div className="transfer-info">
@@ -326,6 +422,14 @@ const TransferQueue = ({ transfers, clearTransfers, activeTransfer, onTransferAc
                                                     {transfer.name || `${transfer.files?.length || 1} file(s)`}
                                                 </div>
                                                 <div className="transfer-meta">
+                                                    {isReorderable(transfer) && (
+                                                        <>
+                                                            <span className="queue-position" title="Drag to reorder">
+                                                                ⠿ #{transfer.queuePosition + 1}
+                                                            </span>
+                                                            <span className="meta-separator">•</span>
+                                                        </>
+                                                    )}
                                                     <span className="transfer-time">
                                                         {formatTime(transfer.startTime)}
                                                     </span>
@@ -338,6 +442,47 @@ const TransferQueue = ({ transfers, clearTransfers, activeTransfer, onTransferAc
                                                             </span>
                                                         </>
                                                     )}
+                                                    {transfer.encryption && (
+                                                        <>
+                                                            <span className="meta-separator">•</span>
+                                                            <span className="transfer-security secured" title={transfer.encryption}>
+                                                                🔒 Secured
+                                                            </span>
+                                                        </>
+                                                    )}
+                                                    {transfer.encryption === null && (
+                                                        <>
+                                                            <span className="meta-separator">•</span>
+                                                            <span className="transfer-security insecure" title="Browser transfers over the web page are not encrypted">
+                                                                ⚠️ Unencrypted
+                                                            </span>
+                                                        </>
+                                                    )}
+                                                    {transfer.status === 'corrupted' ? (
+                                                        <>
+                                                            <span className="meta-separator">•</span>
+                                                            <span className="transfer-integrity corrupted" title={transfer.error}>
+                                                                🛑 Checksum mismatch
+                                                            </span>
+                                                        </>
+                                                    ) : transfer.verified && (
+                                                        <>
+                                                            <span className="meta-separator">•</span>
+                                                            <span className="transfer-integrity verified" title={transfer.checksum ? `SHA-256 ${transfer.checksum}` : 'SHA-256 verified'}>
+                                                                ✔ Verified
+                                                            </span>
+                                                        </>
+                                                    )}
+                                                    {transfer.compression && (
+                                                        <>
+                                                            <span className="meta-separator">•</span>
+                                                            <span className="transfer-compression" title={`${transfer.compression.algorithm === 'br' ? 'Brotli' : 'Gzip'}: ${(transfer.compression.ratio * 100).toFixed(1)}% of original size on the wire`}>
+                                                                🗜️ {transfer.compression.ratio < 1
+                                                                    ? `${((1 - transfer.compression.ratio) * 100).toFixed(0)}% smaller`
+                                                                    : 'No savings'}
+                                                            </span>
+                                                        </>
+                                                    )}
                                                     {transfer.speed > 0 && (
                                                         <>
                                                             <span className="meta-separator">•</span>
@@ -346,6 +491,14 @@ const TransferQueue = ({ transfers, clearTransfers, activeTransfer, onTransferAc
                                                             </span>
                                                         </>
                                                     )}
+                                                    {transfer.fromHistory && transfer.durationMs > 0 && (
+                                                        <>
+                                                            <span className="meta-separator">•</span>
+                                                            <span className="transfer-speed" title="Time spent transferring and average speed">
+                                                                ⏱️ {formatDuration(transfer.durationMs)} at {transfer.averageSpeed} MB/s
+                                                            </span>
+                                                        </>
+                                                    )}
                                                 </div>
                                             </div>
                                         </div>
@@ -388,7 +541,7 @@ const TransferQueue = ({ transfers, clearTransfers, activeTransfer, onTransferAc
 
                                     <div className="table-cell actions" style={{ width: '15%' }}>
                                         <div className="transfer-actions">
-                                            {transfer.status === 'transferring' && (
+                                            {isPausable(transfer) && (
                                                 <button
                                                     className="action-btn"
                                                     onClick={() => handleTransferAction(transfer.id, 'pause')}
@@ -408,14 +561,35 @@ const TransferQueue = ({ transfers, clearTransfers, activeTransfer, onTransferAc
                                                 </button>
                                             )}
 
-                                            {transfer.status === 'queued' && (
-                                                <button
-                                                    className="action-btn"
-                                                    onClick={() => handleTransferAction(transfer.id, 'start')}
-                                                    title="Start transfer"
-                                                >
-                                                    ▶️
-                                                </button>
+                                            {isReorderable(transfer) && (
+                                                <>
+                                                    <select
+                                                        className="priority-select"
+                                                        value={transfer.priority || 'normal'}
+                                                        onChange={(e) => onQueueChange && onQueueChange(transfer.id, { priority: e.target.value })}
+                                                        title="Priority"
+                                                    >
+                                                        <option value="high">High</option>
+                                                        <option value="normal">Normal</option>
+                                                        <option value="low">Low</option>
+                                                    </select>
+                                                    <button
+                                                        className="action-btn"
+                                                        onClick={() => handleTransferAction(transfer.id, 'start')}
+                                                        title="Move to the front of the queue"
+                                                    >
+                                                        ⏫
+                                                    </button>
+                                                </>
+                                            )}
+
+                                            {isThrottleable(transfer) && onLimitChange && (
+                                                <BandwidthSelect
+                                                    value={transfer.id in transferLimits ? transferLimits[transfer.id] : undefined}
+                                                    onChange={(limit) => onLimitChange(transfer.id, limit)}
+                                                    defaultLabel="🚦 Default"
+                                                    title="Bandwidth cap for this transfer (replaces the global and device caps)"
+                                                />
                                             )}
 
                                             <button
@@ -444,12 +618,17 @@ const TransferQueue = ({ transfers, clearTransfers, activeTransfer, onTransferAc
                 ) : (
                     <div className="empty-queue">
                         <div className="empty-icon">📭</div>
-                        <h4>Transfer Queue Empty</h4>
-                        <p>No transfers in queue. Start transferring files to see them here.</p>
-                        {filterStatus !== 'all' && (
+                        <h4>{searchQuery ? 'No Matching Transfers' : 'Transfer Queue Empty'}</h4>
+                        <p>{searchQuery
+                            ? `Nothing in the queue or history matches "${searchQuery}".`
+                            : 'No transfers in queue. Start transferring files to see them here.'}</p>
+                        {(filterStatus !== 'all' || searchQuery) && (
                             <button
                                 className="clear-filter-btn"
-                                onClick={() => setFilterStatus('all')}
+                                onClick={() => {
+                                    setFilterStatus('all');
+                                    setSearchQuery('');
+                                }}
                             >
                                 Clear Filter
                             </button>
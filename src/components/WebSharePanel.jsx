@@ -0,0 +1,115 @@
+// src/components/WebSharePanel.jsx
+import React, { useState, useEffect, useMemo } from 'react';
+import { createQrCode } from '../utils/qrCode';
+
+const loadBridge = async () => (await import('../services/electronBridge')).default;
+
+// Quiet zone around the code, in modules, so scanners can find its edges
+const QR_MARGIN = 4;
+
+const QrCode = ({ text }) => {
+    const modules = useMemo(() => createQrCode(text), [text]);
+    const size = modules.length + QR_MARGIN * 2;
+    const path = modules
+        .flatMap((row, y) => row.map((dark, x) => (dark ? `M${x + QR_MARGIN} ${y + QR_MARGIN}h1v1h-1z` : '')))
+        .join('');
+    return (
+        <svg className="web-share-qr" viewBox={`0 0 ${size} ${size}`} shapeRendering="crispEdges">
+            <rect width={size} height={size} fill="#fff" />
+            <path d={path} fill="#000" />
+        </svg>
+    );
+};
+
+// The page phones and other devices without SafeShare open to send files here and download shared folders
+const WebSharePanel = ({ addLog }) => {
+    const [web, setWeb] = useState(null);
+    const [urlIndex, setUrlIndex] = useState(0);
+    const [busy, setBusy] = useState(false);
+
+    useEffect(() => {
+        let bridge;
+        // Too many wrong PINs make the app pick a new one; the event says so without carrying it
+        const handleWebShareUpdated = async (data) => {
+            const result = await bridge.getWebShare();
+            if (result.success) setWeb(result.web);
+            if (data.pinChanged) addLog('system', `${data.reason}, so the browser page has a new PIN`);
+        };
+        (async () => {
+            bridge = await loadBridge();
+            const result = await bridge.getWebShare();
+            if (result.success) setWeb(result.web);
+            bridge.on('web-share-updated', handleWebShareUpdated);
+        })();
+        return () => {
+            if (bridge) bridge.off('web-share-updated', handleWebShareUpdated);
+        };
+    }, [addLog]);
+
+    const update = async (changes) => {
+        setBusy(true);
+        try {
+            const result = await (await loadBridge()).setWebShare(changes);
+            if (!result.success) {
+                addLog('error', `Could not update the browser page: ${result.error}`);
+                return;
+            }
+            setWeb(result.web);
+            setUrlIndex(0);
+            if (changes.enabled === true) {
+                if (result.web.listening) addLog('system', `Browser page is on at ${result.web.urls[0] || `port ${result.web.port}`}`);
+                else addLog('error', `Browser page could not start: ${result.web.error}`);
+            } else if (changes.enabled === false) {
+                addLog('system', 'Browser page turned off');
+            } else if (changes.newPin) {
+                addLog('system', 'New PIN for the browser page; browsers that were connected need to enter it again');
+            }
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    if (!web) return <div className="shares-body" />;
+
+    const url = web.urls[Math.min(urlIndex, web.urls.length - 1)];
+
+    return (
+        <div className="shares-body">
+            <div className="web-share-toolbar">
+                <button className="btn-shares primary" onClick={() => update({ enabled: !web.enabled })} disabled={busy}>
+                    {web.enabled ? '⏹ Turn off' : '🌐 Turn on browser page'}
+                </button>
+                {web.listening && (
+                    <button className="btn-shares" onClick={() => update({ newPin: true })} disabled={busy}>🔄 New PIN</button>
+                )}
+                {web.enabled && !web.listening && <span className="sync-status failed">⚠️ {web.error || 'Not running'}</span>}
+            </div>
+
+            {web.listening && (
+                <div className="web-share-details">
+                    {url ? <QrCode text={`${url}?pin=${web.pin}`} /> : <div className="web-share-qr empty">No network connection</div>}
+                    <div className="web-share-info">
+                        <span className="web-share-label">PIN</span>
+                        <span className="web-share-pin">{web.pin}</span>
+                        <span className="web-share-label">Address</span>
+                        {web.urls.length > 1 ? (
+                            <select value={urlIndex} onChange={(e) => setUrlIndex(Number(e.target.value))}>
+                                {web.urls.map((u, i) => <option key={u} value={i}>{u}</option>)}
+                            </select>
+                        ) : (
+                            <span className="web-share-url">{url || '—'}</span>
+                        )}
+                        <span className="shares-note">Scan the code with a phone's camera, or open the address and type the PIN.</span>
+                    </div>
+                </div>
+            )}
+
+            <p className="shares-note">
+                Browsers can upload into your downloads folder and download from shares that aren't limited to verified devices.
+                The page uses plain HTTP, so these transfers aren't encrypted like transfers between SafeShare apps.
+            </p>
+        </div>
+    );
+};
+
+export default WebSharePanel;
@@ -35,7 +35,6 @@ const useFileTransfer = () => {
                 port: 9001,
                 protocol: 'tcp',
                 encryption: true,
-                compression: true,
                 maxRetries: 3
             });
 
@@ -87,6 +87,22 @@ class ElectronBridge {
             this.notifyListeners('discovery-status', data);
         });
 
+        ipcRenderer.on('peer-key-changed', (event, data) => {
+            this.notifyListeners('peer-key-changed', data);
+        });
+
+        ipcRenderer.on('peer-updated', (event, data) => {
+            this.notifyListeners('peer-updated', data);
+        });
+
+        ipcRenderer.on('peer-lost', (event, data) => {
+            this.notifyListeners('peer-lost', data);
+        });
+
+        ipcRenderer.on('address-book-updated', (event, data) => {
+            this.notifyListeners('address-book-updated', data);
+        });
+
         // File transfer events
         ipcRenderer.on('transfer-progress', (event, data) => {
             this.notifyListeners('transfer-progress', data);
@@ -100,6 +116,38 @@ class ElectronBridge {
             this.notifyListeners('transfer-error', error);
         });
 
+        ipcRenderer.on('transfer-offer', (event, data) => {
+            this.notifyListeners('transfer-offer', data);
+        });
+
+        ipcRenderer.on('transfer-offer-cancelled', (event, data) => {
+            this.notifyListeners('transfer-offer-cancelled', data);
+        });
+
+        ipcRenderer.on('transfer-queue-updated', (event, data) => {
+            this.notifyListeners('transfer-queue-updated', data);
+        });
+
+        ipcRenderer.on('transfer-paused', (event, data) => {
+            this.notifyListeners('transfer-paused', data);
+        });
+
+        ipcRenderer.on('bandwidth-limits-changed', (event, data) => {
+            this.notifyListeners('bandwidth-limits-changed', data);
+        });
+
+        ipcRenderer.on('share-pulled', (event, data) => {
+            this.notifyListeners('share-pulled', data);
+        });
+
+        ipcRenderer.on('sync-updated', (event, data) => {
+            this.notifyListeners('sync-updated', data);
+        });
+
+        ipcRenderer.on('web-share-updated', (event, data) => {
+            this.notifyListeners('web-share-updated', data);
+        });
+
         // System events
         ipcRenderer.on('system-info', (event, data) => {
             this.notifyListeners('system-info', data);
@@ -162,22 +210,112 @@ class ElectronBridge {
             case 'test-connection':
                 return this.simulateConnectionTest(args[0]);
 
+            // Identity operations
+            case 'get-identity':
+                return { success: true, name: 'Simulated-Device', deviceId: '00000000-0000-0000-0000-000000000000', publicKey: '', fingerprint: '0000 0000 0000 0000 0000 0000 0000 0000' };
+
+            case 'trust-peer':
+                return { success: true, peer: { ...args[0], trust: 'trusted' } };
+
+            case 'verify-signature':
+                return { success: false, error: 'Identity keys are only available in the desktop app' };
+
             // File operations
             case 'select-files':
                 return this.simulateFileSelection();
 
+            case 'expand-paths':
+                return { success: false, error: 'Folder transfers are only available in the desktop app' };
+
             case 'transfer-files':
                 return this.simulateFileTransfer(args[0]);
 
             case 'cancel-transfer':
                 return this.simulateTransferCancellation(args[0]);
 
+            case 'get-transfer-queue':
+                return { success: true, jobs: [] };
+
+            case 'get-paused-transfers':
+                return { success: true, transfers: [] };
+
+            case 'update-queued-transfer':
+                return { success: false, error: 'Transfer is no longer queued' };
+
             case 'pause-transfer':
                 return { success: true, transferId: args[0], message: 'Transfer paused' };
 
             case 'resume-transfer':
                 return { success: true, transferId: args[0], message: 'Transfer resumed' };
 
+            case 'respond-transfer-offer':
+                return { success: true };
+
+            case 'get-transfer-rules':
+            case 'set-transfer-rules':
+                return { success: true, rules: { alwaysAccept: [], autoRejectOverBytes: null, conflictPolicy: 'rename', skipIdentical: false } };
+
+            case 'get-transfer-settings':
+            case 'set-transfer-settings':
+                return { success: true, settings: { parallelStreams: 4, parallelThresholdBytes: 64 * 1024 * 1024, compression: 'gzip', maxConcurrentTransfers: 3, maxTransfersPerPeer: 1, deltaTransfers: true, ...args[0] } };
+
+            case 'get-presence-settings':
+            case 'set-presence-settings':
+                return { success: true, settings: { awayAfterSeconds: 10, offlineAfterSeconds: 60, ...args[0] } };
+
+            case 'get-address-book':
+            case 'remove-address-book-entry':
+            case 'probe-address-book':
+                return { success: true, entries: [] };
+
+            case 'add-address-book-entry':
+            case 'update-address-book-entry':
+                return { success: false, error: 'The address book needs the desktop app' };
+
+            case 'get-control-api':
+            case 'set-control-api':
+                return { success: true, api: { enabled: false, port: 9080, token: null, listening: false, error: null, ...args[0] } };
+
+            case 'get-web-share':
+            case 'set-web-share':
+                return { success: true, web: { enabled: false, port: 9081, listening: false, error: null, pin: null, urls: [], ...args[0] } };
+
+            case 'get-bandwidth-limits':
+            case 'set-bandwidth-limits':
+                return { success: true, limits: { globalLimit: null, peerLimits: {}, schedule: [], transferLimits: {}, activeGlobalLimit: null, ...args[0] } };
+
+            case 'get-shared-folders':
+            case 'remove-shared-folder':
+                return { success: true, shares: [] };
+
+            case 'add-shared-folder':
+            case 'update-shared-folder':
+                return { success: false, error: 'Sharing folders needs the desktop app' };
+
+            // There are no real peers to browse in a simulated session
+            case 'browse-peer':
+                return { success: true, shares: [], peer: { ip: args[0].peerIP } };
+
+            case 'pull-from-peer':
+                return { success: false, error: 'Nothing to pull in a simulated session' };
+
+            case 'get-sync-jobs':
+            case 'remove-sync-job':
+                return { success: true, jobs: [] };
+
+            case 'add-sync-job':
+            case 'update-sync-job':
+            case 'sync-now':
+            case 'resolve-sync-conflict':
+                return { success: false, error: 'Folder sync needs the desktop app' };
+
+            // Simulated sessions keep nothing between runs
+            case 'get-transfer-history':
+                return { success: true, history: [] };
+
+            case 'clear-transfer-history':
+                return { success: true };
+
             // System operations
             case 'get-system-info':
                 return this.simulateSystemInfo();
@@ -457,12 +595,33 @@ class ElectronBridge {
         return window.ipcRenderer.invoke('test-connection', peerIP);
     }
 
+    // Identity methods
+    async getIdentity() {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('get-identity');
+    }
+
+    async trustPeer(peer) {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('trust-peer', { name: peer.name, publicKey: peer.publicKey });
+    }
+
+    async verifySignature(payload, signature, publicKey) {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('verify-signature', { payload, signature, publicKey });
+    }
+
     // File methods
     async selectFiles(options = {}) {
         if (!this.initialized) await this.initialize();
         return window.ipcRenderer.invoke('select-files', options);
     }
 
+    async expandPaths(paths) {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('expand-paths', paths);
+    }
+
     async transferFiles(transferData) {
         if (!this.initialized) await this.initialize();
         return window.ipcRenderer.invoke('transfer-files', transferData);
@@ -473,6 +632,22 @@ class ElectronBridge {
         return window.ipcRenderer.invoke('cancel-transfer', transferId);
     }
 
+    async getTransferQueue() {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('get-transfer-queue');
+    }
+
+    async getPausedTransfers() {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('get-paused-transfers');
+    }
+
+    // `changes` is { priority?, beforeId? }; beforeId null moves the transfer to the back
+    async updateQueuedTransfer(transferId, changes) {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('update-queued-transfer', { transferId, ...changes });
+    }
+
     async pauseTransfer(transferId) {
         if (!this.initialized) await this.initialize();
         return window.ipcRenderer.invoke('pause-transfer', transferId);
@@ -483,6 +658,183 @@ class ElectronBridge {
         return window.ipcRenderer.invoke('resume-transfer', transferId);
     }
 
+    async respondToTransferOffer(transferId, accept, options = {}) {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('respond-transfer-offer', {
+            transferId,
+            accept,
+            alwaysAccept: !!options.alwaysAccept,
+            conflictAction: options.conflictAction
+        });
+    }
+
+    async getTransferRules() {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('get-transfer-rules');
+    }
+
+    async setTransferRules(changes) {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('set-transfer-rules', changes);
+    }
+
+    async getTransferSettings() {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('get-transfer-settings');
+    }
+
+    async setTransferSettings(changes) {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('set-transfer-settings', changes);
+    }
+
+    async getPresenceSettings() {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('get-presence-settings');
+    }
+
+    // `changes` may hold awayAfterSeconds and offlineAfterSeconds
+    async setPresenceSettings(changes) {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('set-presence-settings', changes);
+    }
+
+    async getAddressBook() {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('get-address-book');
+    }
+
+    // `entry` is { target, label?, favourite? }: an IP address, a hostname or an IPv4 range such as 10.0.4.0/24
+    async addAddressBookEntry(entry) {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('add-address-book-entry', entry);
+    }
+
+    // `changes` may hold label and favourite
+    async updateAddressBookEntry(id, changes) {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('update-address-book-entry', { ...changes, id });
+    }
+
+    async removeAddressBookEntry(id) {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('remove-address-book-entry', id);
+    }
+
+    async probeAddressBook() {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('probe-address-book');
+    }
+
+    async getControlApi() {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('get-control-api');
+    }
+
+    // `changes` may hold enabled, port and rotateToken
+    async setControlApi(changes) {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('set-control-api', changes);
+    }
+
+    async getWebShare() {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('get-web-share');
+    }
+
+    // `changes` may hold enabled, port and newPin
+    async setWebShare(changes) {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('set-web-share', changes);
+    }
+
+    async getSharedFolders() {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('get-shared-folders');
+    }
+
+    // `share` is { folderPath, name?, password?, trustedOnly?, allowSync? }
+    async addSharedFolder(share) {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('add-shared-folder', share);
+    }
+
+    // `changes` may hold trustedOnly, allowSync and password; an empty password removes it
+    async updateSharedFolder(name, changes) {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('update-shared-folder', { ...changes, name });
+    }
+
+    async removeSharedFolder(name) {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('remove-shared-folder', name);
+    }
+
+    // Without a share this lists the peer's shares; with one, a folder inside it
+    async browsePeer(peerIP, share, path = '', password) {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('browse-peer', { peerIP, share, path, password });
+    }
+
+    async pullFromPeer(peerIP, share, paths, password) {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('pull-from-peer', { peerIP, share, paths, password });
+    }
+
+    async getSyncJobs() {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('get-sync-jobs');
+    }
+
+    // `job` is { localPath, peerIP, peerName?, share, password?, mode?, deletions? }
+    async addSyncJob(job) {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('add-sync-job', job);
+    }
+
+    // `changes` may hold mode, deletions, enabled and password
+    async updateSyncJob(id, changes) {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('update-sync-job', { ...changes, id });
+    }
+
+    async removeSyncJob(id) {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('remove-sync-job', id);
+    }
+
+    async syncNow(id) {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('sync-now', id);
+    }
+
+    // `keep` is 'local', 'remote' or 'both'
+    async resolveSyncConflict(id, path, keep) {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('resolve-sync-conflict', { id, path, keep });
+    }
+
+    async getBandwidthLimits() {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('get-bandwidth-limits');
+    }
+
+    // `changes` may hold globalLimit, peerId (or peerIP) + peerLimit, transferId + transferLimit, or schedule (bytes per second; null is unlimited)
+    async setBandwidthLimits(changes) {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('set-bandwidth-limits', changes);
+    }
+
+    async getTransferHistory(options = {}) {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('get-transfer-history', options);
+    }
+
+    async clearTransferHistory() {
+        if (!this.initialized) await this.initialize();
+        return window.ipcRenderer.invoke('clear-transfer-history');
+    }
+
     // System methods
     async getSystemInfo() {
         if (!this.initialized) await this.initialize();
@@ -20,13 +20,19 @@ class TransferService {
     async initialize(config = {}) {
         console.log('Initializing transfer service...');
 
+        // Compression is negotiated per transfer by the main process, so report what it will offer
+        const settings = await electronBridge.getTransferSettings();
+        const compression = settings.success && settings.settings.compression !== 'off'
+            ? settings.settings.compression
+            : false;
+
         this.config = {
             port: config.port || 9001,
             protocol: config.protocol || 'tcp',
             encryption: config.encryption !== false,
-            compression: config.compression !== false,
             maxRetries: config.maxRetries || 3,
-            ...config
+            ...config,
+            compression
         };
 
         this.notifyListeners('initialized', this.config);
@@ -101,6 +107,7 @@ class TransferService {
 
         // Listen for progress
         electronBridge.on('transfer-progress', handleProgress);
+        let handleQueueUpdate = null;
 
         try {
             // Establish connection (optional, bridge handles it usually? No, bridge just sends)
@@ -117,15 +124,27 @@ class TransferService {
                 size: f.size || f.file.size
             }));
 
-            // Start transfer via bridge
+            // The main process queues the batch and reports when the job has run its course
+            const finished = new Promise((resolve) => {
+                handleQueueUpdate = ({ job }) => {
+                    if (job.id === transferId && ['completed', 'failed', 'cancelled'].includes(job.status)) {
+                        resolve(job);
+                    }
+                };
+                electronBridge.on('transfer-queue-updated', handleQueueUpdate);
+            });
+
             const result = await electronBridge.transferFiles({
                 transferId,
                 files: filesData,
-                peerIP: transfer.peerIP
+                peerIP: transfer.peerIP,
+                priority: transfer.options.priority || 'normal'
             });
-
             if (!result.success) throw new Error(result.error);
 
+            const job = await finished;
+            if (job.status !== 'completed') throw new Error(job.error || `Transfer ${job.status}`);
+
             // Complete transfer
             transfer.status = 'completed';
             transfer.endTime = new Date();
@@ -145,6 +164,7 @@ class TransferService {
             this.notifyListeners('transfer-failed', transfer);
         } finally {
             electronBridge.off('transfer-progress', handleProgress);
+            if (handleQueueUpdate) electronBridge.off('transfer-queue-updated', handleQueueUpdate);
         }
     }
 
@@ -1,8 +1,12 @@
 // src/utils/encryption.js
+import electronBridge from '../services/electronBridge';
+import { generateChecksum } from './helpers';
 
 /**
  * Encryption utilities for secure file transfer
- * Note: In a real app, use Web Crypto API or Node.js crypto module
+ * Note: The key/data helpers are UI-side simulations. The actual file stream is encrypted
+ * in the main process (see secureChannel.js: X25519 key exchange + AES-256-GCM frames),
+ * and signatures use the device's Ed25519 identity key (see identity.js).
  */
 
 /**
@@ -114,10 +118,6 @@ export const createSecureHandshake = async (peerPublicKey) => {
  * Verify data integrity
  */
 export const verifyIntegrity = async (data, checksum) => {
-    // Simulate checksum verification
-    await new Promise(resolve => setTimeout(resolve, 50));
-
-    // Simple checksum for simulation
     const dataChecksum = await generateChecksum(data);
 
     return {
@@ -129,54 +129,16 @@ export const verifyIntegrity = async (data, checksum) => {
 };
 
 /**
- * Generate checksum (re-export from helpers)
- */
-const generateChecksum = async (data) => {
-    let hash = 0;
-    const str = typeof data === 'string' ? data : JSON.stringify(data);
-
-    for (let i = 0; i < str.length; i++) {
-        const char = str.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash = hash & hash;
-    }
-
-    return Math.abs(hash).toString(16);
-};
-
-/**
- * Create digital signature (simulation)
- */
-export const createSignature = async (data, privateKey) => {
-    console.log('Creating digital signature...');
-
-    await new Promise(resolve => setTimeout(resolve, 150));
-
-    const signature = Array.from({ length: 64 }, () =>
-        Math.floor(Math.random() * 256).toString(16).padStart(2, '0')
-    ).join('');
-
-    return {
-        signature,
-        algorithm: 'ECDSA-SHA256',
-        timestamp: new Date()
-    };
-};
-
-/**
- * Verify digital signature (simulation)
+ * Verify an Ed25519 digital signature against a device's public key
  */
 export const verifySignature = async (data, signature, publicKey) => {
-    console.log('Verifying digital signature...');
-
-    await new Promise(resolve => setTimeout(resolve, 150));
-
-    // Simulate signature verification
-    const isValid = Math.random() > 0.1; // 90% success rate
+    const payload = typeof data === 'string' ? data : JSON.stringify(data);
+    const result = await electronBridge.verifySignature(payload, signature, publicKey);
 
     return {
-        valid: isValid,
-        algorithm: 'ECDSA-SHA256',
+        valid: !!(result.success && result.valid),
+        algorithm: 'Ed25519',
+        error: result.success ? undefined : result.error,
         timestamp: new Date()
     };
 };
@@ -1,4 +1,5 @@
 // src/utils/fileUtils.js
+import { generateChecksum } from './helpers';
 
 /**
  * File operation utilities
@@ -187,30 +188,11 @@ const getFileExtension = (fileName) => {
 };
 
 /**
- * Generate file checksum
+ * Generate file checksum (SHA-256, hex) over the whole file
  */
 export const generateFileChecksum = async (file) => {
-    // For simulation, generate a simple checksum
-    // In a real app, use crypto.subtle.digest('SHA-256', buffer)
-
-    return new Promise((resolve) => {
-        const reader = new FileReader();
-
-        reader.onload = (event) => {
-            const buffer = event.target.result;
-            let hash = 0;
-
-            // Simple hash for simulation
-            for (let i = 0; i < Math.min(buffer.byteLength, 10000); i++) {
-                hash = ((hash << 5) - hash) + (new Uint8Array(buffer)[i]);
-                hash = hash & hash;
-            }
-
-            resolve(Math.abs(hash).toString(16));
-        };
-
-        reader.readAsArrayBuffer(file.slice(0, Math.min(file.size, 10000)));
-    });
+    const buffer = await readFileAsArrayBuffer(file);
+    return generateChecksum(buffer);
 };
 
 /**
@@ -284,41 +266,6 @@ export const simulateFileTransfer = async (file, onProgress) => {
     };
 };
 
-/**
- * Compress file (simulation)
- */
-export const compressFile = async (file, compressionLevel = 6) => {
-    console.log(`Compressing file: ${file.name} (level: ${compressionLevel})`);
-
-    // Simulate compression
-    await new Promise(resolve => setTimeout(resolve, 500));
-
-    const compressedSize = Math.floor(file.size * (0.3 + (Math.random() * 0.3))); // 30-60% of original
-
-    return {
-        originalSize: file.size,
-        compressedSize,
-        ratio: (compressedSize / file.size * 100).toFixed(1) + '%',
-        time: 500
-    };
-};
-
-/**
- * Decompress file (simulation)
- */
-export const decompressFile = async (compressedData) => {
-    console.log('Decompressing file...');
-
-    // Simulate decompression
-    await new Promise(resolve => setTimeout(resolve, 300));
-
-    return {
-        success: true,
-        decompressedSize: compressedData.originalSize,
-        time: 300
-    };
-};
-
 /**
  * Create file download
  */
@@ -196,6 +196,11 @@ export const isValidIP = (ip) => {
         }
     }
 
+    // IPv6 link-local (fe80::/10), optionally with a zone ID such as "%eth0"
+    if (/^fe[89ab][0-9a-f]?:[0-9a-f:]*(%[\w.-]+)?$/i.test(ip)) {
+        return true;
+    }
+
     return false;
 };
 
@@ -264,6 +269,32 @@ export const formatSpeed = (bytesPerSecond) => {
     return `${gb.toFixed(2)} GB/s`;
 };
 
+/**
+ * Bandwidth caps offered in the UI, in bytes per second; null is unlimited
+ */
+export const BANDWIDTH_PRESETS = [null, 256 * 1024, 1024 * 1024, 5 * 1024 * 1024, 10 * 1024 * 1024, 50 * 1024 * 1024];
+
+/**
+ * Format a bandwidth cap
+ */
+export const formatBandwidthLimit = (bytesPerSecond) => {
+    return bytesPerSecond ? formatSpeed(bytesPerSecond) : 'Unlimited';
+};
+
+/**
+ * Parse a bandwidth cap such as "500KB", "2.5MB", "1G" or "off" (a bare number is MB/s).
+ * Returns bytes per second, null for unlimited, or NaN if it can't be read.
+ */
+export const parseBandwidthLimit = (text) => {
+    const value = String(text || '').trim().toLowerCase();
+    if (['off', 'none', 'unlimited', '0'].includes(value)) return null;
+
+    const match = value.match(/^(\d+(?:\.\d+)?)\s*(k|kb|m|mb|g|gb)?(?:\/s)?$/);
+    if (!match) return NaN;
+    const units = { k: 1024, m: 1024 * 1024, g: 1024 * 1024 * 1024 };
+    return Math.round(parseFloat(match[1]) * units[(match[2] || 'm')[0]]);
+};
+
 /**
  * Copy text to clipboard
  */
@@ -304,21 +335,22 @@ export const downloadFile = (data, filename, type = 'text/plain') => {
 };
 
 /**
- * Generate checksum for data
+ * Generate a SHA-256 checksum (hex) for data
+ * Accepts strings, ArrayBuffers/typed arrays, or anything JSON-serialisable
  */
 export const generateChecksum = async (data) => {
-    // Simple checksum for simulation
-    // In a real app, use crypto.subtle.digest()
-    let hash = 0;
-    const str = typeof data === 'string' ? data : JSON.stringify(data);
-
-    for (let i = 0; i < str.length; i++) {
-        const char = str.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash = hash & hash; // Convert to 32-bit integer
+    let bytes;
+    if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+        bytes = data;
+    } else {
+        const str = typeof data === 'string' ? data : JSON.stringify(data);
+        bytes = new TextEncoder().encode(str);
     }
 
-    return Math.abs(hash).toString(16);
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest))
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
 };
 
 /**
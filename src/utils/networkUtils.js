@@ -5,11 +5,83 @@
  */
 
 /**
- * Check if IP is in link-local range
+ * Check if IP is IPv6, with or without a zone ID such as "%eth0"
+ */
+export const isIPv6 = (ip) => typeof ip === 'string' && ip.includes(':');
+
+/**
+ * Split a scoped IPv6 address into the address and its zone ID
+ */
+export const splitZone = (ip) => {
+    const index = ip.indexOf('%');
+    return index === -1 ? { address: ip, zone: null } : { address: ip.slice(0, index), zone: ip.slice(index + 1) };
+};
+
+/**
+ * Parse an IPv4 or IPv6 address into its bytes (4 or 16), or null if it isn't one
+ */
+export const ipToBytes = (ip) => {
+    const { address } = splitZone(String(ip));
+    if (!isIPv6(address)) {
+        const parts = address.split('.');
+        if (parts.length !== 4 || parts.some(p => !/^\d{1,3}$/.test(p) || Number(p) > 255)) return null;
+        return parts.map(Number);
+    }
+
+    // An embedded IPv4 tail ("::ffff:192.168.1.5") stands for the last two groups
+    let text = address;
+    const tail = /(\d+\.\d+\.\d+\.\d+)$/.exec(text);
+    if (tail) {
+        const v4 = ipToBytes(tail[1]);
+        if (!v4) return null;
+        text = `${text.slice(0, -tail[1].length)}${((v4[0] << 8) | v4[1]).toString(16)}:${((v4[2] << 8) | v4[3]).toString(16)}`;
+    }
+
+    const halves = text.split('::');
+    if (halves.length > 2) return null;
+    const head = halves[0] ? halves[0].split(':') : [];
+    const rest = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+    const missing = 8 - head.length - rest.length;
+    if (halves.length === 2 ? missing < 1 : missing !== 0) return null;
+    const groups = [...head, ...new Array(missing).fill('0'), ...rest];
+    if (groups.some(g => !/^[0-9a-f]{1,4}$/i.test(g))) return null;
+    return groups.flatMap(g => {
+        const value = parseInt(g, 16);
+        return [value >> 8, value & 0xff];
+    });
+};
+
+/**
+ * Format address bytes back into text; IPv6 in its shortest form, as in "fe80::1"
+ */
+export const bytesToIp = (bytes) => {
+    if (bytes.length === 4) return bytes.join('.');
+
+    const groups = [];
+    for (let i = 0; i < 16; i += 2) groups.push(((bytes[i] << 8) | bytes[i + 1]).toString(16));
+    // The longest run of two or more zero groups becomes "::"
+    let bestStart = -1;
+    let bestLength = 1;
+    for (let i = 0; i < 8; i++) {
+        let length = 0;
+        while (i + length < 8 && groups[i + length] === '0') length++;
+        if (length > bestLength) {
+            bestStart = i;
+            bestLength = length;
+        }
+    }
+    if (bestStart === -1) return groups.join(':');
+    return `${groups.slice(0, bestStart).join(':')}::${groups.slice(bestStart + bestLength).join(':')}`;
+};
+
+/**
+ * Check if IP is in link-local range (169.254.0.0/16 or fe80::/10)
  */
 export const isLinkLocalIP = (ip) => {
-    const parts = ip.split('.').map(Number);
-    return parts[0] === 169 && parts[1] === 254;
+    const bytes = ipToBytes(ip);
+    if (!bytes) return false;
+    if (bytes.length === 16) return bytes[0] === 0xfe && (bytes[1] & 0xc0) === 0x80;
+    return bytes[0] === 169 && bytes[1] === 254;
 };
 
 /**
@@ -31,37 +103,52 @@ export const getConnectedEthernet = (interfaces) => {
 };
 
 /**
- * Calculate network mask from prefix length
+ * Calculate network mask from prefix length; pass 'IPv6' for an IPv6 mask
  */
-export const prefixLengthToMask = (prefixLength) => {
+export const prefixLengthToMask = (prefixLength, family = 'IPv4') => {
     const mask = [];
-    for (let i = 0; i < 4; i++) {
-        const n = Math.min(prefixLength, 8);
+    for (let i = 0; i < (family === 'IPv6' ? 16 : 4); i++) {
+        const n = Math.max(0, Math.min(prefixLength, 8));
         mask.push(256 - Math.pow(2, 8 - n));
         prefixLength -= n;
     }
-    return mask.join('.');
+    return bytesToIp(mask);
 };
 
 /**
- * Calculate prefix length from subnet mask
+ * Calculate prefix length from subnet mask, IPv4 or IPv6
  */
 export const maskToPrefixLength = (mask) => {
-    const parts = mask.split('.').map(Number);
+    const parts = ipToBytes(mask) || [];
     return parts.reduce((count, part) => {
         return count + part.toString(2).split('1').length - 1;
     }, 0);
 };
 
+// The mask as bytes; accepts a dotted or IPv6 mask, or a prefix length such as 64
+const maskBytes = (subnetMask, length) => {
+    if (typeof subnetMask === 'number' || /^\d+$/.test(String(subnetMask))) {
+        return ipToBytes(prefixLengthToMask(Number(subnetMask), length === 16 ? 'IPv6' : 'IPv4'));
+    }
+    return ipToBytes(subnetMask);
+};
+
 /**
- * Check if two IPs are in same subnet
+ * Check if two IPs are in same subnet. Works for IPv4 and IPv6; the mask may also be
+ * a prefix length. Scoped link-local addresses on different interfaces never are.
  */
 export const isSameSubnet = (ip1, ip2, subnetMask) => {
-    const ip1Parts = ip1.split('.').map(Number);
-    const ip2Parts = ip2.split('.').map(Number);
-    const maskParts = subnetMask.split('.').map(Number);
+    const ip1Parts = ipToBytes(ip1);
+    const ip2Parts = ipToBytes(ip2);
+    if (!ip1Parts || !ip2Parts || ip1Parts.length !== ip2Parts.length) return false;
+    const maskParts = maskBytes(subnetMask, ip1Parts.length);
+    if (!maskParts || maskParts.length !== ip1Parts.length) return false;
 
-    for (let i = 0; i < 4; i++) {
+    const zone1 = splitZone(String(ip1)).zone;
+    const zone2 = splitZone(String(ip2)).zone;
+    if (zone1 && zone2 && zone1 !== zone2) return false;
+
+    for (let i = 0; i < ip1Parts.length; i++) {
         if ((ip1Parts[i] & maskParts[i]) !== (ip2Parts[i] & maskParts[i])) {
             return false;
         }
@@ -71,11 +158,12 @@ export const isSameSubnet = (ip1, ip2, subnetMask) => {
 };
 
 /**
- * Get broadcast address
+ * Get broadcast address; null for IPv6, which has no broadcast
  */
 export const getBroadcastAddress = (ip, subnetMask) => {
+    if (isIPv6(ip)) return null;
     const ipParts = ip.split('.').map(Number);
-    const maskParts = subnetMask.split('.').map(Number);
+    const maskParts = maskBytes(subnetMask, 4);
     const broadcast = [];
 
     for (let i = 0; i < 4; i++) {
@@ -86,18 +174,19 @@ export const getBroadcastAddress = (ip, subnetMask) => {
 };
 
 /**
- * Get network address
+ * Get network address, IPv4 or IPv6
  */
 export const getNetworkAddress = (ip, subnetMask) => {
-    const ipParts = ip.split('.').map(Number);
-    const maskParts = subnetMask.split('.').map(Number);
+    const ipParts = ipToBytes(ip);
+    const maskParts = ipParts && maskBytes(subnetMask, ipParts.length);
+    if (!ipParts || !maskParts || maskParts.length !== ipParts.length) return null;
     const network = [];
 
-    for (let i = 0; i < 4; i++) {
+    for (let i = 0; i < ipParts.length; i++) {
         network.push(ipParts[i] & maskParts[i]);
     }
 
-    return network.join('.');
+    return bytesToIp(network);
 };
 
 /**
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+
+const HISTORY_FILE = 'transfer-history.jsonl';
+// Huge batches keep their totals but only list this many files
+const MAX_RECORDED_FILES = 10000;
+
+/**
+ * Every finished transfer, sent or received, kept in an append-only JSON Lines file.
+ * A batch that is retried appends an updated copy of its record; the last line for
+ * an ID wins when the file is loaded, and superseded lines are compacted away.
+ */
+class TransferHistory {
+    constructor(dataDir) {
+        this.historyPath = path.join(dataDir, HISTORY_FILE);
+        this.records = new Map();
+        this.load();
+    }
+
+    load() {
+        let lines = [];
+        try {
+            if (fs.existsSync(this.historyPath)) {
+                lines = fs.readFileSync(this.historyPath, 'utf8').split('\n').filter(Boolean);
+            }
+        } catch (e) {
+            console.error(`Error reading ${this.historyPath}:`, e);
+        }
+
+        for (const line of lines) {
+            try {
+                const record = JSON.parse(line);
+                this.records.delete(keyFor(record));
+                this.records.set(keyFor(record), record);
+            } catch (e) {
+                // A crash mid-append can leave a torn last line; skip it
+            }
+        }
+
+        if (lines.length > this.records.size * 2 && lines.length > 100) {
+            this.compact();
+        }
+    }
+
+    compact() {
+        try {
+            const tmpPath = `${this.historyPath}.tmp`;
+            fs.writeFileSync(tmpPath, [...this.records.values()].map(r => JSON.stringify(r) + '\n').join(''));
+            fs.renameSync(tmpPath, this.historyPath);
+        } catch (e) {
+            console.error(`Error compacting ${this.historyPath}:`, e);
+        }
+    }
+
+    /**
+     * Store the outcome of one attempt at a transfer. Later attempts at the same
+     * batch (a reconnect after a dropped connection) are merged into its record.
+     */
+    record(entry) {
+        const key = keyFor(entry);
+        const previous = this.records.get(key);
+        const record = previous ? merge(previous, entry) : finalize(entry);
+
+        this.records.delete(key);
+        this.records.set(key, record);
+        try {
+            fs.mkdirSync(path.dirname(this.historyPath), { recursive: true });
+            fs.appendFileSync(this.historyPath, JSON.stringify(record) + '\n');
+        } catch (e) {
+            console.error(`Error writing ${this.historyPath}:`, e);
+        }
+        return record;
+    }
+
+    /**
+     * Newest first. `query` matches file names, peer name/IP/fingerprint, checksums and outcome.
+     */
+    list(options = {}) {
+        const query = (options.query || '').trim().toLowerCase();
+        let records = [...this.records.values()].reverse();
+        if (query) {
+            records = records.filter(record => matches(record, query));
+        }
+        return options.limit ? records.slice(0, options.limit) : records;
+    }
+
+    clear() {
+        this.records.clear();
+        try {
+            if (fs.existsSync(this.historyPath)) fs.unlinkSync(this.historyPath);
+        } catch (e) {
+            console.error(`Error clearing ${this.historyPath}:`, e);
+        }
+    }
+}
+
+function keyFor(record) {
+    return `${record.direction}|${record.id}`;
+}
+
+function finalize(record) {
+    const files = record.files.slice(0, MAX_RECORDED_FILES);
+    const durationMs = record.durationMs !== undefined
+        ? record.durationMs
+        : Math.max(0, record.endedAt - record.startedAt);
+    return {
+        ...record,
+        files,
+        fileCount: Math.max(record.fileCount || 0, record.files.length),
+        filesTruncated: record.files.length > files.length,
+        totalSize: record.totalSize !== undefined ? record.totalSize : files.reduce((sum, f) => sum + (f.size || 0), 0),
+        durationMs,
+        // Bytes per second over the time actually spent transferring
+        averageSpeed: durationMs > 0 ? Math.round(record.bytesTransferred / (durationMs / 1000)) : 0
+    };
+}
+
+function merge(previous, attempt) {
+    const files = new Map(previous.files.map(f => [f.name, f]));
+    for (const file of attempt.files) {
+        const known = files.get(file.name);
+        // A file that already arrived stays arrived even if a later attempt didn't resend it
+        if (!known || known.status !== 'completed' || file.status === 'corrupted') {
+            files.set(file.name, { ...known, ...file });
+        }
+    }
+
+    return finalize({
+        ...previous,
+        ...attempt,
+        files: [...files.values()],
+        fileCount: Math.max(previous.fileCount || 0, attempt.fileCount || 0),
+        totalSize: Math.max(previous.totalSize || 0, attempt.totalSize || 0),
+        bytesTransferred: (previous.bytesTransferred || 0) + (attempt.bytesTransferred || 0),
+        startedAt: Math.min(previous.startedAt, attempt.startedAt),
+        // Time between attempts isn't transfer time
+        durationMs: previous.durationMs + Math.max(0, attempt.endedAt - attempt.startedAt),
+        attempts: (previous.attempts || 1) + 1
+    });
+}
+
+function matches(record, query) {
+    const peer = record.peer || {};
+    const fields = [peer.name, peer.ip, peer.fingerprint, record.outcome, record.direction, record.savePath, record.id];
+    if (fields.some(value => value && String(value).toLowerCase().includes(query))) return true;
+    return record.files.some(file =>
+        (file.name && file.name.toLowerCase().includes(query)) ||
+        (file.sha256 && file.sha256.startsWith(query))
+    );
+}
+
+module.exports = TransferHistory;
@@ -0,0 +1,91 @@
+const { Transform } = require('stream');
+
+// Message layer carried inside the encrypted channel (see secureChannel.js).
+// One connection carries a whole batch: the sender streams FILE_HEADER, FILE_DATA...
+// and FILE_END for each file in manifest order, then BATCH_END. The receiver answers
+// each file with a FILE_ACK on the reverse direction of the same socket.
+// Either side may send PAUSE or RESUME at any point; while paused, both ends send
+// a KEEPALIVE every few seconds so an idle connection isn't taken for a dead one.
+// A file the receiver already holds an older copy of can be sent as a delta:
+// its FILE_HEADER asks for DELTA_SIGNATURES of that copy, and the file then
+// arrives as FILE_DATA for new bytes and DELTA_COPY for blocks to reuse.
+// A connection opened to browse a peer's shared folders carries just one
+// SHARE_REQUEST and the SHARE_REPLY to it.
+// Each message is: [type:1][length:4][payload:length]
+const PROTOCOL_VERSION = 2;
+const HEADER_LENGTH = 5;
+const MAX_MESSAGE_SIZE = 16 * 1024 * 1024;
+
+const MessageType = {
+    FILE_HEADER: 1,
+    FILE_DATA: 2,
+    FILE_END: 3,
+    FILE_ACK: 4,
+    BATCH_END: 5,
+    PAUSE: 6,
+    RESUME: 7,
+    KEEPALIVE: 8,
+    SHARE_REQUEST: 9,
+    SHARE_REPLY: 10,
+    DELTA_SIGNATURES: 11,
+    DELTA_COPY: 12
+};
+
+// Payloads are raw bytes for FILE_DATA and DELTA_SIGNATURES, and JSON for everything else
+function encodeMessage(type, payload) {
+    const body = Buffer.isBuffer(payload)
+        ? payload
+        : Buffer.from(payload === undefined ? '' : JSON.stringify(payload));
+    const header = Buffer.alloc(HEADER_LENGTH);
+    header.writeUInt8(type, 0);
+    header.writeUInt32BE(body.length, 1);
+    return Buffer.concat([header, body]);
+}
+
+function parsePayload(message) {
+    try {
+        return message.payload.length ? JSON.parse(message.payload.toString()) : {};
+    } catch (e) {
+        throw new Error('Malformed protocol message');
+    }
+}
+
+// Turns a byte stream back into { type, payload } objects
+function createMessageDecoder() {
+    let pending = Buffer.alloc(0);
+
+    return new Transform({
+        readableObjectMode: true,
+        transform(chunk, encoding, callback) {
+            pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+
+            try {
+                while (pending.length >= HEADER_LENGTH) {
+                    const type = pending.readUInt8(0);
+                    const length = pending.readUInt32BE(1);
+                    if (!Object.values(MessageType).includes(type) || length > MAX_MESSAGE_SIZE) {
+                        throw new Error('Malformed protocol message');
+                    }
+                    if (pending.length < HEADER_LENGTH + length) break;
+
+                    this.push({ type, payload: pending.subarray(HEADER_LENGTH, HEADER_LENGTH + length) });
+                    pending = pending.subarray(HEADER_LENGTH + length);
+                }
+                callback();
+            } catch (e) {
+                callback(e);
+            }
+        },
+        flush(callback) {
+            callback(pending.length > 0 ? new Error('Protocol stream ended mid-message') : null);
+        }
+    });
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    MessageType,
+    encodeMessage,
+    parsePayload,
+    createMessageDecoder
+};
@@ -0,0 +1,344 @@
+const path = require('path');
+const { loadJson, saveJson } = require('./jsonStore');
+
+const QUEUE_FILE = 'transfer-queue.json';
+const PRIORITIES = ['high', 'normal', 'low'];
+// Dropped connections are retried with a growing delay before the job is given up on
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY = 2000;
+// Per-file progress is saved at most this often; structural changes are saved at once
+const SAVE_DELAY = 1000;
+
+/**
+ * Outgoing transfers waiting to be sent, persisted so they survive a restart.
+ * Jobs start in priority order, then queue order, while staying within the
+ * global and per-peer concurrency limits from `getLimits()`.
+ *
+ * `runJob(job, files, onFileComplete)` does the sending and resolves when the
+ * receiver has acknowledged everything. Files it reports complete are skipped
+ * when a job is retried or picked up again after a restart.
+ * `onChange(job)` fires whenever a job changes state or the order changes.
+ *
+ * A paused job keeps its place but isn't started, and stays paused across restarts.
+ * If it's running, its connection is paused rather than dropped; it no longer counts
+ * against the concurrency limits, so other jobs can use the link meanwhile.
+ */
+class TransferQueue {
+    constructor(dataDir, { runJob, getLimits, onChange }) {
+        this.queuePath = path.join(dataDir, QUEUE_FILE);
+        this.runJob = runJob;
+        this.getLimits = getLimits;
+        this.onChange = onChange || (() => { });
+        this.started = false;
+        this.saveTimer = null;
+        this.retryTimers = new Map();
+        // Callers waiting on a job to finish, by job id
+        this.waiters = new Map();
+
+        // Whatever was running when the app last quit goes back in line and resumes, unless it was paused
+        this.jobs = loadJson(this.queuePath, []).map(job => ({ ...job, status: 'queued', attempts: 0, retryAt: null }));
+    }
+
+    start() {
+        this.started = true;
+        this.pump();
+    }
+
+    stop() {
+        this.started = false;
+        for (const timer of this.retryTimers.values()) clearTimeout(timer);
+        this.retryTimers.clear();
+        this.save();
+    }
+
+    /**
+     * Add a batch for one peer. `files` are { path, relativePath?, name?, size? }.
+     * `peerId` is the peer's device id, when known, so a retry can find it at a new address,
+     * and `peerKey` its identity key, so nobody else answering there gets the files.
+     * `sync` marks a folder sync push, `{ share }` being where on the peer it goes.
+     */
+    enqueue({ id, peerIP, peerId = null, peerKey = null, files, priority = 'normal', sync = null }) {
+        if (!peerIP) throw new Error('No peer IP specified');
+        if (!files || files.length === 0) throw new Error('No files provided');
+        checkPriority(priority);
+
+        const existing = this.get(id);
+        if (existing) return existing;
+
+        const job = {
+            id: id || `send_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+            peerIP,
+            peerId,
+            peerKey,
+            sync,
+            files: files.map(f => ({ path: f.path, relativePath: f.relativePath, name: f.name, size: f.size })),
+            priority,
+            status: 'queued',
+            paused: false,
+            attempts: 0,
+            completedFiles: [],
+            createdAt: Date.now(),
+            error: null,
+            retryAt: null
+        };
+        this.jobs.push(job);
+        this.save();
+        this.changed(job);
+        this.pump();
+        return job;
+    }
+
+    get(id) {
+        return this.jobs.find(job => job.id === id) || null;
+    }
+
+    // Resolves with the job's last change once it has completed, failed or been cancelled
+    whenFinished(id) {
+        if (!this.get(id)) return Promise.reject(new Error('No such transfer in the queue'));
+        return new Promise((resolve) => {
+            this.waiters.set(id, [...(this.waiters.get(id) || []), resolve]);
+        });
+    }
+
+    // Pending jobs in the order they'll be started
+    ordered() {
+        return this.jobs
+            .map((job, index) => ({ job, index }))
+            .sort((a, b) => PRIORITIES.indexOf(a.job.priority) - PRIORITIES.indexOf(b.job.priority) || a.index - b.index)
+            .map(entry => entry.job);
+    }
+
+    // Every pending job in start order; file lists are left out unless asked for
+    list(options = {}) {
+        return this.ordered().map((job, position) => ({
+            id: job.id,
+            peerIP: job.peerIP,
+            priority: job.priority,
+            status: job.status,
+            paused: !!job.paused,
+            position,
+            attempts: job.attempts,
+            fileCount: job.files.length,
+            completedCount: job.completedFiles.length,
+            totalSize: job.files.reduce((sum, f) => sum + (f.size || 0), 0),
+            createdAt: job.createdAt,
+            error: job.error,
+            retryAt: job.retryAt,
+            ...(options.withFiles ? { files: job.files } : {})
+        }));
+    }
+
+    setPriority(id, priority) {
+        checkPriority(priority);
+        const job = this.get(id);
+        if (!job) return false;
+        job.priority = priority;
+        this.save();
+        this.changed(job);
+        this.pump();
+        return true;
+    }
+
+    /**
+     * Pause or resume a job. `peerKey` is the identity of the device it's going to, once
+     * known, so only that device can ask for it to be resumed.
+     */
+    setPaused(id, paused, peerKey) {
+        const job = this.get(id);
+        if (!job) return false;
+        if (peerKey) job.peerKey = peerKey;
+        if (!!job.paused === paused) return true;
+        job.paused = paused;
+        this.save();
+        this.changed(job);
+        this.pump();
+        return true;
+    }
+
+    // Where the job's device was last reached, so retries and the queue view follow it
+    setAddress(id, peerIP) {
+        const job = this.get(id);
+        if (!job || job.peerIP === peerIP) return false;
+        job.peerIP = peerIP;
+        this.save();
+        this.changed(job);
+        return true;
+    }
+
+    /**
+     * Move a job so it starts just before `beforeId` (or last, if not given).
+     * It takes on the priority of where it's dropped, so the order sticks.
+     */
+    move(id, beforeId = null) {
+        const job = this.get(id);
+        if (!job || id === beforeId) return false;
+
+        const pending = this.ordered();
+        const target = beforeId ? pending.find(j => j.id === beforeId) : null;
+        if (beforeId && !target) return false;
+
+        this.jobs.splice(this.jobs.indexOf(job), 1);
+        if (target) {
+            job.priority = target.priority;
+            this.jobs.splice(this.jobs.indexOf(target), 0, job);
+        } else {
+            const last = pending.filter(j => j !== job).pop();
+            if (last) job.priority = last.priority;
+            this.jobs.push(job);
+        }
+        this.save();
+        this.changed(job);
+        this.pump();
+        return true;
+    }
+
+    /**
+     * Drop a job from the queue. A running job is only marked here; the caller
+     * stops its connection and the runner's rejection finishes it as cancelled.
+     */
+    cancel(id) {
+        const job = this.get(id);
+        if (!job) return false;
+        job.cancelled = true;
+        if (job.status !== 'running') {
+            this.finish(job, 'cancelled', new Error('Transfer cancelled'));
+        }
+        return true;
+    }
+
+    pump() {
+        if (!this.started) return;
+        const { maxConcurrent, maxPerPeer } = this.getLimits();
+        const running = this.jobs.filter(job => job.status === 'running' && !job.paused);
+        const perPeer = new Map();
+        for (const job of running) perPeer.set(peerOf(job), (perPeer.get(peerOf(job)) || 0) + 1);
+
+        let active = running.length;
+        for (const job of this.ordered()) {
+            if (active >= maxConcurrent) break;
+            if (job.status !== 'queued' || job.paused || (perPeer.get(peerOf(job)) || 0) >= maxPerPeer) continue;
+            perPeer.set(peerOf(job), (perPeer.get(peerOf(job)) || 0) + 1);
+            active++;
+            this.run(job);
+        }
+    }
+
+    async run(job) {
+        job.status = 'running';
+        job.attempts++;
+        job.error = null;
+        job.retryAt = null;
+        this.save();
+        this.changed(job);
+
+        const completed = new Set(job.completedFiles);
+        const remaining = job.files.filter(f => !completed.has(f.path));
+        try {
+            let result = { corrupted: [] };
+            if (remaining.length > 0) {
+                result = await this.runJob(job, remaining, (file) => {
+                    job.completedFiles.push(file.path);
+                    this.scheduleSave();
+                });
+            }
+            this.finish(job, 'completed', null, { corrupted: result.corrupted.length });
+        } catch (err) {
+            if (job.cancelled || err.code === 'TRANSFER_CANCELLED') {
+                this.finish(job, 'cancelled', err);
+            } else if (job.paused) {
+                // The connection went while paused; the job waits to be resumed
+                job.status = 'queued';
+                job.error = err.message;
+                this.save();
+                this.changed(job);
+            } else if (err.retryable && job.attempts < MAX_ATTEMPTS) {
+                this.retryLater(job, err);
+            } else {
+                this.finish(job, 'failed', err);
+            }
+        }
+        this.pump();
+    }
+
+    retryLater(job, err) {
+        const delay = RETRY_BASE_DELAY * Math.pow(2, job.attempts - 1);
+        console.log(`Transfer ${job.id} to ${job.peerIP} lost its connection (${err.message}); retrying in ${delay}ms`);
+        job.status = 'retrying';
+        job.error = err.message;
+        job.retryAt = Date.now() + delay;
+        this.save();
+        this.changed(job);
+
+        this.retryTimers.set(job.id, setTimeout(() => {
+            this.retryTimers.delete(job.id);
+            if (job.status !== 'retrying') return;
+            job.status = 'queued';
+            this.changed(job);
+            this.pump();
+        }, delay));
+    }
+
+    finish(job, status, err, details = {}) {
+        clearTimeout(this.retryTimers.get(job.id));
+        this.retryTimers.delete(job.id);
+        const index = this.jobs.indexOf(job);
+        if (index !== -1) this.jobs.splice(index, 1);
+        this.save();
+
+        job.status = status;
+        job.error = err ? err.message : null;
+        const change = this.changed(job, {
+            declined: !!err && err.code === 'TRANSFER_DECLINED',
+            ...details
+        });
+        const waiters = this.waiters.get(job.id) || [];
+        this.waiters.delete(job.id);
+        for (const resolve of waiters) resolve(change);
+    }
+
+    changed(job, details = {}) {
+        const change = {
+            id: job.id,
+            peerIP: job.peerIP,
+            priority: job.priority,
+            status: job.status,
+            paused: !!job.paused,
+            attempts: job.attempts,
+            error: job.error,
+            retryAt: job.retryAt,
+            ...details
+        };
+        try {
+            this.onChange(change);
+        } catch (e) {
+            console.error('Transfer queue listener failed:', e);
+        }
+        return change;
+    }
+
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY);
+    }
+
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        saveJson(this.queuePath, this.jobs.map(({ cancelled, ...job }) => job));
+    }
+}
+
+// One device can be reached at several addresses; the per-peer limit counts it once
+function peerOf(job) {
+    return job.peerId || job.peerIP;
+}
+
+function checkPriority(priority) {
+    if (!PRIORITIES.includes(priority)) {
+        throw new Error(`Priority must be one of: ${PRIORITIES.join(', ')}`);
+    }
+}
+
+TransferQueue.PRIORITIES = PRIORITIES;
+
+module.exports = TransferQueue;
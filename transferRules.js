@@ -0,0 +1,101 @@
+const path = require('path');
+const { loadJson, saveJson } = require('./jsonStore');
+
+const RULES_FILE = 'transfer-rules.json';
+const CONFLICT_POLICIES = ['rename', 'overwrite', 'skip', 'ask'];
+
+const DEFAULT_RULES = {
+    // Peers whose offers are accepted without asking, matched by identity key
+    alwaysAccept: [],
+    // Offers larger than this (in bytes) are declined without asking; null disables the limit
+    autoRejectOverBytes: null,
+    // What happens to an incoming file whose name is already taken: saved as "name (2).ext",
+    // replacing the old one, not received at all, or whatever the user picks when offered
+    conflictPolicy: 'rename',
+    // Don't receive a file at all when the one already there has the same SHA-256
+    skipIdentical: false
+};
+
+/**
+ * Persisted rules deciding what happens to an incoming transfer offer
+ * before the user is asked.
+ */
+class TransferRules {
+    constructor(dataDir) {
+        this.rulesPath = path.join(dataDir, RULES_FILE);
+        this.rules = { ...DEFAULT_RULES, ...loadJson(this.rulesPath, {}) };
+    }
+
+    getRules() {
+        return this.rules;
+    }
+
+    save() {
+        saveJson(this.rulesPath, this.rules);
+    }
+
+    /**
+     * Returns { action: 'accept' | 'reject' | 'ask', reason }
+     * Size limits win over auto-accept so a trusted peer can't fill the disk by accident.
+     */
+    evaluate(offer) {
+        const { autoRejectOverBytes, alwaysAccept, conflictPolicy } = this.rules;
+
+        if (autoRejectOverBytes && offer.totalSize > autoRejectOverBytes) {
+            return { action: 'reject', reason: 'Transfer exceeds the receiver\'s size limit' };
+        }
+
+        // Even a trusted device's files can't replace ours without the user choosing how
+        if (conflictPolicy === 'ask' && offer.conflictCount > 0) {
+            return { action: 'ask' };
+        }
+
+        if (offer.publicKey && alwaysAccept.some(rule => rule.publicKey === offer.publicKey)) {
+            return { action: 'accept', reason: 'Auto-accepted from trusted device' };
+        }
+
+        return { action: 'ask' };
+    }
+
+    addAlwaysAccept(peer) {
+        if (!peer.publicKey) throw new Error('Only devices with an identity key can be auto-accepted');
+        this.rules.alwaysAccept = this.rules.alwaysAccept
+            .filter(rule => rule.publicKey !== peer.publicKey)
+            .concat({ name: peer.name, publicKey: peer.publicKey, fingerprint: peer.fingerprint, addedAt: new Date().toISOString() });
+        this.save();
+        return this.rules;
+    }
+
+    removeAlwaysAccept(nameOrFingerprint) {
+        this.rules.alwaysAccept = this.rules.alwaysAccept.filter(rule =>
+            rule.name !== nameOrFingerprint && rule.fingerprint !== nameOrFingerprint
+        );
+        this.save();
+        return this.rules;
+    }
+
+    setAutoRejectOverBytes(bytes) {
+        this.rules.autoRejectOverBytes = bytes && bytes > 0 ? bytes : null;
+        this.save();
+        return this.rules;
+    }
+
+    setConflictPolicy(policy) {
+        if (!CONFLICT_POLICIES.includes(policy)) {
+            throw new Error(`Conflict policy must be one of: ${CONFLICT_POLICIES.join(', ')}`);
+        }
+        this.rules.conflictPolicy = policy;
+        this.save();
+        return this.rules;
+    }
+
+    setSkipIdentical(enabled) {
+        this.rules.skipIdentical = !!enabled;
+        this.save();
+        return this.rules;
+    }
+}
+
+TransferRules.CONFLICT_POLICIES = CONFLICT_POLICIES;
+
+module.exports = TransferRules;
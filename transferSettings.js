@@ -0,0 +1,103 @@
+const path = require('path');
+const { loadJson, saveJson } = require('./jsonStore');
+
+const SETTINGS_FILE = 'transfer-settings.json';
+
+const MAX_PARALLEL_STREAMS = 16;
+const MAX_CONCURRENT_TRANSFERS = 16;
+const COMPRESSION_CHOICES = ['off', 'gzip', 'br'];
+
+const DEFAULT_SETTINGS = {
+    // Connections used for a single large file; 1 sends everything over the batch connection
+    parallelStreams: 4,
+    // Files smaller than this aren't worth splitting into ranges
+    parallelThresholdBytes: 64 * 1024 * 1024,
+    // Preferred on-the-fly compression ("gzip", "br" or "off"); the receiver has the final say
+    compression: 'gzip',
+    // Queued transfers that may run at once, across all peers and to any one peer
+    maxConcurrentTransfers: 3,
+    maxTransfersPerPeer: 1,
+    // Send only the changed parts of files the receiver already has an older copy of
+    deltaTransfers: true
+};
+
+/**
+ * Persisted tuning for outgoing transfers.
+ */
+class TransferSettings {
+    constructor(dataDir) {
+        this.settingsPath = path.join(dataDir, SETTINGS_FILE);
+        this.settings = { ...DEFAULT_SETTINGS, ...loadJson(this.settingsPath, {}) };
+    }
+
+    getSettings() {
+        return this.settings;
+    }
+
+    save() {
+        saveJson(this.settingsPath, this.settings);
+    }
+
+    setParallelStreams(count) {
+        const streams = Number(count);
+        if (!Number.isInteger(streams) || streams < 1 || streams > MAX_PARALLEL_STREAMS) {
+            throw new Error(`Parallel streams must be between 1 and ${MAX_PARALLEL_STREAMS}`);
+        }
+        this.settings.parallelStreams = streams;
+        this.save();
+        return this.settings;
+    }
+
+    setParallelThreshold(bytes) {
+        const threshold = Number(bytes);
+        if (!Number.isSafeInteger(threshold) || threshold < 1024 * 1024) {
+            throw new Error('Parallel threshold must be at least 1 MB');
+        }
+        this.settings.parallelThresholdBytes = threshold;
+        this.save();
+        return this.settings;
+    }
+
+    setCompression(choice) {
+        if (!COMPRESSION_CHOICES.includes(choice)) {
+            throw new Error(`Compression must be one of: ${COMPRESSION_CHOICES.join(', ')}`);
+        }
+        this.settings.compression = choice;
+        this.save();
+        return this.settings;
+    }
+
+    setDeltaTransfers(enabled) {
+        if (typeof enabled !== 'boolean') {
+            throw new Error('Delta transfers must be on or off');
+        }
+        this.settings.deltaTransfers = enabled;
+        this.save();
+        return this.settings;
+    }
+
+    setMaxConcurrentTransfers(count) {
+        this.settings.maxConcurrentTransfers = checkConcurrency(count, 'Concurrent transfers');
+        this.save();
+        return this.settings;
+    }
+
+    setMaxTransfersPerPeer(count) {
+        this.settings.maxTransfersPerPeer = checkConcurrency(count, 'Transfers per peer');
+        this.save();
+        return this.settings;
+    }
+}
+
+function checkConcurrency(count, label) {
+    const limit = Number(count);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_CONCURRENT_TRANSFERS) {
+        throw new Error(`${label} must be between 1 and ${MAX_CONCURRENT_TRANSFERS}`);
+    }
+    return limit;
+}
+
+TransferSettings.MAX_PARALLEL_STREAMS = MAX_PARALLEL_STREAMS;
+TransferSettings.MAX_CONCURRENT_TRANSFERS = MAX_CONCURRENT_TRANSFERS;
+
+module.exports = TransferSettings;
@@ -0,0 +1,552 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { pipeline, Transform } = require('stream');
+const { loadJson, saveJson } = require('./jsonStore');
+const { resolveSafePath } = require('./fileTree');
+const { resolveConflictAction } = require('./networkManager');
+const partialFiles = require('./partialFiles');
+const renderPage = require('./webSharePage');
+
+const SETTINGS_FILE = 'web-share.json';
+const DEFAULT_PORT = 9081;
+const PIN_LENGTH = 6;
+const SESSION_COOKIE = 'safeshare_session';
+const SESSION_TTL = 12 * 60 * 60 * 1000;
+// Wrong PINs from one address before it has to wait, and from everyone together before the PIN
+// is replaced; a 6-digit PIN can't be guessed at this rate, however many addresses are used
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCKOUT = 5 * 60 * 1000;
+const MAX_FAILED_LOGINS = 20;
+// Files one upload can offer, and how many taken names the accept prompt lists
+const MAX_UPLOAD_FILES = 1000;
+const MAX_LISTED_CONFLICTS = 100;
+const MAX_JSON_BODY = 64 * 1024;
+const PROGRESS_INTERVAL = 500;
+const BROWSER_NAME = 'Web browser';
+
+const DEFAULT_SETTINGS = {
+    enabled: false,
+    port: DEFAULT_PORT
+};
+
+function createPin() {
+    return String(crypto.randomInt(0, 10 ** PIN_LENGTH)).padStart(PIN_LENGTH, '0');
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', (chunk) => {
+            body += chunk;
+            if (body.length > MAX_JSON_BODY) {
+                // Stop reading but keep the connection, so the 413 still reaches the browser
+                req.removeAllListeners('data');
+                req.pause();
+                reject(Object.assign(new Error('Request body is too large'), { status: 413 }));
+            }
+        });
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (e) {
+                reject(Object.assign(new Error('Body must be JSON'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function parseCookies(header = '') {
+    const cookies = {};
+    for (const part of header.split(';')) {
+        const index = part.indexOf('=');
+        if (index > 0) cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    }
+    return cookies;
+}
+
+// Share access errors as HTTP statuses: a missing password can be fixed by the visitor, a hidden share can't
+function shareErrorStatus(err) {
+    if (err.code === 'PASSWORD_REQUIRED') return 401;
+    if (err.code === 'SHARE_NOT_FOUND') return 404;
+    return err.status || 500;
+}
+
+/**
+ * An optional web page on the LAN for phones and other devices that can't run
+ * SafeShare: they upload into the downloads folder and download from the
+ * folders this device shares. Visitors log in with a PIN that changes every
+ * time the server starts. Connections are plain HTTP, so unlike app-to-app
+ * transfers they are not encrypted.
+ *
+ * Uploads are offered first and go through the transfer rules and the accept
+ * prompt like any other device's. They are reported through `onEvent(channel, data)`
+ * with the same 'transfer-progress' and 'transfer-complete' events as any incoming
+ * transfer, and recorded in the transfer history. Browsers are treated as unverified
+ * devices: they only see shares that aren't limited to verified devices. A PIN
+ * replaced after too many wrong guesses is announced with 'web-share-updated'.
+ */
+class WebShare {
+    constructor(dataDir, networkManager, { onEvent } = {}) {
+        this.settingsPath = path.join(dataDir, SETTINGS_FILE);
+        this.settings = { ...DEFAULT_SETTINGS, ...loadJson(this.settingsPath, {}) };
+        this.networkManager = networkManager;
+        this.onEvent = onEvent || (() => { });
+        this.server = null;
+        this.error = null;
+        this.pin = null;
+        // Logged-in browsers by session token: { ip, expiresAt, passwords: share name -> password,
+        // uploads: batch id -> the accepted offer }
+        this.sessions = new Map();
+        // Wrong PINs by address, { count, at }, and from everyone since the PIN was made
+        this.failedLogins = new Map();
+        this.failedTotal = 0;
+        this.uploads = new Set();
+    }
+
+    getStatus() {
+        return {
+            enabled: this.settings.enabled,
+            port: this.settings.port,
+            listening: !!this.server,
+            error: this.error,
+            pin: this.server ? this.pin : null,
+            urls: this.server ? this.urls() : []
+        };
+    }
+
+    // Where other devices on the LAN can reach the page. Browsers can't open link-local
+    // IPv6 addresses, which need an interface named in the URL, so those are left out.
+    urls() {
+        const urls = [];
+        for (const addrs of Object.values(os.networkInterfaces())) {
+            for (const addr of addrs) {
+                if (addr.internal) continue;
+                if (addr.family === 'IPv4') urls.push(`http://${addr.address}:${this.settings.port}/`);
+                else if (!addr.address.startsWith('fe80:')) urls.push(`http://[${addr.address}]:${this.settings.port}/`);
+            }
+        }
+        // IPv4 first: it's the address a phone on the same Wi-Fi is most likely to reach
+        return urls.sort((a, b) => a.includes('[') - b.includes('['));
+    }
+
+    save() {
+        saveJson(this.settingsPath, this.settings);
+    }
+
+    async setEnabled(enabled) {
+        this.settings.enabled = !!enabled;
+        this.save();
+        await this.stop();
+        if (this.settings.enabled) await this.start();
+        return this.getStatus();
+    }
+
+    async setPort(port) {
+        const value = Number(port);
+        if (!Number.isInteger(value) || value < 1024 || value > 65535) {
+            throw new Error('Port must be between 1024 and 65535');
+        }
+        this.settings.port = value;
+        this.save();
+        if (this.server) {
+            await this.stop();
+            await this.start();
+        }
+        return this.getStatus();
+    }
+
+    // A new PIN also logs out every browser that used the old one
+    newPin() {
+        this.pin = createPin();
+        this.sessions.clear();
+        this.failedTotal = 0;
+        return this.getStatus();
+    }
+
+    start() {
+        if (this.server || !this.settings.enabled) return Promise.resolve();
+        this.pin = createPin();
+        this.sessions.clear();
+        this.failedLogins.clear();
+        this.failedTotal = 0;
+        return new Promise((resolve) => {
+            const server = http.createServer((req, res) => this.handleRequest(req, res));
+            server.once('error', (err) => {
+                console.error('Web share error:', err);
+                this.error = err.code === 'EADDRINUSE' ? `Port ${this.settings.port} is already in use` : err.message;
+                this.server = null;
+                resolve();
+            });
+            server.listen(this.settings.port, () => {
+                console.log(`Web share listening on port ${this.settings.port}`);
+                this.server = server;
+                this.error = null;
+                resolve();
+            });
+        });
+    }
+
+    stop() {
+        for (const upload of this.uploads) upload.destroy(new Error('Web share stopped'));
+        this.sessions.clear();
+        if (!this.server) return Promise.resolve();
+        const server = this.server;
+        this.server = null;
+        return new Promise((resolve) => {
+            server.close(() => resolve());
+            // Idle keep-alive connections would otherwise hold the port open
+            server.closeAllConnections();
+        });
+    }
+
+    sessionFor(req) {
+        const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        const session = token && this.sessions.get(token);
+        if (!session) return null;
+        if (session.expiresAt < Date.now()) {
+            this.sessions.delete(token);
+            return null;
+        }
+        return session;
+    }
+
+    async handleRequest(req, res) {
+        try {
+            const url = new URL(req.url, 'http://localhost');
+            const route = `${req.method} ${url.pathname}`;
+
+            if (route === 'GET /') {
+                res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+                return res.end(renderPage(os.hostname()));
+            }
+            if (route === 'POST /api/login') return await this.login(req, res);
+
+            const session = this.sessionFor(req);
+            if (route === 'GET /api/session') return sendJson(res, 200, { authenticated: !!session, name: os.hostname() });
+            if (!session) return sendJson(res, 401, { error: 'Enter the PIN shown on the SafeShare device' });
+
+            if (route === 'GET /api/shares') {
+                const shares = this.networkManager.sharedFolders.visibleTo('unverified')
+                    .map(share => ({ name: share.name, passwordRequired: share.passwordRequired }));
+                return sendJson(res, 200, { shares });
+            }
+            if (route === 'POST /api/unlock') return await this.unlock(req, res, session);
+            if (route === 'GET /api/list') {
+                const share = this.authorizeShare(session, url.searchParams.get('share'));
+                const relativePath = url.searchParams.get('path') || '';
+                return sendJson(res, 200, { entries: this.networkManager.sharedFolders.listDirectory(share, relativePath) });
+            }
+            if (route === 'GET /api/download') return this.download(res, session, url);
+            if (route === 'POST /api/offer') return await this.offer(req, res, session);
+            if (route === 'POST /api/upload') return await this.upload(req, res, url, session);
+
+            return sendJson(res, 404, { error: 'Not found' });
+        } catch (e) {
+            if (!res.headersSent) {
+                // The rest of an oversized body isn't read; the connection closes once the answer is out
+                if (e.status === 413) res.setHeader('Connection', 'close');
+                sendJson(res, shareErrorStatus(e), { error: e.message });
+            } else {
+                res.destroy();
+            }
+        }
+    }
+
+    async login(req, res) {
+        const ip = req.socket.remoteAddress;
+        for (const [address, entry] of this.failedLogins) {
+            if (Date.now() - entry.at >= PIN_LOCKOUT) this.failedLogins.delete(address);
+        }
+        const failed = this.failedLogins.get(ip);
+        if (failed && failed.count >= MAX_PIN_ATTEMPTS && Date.now() - failed.at < PIN_LOCKOUT) {
+            return sendJson(res, 429, { error: 'Too many wrong PINs; try again in a few minutes' });
+        }
+
+        const { pin } = await readJsonBody(req);
+        const expected = Buffer.from(this.pin);
+        const actual = Buffer.from(String(pin || ''));
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            const count = failed && Date.now() - failed.at < PIN_LOCKOUT ? failed.count + 1 : 1;
+            this.failedLogins.set(ip, { count, at: Date.now() });
+            this.failedTotal++;
+            if (this.failedTotal >= MAX_FAILED_LOGINS) {
+                console.warn(`Web share: ${this.failedTotal} wrong PINs, replacing the PIN`);
+                this.newPin();
+                this.onEvent('web-share-updated', { pinChanged: true, reason: 'Too many wrong PINs were entered' });
+            }
+            return sendJson(res, 403, { error: 'Wrong PIN' });
+        }
+
+        this.failedLogins.delete(ip);
+        const token = crypto.randomBytes(32).toString('hex');
+        this.sessions.set(token, { ip, expiresAt: Date.now() + SESSION_TTL, passwords: new Map(), uploads: new Map() });
+        res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${token}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${SESSION_TTL / 1000}`);
+        return sendJson(res, 200, { authenticated: true });
+    }
+
+    // Remember a share's password for this browser once it has been checked
+    async unlock(req, res, session) {
+        const { share: name, password } = await readJsonBody(req);
+        const share = this.networkManager.sharedFolders.authorize(String(name), { trust: 'unverified', password });
+        session.passwords.set(share.name, password);
+        return sendJson(res, 200, { unlocked: share.name });
+    }
+
+    authorizeShare(session, name) {
+        const share = this.networkManager.sharedFolders.get(String(name));
+        const password = share ? session.passwords.get(share.name) : undefined;
+        return this.networkManager.sharedFolders.authorize(String(name), { trust: 'unverified', password });
+    }
+
+    download(res, session, url) {
+        const share = this.authorizeShare(session, url.searchParams.get('share'));
+        const fullPath = this.networkManager.sharedFolders.resolve(share, url.searchParams.get('path') || '');
+        const stats = fs.statSync(fullPath);
+        if (!stats.isFile()) return sendJson(res, 400, { error: 'Only files can be downloaded' });
+
+        res.writeHead(200, {
+            'Content-Type': 'application/octet-stream',
+            'Content-Length': stats.size,
+            'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(path.basename(fullPath))}`
+        });
+        pipeline(fs.createReadStream(fullPath), res, () => { });
+    }
+
+    /**
+     * The browser lists what it's about to upload and waits here while the offer
+     * goes through the transfer rules and, unless they settle it, the accept prompt.
+     * Only the files of an accepted offer can then be uploaded, each once.
+     */
+    async offer(req, res, session) {
+        const manager = this.networkManager;
+        const ip = req.socket.remoteAddress;
+        const { batch, files } = await readJsonBody(req);
+        if (typeof batch !== 'string' || !/^[\w-]{1,64}$/.test(batch)) return sendJson(res, 400, { error: 'Invalid batch id' });
+        if (session.uploads.has(batch)) return sendJson(res, 409, { error: 'That upload was already offered' });
+        if (!Array.isArray(files) || files.length === 0 || files.length > MAX_UPLOAD_FILES) {
+            return sendJson(res, 400, { error: `Offer between 1 and ${MAX_UPLOAD_FILES} files` });
+        }
+
+        const downloadsDir = manager.getDownloadsDir();
+        const offered = new Map();
+        for (const file of files) {
+            let target;
+            try {
+                target = resolveSafePath(downloadsDir, String((file && file.name) || ''));
+            } catch (e) {
+                return sendJson(res, 400, { error: 'Invalid file name' });
+            }
+            if (!Number.isSafeInteger(file.size) || file.size < 0) return sendJson(res, 400, { error: 'Invalid file size' });
+            if (offered.has(target.relativePath)) return sendJson(res, 400, { error: `${target.relativePath} is listed more than once` });
+            offered.set(target.relativePath, { target, size: file.size, done: false });
+        }
+
+        const transferId = `web_${batch}`;
+        const totalSize = [...offered.values()].reduce((sum, file) => sum + file.size, 0);
+        const rules = manager.transferRules.getRules();
+        const conflicting = [...offered.keys()].filter(name => fs.existsSync(offered.get(name).target.fullPath));
+        const peer = { name: BROWSER_NAME, ip, publicKey: null, fingerprint: null, trust: 'unverified' };
+        const decision = await manager.reviewOffer({
+            transferId,
+            senderName: BROWSER_NAME,
+            peerIP: ip,
+            publicKey: null,
+            fingerprint: null,
+            trust: 'unverified',
+            verificationCode: null,
+            files: [...offered].map(([name, file]) => ({ name, size: file.size })),
+            totalSize,
+            conflicts: conflicting.slice(0, MAX_LISTED_CONFLICTS),
+            conflictCount: conflicting.length,
+            conflictPolicy: rules.conflictPolicy
+        }, req.socket);
+        if (!decision.accept) {
+            manager.recordHistory({
+                id: transferId,
+                direction: 'received',
+                peer,
+                files: [...offered].map(([name, file]) => ({ name, size: file.size, sha256: null, status: 'pending', path: null })),
+                totalSize,
+                bytesTransferred: 0,
+                startedAt: Date.now(),
+                endedAt: Date.now(),
+                outcome: 'declined',
+                error: decision.reason || null,
+                savePath: downloadsDir,
+                encryption: null,
+                compression: null
+            });
+            return sendJson(res, 403, { error: decision.reason || 'Transfer declined by receiver' });
+        }
+
+        // Taken names the conflict policy says to leave alone aren't uploaded at all
+        const conflictAction = resolveConflictAction(rules.conflictPolicy, decision);
+        const skipped = conflictAction === 'skip' ? conflicting : [];
+        session.uploads.set(batch, { transferId, files: offered, conflictAction, skipped, totalSize, sent: 0, received: 0, startedAt: null });
+        return sendJson(res, 200, { accepted: true, skipped });
+    }
+
+    /**
+     * One file per request, sent as the raw body, from an offer accepted under the
+     * same `batch` id, so they show up as one transfer. Taken names are handled as
+     * the offer's conflict choice says: saved under "name (2).ext", overwritten, or
+     * left alone (409) if the name has been taken since. A failed file ends the
+     * batch, as the page stops there too.
+     */
+    async upload(req, res, url, session) {
+        const manager = this.networkManager;
+        const ip = req.socket.remoteAddress;
+        const batch = url.searchParams.get('batch') || '';
+        const accepted = session.uploads.get(batch);
+        if (!accepted) return sendJson(res, 403, { error: 'Offer the upload to the receiver first' });
+        const size = Number(req.headers['content-length']);
+        if (!Number.isSafeInteger(size) || size < 0) return sendJson(res, 411, { error: 'Content-Length is required' });
+
+        const downloadsDir = manager.getDownloadsDir();
+        let target;
+        try {
+            target = resolveSafePath(downloadsDir, url.searchParams.get('name') || '');
+        } catch (e) {
+            return sendJson(res, 400, { error: 'Invalid file name' });
+        }
+        const offered = accepted.files.get(target.relativePath);
+        if (!offered || offered.done || offered.uploading) return sendJson(res, 403, { error: 'This file is not part of the accepted upload' });
+        if (offered.size !== size) return sendJson(res, 400, { error: 'File size does not match the offer' });
+        if (accepted.skipped.includes(target.relativePath)) {
+            return sendJson(res, 409, { error: 'Already on the receiver', skipped: true });
+        }
+        const { transferId, conflictAction } = accepted;
+        const batchTotal = accepted.totalSize;
+        const batchFiles = accepted.files.size;
+        const batchSent = accepted.sent;
+
+        fs.mkdirSync(path.dirname(target.fullPath), { recursive: true });
+        const descriptor = { name: path.basename(target.fullPath), size, source: ip };
+        // Uploads never resume, and another batch may be uploading the same name right now
+        const partial = partialFiles.openPartial(path.dirname(target.fullPath), descriptor, 0, { unique: true });
+
+        const common = { transferId, senderName: BROWSER_NAME, peerIP: ip, encryption: null, peerTrust: 'unverified' };
+        accepted.startedAt = accepted.startedAt || Date.now();
+        const hash = crypto.createHash('sha256');
+        let received = 0;
+        let lastReport = { at: 0, bytes: 0 };
+        const reportProgress = (force = false) => {
+            const now = Date.now();
+            if (!force && now - lastReport.at < PROGRESS_INTERVAL) return;
+            const elapsed = (now - lastReport.at) / 1000;
+            const speed = lastReport.at && elapsed > 0 ? (received - lastReport.bytes) / elapsed / (1024 * 1024) : 0;
+            lastReport = { at: now, bytes: received };
+            this.onEvent('transfer-progress', {
+                ...common,
+                status: 'receiving',
+                filename: target.relativePath,
+                progress: size ? Math.min(100, Math.floor((received / size) * 100)) : 100,
+                overallProgress: batchTotal ? Math.min(100, Math.floor(((batchSent + received) / batchTotal) * 100)) : 100,
+                received,
+                total: size,
+                batchTotal,
+                batchFiles,
+                speed: Number(speed.toFixed(2))
+            });
+        };
+        // The batch goes into the history once, when its last file is in or one fails
+        const finishBatch = (outcome, error = null) => {
+            session.uploads.delete(batch);
+            manager.recordHistory({
+                id: transferId,
+                direction: 'received',
+                peer: { name: BROWSER_NAME, ip, publicKey: null, fingerprint: null, trust: 'unverified' },
+                files: [...accepted.files].map(([name, file]) => ({
+                    name,
+                    size: file.size,
+                    sha256: file.sha256 || null,
+                    status: file.done ? 'completed' : accepted.skipped.includes(name) ? 'skipped' : 'pending',
+                    path: file.savedPath || null
+                })),
+                totalSize: batchTotal,
+                bytesTransferred: accepted.received,
+                startedAt: accepted.startedAt,
+                endedAt: Date.now(),
+                outcome,
+                error,
+                savePath: downloadsDir,
+                encryption: null,
+                compression: null
+            });
+        };
+        const finishIfLast = () => {
+            if ([...accepted.files.values()].every(file => file.done || accepted.skipped.includes(file.target.relativePath))) {
+                finishBatch('completed');
+            }
+        };
+
+        reportProgress(true);
+        this.uploads.add(req);
+        offered.uploading = true;
+        const counter = new Transform({
+            transform(chunk, encoding, callback) {
+                received += chunk.length;
+                accepted.received += chunk.length;
+                hash.update(chunk);
+                reportProgress();
+                callback(null, chunk);
+            }
+        });
+
+        return new Promise((resolve) => {
+            pipeline(req, counter, fs.createWriteStream(partial.partPath), (err) => {
+                this.uploads.delete(req);
+                offered.uploading = false;
+                if (!err && received !== size) err = new Error('Upload ended early');
+                if (err) {
+                    partialFiles.discardPartial(partial);
+                    finishBatch('failed', err.message);
+                    this.onEvent('transfer-error', { ...common, filename: target.relativePath, error: err.message });
+                    if (!res.headersSent && !res.destroyed) sendJson(res, 400, { error: err.message });
+                    return resolve();
+                }
+
+                const overwrite = conflictAction === 'overwrite';
+                const existed = fs.existsSync(target.fullPath);
+                if (existed && conflictAction === 'skip') {
+                    const error = `${target.relativePath} was saved by something else meanwhile; skipped`;
+                    partialFiles.discardPartial(partial);
+                    accepted.skipped.push(target.relativePath);
+                    this.onEvent('transfer-error', { ...common, filename: target.relativePath, error });
+                    sendJson(res, 409, { error: 'Already on the receiver', skipped: true });
+                    finishIfLast();
+                    return resolve();
+                }
+                const savedPath = partialFiles.completePartial(partial, target.fullPath, { overwrite });
+                const savedAs = path.relative(downloadsDir, savedPath).split(path.sep).join('/');
+                const checksum = hash.digest('hex');
+                Object.assign(offered, { done: true, sha256: checksum, savedPath });
+                accepted.sent += size;
+                finishIfLast();
+                this.onEvent('transfer-complete', {
+                    ...common,
+                    status: 'completed',
+                    filename: target.relativePath,
+                    filenames: [target.relativePath],
+                    path: savedPath,
+                    checksum,
+                    batchFiles,
+                    conflicts: existed ? [{ filename: target.relativePath, savedAs, conflict: overwrite ? 'overwritten' : 'renamed' }] : []
+                });
+                sendJson(res, 200, { savedAs, sha256: checksum });
+                resolve();
+            });
+        });
+    }
+}
+
+module.exports = WebShare;
@@ -0,0 +1,254 @@
+// The page served by webShare.js: one self-contained file, since the devices
+// opening it have nothing installed and may not be able to reach the internet.
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+const STYLE = `
+    * { box-sizing: border-box; }
+    body { margin: 0; font-family: -apple-system, "Segoe UI", Roboto, sans-serif; background: #0f172a; color: #e2e8f0; }
+    main { max-width: 640px; margin: 0 auto; padding: 16px; }
+    h1 { font-size: 1.3rem; margin: 8px 0 16px; }
+    h2 { font-size: 1.05rem; margin: 0 0 12px; }
+    section { background: #1e293b; border-radius: 10px; padding: 16px; margin-bottom: 16px; }
+    button, .button { background: #3b82f6; color: #fff; border: none; border-radius: 6px; padding: 10px 16px; font-size: 1rem; cursor: pointer; text-decoration: none; display: inline-block; }
+    button:disabled { opacity: 0.5; }
+    input[type=text], input[type=password], input[inputmode=numeric] { width: 100%; padding: 10px; font-size: 1.2rem; border-radius: 6px; border: 1px solid #475569; background: #0f172a; color: inherit; margin-bottom: 12px; }
+    ul { list-style: none; margin: 0; padding: 0; }
+    li { display: flex; align-items: center; gap: 8px; padding: 8px 0; border-bottom: 1px solid #334155; }
+    li:last-child { border-bottom: none; }
+    li .name { flex: 1; overflow-wrap: anywhere; }
+    li .size { color: #94a3b8; font-size: 0.85rem; white-space: nowrap; }
+    a { color: #93c5fd; }
+    progress { width: 100%; height: 8px; }
+    .muted { color: #94a3b8; font-size: 0.85rem; }
+    .error { color: #fca5a5; }
+    .crumbs { margin-bottom: 8px; font-size: 0.9rem; }
+    .hidden { display: none; }
+`;
+
+const SCRIPT = `
+    const $ = (id) => document.getElementById(id);
+    const formatSize = (bytes) => {
+        if (!bytes) return '0 B';
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        const i = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+        return (bytes / Math.pow(1024, i)).toFixed(i ? 1 : 0) + ' ' + units[i];
+    };
+    const api = async (url, body) => {
+        const response = await fetch(url, body === undefined ? {} : {
+            method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body)
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw Object.assign(new Error(data.error || response.statusText), { status: response.status });
+        return data;
+    };
+
+    async function login(pin) {
+        $('login-error').textContent = '';
+        try {
+            await api('/api/login', { pin });
+            showApp();
+        } catch (e) {
+            $('login-error').textContent = e.message;
+        }
+    }
+
+    function showApp() {
+        $('login').classList.add('hidden');
+        $('app').classList.remove('hidden');
+        loadShares();
+    }
+
+    // The files are offered as one batch first, so the desktop can accept or decline them
+    // the way it does for devices; each accepted file then goes up on its own under that batch id
+    async function upload() {
+        const files = [...$('files').files];
+        if (!files.length) return;
+        const batch = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+        const total = files.reduce((sum, f) => sum + f.size, 0);
+        const fail = (message) => {
+            $('upload-status').innerHTML = '<span class="error"></span>';
+            $('upload-status').firstChild.textContent = message;
+            $('upload-button').disabled = false;
+        };
+        $('upload-button').disabled = true;
+        $('upload-status').textContent = 'Waiting for the receiver to accept…';
+        let skipped;
+        try {
+            ({ skipped } = await api('/api/offer', { batch, files: files.map(f => ({ name: f.name, size: f.size })) }));
+        } catch (e) {
+            return fail(e.message);
+        }
+        $('upload-status').textContent = '';
+        let sent = 0;
+        let saved = 0;
+        for (const file of files) {
+            if (!skipped.includes(file.name)) {
+                const params = new URLSearchParams({ batch, name: file.name });
+                try {
+                    const status = await new Promise((resolve, reject) => {
+                        const xhr = new XMLHttpRequest();
+                        xhr.open('POST', '/api/upload?' + params);
+                        xhr.upload.onprogress = (e) => { $('upload-progress').value = (sent + e.loaded) / total; };
+                        xhr.onload = () => {
+                            const data = JSON.parse(xhr.responseText || '{}');
+                            if (xhr.status === 200) resolve('saved');
+                            else if (xhr.status === 409 && data.skipped) resolve('skipped');
+                            else reject(new Error(data.error || xhr.statusText));
+                        };
+                        xhr.onerror = () => reject(new Error('Connection lost'));
+                        xhr.send(file);
+                    });
+                    if (status === 'saved') saved++;
+                } catch (e) {
+                    return fail(file.name + ': ' + e.message);
+                }
+            }
+            sent += file.size;
+        }
+        $('upload-progress').value = 1;
+        $('upload-status').textContent = 'Sent ' + saved + ' file(s)'
+            + (saved < files.length ? ', skipped ' + (files.length - saved) + ' already on the receiver' : '');
+        $('files').value = '';
+        $('upload-button').disabled = false;
+    }
+
+    let location_ = null;
+    function row(icon, label, extra) {
+        const li = document.createElement('li');
+        const name = document.createElement('span');
+        name.className = 'name';
+        name.textContent = icon + ' ' + label;
+        li.appendChild(name);
+        if (extra) li.appendChild(extra);
+        return li;
+    }
+
+    async function loadShares() {
+        location_ = null;
+        $('crumbs').textContent = '';
+        const list = $('entries');
+        list.innerHTML = '';
+        try {
+            const { shares } = await api('/api/shares');
+            if (!shares.length) list.appendChild(row('', 'Nothing is shared from this device'));
+            for (const share of shares) {
+                const li = row(share.passwordRequired ? '🔒' : '📂', share.name);
+                li.style.cursor = 'pointer';
+                li.onclick = () => openFolder(share.name, '');
+                list.appendChild(li);
+            }
+        } catch (e) {
+            list.appendChild(row('⚠️', e.message));
+        }
+    }
+
+    async function openFolder(share, path) {
+        const list = $('entries');
+        let entries;
+        try {
+            ({ entries } = await api('/api/list?' + new URLSearchParams({ share, path })));
+        } catch (e) {
+            if (e.status !== 401) return alert(e.message);
+            const password = prompt('Password for ' + share);
+            if (password === null) return;
+            try {
+                await api('/api/unlock', { share, password });
+            } catch (err) {
+                return alert(err.message);
+            }
+            return openFolder(share, path);
+        }
+        location_ = { share, path };
+        $('crumbs').innerHTML = '';
+        const back = document.createElement('a');
+        back.href = '#';
+        back.textContent = '← ' + (path ? share + '/' + path.split('/').slice(0, -1).join('/') : 'All shares');
+        back.onclick = (e) => {
+            e.preventDefault();
+            if (path) openFolder(share, path.split('/').slice(0, -1).join('/'));
+            else loadShares();
+        };
+        $('crumbs').appendChild(back);
+        list.innerHTML = '';
+        if (!entries.length) list.appendChild(row('', 'This folder is empty'));
+        for (const entry of entries) {
+            if (entry.type === 'directory') {
+                const li = row('📁', entry.name);
+                li.style.cursor = 'pointer';
+                li.onclick = () => openFolder(share, entry.path);
+                list.appendChild(li);
+            } else {
+                const link = document.createElement('a');
+                link.className = 'button';
+                link.textContent = '⬇';
+                link.href = '/api/download?' + new URLSearchParams({ share, path: entry.path });
+                const size = document.createElement('span');
+                size.className = 'size';
+                size.textContent = formatSize(entry.size);
+                const li = row('📄', entry.name, size);
+                li.appendChild(link);
+                list.appendChild(li);
+            }
+        }
+    }
+
+    $('login-form').onsubmit = (e) => { e.preventDefault(); login($('pin').value.trim()); };
+    $('upload-button').onclick = upload;
+    $('refresh').onclick = () => location_ ? openFolder(location_.share, location_.path) : loadShares();
+
+    (async () => {
+        // The QR code carries the PIN so scanning it logs straight in; keep it out of the address bar
+        const pin = new URLSearchParams(window.location.search).get('pin');
+        if (pin) history.replaceState(null, '', '/');
+        const { authenticated } = await api('/api/session');
+        if (authenticated) showApp();
+        else if (pin) login(pin);
+    })();
+`;
+
+function renderPage(deviceName) {
+    const name = escapeHtml(deviceName);
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>SafeShare · ${name}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<main>
+    <h1>📡 SafeShare on ${name}</h1>
+    <section id="login">
+        <h2>Enter the PIN</h2>
+        <form id="login-form">
+            <input id="pin" inputmode="numeric" autocomplete="one-time-code" placeholder="6-digit PIN shown in SafeShare" autofocus>
+            <button type="submit">Connect</button>
+            <p id="login-error" class="error"></p>
+        </form>
+    </section>
+    <div id="app" class="hidden">
+        <section>
+            <h2>Send files to ${name}</h2>
+            <input id="files" type="file" multiple>
+            <p><button id="upload-button">Upload</button></p>
+            <progress id="upload-progress" value="0" max="1"></progress>
+            <p id="upload-status" class="muted"></p>
+        </section>
+        <section>
+            <h2>Shared from ${name} <button id="refresh" style="float:right;padding:4px 10px">↻</button></h2>
+            <div id="crumbs" class="crumbs"></div>
+            <ul id="entries"></ul>
+        </section>
+        <p class="muted">Browser transfers use plain HTTP on your local network and aren't encrypted like transfers between SafeShare apps.</p>
+    </div>
+</main>
+<script>${SCRIPT}</script>
+</body>
+</html>`;
+}
+
+module.exports = renderPage;